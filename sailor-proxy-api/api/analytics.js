@@ -0,0 +1,47 @@
+const ServiceFactory = require('../services/ServiceFactory');
+const AppConfig = require('../config/AppConfig');
+const HttpUtils = require('../utils/HttpUtils');
+
+/**
+ * Reports how long sails stay listed per branch and boat, which weekdays and
+ * hours get the most sails and how far in advance sails appear
+ * GET /api/analytics
+ * Computed from the snapshot archive, without fetching the site
+ */
+module.exports = async (req, res) => {
+  const logger = HttpUtils.startRequest(req, res);
+  if (HttpUtils.handleCors(req, res)) {
+    return;
+  }
+
+  try {
+    if (await HttpUtils.enforceRateLimit(req, res, logger)) {
+      return;
+    }
+
+    const sailorService = ServiceFactory.createSailorService(null, AppConfig.get(), logger);
+
+    const result = await sailorService.getAnalytics();
+    if (!result.success) {
+      res.status(500).json(result);
+      return;
+    }
+
+    // The archive only changes with a scrape, so the statistics can be shared for a while
+    const { timestamp, ...statistics } = result;
+    const notModified = HttpUtils.applyCacheHeaders(req, res, statistics, {
+      maxAge: 300,
+      sMaxAge: 900,
+      staleWhileRevalidate: 3600
+    });
+    if (notModified) {
+      return;
+    }
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    logger.error('Unexpected error', { error });
+    HttpUtils.sendError(res, 500, error.message, 'Internal server error');
+  }
+};
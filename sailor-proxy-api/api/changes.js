@@ -0,0 +1,50 @@
+const ServiceFactory = require('../services/ServiceFactory');
+const AppConfig = require('../config/AppConfig');
+const HttpUtils = require('../utils/HttpUtils');
+
+/**
+ * Reports sails added, removed or changed since a point in time
+ * GET /api/changes?since=<ISO date-time>&provider=<name>
+ * Without "since", compares against the previous scrape. Only live providers
+ * (ServiceFactory.LIVE_PROVIDERS) are compared with the snapshot archive.
+ */
+module.exports = async (req, res) => {
+  const logger = HttpUtils.startRequest(req, res);
+  if (HttpUtils.handleCors(req, res)) {
+    return;
+  }
+
+  try {
+    if (await HttpUtils.enforceRateLimit(req, res, logger)) {
+      return;
+    }
+
+    let since = null;
+    if (req.query.since) {
+      since = new Date(req.query.since);
+      if (isNaN(since.getTime())) {
+        HttpUtils.sendError(res, 400, 'Invalid "since": expected an ISO 8601 date or date-time', 'Invalid query parameters');
+        return;
+      }
+    }
+
+    if (HttpUtils.authorizeProvider(req, res)) {
+      return;
+    }
+
+    if (HttpUtils.requireLiveProvider(req, res)) {
+      return;
+    }
+
+    const sailorService = ServiceFactory.createSailorService(req.query.provider, AppConfig.get(), logger);
+
+    const result = await sailorService.getChanges(since);
+
+    const statusCode = result.success ? 200 : 500;
+    res.status(statusCode).json(result);
+
+  } catch (error) {
+    logger.error('Unexpected error', { error });
+    HttpUtils.sendError(res, 500, error.message, 'Internal server error');
+  }
+};
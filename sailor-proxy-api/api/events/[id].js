@@ -0,0 +1,67 @@
+const ServiceFactory = require('../../services/ServiceFactory');
+const AppConfig = require('../../config/AppConfig');
+const HttpUtils = require('../../utils/HttpUtils');
+const EventLocalizer = require('../../utils/EventLocalizer');
+
+/**
+ * Returns one sail with the details from its detail page (moreUrl)
+ * GET /api/events/<sail id>?provider=<name>&lang=<he|en>
+ */
+module.exports = async (req, res) => {
+  const logger = HttpUtils.startRequest(req, res);
+  if (HttpUtils.handleCors(req, res)) {
+    return;
+  }
+
+  try {
+    if (await HttpUtils.enforceRateLimit(req, res, logger)) {
+      return;
+    }
+
+    const id = req.query.id;
+    if (!id || !/^[A-Za-z0-9_-]+$/.test(id)) {
+      HttpUtils.sendError(res, 400, 'Invalid sail ID', 'Invalid request');
+      return;
+    }
+
+    const lang = req.query.lang;
+    const languageError = EventLocalizer.validateLanguage(lang);
+    if (languageError) {
+      HttpUtils.sendError(res, 400, languageError, 'Invalid request');
+      return;
+    }
+
+    if (HttpUtils.authorizeProvider(req, res)) {
+      return;
+    }
+
+    const sailorService = ServiceFactory.createSailorService(req.query.provider, AppConfig.get(), logger);
+
+    const result = await sailorService.getEventDetails(id, { lang });
+
+    if (result.notFound) {
+      res.status(404).json(result);
+      return;
+    }
+
+    if (result.success) {
+      // Details are cached server-side for the cache TTL; let the CDN keep them as long
+      const { ttl, staleWhileRevalidate } = AppConfig.get().cache;
+      const notModified = HttpUtils.applyCacheHeaders(req, res, result.event, {
+        maxAge: Math.min(ttl, 60),
+        sMaxAge: ttl,
+        staleWhileRevalidate
+      });
+      if (notModified) {
+        return;
+      }
+    }
+
+    const statusCode = result.success ? 200 : 502;
+    res.status(statusCode).json(result);
+
+  } catch (error) {
+    logger.error('Unexpected error', { error });
+    HttpUtils.sendError(res, 500, error.message, 'Internal server error');
+  }
+};
@@ -0,0 +1,35 @@
+const ServiceFactory = require('../services/ServiceFactory');
+const AppConfig = require('../config/AppConfig');
+const HttpUtils = require('../utils/HttpUtils');
+
+/**
+ * Reports recent success rate, latency and circuit state per provider
+ * GET /api/health
+ * Statistics are shared across functions when CACHE_BACKEND is 'redis',
+ * otherwise they cover the calls handled by this instance
+ */
+module.exports = async (req, res) => {
+  const logger = HttpUtils.startRequest(req, res);
+  if (HttpUtils.handleCors(req, res)) {
+    return;
+  }
+
+  try {
+    const healthMonitor = ServiceFactory.createHealthMonitor(AppConfig.get(), logger);
+    await healthMonitor.load();
+    const providers = healthMonitor.getStats();
+    const degraded = Object.values(providers).some(stats => stats.circuit !== 'closed');
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      status: degraded ? 'degraded' : 'ok',
+      providers,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Unexpected error', { error });
+    HttpUtils.sendError(res, 500, error.message, 'Internal server error');
+  }
+};
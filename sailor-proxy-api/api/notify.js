@@ -0,0 +1,70 @@
+const ServiceFactory = require('../services/ServiceFactory');
+const AppConfig = require('../config/AppConfig');
+const HttpUtils = require('../utils/HttpUtils');
+
+/**
+ * Scrapes, records a snapshot and notifies watch rules about newly appeared sails
+ * GET /api/notify?provider=<name>
+ * Meant to be called on a schedule (see "crons" in vercel.json). Only live
+ * providers (ServiceFactory.LIVE_PROVIDERS) are accepted, as ?provider= or as
+ * the configured default. It needs an access token, since it sends messages
+ * and writes the snapshot archive: Vercel sends CRON_SECRET as a Bearer token,
+ * so CRON_SECRET must be listed in API_ACCESS_TOKENS. This is the only route
+ * sending notifications; the response only counts them and names no rules.
+ */
+module.exports = async (req, res) => {
+  const logger = HttpUtils.startRequest(req, res);
+  if (HttpUtils.handleCors(req, res)) {
+    return;
+  }
+
+  try {
+    if (await HttpUtils.enforceRateLimit(req, res, logger)) {
+      return;
+    }
+
+    if (HttpUtils.requireAccessToken(req, res, 'Notifying watch rules')) {
+      return;
+    }
+
+    if (HttpUtils.authorizeProvider(req, res)) {
+      return;
+    }
+
+    if (HttpUtils.requireLiveProvider(req, res)) {
+      return;
+    }
+
+    const config = AppConfig.get();
+    const sailorService = ServiceFactory.createSailorService(req.query.provider, config, logger);
+    const result = await sailorService.getSailingEvents();
+
+    if (!result.success) {
+      res.status(500).json(result);
+      return;
+    }
+
+    // Fallback data (old snapshot, static file) says nothing about new sails
+    let report = [];
+    if (!(result.source && result.source.degraded)) {
+      report = await ServiceFactory.createNotificationService(config, logger)
+        .notifySinceLastRun(result.events, result.timestamp, ServiceFactory.createSnapshotStore(config));
+    }
+
+    res.status(200).json({
+      success: true,
+      changes: result.changes || null,
+      notifications: {
+        rules: report.length,
+        sent: report.filter(entry => entry.sent).length,
+        failed: report.filter(entry => !entry.sent).length
+      },
+      provider: result.provider,
+      timestamp: result.timestamp
+    });
+
+  } catch (error) {
+    logger.error('Unexpected error', { error });
+    HttpUtils.sendError(res, 500, error.message, 'Internal server error');
+  }
+};
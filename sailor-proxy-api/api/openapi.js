@@ -0,0 +1,32 @@
+const OpenApiDocument = require('../schema/OpenApiDocument');
+const HttpUtils = require('../utils/HttpUtils');
+
+/**
+ * Serves the OpenAPI description of the API, including the event schemas
+ * GET /api/openapi
+ */
+module.exports = async (req, res) => {
+  const logger = HttpUtils.startRequest(req, res);
+  if (HttpUtils.handleCors(req, res)) {
+    return;
+  }
+
+  try {
+    const document = OpenApiDocument.build();
+
+    const notModified = HttpUtils.applyCacheHeaders(req, res, document, {
+      maxAge: 3600,
+      sMaxAge: 3600,
+      staleWhileRevalidate: 86400
+    });
+    if (notModified) {
+      return;
+    }
+
+    res.status(200).json(document);
+
+  } catch (error) {
+    logger.error('Unexpected error', { error });
+    HttpUtils.sendError(res, 500, error.message, 'Internal server error');
+  }
+};
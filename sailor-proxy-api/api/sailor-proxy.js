@@ -1,48 +1,91 @@
-const SailorService = require('../services/SailorService');
-const ScrapingBeeProvider = require('../providers/ScrapingBeeProvider');
-const StaticHTMLProvider = require('../providers/StaticHTMLProvider');
+const ServiceFactory = require('../services/ServiceFactory');
+const AppConfig = require('../config/AppConfig');
+const EventFilter = require('../utils/EventFilter');
+const ICalendarBuilder = require('../utils/ICalendarBuilder');
+const HttpUtils = require('../utils/HttpUtils');
+const EventLocalizer = require('../utils/EventLocalizer');
 
-module.exports = async (req, res) => {
-  // Enable CORS for GitHub Pages
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+const FORMATS = ['json', 'ics'];
+// Each embedded detail page is a separate upstream fetch
+const MAX_DETAILS_LIMIT = 20;
 
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
+module.exports = async (req, res) => {
+  const logger = HttpUtils.startRequest(req, res);
+  if (HttpUtils.handleCors(req, res)) {
     return;
   }
 
   try {
-    // Determine provider based on query parameter
-    const providerType = req.query.provider || 'static'; // Default to static HTML provider
+    if (await HttpUtils.enforceRateLimit(req, res, logger)) {
+      return;
+    }
+
+    if (HttpUtils.authorizeProvider(req, res)) {
+      return;
+    }
+
+    // Validate filter, sort and pagination parameters before doing any fetching
+    const { options: filterOptions, errors } = EventFilter.parseQuery(req.query);
+    const format = req.query.format || 'json';
+    if (!FORMATS.includes(format)) {
+      errors.push(`Invalid "format" value "${format}": expected one of ${FORMATS.join(', ')}`);
+    }
+    const includeDetails = req.query.details === 'true';
+    if (includeDetails) {
+      if (filterOptions.limit === null) {
+        filterOptions.limit = MAX_DETAILS_LIMIT;
+      } else if (filterOptions.limit > MAX_DETAILS_LIMIT) {
+        errors.push(`"limit" must be at most ${MAX_DETAILS_LIMIT} when details=true`);
+      }
+    }
+    const includeRemoved = req.query.removed === 'true';
+    const lang = req.query.lang;
+    const languageError = EventLocalizer.validateLanguage(lang);
+    if (languageError) {
+      errors.push(languageError);
+    }
+    if (errors.length > 0) {
+      HttpUtils.sendError(res, 400, errors.join('; '), 'Invalid query parameters');
+      return;
+    }
+
+    // Create SailorService with the requested provider (configured default if omitted),
+    // recording snapshots for /api/changes
+    const sailorService = ServiceFactory.createSailorService(req.query.provider, AppConfig.get(), logger);
     
-    let provider;
-    if (providerType === 'scrapingbee') {
-      provider = new ScrapingBeeProvider({
-        apiKey: 'SOME_VALUE'
+    // Fetch sailing events, filtered server-side, optionally with each sail's detail page
+    // and the sails that dropped off the listing, labelled in the requested language
+    const result = await sailorService.getSailingEvents(filterOptions, { includeDetails, includeRemoved, lang });
+    
+    if (result.success) {
+      // Let browsers and the Vercel CDN cache for as long as the server-side entry stays fresh
+      // Degraded fallback data is not cached, so clients pick up the live data as soon as it is back
+      const source = result.source || {};
+      const cacheable = source.ttl !== undefined && !source.degraded;
+      const ttl = cacheable ? Math.max(source.ttl - source.ageSeconds, 0) : 0;
+      const notModified = HttpUtils.applyCacheHeaders(req, res, [format, result.events, result.total, result.removedEvents], {
+        maxAge: Math.min(ttl, 60),
+        sMaxAge: ttl,
+        staleWhileRevalidate: cacheable ? source.staleWhileRevalidate : 0
       });
-    } else {
-      // Default to StaticHTMLProvider
-      provider = new StaticHTMLProvider();
+      if (notModified) {
+        return;
+      }
     }
     
-    // Create SailorService with the selected provider
-    const sailorService = new SailorService(provider);
-    
-    // Fetch sailing events
-    const result = await sailorService.getSailingEvents();
+    if (format === 'ics' && result.success) {
+      // Calendar subscription feed (Google/Apple calendars)
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', 'inline; filename="sailor-sails.ics"');
+      res.status(200).send(ICalendarBuilder.build(result.events));
+      return;
+    }
     
     const statusCode = result.success ? 200 : 500;
     res.status(statusCode).json(result);
     
   } catch (error) {
-    console.error('Unexpected error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: 'Internal server error',
-      timestamp: new Date().toISOString()
-    });
+    logger.error('Unexpected error', { error });
+    HttpUtils.sendError(res, 500, error.message, 'Internal server error');
   }
 };
\ No newline at end of file
@@ -0,0 +1,90 @@
+const ServiceFactory = require('../services/ServiceFactory');
+const WatchRuleMatcher = require('../utils/WatchRuleMatcher');
+const HttpUtils = require('../utils/HttpUtils');
+const UrlGuard = require('../utils/UrlGuard');
+
+/**
+ * Manages watch rules for new-sail notifications
+ * GET    /api/watches          lists rules (IDs and recipients are not exposed)
+ * POST   /api/watches          creates a rule from the JSON body; the response
+ *                              holds the rule's ID and its secret, shown only once
+ * DELETE /api/watches?id=<id>  removes a rule, given its secret in the X-Watch-Secret header
+ * Webhooks must point at public hosts, so rules cannot reach internal services.
+ * Every method needs an access token (see API_ACCESS_TOKENS), since rules make
+ * the server send mail and calls on the caller's behalf.
+ */
+module.exports = async (req, res) => {
+  const logger = HttpUtils.startRequest(req, res);
+  if (HttpUtils.handleCors(req, res, 'GET, POST, DELETE, OPTIONS')) {
+    return;
+  }
+
+  try {
+    if (await HttpUtils.enforceRateLimit(req, res, logger)) {
+      return;
+    }
+
+    if (HttpUtils.requireAccessToken(req, res, 'Managing watch rules')) {
+      return;
+    }
+
+    const watchStore = ServiceFactory.createWatchStore();
+
+    if (req.method === 'GET') {
+      const rules = await watchStore.listRules();
+      res.status(200).json({
+        success: true,
+        rules: rules.map(({ id, secretHash, channel, ...rule }) => ({ ...rule, channel: { type: channel.type } })),
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const { rule, errors } = WatchRuleMatcher.normalizeRule(req.body || {});
+      if (errors.length > 0) {
+        HttpUtils.sendError(res, 400, errors.join('; '), 'Invalid watch rule');
+        return;
+      }
+      if (rule.channel.type === 'webhook') {
+        try {
+          await UrlGuard.assertPublicUrl(rule.channel.url);
+        } catch (error) {
+          HttpUtils.sendError(res, 400, error.message, 'Invalid watch rule');
+          return;
+        }
+      }
+
+      const stored = await watchStore.addRule(rule);
+      res.status(201).json({
+        success: true,
+        rule: stored,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      if (!req.query.id) {
+        HttpUtils.sendError(res, 400, 'Missing "id"', 'Invalid query parameters');
+        return;
+      }
+
+      const removed = await watchStore.removeRule(req.query.id, req.headers['x-watch-secret']);
+      if (!removed) {
+        // Unknown IDs and wrong secrets look the same, so IDs cannot be probed
+        HttpUtils.sendError(res, 404, `No watch rule with id "${req.query.id}" and this secret`, 'Watch rule not found');
+        return;
+      }
+
+      res.status(200).json({ success: true, id: req.query.id, timestamp: new Date().toISOString() });
+      return;
+    }
+
+    HttpUtils.sendError(res, 405, `Method ${req.method} not allowed`, 'Method not allowed');
+
+  } catch (error) {
+    logger.error('Unexpected error', { error });
+    HttpUtils.sendError(res, 500, error.message, 'Internal server error');
+  }
+};
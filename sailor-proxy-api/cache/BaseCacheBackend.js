@@ -0,0 +1,39 @@
+/**
+ * Abstract base class for cache backends
+ * Defines the interface that all cache backends must implement
+ */
+class BaseCacheBackend {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Reads a cache entry
+   * @param {string} key Cache key
+   * @returns {Promise<Object|null>} Entry ({ value, storedAt }) or null if missing or expired
+   */
+  async get(key) {
+    throw new Error('get() must be implemented by cache backend');
+  }
+
+  /**
+   * Writes a cache entry
+   * @param {string} key Cache key
+   * @param {Object} entry Entry ({ value, storedAt })
+   * @param {number} ttlSeconds Seconds after which the entry must be dropped
+   * @returns {Promise<void>}
+   */
+  async set(key, entry, ttlSeconds) {
+    throw new Error('set() must be implemented by cache backend');
+  }
+
+  /**
+   * Gets the backend name for logging/debugging
+   * @returns {string} Backend name
+   */
+  getBackendName() {
+    throw new Error('getBackendName() must be implemented by cache backend');
+  }
+}
+
+module.exports = BaseCacheBackend;
@@ -0,0 +1,56 @@
+const BaseCacheBackend = require('./BaseCacheBackend');
+const JSONFileStore = require('../stores/JSONFileStore');
+
+/**
+ * Cache backend persisted in a local JSON file
+ * Survives process restarts on the same machine
+ */
+class FileCacheBackend extends BaseCacheBackend {
+  constructor(config = {}) {
+    super(config);
+    this.store = new JSONFileStore(config.filePath, 'sailor-cache.json');
+  }
+
+  /**
+   * Reads a cache entry
+   * @param {string} key Cache key
+   * @returns {Promise<Object|null>} Entry or null if missing or expired
+   */
+  async get(key) {
+    const data = await this.store.read({ entries: {} });
+    const item = data.entries[key];
+    if (!item || item.expiresAt <= Date.now()) return null;
+    return item.entry;
+  }
+
+  /**
+   * Writes a cache entry
+   * @param {string} key Cache key
+   * @param {Object} entry Entry ({ value, storedAt })
+   * @param {number} ttlSeconds Seconds after which the entry must be dropped
+   * @returns {Promise<void>}
+   */
+  async set(key, entry, ttlSeconds) {
+    // The file also holds health state and rate limit counters, so writes go through the update queue
+    await this.store.update({ entries: {} }, data => {
+      const now = Date.now();
+
+      // Drop expired entries while rewriting the file
+      Object.keys(data.entries).forEach(k => {
+        if (data.entries[k].expiresAt <= now) delete data.entries[k];
+      });
+      data.entries[key] = { entry, expiresAt: now + ttlSeconds * 1000 };
+      return data;
+    });
+  }
+
+  /**
+   * Gets the backend name for logging/debugging
+   * @returns {string} Backend name
+   */
+  getBackendName() {
+    return 'File';
+  }
+}
+
+module.exports = FileCacheBackend;
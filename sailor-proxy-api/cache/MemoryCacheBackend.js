@@ -0,0 +1,52 @@
+const BaseCacheBackend = require('./BaseCacheBackend');
+
+// Module level so warm serverless instances share entries between requests
+const sharedEntries = new Map();
+
+/**
+ * In-memory cache backend
+ * Entries live as long as the process (one warm serverless instance)
+ */
+class MemoryCacheBackend extends BaseCacheBackend {
+  constructor(config = {}) {
+    super(config);
+    this.entries = config.entries || sharedEntries;
+  }
+
+  /**
+   * Reads a cache entry
+   * @param {string} key Cache key
+   * @returns {Promise<Object|null>} Entry or null if missing or expired
+   */
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+
+    if (item.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return item.entry;
+  }
+
+  /**
+   * Writes a cache entry
+   * @param {string} key Cache key
+   * @param {Object} entry Entry ({ value, storedAt })
+   * @param {number} ttlSeconds Seconds after which the entry must be dropped
+   * @returns {Promise<void>}
+   */
+  async set(key, entry, ttlSeconds) {
+    this.entries.set(key, { entry, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  /**
+   * Gets the backend name for logging/debugging
+   * @returns {string} Backend name
+   */
+  getBackendName() {
+    return 'Memory';
+  }
+}
+
+module.exports = MemoryCacheBackend;
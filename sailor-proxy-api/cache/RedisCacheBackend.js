@@ -0,0 +1,68 @@
+const BaseCacheBackend = require('./BaseCacheBackend');
+
+// Module level so every backend of a warm serverless instance reuses one connection per URL
+const sharedClients = new Map();
+
+/**
+ * Cache backend for Redis-compatible stores
+ * Works with any client exposing ioredis-style get(key) and set(key, value, 'EX', seconds)
+ */
+class RedisCacheBackend extends BaseCacheBackend {
+  constructor(config = {}) {
+    super(config);
+    this.prefix = config.prefix || 'sailor:';
+    this.client = config.client || null;
+    this.url = config.url;
+  }
+
+  /**
+   * Gets the ioredis client of the configured URL, creating it on first use
+   * Backends are created per request, so they share the client of their URL
+   * rather than each opening a connection.
+   * @returns {Object} Redis client
+   */
+  getClient() {
+    if (!this.client) {
+      if (!this.url) {
+        throw new Error('Redis URL is not configured');
+      }
+      if (!sharedClients.has(this.url)) {
+        const Redis = require('ioredis');
+        sharedClients.set(this.url, new Redis(this.url, { maxRetriesPerRequest: 1, lazyConnect: true }));
+      }
+      this.client = sharedClients.get(this.url);
+    }
+    return this.client;
+  }
+
+  /**
+   * Reads a cache entry
+   * @param {string} key Cache key
+   * @returns {Promise<Object|null>} Entry or null if missing or expired
+   */
+  async get(key) {
+    const raw = await this.getClient().get(this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Writes a cache entry
+   * @param {string} key Cache key
+   * @param {Object} entry Entry ({ value, storedAt })
+   * @param {number} ttlSeconds Seconds after which the entry must be dropped
+   * @returns {Promise<void>}
+   */
+  async set(key, entry, ttlSeconds) {
+    await this.getClient().set(this.prefix + key, JSON.stringify(entry), 'EX', Math.ceil(ttlSeconds));
+  }
+
+  /**
+   * Gets the backend name for logging/debugging
+   * @returns {string} Backend name
+   */
+  getBackendName() {
+    return 'Redis';
+  }
+}
+
+module.exports = RedisCacheBackend;
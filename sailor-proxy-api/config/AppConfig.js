@@ -0,0 +1,416 @@
+const fs = require('fs');
+const Logger = require('../utils/Logger');
+const SourceRegistry = require('./SourceRegistry');
+
+/**
+ * Error thrown when the configuration is invalid
+ * Lists every problem found, so a deploy can be fixed in one go
+ */
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration: ${errors.join('; ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Application configuration loaded from environment variables and an optional JSON file
+ * Precedence: environment variable, then CONFIG_FILE, then built-in default.
+ * The config file uses the same nested shape as AppConfig.DEFAULTS.
+ */
+class AppConfig {
+  static PROVIDERS = ['static', 'scrapingbee', 'direct'];
+  static CACHE_BACKENDS = ['memory', 'file', 'redis'];
+  // Keys holding credentials; their values are masked or redacted wherever config could be shown
+  static SECRET_KEYS = ['apiKey', 'pass', 'botToken', 'redisUrl', 'accessTokens'];
+  static MIN_TOKEN_LENGTH = 16;
+
+  static DEFAULTS = {
+    defaultProvider: 'static',
+    // Listing pages to scrape, see SourceRegistry; add definitions in CONFIG_FILE
+    sources: {
+      enabled: ['sailor-students'],
+      definitions: {
+        'sailor-students': {
+          name: 'סיילור - הפלגות תלמידים',
+          url: 'https://sailor.co.il/הפלגותתלמידים',
+          staticFile: 'data/sailor-website-export.html',
+          parser: {
+            selectors: {},
+            metaLabels: {}
+          },
+          categories: [{ category: 'טרום מעשי', code: 'pre-practical', pattern: 'טרום', field: 'title' }],
+          defaultCategory: 'תלמידים',
+          defaultCategoryCode: 'students'
+        }
+      }
+    },
+    logging: {
+      level: 'info',
+      format: 'json'
+    },
+    cors: {
+      allowedOrigins: ['https://eranavidor.github.io']
+    },
+    security: {
+      // Providers a request may pick with ?provider=; the default provider is always served
+      allowedProviders: ['static', 'direct', 'scrapingbee'],
+      // Providers billed per call: picking them needs one of accessTokens as a Bearer token
+      protectedProviders: ['scrapingbee'],
+      accessTokens: []
+    },
+    rateLimit: {
+      windowSeconds: 60,
+      perIp: 30,
+      global: 300
+    },
+    timeouts: {
+      liveProvider: 20000,
+      fallbackProvider: 3000,
+      notification: 10000
+    },
+    providers: {
+      scrapingbee: {
+        apiKey: '',
+        apiUrl: 'https://app.scrapingbee.com/api/v1/',
+        renderJs: true,
+        wait: 3000,
+        premiumProxy: true,
+        countryCode: 'il'
+      },
+      direct: {
+        baseUrl: 'https://sailor.co.il',
+        listPath: '/load_more',
+        userAgent: '',
+        timeout: 10000,
+        maxRetries: 2,
+        minInterval: 1000
+      },
+      static: {
+        detailsDir: ''
+      }
+    },
+    cache: {
+      backend: 'memory',
+      ttl: 300,
+      staleWhileRevalidate: 600,
+      filePath: '',
+      redisUrl: ''
+    },
+    stores: {
+      snapshotFile: '',
+      // The archive /api/analytics reports on; snapshots are only added when the
+      // listing changes, and every change rewrites the file, so it is capped (0 keeps all)
+      maxSnapshots: 1000,
+      watchFile: ''
+    },
+    notifications: {
+      smtp: {
+        host: '',
+        port: 587,
+        user: '',
+        pass: '',
+        from: ''
+      },
+      telegram: {
+        botToken: '',
+        apiUrl: 'https://api.telegram.org'
+      }
+    }
+  };
+
+  // Environment variable -> [config path, type]
+  static ENV_VARS = {
+    DEFAULT_PROVIDER: ['defaultProvider', 'string'],
+    SOURCES: ['sources.enabled', 'list'],
+    LOG_LEVEL: ['logging.level', 'string'],
+    LOG_FORMAT: ['logging.format', 'string'],
+    CORS_ALLOWED_ORIGINS: ['cors.allowedOrigins', 'list'],
+    ALLOWED_PROVIDERS: ['security.allowedProviders', 'list'],
+    PROTECTED_PROVIDERS: ['security.protectedProviders', 'list'],
+    API_ACCESS_TOKENS: ['security.accessTokens', 'list'],
+    RATE_LIMIT_WINDOW_SECONDS: ['rateLimit.windowSeconds', 'number'],
+    RATE_LIMIT_PER_IP: ['rateLimit.perIp', 'number'],
+    RATE_LIMIT_GLOBAL: ['rateLimit.global', 'number'],
+    LIVE_PROVIDER_TIMEOUT_MS: ['timeouts.liveProvider', 'number'],
+    FALLBACK_PROVIDER_TIMEOUT_MS: ['timeouts.fallbackProvider', 'number'],
+    NOTIFICATION_TIMEOUT_MS: ['timeouts.notification', 'number'],
+    SCRAPINGBEE_API_KEY: ['providers.scrapingbee.apiKey', 'string'],
+    SCRAPINGBEE_API_URL: ['providers.scrapingbee.apiUrl', 'string'],
+    SCRAPINGBEE_RENDER_JS: ['providers.scrapingbee.renderJs', 'boolean'],
+    SCRAPINGBEE_WAIT_MS: ['providers.scrapingbee.wait', 'number'],
+    SCRAPINGBEE_PREMIUM_PROXY: ['providers.scrapingbee.premiumProxy', 'boolean'],
+    SCRAPINGBEE_COUNTRY_CODE: ['providers.scrapingbee.countryCode', 'string'],
+    SAILOR_BASE_URL: ['providers.direct.baseUrl', 'string'],
+    SAILOR_LIST_PATH: ['providers.direct.listPath', 'string'],
+    SAILOR_USER_AGENT: ['providers.direct.userAgent', 'string'],
+    SAILOR_TIMEOUT_MS: ['providers.direct.timeout', 'number'],
+    SAILOR_MAX_RETRIES: ['providers.direct.maxRetries', 'number'],
+    SAILOR_MIN_INTERVAL_MS: ['providers.direct.minInterval', 'number'],
+    STATIC_DETAILS_DIR: ['providers.static.detailsDir', 'string'],
+    CACHE_BACKEND: ['cache.backend', 'string'],
+    CACHE_TTL_SECONDS: ['cache.ttl', 'number'],
+    CACHE_SWR_SECONDS: ['cache.staleWhileRevalidate', 'number'],
+    CACHE_FILE: ['cache.filePath', 'string'],
+    REDIS_URL: ['cache.redisUrl', 'string'],
+    SNAPSHOT_FILE: ['stores.snapshotFile', 'string'],
+    SNAPSHOT_MAX_COUNT: ['stores.maxSnapshots', 'number'],
+    WATCH_FILE: ['stores.watchFile', 'string'],
+    SMTP_HOST: ['notifications.smtp.host', 'string'],
+    SMTP_PORT: ['notifications.smtp.port', 'number'],
+    SMTP_USER: ['notifications.smtp.user', 'string'],
+    SMTP_PASS: ['notifications.smtp.pass', 'string'],
+    SMTP_FROM: ['notifications.smtp.from', 'string'],
+    TELEGRAM_BOT_TOKEN: ['notifications.telegram.botToken', 'string'],
+    TELEGRAM_API_URL: ['notifications.telegram.apiUrl', 'string']
+  };
+
+  static current = null;
+
+  /**
+   * Gets the process-wide configuration, loading and validating it on first use
+   * @returns {Object} Configuration
+   * @throws {ConfigError} If the configuration is invalid
+   */
+  static get() {
+    if (!AppConfig.current) {
+      AppConfig.current = AppConfig.load();
+    }
+    return AppConfig.current;
+  }
+
+  /**
+   * Drops the loaded configuration so the next get() reloads it
+   */
+  static reset() {
+    AppConfig.current = null;
+  }
+
+  /**
+   * Loads and validates configuration
+   * @param {Object} env Environment variables
+   * @returns {Object} Configuration
+   * @throws {ConfigError} If the configuration is invalid
+   */
+  static load(env = process.env) {
+    const errors = [];
+    let config = AppConfig.clone(AppConfig.DEFAULTS);
+
+    if (env.CONFIG_FILE) {
+      try {
+        config = AppConfig.merge(config, JSON.parse(fs.readFileSync(env.CONFIG_FILE, 'utf8')));
+      } catch (error) {
+        errors.push(`CONFIG_FILE could not be read: ${error.message}`);
+      }
+    }
+
+    Object.entries(AppConfig.ENV_VARS).forEach(([name, [configPath, type]]) => {
+      if (env[name] === undefined || env[name] === '') return;
+
+      const value = AppConfig.parseValue(env[name], type);
+      if (value === undefined) {
+        errors.push(`${name} must be a ${type}`);
+      } else {
+        AppConfig.setPath(config, configPath, value);
+      }
+    });
+
+    errors.push(...AppConfig.validate(config));
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+
+    return config;
+  }
+
+  /**
+   * Checks a configuration for invalid values
+   * @param {Object} config Configuration
+   * @returns {Array<string>} Problems found
+   */
+  static validate(config) {
+    const errors = [];
+
+    if (!AppConfig.PROVIDERS.includes(config.defaultProvider)) {
+      errors.push(`defaultProvider must be one of ${AppConfig.PROVIDERS.join(', ')}`);
+    }
+    if (config.defaultProvider === 'scrapingbee' && !config.providers.scrapingbee.apiKey) {
+      errors.push('SCRAPINGBEE_API_KEY is required when scrapingbee is the default provider');
+    }
+
+    errors.push(...SourceRegistry.validate(config.sources));
+
+    ['allowedProviders', 'protectedProviders'].forEach(key => {
+      const providers = config.security[key];
+      if (!Array.isArray(providers)) {
+        errors.push(`security.${key} must be a list of providers`);
+      } else {
+        providers
+          .filter(name => !AppConfig.PROVIDERS.includes(name))
+          .forEach(name => errors.push(`security.${key} contains an unknown provider "${name}"`));
+      }
+    });
+    if (!Array.isArray(config.security.accessTokens)) {
+      errors.push('security.accessTokens must be a list');
+    } else if (config.security.accessTokens.some(token => typeof token !== 'string' || token.length < AppConfig.MIN_TOKEN_LENGTH)) {
+      errors.push(`security.accessTokens must be at least ${AppConfig.MIN_TOKEN_LENGTH} characters long`);
+    }
+    if (!Number.isInteger(config.rateLimit.windowSeconds) || config.rateLimit.windowSeconds < 1) {
+      errors.push('rateLimit.windowSeconds must be a positive integer');
+    }
+
+    if (!Object.keys(Logger.LEVELS).includes(config.logging.level)) {
+      errors.push(`logging.level must be one of ${Object.keys(Logger.LEVELS).join(', ')}`);
+    }
+    if (!Logger.FORMATS.includes(config.logging.format)) {
+      errors.push(`logging.format must be one of ${Logger.FORMATS.join(', ')}`);
+    }
+
+    if (!AppConfig.CACHE_BACKENDS.includes(config.cache.backend)) {
+      errors.push(`cache.backend must be one of ${AppConfig.CACHE_BACKENDS.join(', ')}`);
+    }
+    if (config.cache.backend === 'redis' && !config.cache.redisUrl) {
+      errors.push('REDIS_URL is required when cache.backend is redis');
+    }
+
+    [
+      ['timeouts.liveProvider', config.timeouts.liveProvider],
+      ['timeouts.fallbackProvider', config.timeouts.fallbackProvider],
+      ['timeouts.notification', config.timeouts.notification],
+      ['providers.scrapingbee.wait', config.providers.scrapingbee.wait],
+      ['providers.direct.timeout', config.providers.direct.timeout],
+      ['providers.direct.maxRetries', config.providers.direct.maxRetries],
+      ['providers.direct.minInterval', config.providers.direct.minInterval],
+      ['cache.ttl', config.cache.ttl],
+      ['cache.staleWhileRevalidate', config.cache.staleWhileRevalidate],
+      ['stores.maxSnapshots', config.stores.maxSnapshots],
+      ['rateLimit.perIp', config.rateLimit.perIp],
+      ['rateLimit.global', config.rateLimit.global],
+      ['notifications.smtp.port', config.notifications.smtp.port]
+    ].forEach(([name, value]) => {
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push(`${name} must be a non-negative integer`);
+      }
+    });
+
+    [
+      ['providers.scrapingbee.apiUrl', config.providers.scrapingbee.apiUrl],
+      ['providers.direct.baseUrl', config.providers.direct.baseUrl],
+      ['notifications.telegram.apiUrl', config.notifications.telegram.apiUrl],
+      ['cache.redisUrl', config.cache.redisUrl]
+    ].forEach(([name, value]) => {
+      if (value && !AppConfig.isUrl(value)) {
+        errors.push(`${name} must be a valid URL`);
+      }
+    });
+
+    if (!Array.isArray(config.cors.allowedOrigins) || config.cors.allowedOrigins.length === 0) {
+      errors.push('cors.allowedOrigins must list at least one origin or "*"');
+    } else {
+      config.cors.allowedOrigins
+        .filter(origin => origin !== '*' && !AppConfig.isUrl(origin))
+        .forEach(origin => errors.push(`cors.allowedOrigins contains an invalid origin "${origin}"`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collects the credential values of a configuration (see SECRET_KEYS)
+   * @param {Object} config Configuration
+   * @returns {Array<string>} Non-empty secret values
+   */
+  static getSecrets(config) {
+    const secrets = [];
+    const collect = value => {
+      if (!value || typeof value !== 'object') return;
+      Object.entries(value).forEach(([key, item]) => {
+        if (AppConfig.SECRET_KEYS.includes(key)) {
+          secrets.push(...[].concat(item).filter(secret => typeof secret === 'string' && secret));
+        } else if (!Array.isArray(item)) {
+          collect(item);
+        }
+      });
+    };
+    collect(config);
+    return secrets;
+  }
+
+  /**
+   * Parses an environment variable value
+   * @param {string} raw Raw value
+   * @param {string} type 'string', 'number', 'boolean' or 'list'
+   * @returns {*} Parsed value, or undefined if it does not match the type
+   */
+  static parseValue(raw, type) {
+    const value = raw.trim();
+    switch (type) {
+      case 'number':
+        return /^\d+$/.test(value) ? parseInt(value) : undefined;
+      case 'boolean':
+        if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+        if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+        return undefined;
+      case 'list':
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Sets a nested value by dotted path
+   * @param {Object} target Object to modify
+   * @param {string} configPath Dotted path, e.g. 'cache.ttl'
+   * @param {*} value Value to set
+   */
+  static setPath(target, configPath, value) {
+    const keys = configPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => obj[key], target);
+    parent[last] = value;
+  }
+
+  /**
+   * Deep merges plain objects; arrays and scalars from the override replace the base
+   * @param {Object} base Base object
+   * @param {Object} override Overriding values
+   * @returns {Object} Merged copy
+   */
+  static merge(base, override) {
+    const result = AppConfig.clone(base);
+    Object.entries(override || {}).forEach(([key, value]) => {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      result[key] = isObject && result[key] && typeof result[key] === 'object'
+        ? AppConfig.merge(result[key], value)
+        : value;
+    });
+    return result;
+  }
+
+  /**
+   * Deep copies a JSON-compatible value
+   * @param {*} value Value to copy
+   * @returns {*} Copy
+   */
+  static clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Checks whether a string is an absolute http(s) or redis URL
+   * @param {string} value Value to check
+   * @returns {boolean} True if valid
+   */
+  static isUrl(value) {
+    try {
+      return ['http:', 'https:', 'redis:', 'rediss:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = AppConfig;
+module.exports.ConfigError = ConfigError;
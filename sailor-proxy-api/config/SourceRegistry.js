@@ -0,0 +1,123 @@
+const path = require('path');
+const SailingHTMLParser = require('../utils/SailingHTMLParser');
+
+/**
+ * Registry of the listing pages sails are scraped from
+ * Sources are defined under sources.definitions in AppConfig (the built-in
+ * Sailor students page, plus any added in CONFIG_FILE) and sources.enabled
+ * picks which are fetched, in priority order. Each source has its own page,
+ * parser options and category rules; providers fetch every enabled source
+ * and merge the results into one stream tagged with the source ID.
+ *
+ * A definition: { name, url, staticFile, parser: { selectors, metaLabels },
+ *   categories: [{ category, code, pattern, field }], defaultCategory, defaultCategoryCode }
+ * See SailingHTMLParser.resolveProfile() for the parser and category options.
+ */
+class SourceRegistry {
+  // Pages on this origin are fetched from the direct provider's baseUrl, so it can point at a stub
+  static SAILOR_ORIGIN = 'https://sailor.co.il';
+
+  static ID_PATTERN = /^[a-z0-9-]+$/;
+
+  /**
+   * Lists the enabled sources in priority order
+   * @param {Object} config Application configuration
+   * @returns {Array<Object>} Sources { id, ...definition }
+   */
+  static list(config) {
+    return config.sources.enabled.map(id => ({ id, ...config.sources.definitions[id] }));
+  }
+
+  /**
+   * Gets an enabled source by ID
+   * @param {string} id Source ID
+   * @param {Object} config Application configuration
+   * @returns {Object|null} Source { id, ...definition }, or null if it is not enabled
+   */
+  static get(id, config) {
+    return SourceRegistry.list(config).find(source => source.id === id) || null;
+  }
+
+  /**
+   * Collects the parser options of a source
+   * @param {Object} source Source definition
+   * @returns {Object} Options for SailingHTMLParser.parseWithDiagnostics()
+   */
+  static getParserOptions(source) {
+    const parser = source.parser || {};
+    return {
+      selectors: parser.selectors,
+      metaLabels: parser.metaLabels,
+      categories: source.categories,
+      defaultCategory: source.defaultCategory,
+      defaultCategoryCode: source.defaultCategoryCode
+    };
+  }
+
+  /**
+   * Resolves a source's saved page against the API directory
+   * @param {Object} source Source definition
+   * @returns {string|null} Absolute path, or null if the source has no saved page
+   */
+  static getStaticFile(source) {
+    return source.staticFile ? path.resolve(__dirname, '..', source.staticFile) : null;
+  }
+
+  /**
+   * Checks the sources section of a configuration
+   * @param {Object} sources config.sources
+   * @returns {Array<string>} Problems found
+   */
+  static validate(sources) {
+    const errors = [];
+    const definitions = (sources && sources.definitions) || {};
+    const enabled = sources && sources.enabled;
+
+    if (!Array.isArray(enabled) || enabled.length === 0) {
+      errors.push('sources.enabled must list at least one source');
+    } else {
+      enabled
+        .filter(id => !definitions[id])
+        .forEach(id => errors.push(`sources.enabled contains an undefined source "${id}"`));
+    }
+
+    Object.entries(definitions).forEach(([id, source]) => {
+      const where = `sources.definitions.${id}`;
+      if (!SourceRegistry.ID_PATTERN.test(id)) {
+        errors.push(`${where}: source IDs may only contain lower case letters, digits and "-"`);
+      }
+      if (!source || typeof source !== 'object') {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (typeof source.name !== 'string' || !source.name.trim()) {
+        errors.push(`${where}.name is required`);
+      }
+      if (!SourceRegistry.isPageUrl(source.url)) {
+        errors.push(`${where}.url must be a valid http(s) URL`);
+      }
+      if (source.staticFile !== undefined && typeof source.staticFile !== 'string') {
+        errors.push(`${where}.staticFile must be a path`);
+      }
+      SailingHTMLParser.validateOptions(SourceRegistry.getParserOptions(source))
+        .forEach(error => errors.push(`${where}: ${error}`));
+    });
+
+    return errors;
+  }
+
+  /**
+   * Checks whether a value is an absolute http(s) URL
+   * @param {string} value Value to check
+   * @returns {boolean} True if valid
+   */
+  static isPageUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = SourceRegistry;
@@ -0,0 +1,52 @@
+/**
+ * Abstract base class for notification channels
+ * Defines the interface that all channels must implement
+ */
+class BaseChannel {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Sends a notification about newly appeared sails
+   * @param {Object} rule Watch rule that matched, including its channel recipient settings
+   * @param {Array<Object>} events Matching sailing events
+   * @returns {Promise<void>}
+   * @throws {Error} If sending fails
+   */
+  async send(rule, events) {
+    throw new Error('send() must be implemented by channel');
+  }
+
+  /**
+   * Gets the channel name for logging/debugging
+   * @returns {string} Channel name
+   */
+  getChannelName() {
+    throw new Error('getChannelName() must be implemented by channel');
+  }
+
+  /**
+   * Formats matching events as a plain text message
+   * @param {Object} rule Watch rule that matched
+   * @param {Array<Object>} events Matching sailing events
+   * @returns {string} Message text
+   */
+  formatMessage(rule, events) {
+    const header = rule.name
+      ? `הפלגות חדשות עבור "${rule.name}":`
+      : 'הפלגות חדשות:';
+
+    const lines = events.map(event => {
+      const details = [event.boat, event.branch].filter(Boolean).join(', ');
+      const link = event.orderUrl || event.moreUrl;
+      return `• ${event.date} ${event.startTime}-${event.endTime} ${event.title}` +
+        (details ? ` — ${details}` : '') +
+        (link ? `\n  ${link}` : '');
+    });
+
+    return [header, ...lines].join('\n');
+  }
+}
+
+module.exports = BaseChannel;
@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+const BaseChannel = require('./BaseChannel');
+
+/**
+ * Email channel sending through an SMTP server
+ */
+class EmailChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.from = config.from;
+    this.transporter = config.transporter || null;
+    this.smtp = {
+      host: config.host,
+      port: config.port || 587,
+      user: config.user,
+      pass: config.pass
+    };
+  }
+
+  /**
+   * Lazily creates the SMTP transporter
+   * @returns {Object} Nodemailer transporter
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      if (!this.smtp.host) {
+        throw new Error('SMTP host is not configured');
+      }
+      this.transporter = nodemailer.createTransport({
+        host: this.smtp.host,
+        port: this.smtp.port,
+        secure: this.smtp.port === 465,
+        auth: this.smtp.user ? { user: this.smtp.user, pass: this.smtp.pass } : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Emails the matching events to the rule's address
+   * @param {Object} rule Watch rule with channel.to
+   * @param {Array<Object>} events Matching sailing events
+   * @returns {Promise<void>}
+   */
+  async send(rule, events) {
+    await this.getTransporter().sendMail({
+      from: this.from || this.smtp.user,
+      to: rule.channel.to,
+      subject: `${events.length} הפלגות חדשות בסיילור${rule.name ? ` - ${rule.name}` : ''}`,
+      text: this.formatMessage(rule, events)
+    });
+  }
+
+  /**
+   * Gets the channel name for logging/debugging
+   * @returns {string} Channel name
+   */
+  getChannelName() {
+    return 'Email';
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,43 @@
+const axios = require('axios');
+const BaseChannel = require('./BaseChannel');
+
+/**
+ * Telegram-style bot channel
+ * Calls the bot API's sendMessage method; apiUrl can point at any compatible bot gateway
+ */
+class TelegramChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.botToken = config.botToken;
+    this.apiUrl = config.apiUrl || 'https://api.telegram.org';
+    this.timeout = config.timeout || 10000;
+  }
+
+  /**
+   * Sends the matching events to the rule's chat
+   * @param {Object} rule Watch rule with channel.chatId
+   * @param {Array<Object>} events Matching sailing events
+   * @returns {Promise<void>}
+   */
+  async send(rule, events) {
+    if (!this.botToken) {
+      throw new Error('Telegram bot token is not configured');
+    }
+
+    await axios.post(`${this.apiUrl}/bot${this.botToken}/sendMessage`, {
+      chat_id: rule.channel.chatId,
+      text: this.formatMessage(rule, events),
+      disable_web_page_preview: true
+    }, { timeout: this.timeout });
+  }
+
+  /**
+   * Gets the channel name for logging/debugging
+   * @returns {string} Channel name
+   */
+  getChannelName() {
+    return 'Telegram';
+  }
+}
+
+module.exports = TelegramChannel;
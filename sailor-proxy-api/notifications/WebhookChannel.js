@@ -0,0 +1,44 @@
+const axios = require('axios');
+const BaseChannel = require('./BaseChannel');
+const UrlGuard = require('../utils/UrlGuard');
+
+/**
+ * Generic webhook channel
+ * POSTs a JSON payload with the rule and the matching events to the rule's URL.
+ * The host is checked again before every call, since its DNS records may have
+ * changed since the rule was registered, and redirects are not followed.
+ */
+class WebhookChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.timeout = config.timeout || 10000;
+  }
+
+  /**
+   * Sends the matching events to the webhook URL
+   * @param {Object} rule Watch rule with channel.url
+   * @param {Array<Object>} events Matching sailing events
+   * @returns {Promise<void>}
+   * @throws {Error} If the URL no longer points at a public address or the call fails
+   */
+  async send(rule, events) {
+    await UrlGuard.assertPublicUrl(rule.channel.url);
+    await axios.post(rule.channel.url, {
+      type: 'sailor.new-sails',
+      rule: { id: rule.id, name: rule.name },
+      text: this.formatMessage(rule, events),
+      events,
+      timestamp: new Date().toISOString()
+    }, { timeout: this.timeout, maxRedirects: 0 });
+  }
+
+  /**
+   * Gets the channel name for logging/debugging
+   * @returns {string} Channel name
+   */
+  getChannelName() {
+    return 'Webhook';
+  }
+}
+
+module.exports = WebhookChannel;
@@ -1,10 +1,17 @@
+const Logger = require('../utils/Logger');
+
 /**
  * Abstract base class for sailing data providers
  * Defines the interface that all providers must implement
  */
 class BaseProvider {
+  /**
+   * @param {Object} [config] Provider configuration
+   * @param {Logger} [config.logger] Logger, e.g. the request logger; a default one if omitted
+   */
   constructor(config = {}) {
     this.config = config;
+    this.logger = config.logger || new Logger();
   }
 
   /**
@@ -16,6 +23,27 @@ class BaseProvider {
     throw new Error('getSailingEvents() must be implemented by provider');
   }
 
+  /**
+   * Fetches and parses the detail page of one sail (its moreUrl)
+   * Providers that cannot reach detail pages keep this default
+   * @param {Object} event Event as returned by getSailingEvents()
+   * @returns {Promise<Object>} Details, see SailDetailParser.parse()
+   * @throws {Error} If details are unsupported or fetching fails
+   */
+  async getEventDetails(event) {
+    throw new Error(`${this.getProviderName()} provider does not support event details`);
+  }
+
+  /**
+   * Gets metadata about the most recent getSailingEvents() call
+   * Decorating providers (e.g. caching) override this to report how the data was served.
+   * Providers that fetch and parse a page report { diagnostics, timings: { fetchMs, parseMs } }.
+   * @returns {Object|null} Metadata object, or null if the provider has none
+   */
+  getFetchMetadata() {
+    return null;
+  }
+
   /**
    * Gets the provider name for logging/debugging
    * @returns {string} Provider name
@@ -0,0 +1,182 @@
+const BaseProvider = require('./BaseProvider');
+const MemoryCacheBackend = require('../cache/MemoryCacheBackend');
+
+// Background refreshes in flight by cache key; module level because providers
+// are created per request, so concurrent requests must still share one refresh
+const revalidations = new Map();
+
+/**
+ * Caching decorator around any BaseProvider
+ * Serves fresh entries for `ttl` seconds, then serves stale entries for up to
+ * `staleWhileRevalidate` more seconds while refreshing them in the background.
+ * Older entries are refetched before responding.
+ */
+class CachingProvider extends BaseProvider {
+  /**
+   * @param {BaseProvider} provider Provider to cache
+   * @param {Object} config Cache configuration
+   * @param {BaseCacheBackend} [config.backend] Cache backend, in-memory by default
+   * @param {number} [config.ttl] Seconds an entry is fresh (default 300)
+   * @param {number} [config.staleWhileRevalidate] Seconds a stale entry may still be served (default 600)
+   * @param {Logger} [config.logger] Logger
+   */
+  constructor(provider, config = {}) {
+    super(config);
+    this.provider = provider;
+    this.backend = config.backend || new MemoryCacheBackend();
+    this.ttl = config.ttl ?? 300;
+    this.staleWhileRevalidate = config.staleWhileRevalidate ?? 600;
+    this.cacheKey = `events:${provider.getProviderName()}`;
+    this.lastFetch = null;
+  }
+
+  /**
+   * Returns cached events when possible, fetching from the wrapped provider otherwise
+   * @returns {Promise<Array<Object>>} Array of structured sailing event objects
+   */
+  async getSailingEvents() {
+    const entry = await this.readEntry();
+    const ageSeconds = entry ? (Date.now() - Date.parse(entry.storedAt)) / 1000 : null;
+
+    if (entry && ageSeconds < this.ttl) {
+      this.lastFetch = { cache: 'HIT', fetchedAt: entry.storedAt, diagnostics: entry.diagnostics, degraded: Boolean(entry.degraded) };
+      return entry.value;
+    }
+
+    if (entry && ageSeconds < this.ttl + this.staleWhileRevalidate) {
+      this.logger.info('Serving stale data, revalidating', { provider: this.provider.getProviderName(), ageSeconds: Math.round(ageSeconds) });
+      this.revalidate();
+      this.lastFetch = { cache: 'STALE', fetchedAt: entry.storedAt, diagnostics: entry.diagnostics, degraded: Boolean(entry.degraded) };
+      return entry.value;
+    }
+
+    const fresh = await this.refresh();
+    const metadata = this.provider.getFetchMetadata();
+    this.lastFetch = {
+      cache: 'MISS',
+      fetchedAt: fresh.storedAt,
+      diagnostics: fresh.diagnostics,
+      degraded: fresh.degraded,
+      timings: metadata && metadata.timings
+    };
+    return fresh.value;
+  }
+
+  /**
+   * Returns cached details of one sail, fetching them from the wrapped provider when
+   * missing or older than the TTL. Detail pages are fetched on demand, so they are
+   * not revalidated in the background; an expired entry is only served if the refetch fails.
+   * @param {Object} event Event to get details for
+   * @returns {Promise<Object>} Details, see SailDetailParser.parse()
+   */
+  async getEventDetails(event) {
+    const cacheKey = `details:${this.provider.getProviderName()}:${event.id}`;
+    const entry = await this.readEntry(cacheKey);
+    if (entry && (Date.now() - Date.parse(entry.storedAt)) / 1000 < this.ttl) {
+      return entry.value;
+    }
+
+    try {
+      const details = await this.provider.getEventDetails(event);
+      await this.writeEntry(cacheKey, { value: details, storedAt: new Date().toISOString() });
+      return details;
+    } catch (error) {
+      if (entry) {
+        this.logger.warn('Refreshing details failed, serving cached copy', { id: event.id, error });
+        return entry.value;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches from the wrapped provider and stores the result
+   * The wrapped provider's parse diagnostics and degraded flag (some sources failed)
+   * are kept with the entry, so cache hits report them too
+   * @returns {Promise<Object>} Stored entry ({ value, storedAt, diagnostics, degraded })
+   */
+  async refresh() {
+    const events = await this.provider.getSailingEvents();
+    const metadata = this.provider.getFetchMetadata();
+    const entry = {
+      value: events,
+      storedAt: new Date().toISOString(),
+      diagnostics: (metadata && metadata.diagnostics) || null,
+      degraded: Boolean(metadata && metadata.degraded)
+    };
+    await this.writeEntry(this.cacheKey, entry);
+    return entry;
+  }
+
+  /**
+   * Starts a background refresh unless one for the same cache key is already running
+   * Failures are logged; the stale entry keeps being served until it expires
+   * @returns {Promise<void>} The refresh in flight, settled once it is done
+   */
+  revalidate() {
+    if (!revalidations.has(this.cacheKey)) {
+      const revalidation = this.refresh()
+        .then(() => {}, error => {
+          this.logger.error('Background revalidation failed', { provider: this.provider.getProviderName(), error });
+        })
+        .finally(() => {
+          revalidations.delete(this.cacheKey);
+        });
+      revalidations.set(this.cacheKey, revalidation);
+    }
+    return revalidations.get(this.cacheKey);
+  }
+
+  /**
+   * Reads a cache entry, treating backend failures as a miss
+   * @param {string} [cacheKey] Key to read, the events entry by default
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async readEntry(cacheKey = this.cacheKey) {
+    try {
+      return await this.backend.get(cacheKey);
+    } catch (error) {
+      this.logger.error('Cache read failed', { backend: this.backend.getBackendName(), error });
+      return null;
+    }
+  }
+
+  /**
+   * Writes a cache entry kept for the TTL plus the stale window; failures are only logged
+   * @param {string} cacheKey Key to write
+   * @param {Object} entry Entry ({ value, storedAt })
+   * @returns {Promise<void>}
+   */
+  async writeEntry(cacheKey, entry) {
+    try {
+      await this.backend.set(cacheKey, entry, this.ttl + this.staleWhileRevalidate);
+    } catch (error) {
+      this.logger.error('Cache write failed', { backend: this.backend.getBackendName(), error });
+    }
+  }
+
+  /**
+   * Gets cache metadata about the most recent getSailingEvents() call
+   * Timings are only reported on a MISS, when the wrapped provider actually fetched
+   * @returns {Object|null} { cache: 'HIT'|'STALE'|'MISS', fetchedAt, diagnostics, degraded, timings, ageSeconds, ttl, staleWhileRevalidate }
+   */
+  getFetchMetadata() {
+    if (!this.lastFetch) return null;
+    return {
+      ...this.lastFetch,
+      ageSeconds: Math.round((Date.now() - Date.parse(this.lastFetch.fetchedAt)) / 1000),
+      ttl: this.ttl,
+      staleWhileRevalidate: this.staleWhileRevalidate
+    };
+  }
+
+  /**
+   * Gets the provider name for logging/debugging
+   * @returns {string} Name of the wrapped provider
+   */
+  getProviderName() {
+    return this.provider.getProviderName();
+  }
+}
+
+module.exports = CachingProvider;
@@ -0,0 +1,242 @@
+const axios = require('axios');
+const { JSDOM } = require('jsdom');
+const BaseProvider = require('./BaseProvider');
+const SailingHTMLParser = require('../utils/SailingHTMLParser');
+const SailDetailParser = require('../utils/SailDetailParser');
+
+// Module level so every instance in a warm process shares the request budget
+let nextRequestAt = 0;
+
+/**
+ * Direct HTTP provider fetching the Sailor site without a scraping service
+ * Loads a sails page and, when its sail list is filled in by JavaScript,
+ * requests the list sections from the site's own list-loading endpoint.
+ */
+class DirectHTTPProvider extends BaseProvider {
+  /**
+   * @param {Object} config Provider configuration
+   * @param {string} [config.baseUrl] Site origin, e.g. a local stub server (default https://sailor.co.il)
+   * @param {string} [config.pagePath] Path of the sails page (default the students page)
+   * @param {string} [config.listPath] Path of the list-loading endpoint. Inferred from the
+   *   page's section markup (`data-load`, `section_ids`); override it if the site uses another path
+   * @param {string} [config.userAgent] User-Agent header
+   * @param {number} [config.timeout] Request timeout in ms (default 10000)
+   * @param {number} [config.maxRetries] Retries for network errors, 429 and 5xx (default 2)
+   * @param {number} [config.retryDelay] Base backoff delay in ms, doubled per retry (default 1000)
+   * @param {number} [config.maxRetryDelay] Longest wait before a retry in ms (default 5000); a longer
+   *   Retry-After fails the request at once, so the fallback providers answer within the time limit
+   * @param {number} [config.minInterval] Minimum ms between requests to the site (default 1000)
+   * @param {Object} [config.parser] Parser options of the page's source, see SailingHTMLParser.resolveProfile()
+   */
+  constructor(config = {}) {
+    super(config);
+    this.baseUrl = (config.baseUrl || 'https://sailor.co.il').replace(/\/$/, '');
+    this.pagePath = config.pagePath || '/הפלגותתלמידים';
+    this.listPath = config.listPath || '/load_more';
+    this.userAgent = config.userAgent || 'Mozilla/5.0 (compatible; sailor-proxy-api/1.0; +https://eranavidor.github.io/sailor-sails/)';
+    this.timeout = config.timeout || 10000;
+    this.maxRetries = config.maxRetries ?? 2;
+    this.retryDelay = config.retryDelay ?? 1000;
+    this.maxRetryDelay = config.maxRetryDelay ?? 5000;
+    this.minInterval = config.minInterval ?? 1000;
+    this.parserOptions = config.parser || {};
+    this.lastDiagnostics = null;
+    this.lastTimings = null;
+  }
+
+  /**
+   * Fetches the sails page and fills in JavaScript-loaded sail lists
+   * @returns {Promise<string>} HTML content containing the sail boxes
+   */
+  async fetchSailingData() {
+    const html = await this.request({ method: 'get', url: encodeURI(this.baseUrl + this.pagePath) });
+    this.logger.debug('Sailor page received', { length: html.length });
+
+    const sections = DirectHTTPProvider.findUnloadedSections(html);
+    if (sections.length === 0) {
+      return html;
+    }
+
+    // The page only has placeholders; load each list like the site's own script does
+    const fragments = [];
+    for (const section of sections) {
+      this.logger.debug('Loading list section', { sectionId: section.sectionId });
+      fragments.push(await this.fetchListSection(section));
+    }
+
+    // Keep the list container so an empty list still validates as the sails page
+    return `<div class="sails" data-type="sails">${fragments.join('\n')}</div>`;
+  }
+
+  /**
+   * Requests one list section from the list-loading endpoint
+   * @param {Object} section { sectionId, type, load } as found in the page
+   * @returns {Promise<string>} HTML fragment with the section's sail boxes
+   */
+  async fetchListSection(section) {
+    const body = new URLSearchParams({
+      'section_id[]': section.sectionId,
+      type: section.type,
+      load: section.load
+    });
+
+    const data = await this.request({
+      method: 'post',
+      url: encodeURI(this.baseUrl + this.listPath),
+      data: body.toString(),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+        'X-Requested-With': 'XMLHttpRequest'
+      }
+    });
+
+    // Some list endpoints wrap the markup in JSON ({ html: '...' })
+    if (data && typeof data === 'object') {
+      return data.html || data.data || '';
+    }
+    return data;
+  }
+
+  /**
+   * Performs a rate limited request with retries and exponential backoff
+   * @param {Object} options Axios request options
+   * @returns {Promise<*>} Response data
+   */
+  async request(options) {
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle();
+      try {
+        const response = await axios.request({
+          ...options,
+          timeout: this.timeout,
+          headers: {
+            'User-Agent': this.userAgent,
+            'Accept-Language': 'he-IL,he;q=0.9,en;q=0.8',
+            ...options.headers
+          }
+        });
+        return response.data;
+
+      } catch (error) {
+        const status = error.response && error.response.status;
+        const retryable = !status || status === 429 || status >= 500;
+        if (!retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const retryAfter = error.response && parseInt(error.response.headers['retry-after']);
+        const delay = retryAfter ? retryAfter * 1000 : this.retryDelay * 2 ** attempt;
+        if (delay > this.maxRetryDelay) {
+          this.logger.warn('Not retrying: the requested wait is too long', { url: options.url, status, delayMs: delay, maxRetryDelayMs: this.maxRetryDelay });
+          throw error;
+        }
+        this.logger.warn('Request failed, retrying', { url: options.url, status: status || error.code, delayMs: delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Waits until the minimum interval since the previous request has passed
+   * @returns {Promise<void>}
+   */
+  async throttle() {
+    const now = Date.now();
+    const waitMs = Math.max(nextRequestAt - now, 0);
+    nextRequestAt = Math.max(now, nextRequestAt) + this.minInterval;
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * Finds the list sections that the page leaves for JavaScript to load
+   * @param {string} html Page HTML
+   * @returns {Array<Object>} Sections { sectionId, type, load } whose list container is empty
+   */
+  static findUnloadedSections(html) {
+    const doc = new JSDOM(html).window.document;
+    const sections = [];
+
+    doc.querySelectorAll('input.section_ids').forEach(input => {
+      const container = doc.querySelector(`[data-load="${input.value}"]`);
+      if (container && container.children.length > 0) {
+        return;
+      }
+      sections.push({
+        sectionId: input.value,
+        type: container ? container.getAttribute('data-type') : input.getAttribute('data-type'),
+        load: container ? container.getAttribute('data-load') : input.value
+      });
+    });
+
+    return sections;
+  }
+
+  /**
+   * Main method to fetch and parse sailing events
+   * @returns {Promise<Array<Object>>} Array of structured sailing event objects
+   */
+  async getSailingEvents() {
+    try {
+      const fetchStartedAt = Date.now();
+      const html = await this.fetchSailingData();
+      const fetchMs = Date.now() - fetchStartedAt;
+
+      // The page is parsed once, for both the check and the events
+      const parseStartedAt = Date.now();
+      const doc = SailingHTMLParser.parseDocument(html);
+
+      // A page that is not the sails list means the site changed or blocked us;
+      // failing lets the fallback chain and health statistics notice
+      if (!SailingHTMLParser.validateSailingContent(doc, this.parserOptions)) {
+        throw new Error('No sailing content found in HTML; the page layout may have changed');
+      }
+
+      const { events, diagnostics } = SailingHTMLParser.parseWithDiagnostics(doc, { ...this.parserOptions, logger: this.logger });
+      this.lastDiagnostics = diagnostics;
+      this.lastTimings = { fetchMs, parseMs: Date.now() - parseStartedAt };
+      this.logger.info('Parsed sailing events', { provider: this.getProviderName(), count: events.length, ...this.lastTimings });
+
+      return events;
+
+    } catch (error) {
+      this.logger.error('Provider failed', { provider: this.getProviderName(), error });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches and parses a sail's detail page
+   * Only the path of moreUrl is used, so requests always go to the configured site
+   * @param {Object} event Event with a moreUrl
+   * @returns {Promise<Object>} Details, see SailDetailParser.parse()
+   */
+  async getEventDetails(event) {
+    if (!event.moreUrl) {
+      throw new Error(`Sail ${event.id} has no detail page`);
+    }
+
+    const { pathname, search } = new URL(event.moreUrl, this.baseUrl);
+    const html = await this.request({ method: 'get', url: this.baseUrl + pathname + search });
+    return SailDetailParser.parse(html);
+  }
+
+  /**
+   * Reports how well the last page matched the expected markup and how long fetching and parsing took
+   * @returns {Object|null} { diagnostics, timings: { fetchMs, parseMs } }, see SailingHTMLParser.parseWithDiagnostics()
+   */
+  getFetchMetadata() {
+    return this.lastDiagnostics ? { diagnostics: this.lastDiagnostics, timings: this.lastTimings } : null;
+  }
+
+  /**
+   * Gets the provider name for logging/debugging
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return 'DirectHTTP';
+  }
+}
+
+module.exports = DirectHTTPProvider;
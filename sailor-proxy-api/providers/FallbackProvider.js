@@ -0,0 +1,159 @@
+const BaseProvider = require('./BaseProvider');
+const ProviderHealthMonitor = require('../services/ProviderHealthMonitor');
+const ErrorSanitizer = require('../utils/ErrorSanitizer');
+
+/**
+ * Composite provider trying several providers in priority order
+ * Each provider gets its own timeout, and providers whose circuit is open
+ * (too many recent failures) are skipped until their cooldown passes.
+ */
+class FallbackProvider extends BaseProvider {
+  /**
+   * @param {Object} config Provider configuration
+   * @param {Array<Object>} config.providers Entries { provider, timeout } in priority order (timeout in ms)
+   * @param {ProviderHealthMonitor} [config.healthMonitor] Monitor for circuit breaking and health statistics
+   * @param {Logger} [config.logger] Logger
+   */
+  constructor(config = {}) {
+    super(config);
+    this.providers = config.providers || [];
+    this.healthMonitor = config.healthMonitor || new ProviderHealthMonitor({ logger: this.logger });
+    this.lastFetch = null;
+  }
+
+  /**
+   * Returns events from the first provider that succeeds
+   * @returns {Promise<Array<Object>>} Array of structured sailing event objects
+   * @throws {Error} If every provider fails or is unavailable
+   */
+  async getSailingEvents() {
+    await this.healthMonitor.load();
+    try {
+      return await this.tryProviders();
+    } finally {
+      await this.healthMonitor.save();
+    }
+  }
+
+  /**
+   * Tries each available provider in order
+   * @returns {Promise<Array<Object>>} Events of the first provider that succeeds
+   * @throws {Error} If every provider fails or is unavailable
+   */
+  async tryProviders() {
+    const attempts = [];
+
+    for (const [index, { provider, timeout }] of this.providers.entries()) {
+      const name = provider.getProviderName();
+
+      if (!this.healthMonitor.isAvailable(name)) {
+        this.logger.info('Skipping provider: circuit open', { provider: name });
+        attempts.push({ provider: name, skipped: true, error: 'Circuit open' });
+        continue;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const events = await FallbackProvider.withTimeout(provider.getSailingEvents(), timeout, name);
+        const durationMs = Date.now() - startedAt;
+        this.healthMonitor.recordSuccess(name, durationMs);
+        attempts.push({ provider: name, durationMs });
+
+        this.lastFetch = { provider, index, attempts };
+        return events;
+
+      } catch (error) {
+        const durationMs = Date.now() - startedAt;
+        this.logger.warn('Provider failed, trying next', { provider: name, durationMs, error });
+        this.healthMonitor.recordFailure(name, durationMs, error);
+        attempts.push({ provider: name, durationMs, error: ErrorSanitizer.describe(error) });
+      }
+    }
+
+    this.lastFetch = null;
+    const error = new Error(`All providers failed: ${attempts.map(a => `${a.provider} (${a.error})`).join(', ')}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * Returns details of one sail from the first provider that can provide them
+   * Detail fetches are not recorded in the health statistics, which track the list scrape;
+   * providers with an open circuit are still skipped.
+   * @param {Object} event Event to get details for
+   * @returns {Promise<Object>} Details, see SailDetailParser.parse()
+   * @throws {Error} If no provider could provide the details
+   */
+  async getEventDetails(event) {
+    await this.healthMonitor.load();
+    const attempts = [];
+
+    for (const { provider, timeout } of this.providers) {
+      const name = provider.getProviderName();
+      if (!this.healthMonitor.isAvailable(name)) {
+        attempts.push({ provider: name, skipped: true, error: 'Circuit open' });
+        continue;
+      }
+
+      try {
+        return await FallbackProvider.withTimeout(provider.getEventDetails(event), timeout, name);
+      } catch (error) {
+        this.logger.warn('Provider could not provide details', { provider: name, id: event.id, error });
+        attempts.push({ provider: name, error: ErrorSanitizer.describe(error) });
+      }
+    }
+
+    const error = new Error(`No provider could provide details: ${attempts.map(a => `${a.provider} (${a.error})`).join(', ')}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * Rejects if a promise does not settle in time
+   * @param {Promise} promise Promise to wait for
+   * @param {number} [timeout] Timeout in milliseconds, none if omitted
+   * @param {string} name Provider name for the error message
+   * @returns {Promise} The promise's result
+   */
+  static withTimeout(promise, timeout, name) {
+    if (!timeout) return promise;
+
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeout}ms`)), timeout);
+    });
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Reports which provider served the data and how stale it is
+   * Data served by anything but the first provider is flagged as degraded, and so is
+   * data the serving provider flags itself (e.g. some of its sources failed).
+   * @returns {Object|null} { servedBy, degraded, stalenessSeconds, attempts, ...served provider metadata }
+   */
+  getFetchMetadata() {
+    if (!this.lastFetch) return null;
+
+    const { provider, index, attempts } = this.lastFetch;
+    const metadata = provider.getFetchMetadata ? provider.getFetchMetadata() : null;
+    const fetchedAt = metadata && metadata.fetchedAt;
+
+    return {
+      ...metadata,
+      servedBy: provider.getProviderName(),
+      degraded: index > 0 || Boolean(metadata && metadata.degraded),
+      stalenessSeconds: fetchedAt ? Math.max(Math.round((Date.now() - Date.parse(fetchedAt)) / 1000), 0) : 0,
+      attempts
+    };
+  }
+
+  /**
+   * Gets the provider name for logging/debugging
+   * @returns {string} Name of the primary provider
+   */
+  getProviderName() {
+    return this.providers.length > 0 ? this.providers[0].provider.getProviderName() : 'Fallback';
+  }
+}
+
+module.exports = FallbackProvider;
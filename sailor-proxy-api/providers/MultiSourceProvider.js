@@ -0,0 +1,125 @@
+const BaseProvider = require('./BaseProvider');
+const ErrorSanitizer = require('../utils/ErrorSanitizer');
+
+/**
+ * Composite provider merging the events of several sources into one stream
+ * Each source (see SourceRegistry) has its own provider of the same kind, set
+ * up with the source's page and parser options. Sources are fetched in
+ * parallel and their events tagged with the source ID; a sail listed by more
+ * than one source is kept once, from the source listed first. When only some
+ * sources fail, the others are served and the result is flagged as degraded,
+ * so the partial list is not recorded as a scrape.
+ */
+class MultiSourceProvider extends BaseProvider {
+  /**
+   * @param {Object} config Provider configuration
+   * @param {Array<Object>} config.sources Entries { id, provider } in priority order
+   * @param {Logger} [config.logger] Logger
+   */
+  constructor(config = {}) {
+    super(config);
+    this.sources = config.sources || [];
+    this.lastFetch = null;
+  }
+
+  /**
+   * Fetches every source and merges their events
+   * @returns {Promise<Array<Object>>} Events tagged with `source`
+   * @throws {Error} If every source fails; with a single source, that source's own error
+   */
+  async getSailingEvents() {
+    if (this.sources.length === 0) {
+      throw new Error('No source can be served by this provider');
+    }
+
+    const results = await Promise.allSettled(this.sources.map(({ provider }) => provider.getSailingEvents()));
+    const fetched = results.map((result, index) => {
+      const { id, provider } = this.sources[index];
+      return result.status === 'fulfilled'
+        ? { id, events: result.value, metadata: provider.getFetchMetadata() }
+        : { id, error: result.reason };
+    });
+
+    const failed = fetched.filter(source => source.error);
+    if (failed.length === fetched.length) {
+      this.lastFetch = null;
+      if (failed.length === 1) {
+        throw failed[0].error;
+      }
+      throw new Error(`All sources failed: ${failed.map(source => `${source.id} (${ErrorSanitizer.describe(source.error)})`).join(', ')}`);
+    }
+    failed.forEach(({ id, error }) => this.logger.warn('Source failed, serving the other sources', { source: id, error }));
+
+    const events = [];
+    const seen = new Set();
+    fetched.filter(source => source.events).forEach(({ id, events: sourceEvents }) => {
+      sourceEvents.forEach(event => {
+        if (seen.has(event.id)) {
+          this.logger.debug('Skipping sail listed by an earlier source', { id: event.id, source: id });
+          return;
+        }
+        seen.add(event.id);
+        events.push({ ...event, source: id });
+      });
+    });
+
+    this.lastFetch = fetched.map(({ id, metadata, error }) => ({ id, metadata, error: error && ErrorSanitizer.describe(error) }));
+    return events;
+  }
+
+  /**
+   * Gets details of one sail from the provider of its source
+   * Events without a source (e.g. from an older snapshot) go to the first source
+   * @param {Object} event Event to get details for
+   * @returns {Promise<Object>} Details, see SailDetailParser.parse()
+   */
+  async getEventDetails(event) {
+    const entry = this.sources.find(source => source.id === event.source) || this.sources[0];
+    if (!entry) {
+      throw new Error('No source can be served by this provider');
+    }
+    return entry.provider.getEventDetails(event);
+  }
+
+  /**
+   * Reports diagnostics per source and the combined timings
+   * Sources are fetched in parallel, so fetchMs is the slowest fetch and
+   * parseMs the total parse time. fetchedAt, when the sources report one, is the oldest.
+   * @returns {Object|null} { diagnostics: { [source]: diagnostics or { error } }, timings, fetchedAt, degraded }
+   */
+  getFetchMetadata() {
+    if (!this.lastFetch) return null;
+
+    const diagnostics = {};
+    this.lastFetch.forEach(({ id, metadata, error }) => {
+      diagnostics[id] = error ? { error } : (metadata && metadata.diagnostics) || null;
+    });
+
+    const metadata = this.lastFetch.map(source => source.metadata).filter(Boolean);
+    const timings = metadata.map(item => item.timings).filter(Boolean);
+    const fetchedAt = metadata.map(item => item.fetchedAt).filter(Boolean).sort()[0];
+
+    const result = {
+      diagnostics,
+      timings: timings.length > 0 ? {
+        fetchMs: Math.max(...timings.map(item => item.fetchMs)),
+        parseMs: timings.reduce((sum, item) => sum + item.parseMs, 0)
+      } : null,
+      degraded: this.lastFetch.some(source => source.error)
+    };
+    if (fetchedAt) {
+      result.fetchedAt = fetchedAt;
+    }
+    return result;
+  }
+
+  /**
+   * Gets the provider name for logging/debugging
+   * @returns {string} Name of the source providers, which are all of one kind
+   */
+  getProviderName() {
+    return this.sources.length > 0 ? this.sources[0].provider.getProviderName() : 'MultiSource';
+  }
+}
+
+module.exports = MultiSourceProvider;
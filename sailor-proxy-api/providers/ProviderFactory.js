@@ -0,0 +1,96 @@
+const ScrapingBeeProvider = require('./ScrapingBeeProvider');
+const DirectHTTPProvider = require('./DirectHTTPProvider');
+const StaticHTMLProvider = require('./StaticHTMLProvider');
+const MultiSourceProvider = require('./MultiSourceProvider');
+const AppConfig = require('../config/AppConfig');
+const SourceRegistry = require('../config/SourceRegistry');
+
+/**
+ * Factory for creating sailing data providers by name
+ * Shared by all API routes so they select providers the same way
+ */
+class ProviderFactory {
+  /**
+   * Checks whether a provider name is known
+   * @param {string} name Provider name
+   * @returns {boolean} True if create() accepts the name
+   */
+  static isKnown(name) {
+    return AppConfig.PROVIDERS.includes(name);
+  }
+
+  /**
+   * Checks whether requests may pick a provider (see security in AppConfig)
+   * @param {string} name Provider name
+   * @param {Object} [config] Application configuration, AppConfig.get() by default
+   * @returns {boolean} True if the provider is known and allowed
+   */
+  static isAllowed(name, config = AppConfig.get()) {
+    return ProviderFactory.isKnown(name) && config.security.allowedProviders.includes(name);
+  }
+
+  /**
+   * Checks whether picking a provider needs an access token
+   * @param {string} name Provider name
+   * @param {Object} [config] Application configuration, AppConfig.get() by default
+   * @returns {boolean} True if the provider is billed per call and protected
+   */
+  static requiresToken(name, config = AppConfig.get()) {
+    return config.security.protectedProviders.includes(name);
+  }
+
+  /**
+   * Creates a provider fetching every enabled source (see SourceRegistry)
+   * The static provider serves the sources that have a saved page.
+   * @param {string} name Provider name ('scrapingbee', 'direct' or 'static')
+   * @param {Object} [config] Application configuration, AppConfig.get() by default
+   * @param {Logger} [logger] Logger, a default one if omitted
+   * @returns {MultiSourceProvider} Provider merging the sources' events
+   * @throws {Error} If the provider name is unknown
+   */
+  static create(name, config = AppConfig.get(), logger) {
+    if (!ProviderFactory.isKnown(name)) {
+      throw new Error(`Unknown provider "${name}"`);
+    }
+
+    const sources = SourceRegistry.list(config)
+      .filter(source => name !== 'static' || SourceRegistry.getStaticFile(source))
+      .map(source => ({ id: source.id, provider: ProviderFactory.createForSource(name, source, config, logger) }));
+    return new MultiSourceProvider({ sources, logger });
+  }
+
+  /**
+   * Creates a provider fetching one source
+   * @param {string} name Provider name ('scrapingbee', 'direct' or 'static')
+   * @param {Object} source Source, see SourceRegistry.list()
+   * @param {Object} [config] Application configuration, AppConfig.get() by default
+   * @param {Logger} [logger] Logger, a default one if omitted
+   * @returns {BaseProvider} Provider instance
+   * @throws {Error} If the provider name is unknown, or the static provider has no saved page of the source
+   */
+  static createForSource(name, source, config = AppConfig.get(), logger) {
+    const parser = SourceRegistry.getParserOptions(source);
+
+    switch (name) {
+      case 'scrapingbee':
+        return new ScrapingBeeProvider({ ...config.providers.scrapingbee, targetUrl: source.url, parser, logger });
+      case 'direct': {
+        // Sailor pages go to the configured site, which may be a local stub
+        const url = new URL(source.url);
+        const baseUrl = url.origin === SourceRegistry.SAILOR_ORIGIN ? config.providers.direct.baseUrl : url.origin;
+        return new DirectHTTPProvider({ ...config.providers.direct, baseUrl, pagePath: decodeURI(url.pathname + url.search), parser, logger });
+      }
+      case 'static': {
+        const htmlFilePath = SourceRegistry.getStaticFile(source);
+        if (!htmlFilePath) {
+          throw new Error(`Source "${source.id}" has no saved page (staticFile)`);
+        }
+        return new StaticHTMLProvider({ ...config.providers.static, htmlFilePath, parser, logger });
+      }
+      default:
+        throw new Error(`Unknown provider "${name}"`);
+    }
+  }
+}
+
+module.exports = ProviderFactory;
@@ -1,17 +1,31 @@
 const axios = require('axios');
 const BaseProvider = require('./BaseProvider');
 const SailingHTMLParser = require('../utils/SailingHTMLParser');
+const SailDetailParser = require('../utils/SailDetailParser');
 
 /**
  * ScrapingBee provider for fetching sailing data
  * Handles all ScrapingBee API interactions and HTML parsing
  */
 class ScrapingBeeProvider extends BaseProvider {
+  /**
+   * @param {Object} config Provider configuration (see providers.scrapingbee in AppConfig)
+   * @param {string} [config.targetUrl] Sails page to scrape (default the students page)
+   * @param {Object} [config.parser] Parser options of the page's source, see SailingHTMLParser.resolveProfile()
+   */
   constructor(config = {}) {
     super(config);
-    this.apiKey = config.apiKey || 'SOME_VALUE';
-    this.scrapingBeeUrl = 'https://app.scrapingbee.com/api/v1/';
-    this.targetUrl = 'https://sailor.co.il/הפלגותתלמידים';
+    this.apiKey = config.apiKey;
+    this.scrapingBeeUrl = config.apiUrl || 'https://app.scrapingbee.com/api/v1/';
+    this.targetUrl = config.targetUrl || 'https://sailor.co.il/הפלגותתלמידים';
+    this.renderJs = config.renderJs ?? true;
+    this.wait = config.wait ?? 3000;
+    this.premiumProxy = config.premiumProxy ?? true;
+    this.countryCode = config.countryCode || 'il';
+    this.timeout = config.timeout || 0;
+    this.parserOptions = config.parser || {};
+    this.lastDiagnostics = null;
+    this.lastTimings = null;
   }
 
   /**
@@ -19,22 +33,33 @@ class ScrapingBeeProvider extends BaseProvider {
    * @returns {Promise<string>} HTML content
    */
   async fetchSailingData() {
-    console.log('Fetching sailing data with ScrapingBee...');
+    return this.fetchPage(this.targetUrl);
+  }
+
+  /**
+   * Fetches any Sailor page through ScrapingBee
+   * @param {string} url Page URL
+   * @returns {Promise<string>} HTML content
+   */
+  async fetchPage(url) {
+    if (!this.apiKey) {
+      throw new Error('ScrapingBee API key is not configured (SCRAPINGBEE_API_KEY)');
+    }
     
     const params = {
       api_key: this.apiKey,
-      url: this.targetUrl,
-      render_js: 'true', // Enable JavaScript rendering
-      wait: '3000', // Wait 3 seconds for JS to load
-      premium_proxy: 'true', // Use premium proxy for better success rate
-      country_code: 'il' // Use Israel proxy
+      url,
+      render_js: String(this.renderJs), // Enable JavaScript rendering
+      wait: String(this.wait), // Wait for JS to load
+      premium_proxy: String(this.premiumProxy), // Use premium proxy for better success rate
+      country_code: this.countryCode // Use Israel proxy
     };
     
-    console.log('Making request to ScrapingBee...');
-    const response = await axios.get(this.scrapingBeeUrl, { params });
+    this.logger.debug('Requesting page through ScrapingBee', { url });
+    const response = await axios.get(this.scrapingBeeUrl, { params, timeout: this.timeout });
     
     const html = response.data;
-    console.log('ScrapingBee response received, length:', html.length);
+    this.logger.debug('ScrapingBee response received', { url, length: html.length });
     
     return html;
   }
@@ -45,24 +70,55 @@ class ScrapingBeeProvider extends BaseProvider {
    */
   async getSailingEvents() {
     try {
+      const fetchStartedAt = Date.now();
       const html = await this.fetchSailingData();
+      const fetchMs = Date.now() - fetchStartedAt;
       
-      if (!SailingHTMLParser.validateSailingContent(html)) {
-        console.log('No sailing content found in HTML');
-        return [];
+      // The page is parsed once, for both the check and the events
+      const parseStartedAt = Date.now();
+      const doc = SailingHTMLParser.parseDocument(html);
+      
+      // A page that is not the sails list means the site changed or blocked us;
+      // failing lets the fallback chain and health statistics notice
+      if (!SailingHTMLParser.validateSailingContent(doc, this.parserOptions)) {
+        throw new Error('No sailing content found in HTML; the page layout may have changed');
       }
       
-      const events = SailingHTMLParser.parseSailingEvents(html);
-      console.log(`Successfully parsed ${events.length} sailing events`);
+      const { events, diagnostics } = SailingHTMLParser.parseWithDiagnostics(doc, { ...this.parserOptions, logger: this.logger });
+      this.lastDiagnostics = diagnostics;
+      this.lastTimings = { fetchMs, parseMs: Date.now() - parseStartedAt };
+      this.logger.info('Parsed sailing events', { provider: this.getProviderName(), count: events.length, ...this.lastTimings });
       
       return events;
       
     } catch (error) {
-      console.error('ScrapingBee provider error:', error.message);
+      this.logger.error('Provider failed', { provider: this.getProviderName(), error });
       throw error;
     }
   }
 
+  /**
+   * Fetches and parses a sail's detail page
+   * @param {Object} event Event with a moreUrl
+   * @returns {Promise<Object>} Details, see SailDetailParser.parse()
+   */
+  async getEventDetails(event) {
+    if (!event.moreUrl) {
+      throw new Error(`Sail ${event.id} has no detail page`);
+    }
+
+    const html = await this.fetchPage(event.moreUrl);
+    return SailDetailParser.parse(html);
+  }
+
+  /**
+   * Reports how well the last page matched the expected markup and how long fetching and parsing took
+   * @returns {Object|null} { diagnostics, timings: { fetchMs, parseMs } }, see SailingHTMLParser.parseWithDiagnostics()
+   */
+  getFetchMetadata() {
+    return this.lastDiagnostics ? { diagnostics: this.lastDiagnostics, timings: this.lastTimings } : null;
+  }
+
   /**
    * Gets the provider name for logging/debugging
    * @returns {string} Provider name
@@ -0,0 +1,56 @@
+const BaseProvider = require('./BaseProvider');
+
+/**
+ * Snapshot provider serving the last successfully scraped events
+ * Used as a fallback when live providers fail
+ */
+class SnapshotProvider extends BaseProvider {
+  /**
+   * @param {Object} config Provider configuration
+   * @param {JSONFileSnapshotStore} config.snapshotStore Store holding the recorded scrapes
+   * @param {Logger} [config.logger] Logger
+   */
+  constructor(config = {}) {
+    super(config);
+    this.snapshotStore = config.snapshotStore;
+    this.lastSnapshot = null;
+  }
+
+  /**
+   * Returns the events of the latest stored snapshot
+   * @returns {Promise<Array<Object>>} Array of structured sailing event objects
+   * @throws {Error} If no snapshot has been stored yet
+   */
+  async getSailingEvents() {
+    const snapshot = await this.snapshotStore.getLatestSnapshot();
+    if (!snapshot) {
+      throw new Error('No snapshot available');
+    }
+
+    this.lastSnapshot = snapshot;
+    this.logger.info('Serving snapshot', { timestamp: snapshot.timestamp, checkedAt: snapshot.checkedAt });
+    return snapshot.events;
+  }
+
+  /**
+   * Reports when the served data was last confirmed by a live scrape
+   * @returns {Object|null} { fetchedAt, snapshotProvider }
+   */
+  getFetchMetadata() {
+    if (!this.lastSnapshot) return null;
+    return {
+      fetchedAt: this.lastSnapshot.checkedAt || this.lastSnapshot.timestamp,
+      snapshotProvider: this.lastSnapshot.provider
+    };
+  }
+
+  /**
+   * Gets the provider name for logging/debugging
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return 'Snapshot';
+  }
+}
+
+module.exports = SnapshotProvider;
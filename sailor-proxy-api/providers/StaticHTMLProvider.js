@@ -2,15 +2,27 @@ const fs = require('fs');
 const path = require('path');
 const BaseProvider = require('./BaseProvider');
 const SailingHTMLParser = require('../utils/SailingHTMLParser');
+const SailDetailParser = require('../utils/SailDetailParser');
 
 /**
  * Static HTML provider for fetching sailing data from local files
  * Useful for testing and development
  */
 class StaticHTMLProvider extends BaseProvider {
+  /**
+   * @param {Object} config Provider configuration
+   * @param {string} [config.htmlFilePath] Exported list page (default data/sailor-website-export.html)
+   * @param {string} [config.detailsDir] Directory of saved detail pages named <sail id>.html (default data/details)
+   * @param {Object} [config.parser] Parser options of the page's source, see SailingHTMLParser.resolveProfile()
+   */
   constructor(config = {}) {
     super(config);
     this.htmlFilePath = config.htmlFilePath || path.join(__dirname, '../data/sailor-website-export.html');
+    this.detailsDir = config.detailsDir || path.join(__dirname, '../data/details');
+    this.parserOptions = config.parser || {};
+    this.fileModifiedAt = null;
+    this.lastDiagnostics = null;
+    this.lastTimings = null;
   }
 
   /**
@@ -19,12 +31,11 @@ class StaticHTMLProvider extends BaseProvider {
    */
   async readHTMLFile() {
     try {
-      console.log(`Reading HTML from file: ${this.htmlFilePath}`);
       const html = fs.readFileSync(this.htmlFilePath, 'utf8');
-      console.log(`Static HTML file read successfully, length: ${html.length}`);
+      this.fileModifiedAt = fs.statSync(this.htmlFilePath).mtime.toISOString();
+      this.logger.debug('Static HTML file read', { file: this.htmlFilePath, length: html.length });
       return html;
     } catch (error) {
-      console.error('Error reading static HTML file:', error.message);
       throw new Error(`Failed to read HTML file: ${error.message}`);
     }
   }
@@ -35,24 +46,55 @@ class StaticHTMLProvider extends BaseProvider {
    */
   async getSailingEvents() {
     try {
+      const fetchStartedAt = Date.now();
       const html = await this.readHTMLFile();
+      const fetchMs = Date.now() - fetchStartedAt;
+      
+      // The page is parsed once, for both the check and the events
+      const parseStartedAt = Date.now();
+      const doc = SailingHTMLParser.parseDocument(html);
       
-      if (!SailingHTMLParser.validateSailingContent(html)) {
-        console.log('No sailing content found in static HTML file');
-        return [];
+      // A page that is not the sails list means the site changed or blocked us;
+      // failing lets the fallback chain and health statistics notice
+      if (!SailingHTMLParser.validateSailingContent(doc, this.parserOptions)) {
+        throw new Error('No sailing content found in static HTML file; the page layout may have changed');
       }
       
-      const events = SailingHTMLParser.parseSailingEvents(html);
-      console.log(`Successfully parsed ${events.length} sailing events from static HTML`);
+      const { events, diagnostics } = SailingHTMLParser.parseWithDiagnostics(doc, { ...this.parserOptions, logger: this.logger });
+      this.lastDiagnostics = diagnostics;
+      this.lastTimings = { fetchMs, parseMs: Date.now() - parseStartedAt };
+      this.logger.info('Parsed sailing events', { provider: this.getProviderName(), count: events.length, ...this.lastTimings });
       
       return events;
       
     } catch (error) {
-      console.error('StaticHTMLProvider error:', error.message);
+      this.logger.error('Provider failed', { provider: this.getProviderName(), error });
       throw error;
     }
   }
 
+  /**
+   * Reads a saved detail page, named after the sail ID (e.g. data/details/S1125.html)
+   * @param {Object} event Event to get details for
+   * @returns {Promise<Object>} Details, see SailDetailParser.parse()
+   */
+  async getEventDetails(event) {
+    const filePath = path.join(this.detailsDir, `${path.basename(event.id)}.html`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No saved detail page for sail ${event.id}`);
+    }
+    return SailDetailParser.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Reports when the static file was last updated and how well it parsed
+   * @returns {Object|null} { fetchedAt, diagnostics, timings }
+   */
+  getFetchMetadata() {
+    if (!this.fileModifiedAt) return null;
+    return { fetchedAt: this.fileModifiedAt, diagnostics: this.lastDiagnostics, timings: this.lastTimings };
+  }
+
   /**
    * Gets the provider name for logging/debugging
    * @returns {string} Provider name
@@ -0,0 +1,447 @@
+/**
+ * Versioned JSON Schema of the API's sailing events and responses
+ * The schemas are published through /api/openapi (see OpenApiDocument) and
+ * used to validate events before they leave the API. Bump VERSION with every
+ * change to the shapes: the minor version for added optional fields, the
+ * major version for anything that can break a consumer.
+ */
+class EventSchema {
+  static VERSION = '3.0.0';
+
+  static DAYS_OF_WEEK = ['א׳', 'ב׳', 'ג׳', 'ד׳', 'ה׳', 'ו׳', 'ש׳'];
+
+  // Booking statuses, see EventAvailability
+  static STATUSES = ['open', 'few-left', 'full', 'removed'];
+
+  static REF_PREFIX = '#/components/schemas/';
+
+  // JSON Schema (draft 2020-12, as used by OpenAPI 3.1), keyed by component name
+  static SCHEMAS = {
+    SailingEvent: {
+      type: 'object',
+      description: 'One published sail',
+      required: ['id', 'title', 'date', 'startTime', 'endTime', 'start', 'end', 'durationMinutes', 'dayOfWeek',
+        'description', 'boat', 'branch', 'pier', 'eventType', 'moreUrl', 'orderUrl', 'price'],
+      properties: {
+        id: { type: 'string', pattern: '^[A-Za-z0-9_-]+$', description: "Sail code from the site (e.g. 'S1129'), or 'H' and a hash when the site shows none" },
+        title: { type: 'string', minLength: 1 },
+        date: { type: 'string', pattern: '^\\d{2}/\\d{2}/\\d{4}$', description: 'DD/MM/YYYY' },
+        startTime: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'HH:MM, Israel time' },
+        endTime: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'HH:MM, Israel time; before startTime when the sail ends after midnight' },
+        start: { type: 'string', format: 'date-time', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}[+-]\\d{2}:\\d{2}$' },
+        end: { type: 'string', format: 'date-time', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}[+-]\\d{2}:\\d{2}$' },
+        durationMinutes: { type: 'integer', minimum: 1 },
+        dayOfWeek: { type: 'string', enum: EventSchema.DAYS_OF_WEEK, description: 'Hebrew weekday symbol, Sunday first; use weekday to key on the day' },
+        weekday: { type: 'integer', minimum: 1, maximum: 7, description: 'ISO 8601 weekday, 1 (Monday) to 7 (Sunday)' },
+        description: { type: 'string' },
+        boat: { type: 'string' },
+        branch: { type: 'string' },
+        pier: { type: 'string' },
+        eventType: {
+          type: 'string',
+          minLength: 1,
+          description: "Display name of the category from the source's category rules, e.g. 'תלמידים' or 'טרום מעשי' " +
+            'on the Sailor students page; use category to key on the category'
+        },
+        category: {
+          type: 'string',
+          pattern: '^[a-z0-9-]+$',
+          description: "Language-neutral category code, e.g. 'students' or 'pre-practical'; 'other' for categories without a code"
+        },
+        source: { type: 'string', pattern: '^[a-z0-9-]+$', description: "ID of the listing page the sail was scraped from, e.g. 'sailor-students'" },
+        moreUrl: { type: 'string', description: 'Detail page URL, empty if none' },
+        orderUrl: { type: 'string', description: 'Order page URL, empty if none' },
+        price: { type: 'string', description: 'Price as shown on the site, empty if none' },
+        seatsLeft: { type: ['integer', 'null'], minimum: 0, description: 'Seats left as shown on the card, null if not shown' },
+        soldOut: { type: 'boolean', description: 'The card marks the sail as sold out or its order button is disabled' },
+        status: {
+          type: 'string',
+          enum: EventSchema.STATUSES,
+          description: 'Booking status from the card or detail page availability; removed sails dropped off the listing before their start'
+        },
+        removedAt: { type: 'string', format: 'date-time', description: 'When a removed sail was first missing from the listing' },
+        details: {
+          description: 'Detail page data, only with details=true; null if it could not be fetched',
+          oneOf: [{ $ref: '#/components/schemas/SailDetails' }, { type: 'null' }]
+        },
+        detailsError: { type: 'string', description: 'Why details is null' },
+        labels: { $ref: '#/components/schemas/EventLabels' }
+      }
+    },
+
+    EventLabels: {
+      type: 'object',
+      description: 'Only with lang: display labels of the category, weekday and status codes; null where the sail has no value',
+      required: ['category', 'weekday', 'status'],
+      properties: {
+        category: { type: ['string', 'null'] },
+        weekday: { type: ['string', 'null'] },
+        status: { type: ['string', 'null'] }
+      }
+    },
+
+    SailDetails: {
+      type: 'object',
+      description: "Data from a sail's detail page; fields the page does not show are null",
+      required: ['title', 'description', 'price', 'capacity', 'seatsLeft', 'skipper', 'requirements'],
+      properties: {
+        title: { type: ['string', 'null'] },
+        description: { type: ['string', 'null'] },
+        price: { type: ['number', 'null'], description: 'Shekels' },
+        capacity: { type: ['integer', 'null'] },
+        seatsLeft: { type: ['integer', 'null'] },
+        skipper: { type: ['string', 'null'] },
+        requirements: { type: 'array', items: { type: 'string' } }
+      }
+    },
+
+    Timings: {
+      type: 'object',
+      description: 'Milliseconds spent serving the request; fetchMs and parseMs are null when served from a cache or snapshot',
+      properties: {
+        fetchMs: { type: ['integer', 'null'] },
+        parseMs: { type: ['integer', 'null'] },
+        totalMs: { type: 'integer' }
+      }
+    },
+
+    RejectedEvent: {
+      type: 'object',
+      description: 'A scraped sail left out of the response because it does not match the schema',
+      required: ['id', 'errors'],
+      properties: {
+        id: { type: ['string', 'null'] },
+        errors: { type: 'array', items: { type: 'string' } }
+      }
+    },
+
+    EventsResponse: {
+      type: 'object',
+      required: ['success', 'schemaVersion', 'events', 'contentFound', 'provider', 'timestamp'],
+      properties: {
+        success: { const: true },
+        schemaVersion: { type: 'string' },
+        events: { type: 'array', items: { $ref: '#/components/schemas/SailingEvent' } },
+        contentFound: { type: 'boolean' },
+        provider: { type: 'string', description: 'Provider that served the data' },
+        timestamp: { type: 'string', format: 'date-time' },
+        total: { type: 'integer', description: 'Matching sails before pagination' },
+        facets: { type: 'object', description: 'Counts per branch, boat, pier, category, source and status' },
+        pagination: { type: 'object' },
+        source: { type: 'object', description: 'Cache state, fallback provider and data age' },
+        diagnostics: {
+          type: 'object',
+          description: 'Per source ID: how well the scraped page matched the expected markup, or { error } if the source failed'
+        },
+        changes: { type: ['object', 'null'], description: 'Change counts since the previous scrape' },
+        rejectedEvents: { type: 'array', items: { $ref: '#/components/schemas/RejectedEvent' } },
+        removedEvents: {
+          type: 'array',
+          description: 'Only with removed=true: upcoming sails that dropped off the listing, with status removed',
+          items: { $ref: '#/components/schemas/SailingEvent' }
+        },
+        timings: { $ref: '#/components/schemas/Timings' }
+      }
+    },
+
+    EventResponse: {
+      type: 'object',
+      required: ['success', 'schemaVersion', 'event', 'provider', 'timestamp'],
+      properties: {
+        success: { const: true },
+        schemaVersion: { type: 'string' },
+        event: { $ref: '#/components/schemas/SailingEvent' },
+        provider: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+
+    ChangesResponse: {
+      type: 'object',
+      required: ['success', 'schemaVersion', 'summary', 'added', 'removed', 'changed', 'timestamp'],
+      properties: {
+        success: { const: true },
+        schemaVersion: { type: 'string' },
+        since: { type: ['string', 'null'], format: 'date-time' },
+        baseline: { type: ['object', 'null'] },
+        summary: {
+          type: 'object',
+          properties: { added: { type: 'integer' }, removed: { type: 'integer' }, changed: { type: 'integer' } }
+        },
+        added: { type: 'array', items: { $ref: '#/components/schemas/SailingEvent' } },
+        removed: { type: 'array', items: { $ref: '#/components/schemas/SailingEvent' } },
+        changed: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              event: { $ref: '#/components/schemas/SailingEvent' },
+              changes: { type: 'object', description: 'Map of field name to { from, to }' }
+            }
+          }
+        },
+        provider: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+
+    AnalyticsResponse: {
+      type: 'object',
+      description: 'Statistics over the archive of scraped snapshots. Sails listed in the oldest snapshot ' +
+        'appeared at an unknown time and are left out of listing and leadTime.',
+      required: ['success', 'schemaVersion', 'archive', 'listing', 'schedule', 'leadTime', 'timestamp'],
+      properties: {
+        success: { const: true },
+        schemaVersion: { type: 'string' },
+        archive: {
+          type: 'object',
+          description: 'Snapshots the statistics are based on',
+          required: ['snapshots', 'from', 'to', 'sails', 'listedAtStart'],
+          properties: {
+            snapshots: { type: 'integer' },
+            from: { type: ['string', 'null'], format: 'date-time' },
+            to: { type: ['string', 'null'], format: 'date-time', description: 'Last time the listing was checked' },
+            sails: { type: 'integer', description: 'Distinct sails seen' },
+            listedAtStart: { type: 'integer', description: 'Sails already listed in the oldest snapshot' }
+          }
+        },
+        listing: {
+          type: 'object',
+          description: 'How long sails stayed listed before disappearing ahead of their start, usually because they were booked up',
+          required: ['byBranch', 'byBoat'],
+          properties: {
+            byBranch: { type: 'array', items: { $ref: '#/components/schemas/ListingTimes' } },
+            byBoat: { type: 'array', items: { $ref: '#/components/schemas/ListingTimes' } }
+          }
+        },
+        schedule: {
+          type: 'object',
+          description: 'Sails per weekday and start hour, Israel time',
+          required: ['weekdays', 'hours', 'busiestSlots'],
+          properties: {
+            weekdays: {
+              type: 'array',
+              description: 'Sunday first',
+              items: {
+                type: 'object',
+                properties: {
+                  weekday: { type: 'integer', minimum: 1, maximum: 7, description: 'ISO 8601 weekday, 1 (Monday) to 7 (Sunday)' },
+                  dayOfWeek: { type: 'string', enum: EventSchema.DAYS_OF_WEEK },
+                  count: { type: 'integer' }
+                }
+              }
+            },
+            hours: {
+              type: 'array',
+              description: 'Hours 0 to 23',
+              items: { type: 'object', properties: { hour: { type: 'integer' }, count: { type: 'integer' } } }
+            },
+            busiestSlots: {
+              type: 'array',
+              description: 'Weekday and hour combinations with the most sails',
+              items: {
+                type: 'object',
+                properties: {
+                  weekday: { type: 'integer', minimum: 1, maximum: 7, description: 'ISO 8601 weekday' },
+                  dayOfWeek: { type: 'string', enum: EventSchema.DAYS_OF_WEEK },
+                  hour: { type: 'integer' },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        leadTime: {
+          type: 'object',
+          description: 'Days between a sail appearing and its start',
+          required: ['sails', 'medianDays', 'averageDays', 'buckets', 'byBranch'],
+          properties: {
+            sails: { type: 'integer' },
+            medianDays: { type: ['number', 'null'] },
+            averageDays: { type: ['number', 'null'] },
+            buckets: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  label: { type: 'string' },
+                  minDays: { type: 'integer' },
+                  maxDays: { type: ['integer', 'null'], description: 'Exclusive; null for the last bucket' },
+                  count: { type: 'integer' }
+                }
+              }
+            },
+            byBranch: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { key: { type: 'string' }, sails: { type: 'integer' }, medianDays: { type: ['number', 'null'] } }
+              }
+            }
+          }
+        },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+
+    ListingTimes: {
+      type: 'object',
+      description: 'Listing times of the sails of one branch or boat; the hours are null when none disappeared early',
+      required: ['key', 'sails', 'removed', 'medianHours', 'averageHours'],
+      properties: {
+        key: { type: 'string', description: 'Branch or boat' },
+        sails: { type: 'integer', description: 'Sails whose appearance was seen' },
+        removed: { type: 'integer', description: 'Of those, sails that disappeared before their start' },
+        medianHours: { type: ['number', 'null'] },
+        averageHours: { type: ['number', 'null'] }
+      }
+    },
+
+    ErrorResponse: {
+      type: 'object',
+      required: ['success', 'error', 'message', 'timestamp'],
+      properties: {
+        success: { const: false },
+        error: { type: 'string' },
+        message: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    }
+  };
+
+  /**
+   * Validates a value against a schema
+   * Supports the keywords used in SCHEMAS: type, const, enum, pattern, minLength,
+   * minimum, maximum, required, properties, items, oneOf and $ref to another component.
+   * @param {*} value Value to validate
+   * @param {Object} schema Schema, or a { $ref } to one of SCHEMAS
+   * @param {string} [path] Location of the value, used in the messages
+   * @returns {Array<string>} Problems found, empty if valid
+   */
+  static validate(value, schema, path = '') {
+    if (schema.$ref) {
+      return EventSchema.validate(value, EventSchema.resolve(schema.$ref), path);
+    }
+
+    const where = path || 'value';
+
+    if (schema.oneOf) {
+      const results = schema.oneOf.map(option => EventSchema.validate(value, option, path));
+      const matching = results.filter(errors => errors.length === 0).length;
+      if (matching === 1) return [];
+      // Report why the value fails the option of its own type (e.g. the object shape, not 'null')
+      const ownType = schema.oneOf.findIndex(option => !option.type || EventSchema.hasType(value, option.type));
+      return matching === 0 && ownType !== -1 ? results[ownType] : [`${where} must match exactly one allowed shape`];
+    }
+    if ('const' in schema && value !== schema.const) {
+      return [`${where} must be ${JSON.stringify(schema.const)}`];
+    }
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => EventSchema.hasType(value, type))) {
+        return [`${where} must be of type ${types.join(' or ')}`];
+      }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return [`${where} must be one of ${schema.enum.join(', ')}`];
+    }
+
+    const errors = [];
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${where} must not be empty`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${where} does not match ${schema.pattern}`);
+      }
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where} must be at least ${schema.minimum}`);
+    }
+    if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where} must be at most ${schema.maximum}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => errors.push(...EventSchema.validate(item, schema.items, `${where}[${index}]`)));
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      (schema.required || [])
+        .filter(key => value[key] === undefined)
+        .forEach(key => errors.push(`${path ? `${path}.` : ''}${key} is required`));
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined) {
+          errors.push(...EventSchema.validate(value[key], propertySchema, path ? `${path}.${key}` : key));
+        }
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * Checks a value against one JSON Schema type
+   * @param {*} value Value to check
+   * @param {string} type JSON Schema type name
+   * @returns {boolean} True if the value has the type
+   */
+  static hasType(value, type) {
+    switch (type) {
+      case 'null':
+        return value === null;
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Looks up a component schema by reference
+   * @param {string} ref Reference such as '#/components/schemas/SailingEvent'
+   * @returns {Object} Schema
+   * @throws {Error} If the reference is unknown
+   */
+  static resolve(ref) {
+    const schema = ref.startsWith(EventSchema.REF_PREFIX) && EventSchema.SCHEMAS[ref.slice(EventSchema.REF_PREFIX.length)];
+    if (!schema) {
+      throw new Error(`Unknown schema reference "${ref}"`);
+    }
+    return schema;
+  }
+
+  /**
+   * Validates one event
+   * @param {Object} event Event to validate
+   * @returns {Array<string>} Problems found, empty if valid
+   */
+  static validateEvent(event) {
+    return EventSchema.validate(event, EventSchema.SCHEMAS.SailingEvent);
+  }
+
+  /**
+   * Splits events into those matching the schema and those that do not
+   * @param {Array<Object>} events Events to validate
+   * @returns {Object} { events, rejected } where rejected lists { id, errors }
+   */
+  static filterValid(events) {
+    const valid = [];
+    const rejected = [];
+    events.forEach(event => {
+      const errors = EventSchema.validateEvent(event);
+      if (errors.length === 0) {
+        valid.push(event);
+      } else {
+        rejected.push({ id: (event && event.id) || null, errors });
+      }
+    });
+    return { events: valid, rejected };
+  }
+}
+
+module.exports = EventSchema;
@@ -0,0 +1,196 @@
+const EventSchema = require('./EventSchema');
+const EventFilter = require('../utils/EventFilter');
+const AppConfig = require('../config/AppConfig');
+const EventLocalizer = require('../utils/EventLocalizer');
+
+/**
+ * OpenAPI 3.1 description of the public read routes
+ * Served by /api/openapi; the component schemas come from EventSchema, so the
+ * document and the validation of outgoing events cannot drift apart.
+ */
+class OpenApiDocument {
+  /**
+   * Builds the document
+   * @param {string} [serverUrl] Base URL of the API; relative to where the document was fetched from by default
+   * @returns {Object} OpenAPI document
+   */
+  static build(serverUrl = '/') {
+    const errorResponse = description => ({
+      description,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    });
+    const providerParameter = {
+      name: 'provider',
+      in: 'query',
+      description: 'Data provider; the configured default if omitted. Providers billed per call (scrapingbee) ' +
+        'need an access token, and a deployment may allow only some of them.',
+      schema: { type: 'string', enum: AppConfig.PROVIDERS }
+    };
+    const languageParameter = {
+      name: 'lang',
+      in: 'query',
+      description: 'Adds `labels` with the category, weekday and status in this language',
+      schema: { type: 'string', enum: EventLocalizer.LANGUAGES }
+    };
+    // Responses every limited route can give
+    const guardResponses = {
+      403: errorResponse('The request comes from an origin that is not allowed'),
+      429: errorResponse('Rate limit exceeded; retry after the number of seconds in Retry-After')
+    };
+    const providerResponses = {
+      ...guardResponses,
+      401: errorResponse('The requested provider needs an access token')
+    };
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'Sailor proxy API',
+        version: EventSchema.VERSION,
+        description: 'Sails published on sailor.co.il, scraped, normalized and validated against the schemas below. ' +
+          'Every JSON response carries schemaVersion; a change in its major version may break consumers. ' +
+          'Requests are rate limited per client and in total; an access token lifts the limits.'
+      },
+      servers: [{ url: serverUrl }],
+      paths: {
+        '/api/sailor-proxy': {
+          get: {
+            summary: 'List sails',
+            description: 'Filters, sorting and pagination are applied server-side. Sails that do not match ' +
+              'the SailingEvent schema are left out and listed in rejectedEvents.',
+            parameters: [
+              providerParameter,
+              OpenApiDocument.listParameter('branch', 'Branches'),
+              OpenApiDocument.listParameter('category', 'Category codes or eventType values (counted in facets.category by code)'),
+              OpenApiDocument.listParameter('source', 'Source IDs (counted in facets.source)'),
+              OpenApiDocument.listParameter('boat', 'Boats'),
+              OpenApiDocument.listParameter('pier', 'Piers'),
+              OpenApiDocument.listParameter('dayOfWeek', 'ISO weekdays, 1 (Monday) to 7 (Sunday), or Hebrew day symbols; 0 is still read as Sunday'),
+              OpenApiDocument.listParameter('timeOfDay', `Start time slots (${EventFilter.TIME_OF_DAY.join(', ')})`),
+              OpenApiDocument.listParameter('status', `Booking statuses (${EventFilter.STATUSES.join(', ')}, counted in facets.status)`),
+              { name: 'from', in: 'query', description: 'First date, YYYY-MM-DD or DD/MM/YYYY', schema: { type: 'string' } },
+              { name: 'to', in: 'query', description: 'Last date, YYYY-MM-DD or DD/MM/YYYY', schema: { type: 'string' } },
+              { name: 'q', in: 'query', description: 'Words that must all appear in the title or description', schema: { type: 'string' } },
+              {
+                name: 'sort',
+                in: 'query',
+                description: `One of ${EventFilter.SORT_FIELDS.join(', ')}; prefix with "-" for descending`,
+                schema: { type: 'string', pattern: `^-?(${EventFilter.SORT_FIELDS.join('|')})$` }
+              },
+              { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: EventFilter.MAX_LIMIT } },
+              { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0 } },
+              { name: 'cursor', in: 'query', description: 'Opaque cursor from pagination.nextCursor, replaces offset', schema: { type: 'string' } },
+              { name: 'details', in: 'query', description: 'Embed each sail\'s detail page (limit at most 20)', schema: { type: 'boolean' } },
+              {
+                name: 'removed',
+                in: 'query',
+                description: 'List sails that dropped off the listing before their start as removedEvents, unfiltered; ' +
+                  'ignored unless the provider scrapes the live site',
+                schema: { type: 'boolean' }
+              },
+              languageParameter,
+              { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'ics'] } }
+            ],
+            responses: {
+              200: {
+                description: 'Sails (JSON), or an iCalendar feed with format=ics',
+                content: {
+                  'application/json': { schema: { $ref: '#/components/schemas/EventsResponse' } },
+                  'text/calendar': { schema: { type: 'string' } }
+                }
+              },
+              304: { description: 'Not modified (If-None-Match matched the ETag)' },
+              400: errorResponse('Invalid query parameters'),
+              ...providerResponses,
+              500: errorResponse('Every provider failed')
+            }
+          }
+        },
+        '/api/events/{id}': {
+          get: {
+            summary: 'Get one sail with its detail page',
+            parameters: [
+              { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' } },
+              providerParameter,
+              languageParameter
+            ],
+            responses: {
+              200: { description: 'The sail', content: { 'application/json': { schema: { $ref: '#/components/schemas/EventResponse' } } } },
+              400: errorResponse('Invalid sail ID, provider or language'),
+              ...providerResponses,
+              404: errorResponse('No current sail has this ID'),
+              502: errorResponse('The detail page could not be fetched')
+            }
+          }
+        },
+        '/api/changes': {
+          get: {
+            summary: 'Sails added, removed or changed since a point in time',
+            description: 'Compares live scrapes (provider direct or scrapingbee) with the snapshot archive; other providers are refused.',
+            parameters: [
+              { name: 'since', in: 'query', description: 'ISO 8601 date or date-time; the previous scrape if omitted', schema: { type: 'string' } },
+              providerParameter
+            ],
+            responses: {
+              200: { description: 'Changes', content: { 'application/json': { schema: { $ref: '#/components/schemas/ChangesResponse' } } } },
+              400: errorResponse('Invalid query parameters, or a provider that does not scrape the live site'),
+              ...providerResponses,
+              500: errorResponse('Fetching current sails failed')
+            }
+          }
+        },
+        '/api/analytics': {
+          get: {
+            summary: 'How long sails stay listed, when they are scheduled and how far ahead they appear',
+            description: 'Computed from the archive of scraped snapshots, so it covers the time the API has been scraping.',
+            responses: {
+              200: { description: 'Statistics', content: { 'application/json': { schema: { $ref: '#/components/schemas/AnalyticsResponse' } } } },
+              ...guardResponses,
+              500: errorResponse('The snapshot archive could not be read')
+            }
+          }
+        },
+        '/api/health': {
+          get: {
+            summary: 'Provider success rate, latency and circuit state',
+            responses: { 200: { description: 'Health report', content: { 'application/json': { schema: { type: 'object' } } } } }
+          }
+        },
+        '/api/openapi': {
+          get: {
+            summary: 'This document',
+            responses: { 200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } } }
+          }
+        }
+      },
+      components: {
+        schemas: EventSchema.SCHEMAS,
+        securitySchemes: {
+          accessToken: {
+            type: 'http',
+            scheme: 'bearer',
+            description: 'Shared secret handed out to trusted clients; needed for protected providers, lifts the rate limits'
+          }
+        }
+      },
+      security: [{}, { accessToken: [] }]
+    };
+  }
+
+  /**
+   * Describes a comma separated list query parameter
+   * @param {string} name Parameter name
+   * @param {string} description What the values are
+   * @returns {Object} Parameter object
+   */
+  static listParameter(name, description) {
+    return {
+      name,
+      in: 'query',
+      description: `${description}, comma separated`,
+      schema: { type: 'string' }
+    };
+  }
+}
+
+module.exports = OpenApiDocument;
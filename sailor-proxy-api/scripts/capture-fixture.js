@@ -0,0 +1,106 @@
+/**
+ * Captures the current sails page from a provider as a parser test fixture
+ * Saves the raw HTML to test/fixtures/<name>.html and prints how it parses,
+ * the parse diagnostics and how the events differ from the fixture's golden file.
+ * Review the output, then run again with --accept (or run
+ * npm run test:update-golden) to write the golden file.
+ *
+ * Usage: node scripts/capture-fixture.js <provider> <name> [--source=<id>] [--accept]
+ *   provider  'static', 'scrapingbee' or 'direct', configured like the API (see .env.example)
+ *   name      fixture name, e.g. 'sailor-2025-11'
+ *   source    enabled source to capture (see SourceRegistry), the first one by default
+ */
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('../config/AppConfig');
+const ProviderFactory = require('../providers/ProviderFactory');
+const SourceRegistry = require('../config/SourceRegistry');
+const SailingHTMLParser = require('../utils/SailingHTMLParser');
+const EventDiff = require('../utils/EventDiff');
+const { FIXTURES_DIR, readGolden, writeGolden } = require('../test/helpers/golden');
+
+/**
+ * Fetches the raw sails page HTML without parsing it
+ * @param {BaseProvider} provider Provider created by ProviderFactory.createForSource()
+ * @returns {Promise<string>} HTML
+ */
+async function fetchRawHTML(provider) {
+  if (provider.readHTMLFile) return provider.readHTMLFile();
+  return provider.fetchSailingData();
+}
+
+/**
+ * Prints the diagnostics and the difference from the golden events
+ * @param {Object} result Result of SailingHTMLParser.parseWithDiagnostics()
+ * @param {Object} [golden] Current golden file content
+ */
+function printReport(result, golden) {
+  const { events, diagnostics } = result;
+  console.log(`Parsed ${events.length} events from ${diagnostics.boxesFound} sail boxes`);
+  diagnostics.warnings.forEach(warning => console.log(`  warning: ${warning}`));
+
+  if (!golden) {
+    console.log('No golden file yet');
+    return;
+  }
+
+  const diff = EventDiff.diff(golden.events, events);
+  if (!EventDiff.hasChanges(diff)) {
+    console.log('Events match the golden file');
+    return;
+  }
+
+  console.log('Changes from the golden file:', EventDiff.summarize(diff));
+  diff.added.forEach(event => console.log(`  + ${event.id} ${event.title}`));
+  diff.removed.forEach(event => console.log(`  - ${event.id} ${event.title}`));
+  diff.changed.forEach(({ id, changes }) => {
+    Object.entries(changes).forEach(([field, { from, to }]) => {
+      console.log(`  ~ ${id} ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    });
+  });
+}
+
+async function main() {
+  const [providerName, name] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const accept = process.argv.includes('--accept');
+  const sourceArg = process.argv.find(arg => arg.startsWith('--source='));
+
+  if (!ProviderFactory.isKnown(providerName) || !name || !/^[A-Za-z0-9_.-]+$/.test(name)) {
+    console.error('Usage: node scripts/capture-fixture.js <static|scrapingbee|direct> <name> [--source=<id>] [--accept]');
+    process.exit(1);
+  }
+
+  const config = AppConfig.get();
+  const source = sourceArg ? SourceRegistry.get(sourceArg.slice('--source='.length), config) : SourceRegistry.list(config)[0];
+  if (!source) {
+    console.error(`Unknown source; enabled sources: ${config.sources.enabled.join(', ')}`);
+    process.exit(1);
+  }
+
+  const parserOptions = SourceRegistry.getParserOptions(source);
+  const html = await fetchRawHTML(ProviderFactory.createForSource(providerName, source, config));
+  const doc = SailingHTMLParser.parseDocument(html);
+  if (!SailingHTMLParser.validateSailingContent(doc, parserOptions)) {
+    console.error('The captured page is not the sails list; fixture not saved');
+    process.exit(1);
+  }
+
+  const fixturePath = path.join(FIXTURES_DIR, `${name}.html`);
+  fs.writeFileSync(fixturePath, html);
+  console.log(`Saved ${path.relative(process.cwd(), fixturePath)} from ${source.id} (${html.length} characters)`);
+
+  const result = SailingHTMLParser.parseWithDiagnostics(doc, parserOptions);
+  printReport(result, readGolden(name));
+
+  if (accept) {
+    writeGolden(name, JSON.parse(JSON.stringify(result)));
+    console.log(`Golden file test/golden/${name}.json updated`);
+  } else {
+    console.log('Review the output, then rerun with --accept to update the golden file');
+  }
+}
+
+main().catch(error => {
+  console.error('Capture failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+/**
+ * Validates the configuration from the environment (and CONFIG_FILE)
+ * Exits non-zero and lists every problem if it is invalid.
+ * Secrets are masked in the printed configuration.
+ *
+ * Usage: node scripts/check-config.js
+ */
+const AppConfig = require('../config/AppConfig');
+
+/**
+ * Replaces secret values with a mask
+ * @param {*} value Configuration value
+ * @returns {*} Copy with secrets masked
+ */
+function maskSecrets(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const masked = {};
+  Object.entries(value).forEach(([key, item]) => {
+    const isSet = Array.isArray(item) ? item.length > 0 : Boolean(item);
+    masked[key] = AppConfig.SECRET_KEYS.includes(key) && isSet ? '***' : maskSecrets(item);
+  });
+  return masked;
+}
+
+try {
+  const config = AppConfig.load();
+  console.log(JSON.stringify(maskSecrets(config), null, 2));
+  console.log('Configuration is valid');
+} catch (error) {
+  console.error(error.errors ? error.errors.map(e => `- ${e}`).join('\n') : error.message);
+  process.exit(1);
+}
@@ -0,0 +1,265 @@
+/**
+ * Local HTTP server running the API routes without the Vercel CLI
+ * Every handler under api/ is mounted at its Vercel path (api/events/[id].js
+ * at /api/events/<id>, the bracketed segment landing in req.query), with the
+ * request and response helpers the handlers rely on: req.query, a parsed
+ * req.body and res.status().json()/send(). New route files are picked up on
+ * restart. Variables in .env are loaded like vercel dev does.
+ *
+ * Usage: node scripts/dev-server.js [port] [--mock-upstream] [stub flags]
+ *   port           listening port (default 3000, like vercel dev)
+ *   mock-upstream  also start the Sailor stub (scripts/stub-upstream.js) on a free
+ *                  port and point the direct provider at it; it becomes the default
+ *                  provider unless DEFAULT_PROVIDER is set. The stub's --latency,
+ *                  --failure-rate, --failure-status and --details-dir flags apply.
+ * The static provider (the default) needs no network at all. Browser pages on
+ * other origins need CORS_ALLOWED_ORIGINS, e.g. http://localhost:8080.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const HttpUtils = require('../utils/HttpUtils');
+const { createStubServer, parseStubArgs } = require('./stub-upstream');
+
+const API_DIR = path.join(__dirname, '../api');
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Lists the route files of an API directory
+ * Static routes come before dynamic ones, so /api/events/latest.js would win
+ * over /api/events/[id].js as it does on Vercel.
+ * @param {string} [apiDir] Directory holding the handlers
+ * @param {string} [prefix] URL path of the directory
+ * @returns {Array<Object>} Routes { pattern, params, file, segments }, where segments
+ *   lists literal strings and null for each [param]
+ */
+function findRoutes(apiDir = API_DIR, prefix = '/api') {
+  const routes = [];
+  fs.readdirSync(apiDir, { withFileTypes: true }).forEach(entry => {
+    const file = path.join(apiDir, entry.name);
+    if (entry.isDirectory()) {
+      routes.push(...findRoutes(file, `${prefix}/${entry.name}`));
+      return;
+    }
+    if (!entry.name.endsWith('.js')) return;
+
+    const name = entry.name.slice(0, -3);
+    const pattern = name === 'index' ? prefix : `${prefix}/${name}`;
+    const parts = pattern.split('/').filter(Boolean);
+    routes.push({
+      pattern,
+      file,
+      params: parts.map(part => (part.match(/^\[(\w+)\]$/) || [])[1] || null),
+      segments: parts.map(part => /^\[\w+\]$/.test(part) ? null : part)
+    });
+  });
+  const dynamicCount = route => route.segments.filter(segment => segment === null).length;
+  return routes.sort((a, b) => dynamicCount(a) - dynamicCount(b));
+}
+
+/**
+ * Finds the route of a request path
+ * @param {Array<Object>} routes Routes from findRoutes()
+ * @param {string} pathname Request path, e.g. '/api/events/S1129'
+ * @returns {Object|null} { route, params } or null if no route matches
+ */
+function matchRoute(routes, pathname) {
+  const parts = pathname.split('/').filter(Boolean);
+  for (const route of routes) {
+    if (route.segments.length !== parts.length) continue;
+
+    const params = {};
+    let matches = true;
+    for (let i = 0; i < parts.length && matches; i++) {
+      if (route.segments[i] === null) {
+        try {
+          params[route.params[i]] = decodeURIComponent(parts[i]);
+        } catch (error) {
+          matches = false;
+        }
+      } else {
+        matches = route.segments[i] === parts[i];
+      }
+    }
+    if (matches) {
+      return { route, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds req.query like Vercel: repeated parameters become arrays, and the
+ * path parameters are added
+ * @param {URLSearchParams} searchParams Query string parameters
+ * @param {Object} params Path parameters from matchRoute()
+ * @returns {Object} Query object
+ */
+function buildQuery(searchParams, params) {
+  const query = {};
+  searchParams.forEach((value, name) => {
+    if (query[name] === undefined) {
+      query[name] = value;
+    } else {
+      query[name] = [].concat(query[name], value);
+    }
+  });
+  return { ...query, ...params };
+}
+
+/**
+ * Reads and parses a request body like Vercel: JSON and form bodies become
+ * objects, text stays a string
+ * @param {http.IncomingMessage} req Request
+ * @returns {Promise<*>} Body, undefined if there is none
+ * @throws {Error} If the body is too large or not valid JSON; `statusCode` tells the response status
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { statusCode: 413 });
+    }
+    chunks.push(chunk);
+  }
+  if (chunks.length === 0) return undefined;
+
+  const raw = Buffer.concat(chunks);
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+  if (contentType === 'application/json') {
+    try {
+      return JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+      throw Object.assign(new Error('Invalid JSON body'), { statusCode: 400 });
+    }
+  }
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(raw.toString('utf8')));
+  }
+  if (contentType.startsWith('text/')) {
+    return raw.toString('utf8');
+  }
+  return raw;
+}
+
+/**
+ * Adds the Vercel response helpers to a Node response
+ * @param {http.ServerResponse} res Response
+ * @returns {http.ServerResponse} The same response with status(), json() and send()
+ */
+function decorateResponse(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = body => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      return res.json(body);
+    }
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+    }
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Creates the development server
+ * @param {Object} [options] Server options
+ * @param {string} [options.apiDir] Directory holding the route handlers (default api/)
+ * @returns {http.Server} Server, not yet listening; `routes` lists the mounted routes
+ */
+function createDevServer(options = {}) {
+  const routes = findRoutes(options.apiDir || API_DIR);
+  const handlers = new Map(routes.map(route => [route.file, require(route.file)]));
+
+  const server = http.createServer(async (req, res) => {
+    decorateResponse(res);
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      req.resume();
+      HttpUtils.sendError(res, 400, `Invalid request URL ${req.url}`, 'Invalid request');
+      return;
+    }
+    const match = matchRoute(routes, url.pathname);
+    if (!match) {
+      req.resume();
+      HttpUtils.sendError(res, 404, `No route for ${url.pathname}`, 'Not found');
+      return;
+    }
+
+    try {
+      req.query = buildQuery(url.searchParams, match.params);
+      req.body = await readBody(req);
+      await handlers.get(match.route.file)(req, res);
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      const statusCode = error.statusCode || 500;
+      HttpUtils.sendError(res, statusCode, error.message, statusCode === 500 ? 'Internal server error' : 'Invalid request');
+    }
+  });
+  server.routes = routes;
+  return server;
+}
+
+/**
+ * Starts a server and resolves once it listens
+ * @param {http.Server} server Server
+ * @param {number} port Port, 0 for a free one
+ * @returns {Promise<string>} Base URL of the server
+ */
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const port = parseInt(args.find(arg => !arg.startsWith('--')) || '3000');
+
+  const envFile = path.join(__dirname, '../.env');
+  if (fs.existsSync(envFile)) {
+    process.loadEnvFile(envFile);
+  }
+
+  if (args.includes('--mock-upstream')) {
+    const stubUrl = await listen(createStubServer(parseStubArgs(args)), 0);
+    process.env.SAILOR_BASE_URL = stubUrl;
+    process.env.DEFAULT_PROVIDER = process.env.DEFAULT_PROVIDER || 'direct';
+    console.log(`Sailor stub listening on ${stubUrl}`);
+  }
+
+  const server = createDevServer();
+  const url = await listen(server, port);
+  console.log(`API listening on ${url}`);
+  server.routes.forEach(route => console.log(`  ${url}${route.pattern}`));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Dev server failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createDevServer, findRoutes, matchRoute, buildQuery, readBody };
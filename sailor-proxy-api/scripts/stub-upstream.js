@@ -0,0 +1,160 @@
+/**
+ * Local stub of the Sailor site serving the captured HTML in data/
+ * GET  <sail page path>  the saved detail page of the sail, if detailsDir has one
+ * GET  <any page path>   the export with its sail list emptied, as the site
+ *                        serves it before JavaScript loads the list
+ * POST /load_more        the sail boxes of the list, like the list-loading endpoint
+ * Every response can be delayed and a share of them failed, to see how the
+ * proxy copes with a slow or flaky site.
+ *
+ * Usage: node scripts/stub-upstream.js [port] [html file] [--latency=<ms>|<min>-<max>]
+ *          [--failure-rate=<0-1>] [--failure-status=<code>] [--details-dir=<dir>]
+ * Point DirectHTTPProvider at it with baseUrl: 'http://localhost:<port>'
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const SailingHTMLParser = require('../utils/SailingHTMLParser');
+
+/**
+ * Splits the export into the page shell and the JavaScript-loaded list markup
+ * @param {string} html Captured HTML
+ * @returns {Object} { page, list }
+ */
+function splitExport(html) {
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+  const lists = [];
+  doc.querySelectorAll('[data-load]').forEach(container => {
+    lists.push(container.innerHTML);
+    container.innerHTML = '';
+  });
+  return { page: doc.body.innerHTML, list: lists.join('\n') };
+}
+
+/**
+ * Parses a latency option
+ * @param {number|string|Array<number>} [latency] Milliseconds, or a '<min>-<max>' / [min, max] range
+ * @returns {Array<number>} [min, max] in milliseconds
+ * @throws {Error} If the value is not a non-negative number or range
+ */
+function parseLatency(latency = 0) {
+  const range = Array.isArray(latency) ? latency : String(latency).split('-').map(Number);
+  const [min, max = min] = range;
+  if (![min, max].every(Number.isFinite) || min < 0 || max < min) {
+    throw new Error(`Invalid latency "${latency}": expected milliseconds or <min>-<max>`);
+  }
+  return [min, max];
+}
+
+/**
+ * Creates the stub server
+ * @param {Object} [options] Server options
+ * @param {string} [options.htmlFilePath] Captured HTML to serve
+ * @param {string} [options.detailsDir] Directory of saved detail pages named <sail id>.html (default data/details)
+ * @param {number|string|Array<number>} [options.latency] Delay of every response, see parseLatency()
+ * @param {number} [options.failureRate] Share of requests, 0 to 1, answered with failureStatus
+ * @param {number} [options.failureStatus] HTTP status of failed requests (default 503)
+ * @param {Function} [options.random] Random number source, for deterministic tests
+ * @returns {http.Server} Server, not yet listening
+ */
+function createStubServer(options = {}) {
+  const htmlFilePath = options.htmlFilePath || path.join(__dirname, '../data/sailor-website-export.html');
+  const detailsDir = options.detailsDir || path.join(__dirname, '../data/details');
+  const [minLatency, maxLatency] = parseLatency(options.latency);
+  const failureRate = options.failureRate || 0;
+  const failureStatus = options.failureStatus || 503;
+  const random = options.random || Math.random;
+  if (!(failureRate >= 0 && failureRate <= 1)) {
+    throw new Error(`Invalid failure rate "${failureRate}": expected a number from 0 to 1`);
+  }
+  const { page, list } = splitExport(fs.readFileSync(htmlFilePath, 'utf8'));
+
+  /**
+   * Finds the saved detail page of a sail page path
+   * @param {string} pathname Decoded request path, e.g. '/S1129_הפלגתתלמידים'
+   * @returns {string|null} Detail page HTML, null if none is saved
+   */
+  const readDetailPage = pathname => {
+    const id = SailingHTMLParser.extractSailId(pathname);
+    const filePath = id && path.join(detailsDir, `${id}.html`);
+    return filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  };
+
+  /**
+   * Answers a request as the site would
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   */
+  const respond = (req, res) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+      // Malformed paths (e.g. '//' or a cut off escape like '/%E0%A4%A') must not bring the stub down
+      res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<h1>Bad request</h1>');
+      return;
+    }
+
+    if (random() < failureRate) {
+      res.writeHead(failureStatus, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(`<h1>Stub failure (HTTP ${failureStatus})</h1>`);
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === '/load_more') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(list);
+      return;
+    }
+
+    if (req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(readDetailPage(pathname) || page);
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  };
+
+  return http.createServer((req, res) => {
+    req.resume();
+    const delay = minLatency + random() * (maxLatency - minLatency);
+    if (delay > 0) {
+      setTimeout(() => respond(req, res), delay);
+    } else {
+      respond(req, res);
+    }
+  });
+}
+
+/**
+ * Reads the stub options from command line flags
+ * @param {Array<string>} args Arguments, e.g. ['--latency=200-800', '--failure-rate=0.2']
+ * @returns {Object} Options for createStubServer()
+ */
+function parseStubArgs(args) {
+  const flag = name => {
+    const arg = args.find(item => item.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const options = {};
+  if (flag('latency') !== undefined) options.latency = flag('latency');
+  if (flag('failure-rate') !== undefined) options.failureRate = Number(flag('failure-rate'));
+  if (flag('failure-status') !== undefined) options.failureStatus = parseInt(flag('failure-status'));
+  if (flag('details-dir') !== undefined) options.detailsDir = path.resolve(flag('details-dir'));
+  return options;
+}
+
+if (require.main === module) {
+  const [portArg, htmlFilePath] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const port = parseInt(portArg || '4010');
+  createStubServer({ htmlFilePath, ...parseStubArgs(process.argv.slice(2)) }).listen(port, () => {
+    console.log(`Sailor stub listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createStubServer, splitExport, parseStubArgs };
@@ -0,0 +1,106 @@
+const WatchRuleMatcher = require('../utils/WatchRuleMatcher');
+const EventDiff = require('../utils/EventDiff');
+const WebhookChannel = require('../notifications/WebhookChannel');
+const EmailChannel = require('../notifications/EmailChannel');
+const TelegramChannel = require('../notifications/TelegramChannel');
+const Logger = require('../utils/Logger');
+const ErrorSanitizer = require('../utils/ErrorSanitizer');
+
+/**
+ * Service class for notifying users about newly appeared sails
+ * Evaluates stored watch rules and delivers matches through pluggable channels.
+ * Only the scheduled /api/notify call sends notifications, never a public request.
+ */
+class NotificationService {
+  /**
+   * @param {JSONFileWatchStore} watchStore Store holding the watch rules
+   * @param {Object} [options] Service options
+   * @param {Object<string, BaseChannel>} [options.channels] Channels by type, defaults to webhook, email and telegram
+   * @param {Logger} [options.logger] Logger
+   */
+  constructor(watchStore, options = {}) {
+    this.watchStore = watchStore;
+    this.channels = options.channels || {
+      webhook: new WebhookChannel(),
+      email: new EmailChannel(),
+      telegram: new TelegramChannel()
+    };
+    this.logger = options.logger || new Logger();
+  }
+
+  /**
+   * Registers or replaces the channel used for a channel type
+   * @param {string} type Channel type as used in watch rules
+   * @param {BaseChannel} channel Channel instance
+   */
+  registerChannel(type, channel) {
+    this.channels[type] = channel;
+  }
+
+  /**
+   * Notifies watch rules about the events that appeared since the previous run
+   * The events are compared with the snapshot that was current at the previous
+   * run, so sails first recorded by other requests in between still count as new.
+   * The first run only records its time, since every event would count as new.
+   * @param {Array<Object>} events Freshly fetched events
+   * @param {string} timestamp ISO timestamp of the fetch
+   * @param {JSONFileSnapshotStore} snapshotStore Store holding the snapshot history
+   * @returns {Promise<Array<Object>>} Report per matching rule, see notifyNewEvents()
+   */
+  async notifySinceLastRun(events, timestamp, snapshotStore) {
+    const lastRunAt = await this.watchStore.startNotificationRun(timestamp);
+    if (!lastRunAt) {
+      return [];
+    }
+
+    const previous = await snapshotStore.getSnapshotAt(new Date(lastRunAt));
+    if (!previous) {
+      return [];
+    }
+    return this.notifyNewEvents(EventDiff.diff(previous.events, events).added);
+  }
+
+  /**
+   * Sends notifications for newly appeared events matching any watch rule
+   * One notification is sent per rule, listing all its matching events.
+   * A failing channel is logged and does not stop the other rules.
+   * @param {Array<Object>} events Newly appeared sailing events
+   * @returns {Promise<Array<Object>>} Report per matching rule: { ruleId, channel, matched, sent, error }
+   */
+  async notifyNewEvents(events) {
+    if (!events || events.length === 0) {
+      return [];
+    }
+
+    const rules = await this.watchStore.listRules();
+    const report = [];
+
+    for (const rule of rules) {
+      const matching = events.filter(event => WatchRuleMatcher.matches(rule, event));
+      if (matching.length === 0) {
+        continue;
+      }
+
+      const channel = this.channels[rule.channel.type];
+      const entry = { ruleId: rule.id, channel: rule.channel.type, matched: matching.length, sent: false };
+
+      try {
+        if (!channel) {
+          throw new Error(`No channel registered for type "${rule.channel.type}"`);
+        }
+        await channel.send(rule, matching);
+        entry.sent = true;
+        this.logger.info('Notification sent', { ruleId: rule.id, channel: channel.getChannelName(), sails: matching.length });
+      } catch (error) {
+        this.logger.error('Notification failed', { ruleId: rule.id, error });
+        entry.error = ErrorSanitizer.describe(error);
+      }
+
+      report.push(entry);
+    }
+
+    return report;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,168 @@
+const Logger = require('../utils/Logger');
+const ErrorSanitizer = require('../utils/ErrorSanitizer');
+
+/**
+ * Tracks provider outcomes for circuit breaking and health reporting
+ * Keeps a rolling window of recent calls per provider. State can be persisted
+ * through a cache backend so separate serverless functions (e.g. /api/health)
+ * see the same statistics; a Redis backend shares it across instances.
+ */
+class ProviderHealthMonitor {
+  static STATE_KEY = 'provider-health';
+  static STATE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+  /**
+   * @param {Object} [config] Monitor configuration
+   * @param {BaseCacheBackend} [config.backend] Backend the state is loaded from and saved to
+   * @param {number} [config.windowSize] Number of recent calls kept per provider (default 50)
+   * @param {number} [config.failureThreshold] Consecutive failures that open the circuit (default 3)
+   * @param {number} [config.cooldownMs] How long an open circuit rejects calls (default 60000)
+   * @param {Logger} [config.logger] Logger
+   */
+  constructor(config = {}) {
+    this.backend = config.backend || null;
+    this.windowSize = config.windowSize || 50;
+    this.failureThreshold = config.failureThreshold || 3;
+    this.cooldownMs = config.cooldownMs || 60000;
+    this.providers = new Map();
+    this.logger = config.logger || new Logger();
+  }
+
+  /**
+   * Loads the persisted state, keeping the current state if the backend fails
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.backend) return;
+    try {
+      const entry = await this.backend.get(ProviderHealthMonitor.STATE_KEY);
+      if (entry) {
+        this.providers = new Map(Object.entries(entry.value));
+      }
+    } catch (error) {
+      this.logger.error('Failed to load provider health', { error });
+    }
+  }
+
+  /**
+   * Persists the current state
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.backend) return;
+    try {
+      await this.backend.set(ProviderHealthMonitor.STATE_KEY, {
+        value: Object.fromEntries(this.providers),
+        storedAt: new Date().toISOString()
+      }, ProviderHealthMonitor.STATE_TTL_SECONDS);
+    } catch (error) {
+      this.logger.error('Failed to save provider health', { error });
+    }
+  }
+
+  /**
+   * Gets (creating if needed) the state of a provider
+   * @param {string} name Provider name
+   * @returns {Object} Provider state
+   */
+  getState(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, {
+        calls: [],
+        consecutiveFailures: 0,
+        openUntil: 0,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null
+      });
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Checks whether a provider may be called
+   * Once the cooldown of an open circuit has passed, calls are let through
+   * again (half-open); the next outcome closes or reopens the circuit.
+   * @param {string} name Provider name
+   * @returns {boolean} True if the circuit is not open
+   */
+  isAvailable(name) {
+    return this.getState(name).openUntil <= Date.now();
+  }
+
+  /**
+   * Records a successful call
+   * @param {string} name Provider name
+   * @param {number} durationMs Call duration
+   */
+  recordSuccess(name, durationMs) {
+    const state = this.getState(name);
+    this.pushCall(state, { success: true, durationMs });
+    state.consecutiveFailures = 0;
+    state.openUntil = 0;
+    state.lastSuccessAt = new Date().toISOString();
+  }
+
+  /**
+   * Records a failed call, opening the circuit after too many consecutive failures
+   * @param {string} name Provider name
+   * @param {number} durationMs Call duration
+   * @param {Error} error Failure
+   */
+  recordFailure(name, durationMs, error) {
+    const state = this.getState(name);
+    this.pushCall(state, { success: false, durationMs });
+    state.consecutiveFailures++;
+    state.lastError = ErrorSanitizer.describe(error);
+    state.lastFailureAt = new Date().toISOString();
+
+    if (state.consecutiveFailures >= this.failureThreshold) {
+      state.openUntil = Date.now() + this.cooldownMs;
+      this.logger.warn('Circuit opened', { provider: name, consecutiveFailures: state.consecutiveFailures });
+    }
+  }
+
+  /**
+   * Adds a call to the rolling window
+   * @param {Object} state Provider state
+   * @param {Object} call { success, durationMs }
+   */
+  pushCall(state, call) {
+    state.calls.push(call);
+    if (state.calls.length > this.windowSize) {
+      state.calls.shift();
+    }
+  }
+
+  /**
+   * Summarizes the health of every provider seen so far
+   * @returns {Object} Map of provider name to { calls, successRate, avgLatencyMs, circuit, ... }
+   */
+  getStats() {
+    const stats = {};
+    this.providers.forEach((state, name) => {
+      const successes = state.calls.filter(call => call.success).length;
+      const totalLatency = state.calls.reduce((sum, call) => sum + call.durationMs, 0);
+      let circuit = 'closed';
+      if (state.openUntil > Date.now()) {
+        circuit = 'open';
+      } else if (state.consecutiveFailures >= this.failureThreshold) {
+        circuit = 'half-open';
+      }
+
+      stats[name] = {
+        calls: state.calls.length,
+        successRate: state.calls.length ? successes / state.calls.length : null,
+        avgLatencyMs: state.calls.length ? Math.round(totalLatency / state.calls.length) : null,
+        circuit,
+        consecutiveFailures: state.consecutiveFailures,
+        lastSuccessAt: state.lastSuccessAt,
+        lastFailureAt: state.lastFailureAt,
+        lastError: state.lastError
+      };
+    });
+    return stats;
+  }
+}
+
+module.exports = ProviderHealthMonitor;
@@ -0,0 +1,86 @@
+const Logger = require('../utils/Logger');
+
+/**
+ * Fixed-window request limits per client IP and across all clients
+ * Counters are kept in a cache backend, like the provider health state: with
+ * Redis every instance shares them, otherwise each warm instance counts its
+ * own requests. Counting reads then writes, so a burst of concurrent
+ * requests may get a few past a limit; that is acceptable for keeping
+ * scraping costs in check.
+ */
+class RateLimiter {
+  static KEY_PREFIX = 'rate-limit';
+
+  /**
+   * @param {Object} [config] Limiter configuration (see rateLimit in AppConfig)
+   * @param {BaseCacheBackend} config.backend Backend the counters are kept in
+   * @param {number} [config.windowSeconds] Length of a window (default 60)
+   * @param {number} [config.perIp] Requests per IP and window, 0 for no limit
+   * @param {number} [config.global] Requests per window across all clients, 0 for no limit
+   * @param {Logger} [config.logger] Logger
+   */
+  constructor(config = {}) {
+    this.backend = config.backend;
+    this.windowSeconds = config.windowSeconds || 60;
+    this.perIp = config.perIp || 0;
+    this.global = config.global || 0;
+    this.logger = config.logger || new Logger();
+  }
+
+  /**
+   * Counts a request and checks it against the limits
+   * Requests refused by the per-IP limit are not counted globally, so one
+   * client cannot use up everyone's allowance. If the backend fails the
+   * request is let through.
+   * @param {string} ip Client IP
+   * @param {number} [now] Current time in epoch milliseconds
+   * @returns {Promise<Object>} { allowed, scope ('ip', 'global' or null), limit, remaining, retryAfter };
+   *   limit and remaining refer to the per-IP limit unless the global one refused the request,
+   *   retryAfter is the number of seconds until the window ends
+   */
+  async consume(ip, now = Date.now()) {
+    const windowMs = this.windowSeconds * 1000;
+    const window = Math.floor(now / windowMs);
+    const retryAfter = Math.ceil(((window + 1) * windowMs - now) / 1000);
+
+    try {
+      let ipCount = null;
+      if (this.perIp > 0) {
+        ipCount = await this.increment(`ip:${ip}`, window);
+        if (ipCount > this.perIp) {
+          return { allowed: false, scope: 'ip', limit: this.perIp, remaining: 0, retryAfter };
+        }
+      }
+      if (this.global > 0 && await this.increment('global', window) > this.global) {
+        return { allowed: false, scope: 'global', limit: this.global, remaining: 0, retryAfter };
+      }
+      return {
+        allowed: true,
+        scope: null,
+        limit: this.perIp || null,
+        remaining: ipCount === null ? null : this.perIp - ipCount,
+        retryAfter
+      };
+
+    } catch (error) {
+      this.logger.error('Rate limit check failed, allowing the request', { error });
+      return { allowed: true, scope: null, limit: null, remaining: null, retryAfter };
+    }
+  }
+
+  /**
+   * Increments a counter of the current window
+   * @param {string} name Counter name
+   * @param {number} window Window number
+   * @returns {Promise<number>} Count including this request
+   */
+  async increment(name, window) {
+    const key = `${RateLimiter.KEY_PREFIX}:${name}:${window}`;
+    const entry = await this.backend.get(key);
+    const count = (entry ? entry.value : 0) + 1;
+    await this.backend.set(key, { value: count, storedAt: new Date().toISOString() }, this.windowSeconds);
+    return count;
+  }
+}
+
+module.exports = RateLimiter;
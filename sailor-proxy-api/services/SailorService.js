@@ -1,11 +1,32 @@
+const EventFilter = require('../utils/EventFilter');
+const EventDiff = require('../utils/EventDiff');
+const EventAnalytics = require('../utils/EventAnalytics');
+const EventAvailability = require('../utils/EventAvailability');
+const EventLocalizer = require('../utils/EventLocalizer');
+const Logger = require('../utils/Logger');
+const EventSchema = require('../schema/EventSchema');
+const ErrorSanitizer = require('../utils/ErrorSanitizer');
+
 /**
  * Service class for orchestrating sailing data providers
  * Uses Strategy pattern to support multiple data providers
  * No parsing logic - delegates all data processing to providers
  */
 class SailorService {
-  constructor(provider) {
+  /**
+   * @param {BaseProvider} provider Provider instance
+   * @param {Object} [options] Service options
+   * @param {JSONFileSnapshotStore} [options.snapshotStore] Store used to record and diff scrapes
+   * @param {boolean} [options.live] Whether the provider scrapes the live site (default true); only
+   *   live data is recorded in the snapshot archive and compared with it, so a request for the
+   *   bundled static export cannot rewrite the baseline of /api/changes and the analytics
+   * @param {Logger} [options.logger] Logger, usually carrying the request ID
+   */
+  constructor(provider, options = {}) {
     this.provider = provider;
+    this.snapshotStore = options.snapshotStore || null;
+    this.live = options.live !== false;
+    this.logger = options.logger || new Logger();
   }
 
   /**
@@ -24,11 +45,24 @@ class SailorService {
     return this.provider ? this.provider.getProviderName() : 'None';
   }
 
+  static DETAILS_CONCURRENCY = 4;
+
   /**
    * Main method to get sailing events from the provider
-   * @returns {Promise<Object>} Result object with events and metadata
+   * @param {Object} [filterOptions] Options from EventFilter.parseQuery() to filter, sort and paginate with
+   * @param {Object} [options] Fetch options
+   * @param {boolean} [options.includeDetails] Embed each returned sail's detail page as `details`
+   * @param {boolean} [options.includeRemoved] List the sails that dropped off the listing before
+   *   their start as `removedEvents`; needs the snapshot store and a live provider
+   * @param {string} [options.lang] Add display labels in this language, see EventLocalizer
+   * Scraped events that do not match the EventSchema are dropped and listed in `rejectedEvents`,
+   * so consumers only ever receive schema-conforming events. Every event gets its booking
+   * `status`, see EventAvailability.
+   * @returns {Promise<Object>} Result object with events and metadata. `timings` holds
+   *   { fetchMs, parseMs, totalMs }; fetchMs and parseMs are null when nothing was
+   *   fetched or parsed (cache hit, snapshot)
    */
-  async getSailingEvents() {
+  async getSailingEvents(filterOptions = null, options = {}) {
     if (!this.provider) {
       return {
         success: false,
@@ -38,34 +72,314 @@ class SailorService {
       };
     }
 
+    const startedAt = Date.now();
     try {
-      console.log(`Using ${this.getProviderName()} provider to fetch sailing data`);
+      const { events, rejected } = EventSchema.filterValid(await this.provider.getSailingEvents());
+      const timestamp = new Date().toISOString();
       
-      const events = await this.provider.getSailingEvents();
+      const fetchMetadata = this.provider.getFetchMetadata ? this.provider.getFetchMetadata() : null;
       
-      return {
+      const result = {
         success: true,
-        events: events,
+        schemaVersion: EventSchema.VERSION,
+        events: EventAvailability.annotate(events),
         contentFound: events.length > 0,
-        provider: this.getProviderName(),
-        timestamp: new Date().toISOString()
+        provider: (fetchMetadata && fetchMetadata.servedBy) || this.getProviderName(),
+        timestamp
       };
       
-    } catch (error) {
-      console.error(`${this.getProviderName()} provider error:`, error.message);
+      const { diagnostics, timings, ...source } = fetchMetadata || {};
+      if (fetchMetadata) {
+        result.source = source;
+        if (diagnostics) {
+          result.diagnostics = diagnostics;
+        }
+      }
       
-      let errorDetails = error.message;
-      if (error.response) {
-        errorDetails = `Status: ${error.response.status}, Data: ${JSON.stringify(error.response.data)}`;
+      if (rejected.length > 0) {
+        this.logger.warn('Dropped events not matching the schema', { rejected });
+        result.rejectedEvents = rejected;
       }
       
-      return {
+      // Fallback data (old snapshot, static file) must not be recorded as a fresh scrape
+      if (this.snapshotStore && this.live && !(fetchMetadata && fetchMetadata.degraded)) {
+        const fromCache = Boolean(fetchMetadata && ['HIT', 'STALE'].includes(fetchMetadata.cache));
+        result.changes = await this.recordSnapshot(events, timestamp, !fromCache);
+      }
+      
+      if (filterOptions) {
+        const { events: page, total, facets, pagination } = EventFilter.apply(result.events, filterOptions);
+        Object.assign(result, { events: page, total, facets, pagination });
+      }
+      
+      if (options.includeDetails) {
+        // Detail pages may give a more precise seat count than the cards
+        result.events = EventAvailability.annotate(await this.attachDetails(result.events));
+      }
+      
+      if (options.includeRemoved && this.snapshotStore && this.live) {
+        result.removedEvents = await this.getRemovedEvents(events);
+      }
+      
+      if (options.lang) {
+        result.events = EventLocalizer.localize(result.events, options.lang);
+        if (result.removedEvents) {
+          result.removedEvents = EventLocalizer.localize(result.removedEvents, options.lang);
+        }
+      }
+      
+      result.timings = {
+        fetchMs: timings ? timings.fetchMs : null,
+        parseMs: timings ? timings.parseMs : null,
+        totalMs: Date.now() - startedAt
+      };
+      this.logger.info('Fetched sailing events', {
+        provider: result.provider,
+        cache: source.cache,
+        degraded: source.degraded,
+        count: events.length,
+        returned: result.events.length,
+        ...result.timings
+      });
+      
+      return result;
+      
+    } catch (error) {
+      this.logger.error('Fetching sailing events failed', { provider: this.getProviderName(), durationMs: Date.now() - startedAt, error });
+      
+      // Upstream payloads and keys stay in the log
+      const result = {
         success: false,
-        error: errorDetails,
+        error: ErrorSanitizer.describe(error),
         message: `Failed to fetch sailing data from ${this.getProviderName()}`,
         provider: this.getProviderName(),
         timestamp: new Date().toISOString()
       };
+      if (error.attempts) {
+        result.attempts = error.attempts;
+      }
+      return result;
+    }
+  }
+
+  /**
+   * Gets one sail together with the details from its detail page
+   * @param {string} id Sail ID
+   * @param {Object} [options] Options
+   * @param {string} [options.lang] Add display labels in this language, see EventLocalizer
+   * @returns {Promise<Object>} Result object with the event and its `details`;
+   *   `notFound` is set if no current sail has the ID
+   */
+  async getEventDetails(id, options = {}) {
+    const listResult = await this.getSailingEvents();
+    if (!listResult.success) {
+      return listResult;
+    }
+
+    const event = listResult.events.find(e => e.id === id);
+    if (!event) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Sail "${id}" not found`,
+        message: 'No current sail has this ID',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    try {
+      const details = await this.provider.getEventDetails(event);
+      let [detailed] = EventAvailability.annotate([{ ...event, details }]);
+      if (options.lang) {
+        [detailed] = EventLocalizer.localize([detailed], options.lang);
+      }
+      return {
+        success: true,
+        schemaVersion: EventSchema.VERSION,
+        event: detailed,
+        provider: listResult.provider,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.logger.error('Fetching sail details failed', { id, error });
+      const result = {
+        success: false,
+        error: ErrorSanitizer.describe(error),
+        message: `Failed to fetch details of sail ${id}`,
+        event,
+        timestamp: new Date().toISOString()
+      };
+      if (error.attempts) {
+        result.attempts = error.attempts;
+      }
+      return result;
+    }
+  }
+
+  /**
+   * Adds detail page data to events, a few sails at a time
+   * A sail whose details cannot be fetched gets `details: null` and a `detailsError`
+   * @param {Array<Object>} events Events to add details to
+   * @returns {Promise<Array<Object>>} Copies of the events with `details`
+   */
+  async attachDetails(events) {
+    const results = new Array(events.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < events.length) {
+        const index = next++;
+        const event = events[index];
+        try {
+          results[index] = { ...event, details: await this.provider.getEventDetails(event) };
+        } catch (error) {
+          this.logger.warn('Fetching sail details failed', { id: event.id, error });
+          results[index] = { ...event, details: null, detailsError: ErrorSanitizer.describe(error) };
+        }
+      }
+    };
+
+    const workers = Math.min(SailorService.DETAILS_CONCURRENCY, events.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
+  }
+
+  /**
+   * Lists the archived sails that dropped off the listing before their start
+   * A store failure is logged and reported as no removed sails, like snapshot errors
+   * @param {Array<Object>} events Sails listed now
+   * @returns {Promise<Array<Object>>} Removed sails, see EventAvailability.findRemoved()
+   */
+  async getRemovedEvents(events) {
+    try {
+      return EventAvailability.findRemoved(await this.snapshotStore.listSnapshots(), events);
+    } catch (error) {
+      this.logger.error('Reading the snapshot archive failed', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Fetches current events and reports what changed since a point in time
+   * @param {Date} [since] Compare against the snapshot that was current at this time;
+   *   defaults to the snapshot taken before this fetch
+   * @returns {Promise<Object>} Result object with added, removed and changed events
+   */
+  async getChanges(since = null) {
+    if (!this.snapshotStore) {
+      return {
+        success: false,
+        error: 'No snapshot store configured',
+        message: 'Change detection is not configured',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    if (!this.live) {
+      return {
+        success: false,
+        error: `Provider ${this.getProviderName()} does not scrape the live site`,
+        message: 'Change detection needs a live provider',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // Pick the baseline before fetching, since the fetch may store a new snapshot
+    const baseline = since
+      ? await this.snapshotStore.getSnapshotAt(since)
+      : await this.snapshotStore.getLatestSnapshot();
+
+    const result = await this.getSailingEvents();
+    if (!result.success) {
+      return result;
+    }
+
+    const diff = EventDiff.diff(baseline ? baseline.events : [], result.events);
+
+    return {
+      success: true,
+      schemaVersion: EventSchema.VERSION,
+      since: since ? since.toISOString() : null,
+      baseline: baseline ? { timestamp: baseline.timestamp, checkedAt: baseline.checkedAt, provider: baseline.provider } : null,
+      summary: EventDiff.summarize(diff),
+      added: diff.added,
+      removed: diff.removed,
+      changed: diff.changed,
+      provider: result.provider,
+      timestamp: result.timestamp
+    };
+  }
+
+  /**
+   * Reports listing times, schedule and lead times over the snapshot archive
+   * Reads the stored snapshots only; the archive grows with every scrape that changes the listing.
+   * @returns {Promise<Object>} Result object with the statistics, see EventAnalytics.analyze()
+   */
+  async getAnalytics() {
+    if (!this.snapshotStore) {
+      return {
+        success: false,
+        error: 'No snapshot store configured',
+        message: 'Analytics need the snapshot archive',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    try {
+      const snapshots = await this.snapshotStore.listSnapshots();
+      return {
+        success: true,
+        schemaVersion: EventSchema.VERSION,
+        ...EventAnalytics.analyze(snapshots),
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.logger.error('Reading the snapshot archive failed', { error });
+      return {
+        success: false,
+        error: ErrorSanitizer.describe(error),
+        message: 'Failed to read the snapshot archive',
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Compares events with the latest stored snapshot and stores them if they changed
+   * Unchanged events only refresh the latest snapshot's checkedAt when they were
+   * really fetched: cache hits would otherwise rewrite the archive on every request.
+   * Store failures are logged and never fail the fetch itself. Watch rules are
+   * notified separately, by /api/notify.
+   * @param {Array<Object>} events Fetched events
+   * @param {string} timestamp ISO timestamp of the fetch
+   * @param {boolean} [fresh] Whether the events were fetched now rather than served from the cache
+   * @returns {Promise<Object|null>} Change counts against the previous snapshot,
+   *   or null if there was no previous snapshot or the store failed
+   */
+  async recordSnapshot(events, timestamp, fresh = true) {
+    try {
+      const previous = await this.snapshotStore.getLatestSnapshot();
+      const snapshot = { timestamp, provider: this.getProviderName(), events };
+
+      if (!previous) {
+        await this.snapshotStore.saveSnapshot(snapshot);
+        return null;
+      }
+
+      const diff = EventDiff.diff(previous.events, events);
+      if (EventDiff.hasChanges(diff)) {
+        await this.snapshotStore.saveSnapshot(snapshot);
+      } else if (fresh) {
+        await this.snapshotStore.touchLatestSnapshot(timestamp);
+      }
+
+      return { ...EventDiff.summarize(diff), since: previous.timestamp };
+
+    } catch (error) {
+      this.logger.error('Snapshot store error', { error });
+      return null;
     }
   }
 }
@@ -0,0 +1,167 @@
+const SailorService = require('./SailorService');
+const NotificationService = require('./NotificationService');
+const ProviderHealthMonitor = require('./ProviderHealthMonitor');
+const RateLimiter = require('./RateLimiter');
+const AppConfig = require('../config/AppConfig');
+const ProviderFactory = require('../providers/ProviderFactory');
+const CachingProvider = require('../providers/CachingProvider');
+const FallbackProvider = require('../providers/FallbackProvider');
+const SnapshotProvider = require('../providers/SnapshotProvider');
+const MemoryCacheBackend = require('../cache/MemoryCacheBackend');
+const FileCacheBackend = require('../cache/FileCacheBackend');
+const RedisCacheBackend = require('../cache/RedisCacheBackend');
+const JSONFileSnapshotStore = require('../stores/JSONFileSnapshotStore');
+const JSONFileWatchStore = require('../stores/JSONFileWatchStore');
+const WebhookChannel = require('../notifications/WebhookChannel');
+const EmailChannel = require('../notifications/EmailChannel');
+const TelegramChannel = require('../notifications/TelegramChannel');
+const Logger = require('../utils/Logger');
+
+/**
+ * Factory wiring SailorService with its stores and collaborators
+ * Shared by all API routes so every live fetch records a snapshot.
+ * All settings come from AppConfig. Routes pass their request logger, so every
+ * entry written while serving a request carries its request ID.
+ */
+class ServiceFactory {
+  static LIVE_PROVIDERS = ['scrapingbee', 'direct'];
+
+  /**
+   * Creates a fully wired SailorService
+   * @param {string} [providerName] Provider name, see ProviderFactory.create(); the configured default if omitted
+   * @param {Object} [config] Application configuration, AppConfig.get() by default
+   * @param {Logger} [logger] Logger, e.g. from HttpUtils.startRequest(); the configured logger if omitted
+   * @returns {SailorService} Service instance
+   */
+  static createSailorService(providerName, config = AppConfig.get(), logger = ServiceFactory.createLogger(config)) {
+    const name = providerName || config.defaultProvider;
+    const snapshotStore = ServiceFactory.createSnapshotStore(config);
+    const provider = ServiceFactory.createProvider(name, snapshotStore, config, logger);
+    return new SailorService(provider, { snapshotStore, live: ServiceFactory.LIVE_PROVIDERS.includes(name), logger });
+  }
+
+  /**
+   * Creates the provider for a name
+   * Live providers are cached and backed by a fallback chain: live scrape,
+   * then the last good snapshot, then the bundled static HTML file.
+   * @param {string} providerName Provider name, see ProviderFactory.create()
+   * @param {JSONFileSnapshotStore} snapshotStore Store the snapshot fallback reads from
+   * @param {Object} [config] Application configuration
+   * @param {Logger} [logger] Logger
+   * @returns {BaseProvider} Provider instance
+   */
+  static createProvider(providerName, snapshotStore, config = AppConfig.get(), logger = ServiceFactory.createLogger(config)) {
+    if (!ServiceFactory.LIVE_PROVIDERS.includes(providerName)) {
+      return ServiceFactory.createCachedProvider(providerName, config, logger);
+    }
+
+    return new FallbackProvider({
+      logger,
+      healthMonitor: ServiceFactory.createHealthMonitor(config, logger),
+      providers: [
+        { provider: ServiceFactory.createCachedProvider(providerName, config, logger), timeout: config.timeouts.liveProvider },
+        { provider: new SnapshotProvider({ snapshotStore, logger }), timeout: config.timeouts.fallbackProvider },
+        { provider: ProviderFactory.create('static', config, logger), timeout: config.timeouts.fallbackProvider }
+      ]
+    });
+  }
+
+  /**
+   * Creates a provider wrapped in the server-side cache
+   * @param {string} providerName Provider name, see ProviderFactory.create()
+   * @param {Object} [config] Application configuration
+   * @param {Logger} [logger] Logger
+   * @returns {CachingProvider} Cached provider
+   */
+  static createCachedProvider(providerName, config = AppConfig.get(), logger = ServiceFactory.createLogger(config)) {
+    return new CachingProvider(ProviderFactory.create(providerName, config, logger), {
+      backend: ServiceFactory.createCacheBackend(config),
+      ttl: config.cache.ttl,
+      staleWhileRevalidate: config.cache.staleWhileRevalidate,
+      logger
+    });
+  }
+
+  /**
+   * Creates the configured cache backend ('memory', 'file' or 'redis')
+   * @param {Object} [config] Application configuration
+   * @returns {BaseCacheBackend} Cache backend
+   */
+  static createCacheBackend(config = AppConfig.get()) {
+    switch (config.cache.backend) {
+      case 'file':
+        return new FileCacheBackend({ filePath: config.cache.filePath });
+      case 'redis':
+        return new RedisCacheBackend({ url: config.cache.redisUrl });
+      default:
+        return new MemoryCacheBackend();
+    }
+  }
+
+  /**
+   * Creates a provider health monitor persisted in the cache backend
+   * @param {Object} [config] Application configuration
+   * @param {Logger} [logger] Logger
+   * @returns {ProviderHealthMonitor} Monitor instance; call load() before reading stats
+   */
+  static createHealthMonitor(config = AppConfig.get(), logger = ServiceFactory.createLogger(config)) {
+    return new ProviderHealthMonitor({ backend: ServiceFactory.createCacheBackend(config), logger });
+  }
+
+  /**
+   * Creates the request rate limiter, counting in the cache backend
+   * @param {Object} [config] Application configuration
+   * @param {Logger} [logger] Logger
+   * @returns {RateLimiter} Limiter instance
+   */
+  static createRateLimiter(config = AppConfig.get(), logger = ServiceFactory.createLogger(config)) {
+    return new RateLimiter({ ...config.rateLimit, backend: ServiceFactory.createCacheBackend(config), logger });
+  }
+
+  /**
+   * Creates the logger configured for this environment (see logging in AppConfig)
+   * @param {Object} [config] Application configuration
+   * @returns {Logger} Logger instance
+   */
+  static createLogger(config = AppConfig.get()) {
+    return new Logger(config.logging);
+  }
+
+  /**
+   * Creates the snapshot store
+   * @param {Object} [config] Application configuration
+   * @returns {JSONFileSnapshotStore} Snapshot store
+   */
+  static createSnapshotStore(config = AppConfig.get()) {
+    return new JSONFileSnapshotStore({ filePath: config.stores.snapshotFile, maxSnapshots: config.stores.maxSnapshots });
+  }
+
+  /**
+   * Creates the watch rule store
+   * @param {Object} [config] Application configuration
+   * @returns {JSONFileWatchStore} Watch rule store
+   */
+  static createWatchStore(config = AppConfig.get()) {
+    return new JSONFileWatchStore({ filePath: config.stores.watchFile });
+  }
+
+  /**
+   * Creates a NotificationService backed by the watch rule store
+   * @param {Object} [config] Application configuration
+   * @param {Logger} [logger] Logger
+   * @returns {NotificationService} Service instance
+   */
+  static createNotificationService(config = AppConfig.get(), logger = ServiceFactory.createLogger(config)) {
+    const timeout = config.timeouts.notification;
+    return new NotificationService(ServiceFactory.createWatchStore(config), {
+      logger,
+      channels: {
+        webhook: new WebhookChannel({ timeout }),
+        email: new EmailChannel(config.notifications.smtp),
+        telegram: new TelegramChannel({ ...config.notifications.telegram, timeout })
+      }
+    });
+  }
+}
+
+module.exports = ServiceFactory;
@@ -0,0 +1,91 @@
+const JSONFileStore = require('./JSONFileStore');
+
+/**
+ * Snapshot store backed by a local JSON file
+ * Keeps the event lists returned by successive scrapes so they can be diffed.
+ * A new snapshot is only written when the events changed; otherwise the
+ * latest snapshot's checkedAt timestamp is refreshed. The history feeds
+ * EventAnalytics; maxSnapshots bounds it, since every write rewrites the file.
+ */
+class JSONFileSnapshotStore extends JSONFileStore {
+  /**
+   * @param {Object} [config] Store configuration
+   * @param {string} [config.filePath] Path of the JSON file, in the temp directory by default
+   * @param {number} [config.maxSnapshots] Number of snapshots kept, 0 or none keeps all (see stores.maxSnapshots in AppConfig)
+   */
+  constructor(config = {}) {
+    super(config.filePath, 'sailor-snapshots.json');
+    this.maxSnapshots = config.maxSnapshots || 0;
+  }
+
+  /**
+   * Reads all stored snapshots, oldest first
+   * @returns {Promise<Array<Object>>} Snapshots ({ timestamp, checkedAt, provider, events })
+   */
+  async listSnapshots() {
+    return JSONFileSnapshotStore.getSnapshots(await this.read({ snapshots: [] }));
+  }
+
+  /**
+   * Gets the most recent snapshot
+   * @returns {Promise<Object|null>} Latest snapshot or null if none stored
+   */
+  async getLatestSnapshot() {
+    const snapshots = await this.listSnapshots();
+    return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+  }
+
+  /**
+   * Gets the snapshot that was current at a given time
+   * @param {Date} date Point in time
+   * @returns {Promise<Object|null>} Latest snapshot taken at or before the date,
+   *   the oldest snapshot if all are newer, or null if none stored
+   */
+  async getSnapshotAt(date) {
+    const snapshots = await this.listSnapshots();
+    if (snapshots.length === 0) return null;
+
+    const time = date.getTime();
+    const before = snapshots.filter(snapshot => Date.parse(snapshot.timestamp) <= time);
+    return before.length > 0 ? before[before.length - 1] : snapshots[0];
+  }
+
+  /**
+   * Stores a new snapshot, dropping the oldest ones beyond maxSnapshots if set
+   * @param {Object} snapshot { timestamp, provider, events }
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot(snapshot) {
+    await this.update({ snapshots: [] }, data => {
+      const snapshots = JSONFileSnapshotStore.getSnapshots(data);
+      snapshots.push({ ...snapshot, checkedAt: snapshot.timestamp });
+      return { snapshots: this.maxSnapshots > 0 ? snapshots.slice(-this.maxSnapshots) : snapshots };
+    });
+  }
+
+  /**
+   * Marks the latest snapshot as still current
+   * @param {string} timestamp ISO timestamp of the check
+   * @returns {Promise<void>}
+   */
+  async touchLatestSnapshot(timestamp) {
+    await this.update({ snapshots: [] }, data => {
+      const snapshots = JSONFileSnapshotStore.getSnapshots(data);
+      if (snapshots.length === 0) return undefined;
+
+      snapshots[snapshots.length - 1].checkedAt = timestamp;
+      return { snapshots };
+    });
+  }
+
+  /**
+   * Gets the snapshot list of the stored data
+   * @param {Object} data Parsed file contents
+   * @returns {Array<Object>} Snapshots, empty if the file holds none
+   */
+  static getSnapshots(data) {
+    return Array.isArray(data.snapshots) ? data.snapshots : [];
+  }
+}
+
+module.exports = JSONFileSnapshotStore;
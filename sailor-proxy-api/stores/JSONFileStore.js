@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Pending updates per file path, shared by all store instances of the process
+const updateQueues = new Map();
+
+/**
+ * Base class for stores persisted as a single local JSON file
+ * Handles reading, missing files and atomic writes. Read-modify-write changes
+ * go through update(), which runs them one at a time per file so concurrent
+ * requests in the same process do not overwrite each other's changes.
+ */
+class JSONFileStore {
+  /**
+   * @param {string} filePath Path of the JSON file
+   * @param {string} defaultFileName File name used in the temp directory when no path is given
+   */
+  constructor(filePath, defaultFileName) {
+    // /tmp is the only writable location on Vercel
+    this.filePath = filePath || path.join(os.tmpdir(), defaultFileName);
+  }
+
+  /**
+   * Reads the stored data
+   * @param {Object} defaults Value returned when the file does not exist yet
+   * @returns {Promise<Object>} Parsed file contents
+   */
+  async read(defaults) {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return defaults;
+      }
+      throw new Error(`Failed to read store file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writes data atomically (temp file + rename)
+   * Every write uses its own temp file, so concurrent writes cannot rename each other's.
+   * @param {Object} data Data to write
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    const tempPath = `${this.filePath}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(data), 'utf8');
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Reads, changes and writes the stored data, after any update of the same file
+   * still in progress
+   * @param {Object} defaults Value passed to the updater when the file does not exist yet
+   * @param {Function} updater Receives the current data and returns (or resolves to) the
+   *   data to write, or undefined to leave the file unchanged
+   * @returns {Promise<Object>} The data as stored after the update
+   */
+  async update(defaults, updater) {
+    const previous = updateQueues.get(this.filePath) || Promise.resolve();
+    const run = previous.then(async () => {
+      const current = await this.read(defaults);
+      const next = await updater(current);
+      if (next === undefined) {
+        return current;
+      }
+      await this.write(next);
+      return next;
+    });
+
+    // Later updates wait for this one whether it succeeds or fails
+    const settled = run.catch(() => {});
+    updateQueues.set(this.filePath, settled);
+    settled.then(() => {
+      if (updateQueues.get(this.filePath) === settled) {
+        updateQueues.delete(this.filePath);
+      }
+    });
+    return run;
+  }
+}
+
+module.exports = JSONFileStore;
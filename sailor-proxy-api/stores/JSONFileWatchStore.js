@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const JSONFileStore = require('./JSONFileStore');
+
+/**
+ * Watch rule store backed by a local JSON file
+ * Watch rules describe which newly appeared sails a user wants to be notified about.
+ * Each rule gets a secret, handed out once on creation, that is needed to
+ * remove it; only its hash is stored.
+ */
+class JSONFileWatchStore extends JSONFileStore {
+  constructor(config = {}) {
+    super(config.filePath, 'sailor-watches.json');
+  }
+
+  /**
+   * Lists all watch rules
+   * @returns {Promise<Array<Object>>} Watch rules
+   */
+  async listRules() {
+    return JSONFileWatchStore.getRules(await this.read({ rules: [] }));
+  }
+
+  /**
+   * Adds a watch rule, assigning it an ID and a removal secret
+   * @param {Object} rule Validated watch rule
+   * @returns {Promise<Object>} Stored rule including id and createdAt, plus the
+   *   secret, which is not stored and cannot be retrieved later
+   */
+  async addRule(rule) {
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const stored = {
+      ...rule,
+      id: crypto.randomUUID(),
+      secretHash: JSONFileWatchStore.hashSecret(secret).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+    await this.update({ rules: [] }, data => ({ ...data, rules: [...JSONFileWatchStore.getRules(data), stored] }));
+
+    const { secretHash, ...created } = stored;
+    return { ...created, secret };
+  }
+
+  /**
+   * Removes a watch rule
+   * @param {string} id Rule ID
+   * @param {string} secret Secret returned when the rule was added
+   * @returns {Promise<boolean>} True if a rule was removed, false if the ID is
+   *   unknown or the secret does not match
+   */
+  async removeRule(id, secret) {
+    const given = JSONFileWatchStore.hashSecret(String(secret || ''));
+    let removed = false;
+    await this.update({ rules: [] }, data => {
+      const rules = JSONFileWatchStore.getRules(data);
+      const target = rules.find(rule => rule.id === id);
+      if (!target || !target.secretHash || !crypto.timingSafeEqual(Buffer.from(target.secretHash, 'hex'), given)) {
+        return undefined;
+      }
+      removed = true;
+      return { ...data, rules: rules.filter(rule => rule !== target) };
+    });
+    return removed;
+  }
+
+  /**
+   * Records a notification run, so the next run only notifies sails that appeared since
+   * Runs are recorded one at a time, so of two overlapping runs only the first
+   * sees the older time and the second has nothing left to notify.
+   * @param {string} timestamp ISO timestamp of the events this run notifies about
+   * @returns {Promise<string|null>} Timestamp of the previous run, null on the first run
+   */
+  async startNotificationRun(timestamp) {
+    let previous = null;
+    await this.update({ rules: [] }, data => {
+      previous = data.lastNotifiedAt || null;
+      return { ...data, lastNotifiedAt: timestamp };
+    });
+    return previous;
+  }
+
+  /**
+   * Gets the rule list of the stored data
+   * @param {Object} data Parsed file contents
+   * @returns {Array<Object>} Watch rules, empty if the file holds none
+   */
+  static getRules(data) {
+    return Array.isArray(data.rules) ? data.rules : [];
+  }
+
+  /**
+   * Hashes a rule secret for storage and comparison
+   * @param {string} secret Rule secret
+   * @returns {Buffer} SHA-256 digest
+   */
+  static hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+}
+
+module.exports = JSONFileWatchStore;
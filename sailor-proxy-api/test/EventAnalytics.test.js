@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventAnalytics = require('../utils/EventAnalytics');
+const EventSchema = require('../schema/EventSchema');
+const SailorService = require('../services/SailorService');
+const JSONFileSnapshotStore = require('../stores/JSONFileSnapshotStore');
+const { readGolden, silenceConsole } = require('./helpers/golden');
+
+silenceConsole();
+
+/**
+ * Builds an event with the fields the statistics read
+ * @param {string} id Sail ID
+ * @param {Object} fields Overrides, e.g. { branch, start }
+ * @returns {Object} Event
+ */
+function sail(id, fields = {}) {
+  return { id, branch: 'הרצליה', boat: 'אלה', dayOfWeek: 'ו׳', startTime: '09:00', start: '2025-11-07T09:00:00+02:00', ...fields };
+}
+
+// S1 is listed from the start; S2 appears and is booked up a day later; S3 runs to its start
+const snapshots = [
+  { timestamp: '2025-11-01T08:00:00.000Z', checkedAt: '2025-11-01T20:00:00.000Z', events: [sail('S1')] },
+  { timestamp: '2025-11-02T07:00:00.000Z', checkedAt: '2025-11-02T07:00:00.000Z', events: [sail('S1'), sail('S2')] },
+  {
+    timestamp: '2025-11-03T07:00:00.000Z',
+    checkedAt: '2025-11-03T07:00:00.000Z',
+    events: [sail('S1'), sail('S3', { branch: 'יפו', boat: 'נועה', dayOfWeek: 'ש׳', startTime: '16:30', start: '2025-11-08T16:30:00+02:00' })]
+  },
+  { timestamp: '2025-11-09T07:00:00.000Z', checkedAt: '2025-11-10T07:00:00.000Z', events: [] }
+];
+
+/**
+ * Creates a snapshot store in a temporary directory removed after the test
+ * @param {Object} t Test context
+ * @param {Object} [config] Store configuration
+ * @returns {JSONFileSnapshotStore} Empty store
+ */
+function createTempStore(t, config = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sailor-analytics-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new JSONFileSnapshotStore({ ...config, filePath: path.join(dir, 'snapshots.json') });
+}
+
+test('follows sails from their first snapshot to the one that no longer lists them', () => {
+  const history = EventAnalytics.buildHistory(snapshots);
+
+  assert.deepEqual(history.map(({ event, ...entry }) => ({ id: event.id, ...entry })), [
+    { id: 'S1', firstSeen: '2025-11-01T08:00:00.000Z', removedAt: '2025-11-09T07:00:00.000Z', listedAtStart: true },
+    { id: 'S2', firstSeen: '2025-11-02T07:00:00.000Z', removedAt: '2025-11-03T07:00:00.000Z', listedAtStart: false },
+    { id: 'S3', firstSeen: '2025-11-03T07:00:00.000Z', removedAt: '2025-11-09T07:00:00.000Z', listedAtStart: false }
+  ]);
+});
+
+test('treats a sail listed again as listed since its first appearance', () => {
+  const [first, second] = snapshots;
+  const history = EventAnalytics.buildHistory([first, second, { ...first, timestamp: '2025-11-04T07:00:00.000Z' }, second]);
+
+  assert.equal(history[1].firstSeen, '2025-11-02T07:00:00.000Z');
+  assert.equal(history[1].removedAt, null);
+});
+
+test('reports listing times of sails that disappeared before their start', () => {
+  const { listing } = EventAnalytics.analyze(snapshots);
+
+  assert.deepEqual(listing.byBranch, [
+    { key: 'הרצליה', sails: 1, removed: 1, medianHours: 24, averageHours: 24 },
+    { key: 'יפו', sails: 1, removed: 0, medianHours: null, averageHours: null }
+  ]);
+  assert.deepEqual(listing.byBoat.map(group => group.key), ['אלה', 'נועה']);
+});
+
+test('counts sails per weekday and start hour', () => {
+  const { schedule } = EventAnalytics.analyze(snapshots);
+
+  assert.deepEqual(schedule.weekdays.map(day => day.weekday), [7, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(schedule.weekdays.map(day => day.count), [0, 0, 0, 0, 0, 2, 1]);
+  assert.equal(schedule.hours[9].count, 2);
+  assert.equal(schedule.hours[16].count, 1);
+  assert.deepEqual(schedule.busiestSlots, [
+    { weekday: 5, dayOfWeek: 'ו׳', hour: 9, count: 2 },
+    { weekday: 6, dayOfWeek: 'ש׳', hour: 16, count: 1 }
+  ]);
+});
+
+test('reports how far ahead sails appear, leaving out those listed from the start', () => {
+  const { leadTime } = EventAnalytics.analyze(snapshots);
+
+  assert.equal(leadTime.sails, 2);
+  assert.equal(leadTime.medianDays, 5.2);
+  assert.deepEqual(leadTime.buckets.map(bucket => bucket.count), [0, 0, 2, 0, 0, 0]);
+  assert.deepEqual(leadTime.byBranch, [
+    { key: 'הרצליה', sails: 1, medianDays: 5 },
+    { key: 'יפו', sails: 1, medianDays: 5.3 }
+  ]);
+});
+
+test('reports an empty archive', () => {
+  const result = EventAnalytics.analyze([]);
+
+  assert.deepEqual(result.archive, { snapshots: 0, from: null, to: null, sails: 0, listedAtStart: 0 });
+  assert.equal(result.leadTime.medianDays, null);
+});
+
+test('serves the statistics of every stored snapshot in the response schema', async t => {
+  const snapshotStore = createTempStore(t);
+  for (let day = 1; day <= 120; day++) {
+    await snapshotStore.saveSnapshot({ timestamp: new Date(Date.UTC(2025, 6, day)).toISOString(), provider: 'Static', events: [sail(`S${day}`)] });
+  }
+
+  const result = await new SailorService(null, { snapshotStore }).getAnalytics();
+
+  assert.equal(result.success, true);
+  assert.equal(result.archive.snapshots, 120);
+  assert.deepEqual(EventSchema.validate(result, EventSchema.SCHEMAS.AnalyticsResponse), []);
+});
+
+test('keeps only maxSnapshots snapshots when configured', async t => {
+  const snapshotStore = createTempStore(t, { maxSnapshots: 2 });
+  for (const snapshot of snapshots) {
+    await snapshotStore.saveSnapshot(snapshot);
+  }
+
+  assert.deepEqual((await snapshotStore.listSnapshots()).map(snapshot => snapshot.timestamp), [
+    '2025-11-03T07:00:00.000Z',
+    '2025-11-09T07:00:00.000Z'
+  ]);
+});
+
+test('refreshes checkedAt for fetched listings but not for cache hits', async t => {
+  const snapshotStore = createTempStore(t);
+  const events = readGolden('sailor-website-export').events.slice(0, 1);
+  const provider = {
+    cache: 'MISS',
+    getSailingEvents: async () => events,
+    getFetchMetadata() { return { cache: this.cache }; },
+    getProviderName: () => 'Static'
+  };
+  const service = new SailorService(provider, { snapshotStore });
+  const checkedAt = async () => (await snapshotStore.getLatestSnapshot()).checkedAt;
+
+  await service.getSailingEvents();
+  const first = await checkedAt();
+
+  provider.cache = 'HIT';
+  await service.getSailingEvents();
+  assert.equal(await checkedAt(), first);
+
+  provider.cache = 'MISS';
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await service.getSailingEvents();
+  assert.ok(await checkedAt() > first);
+});
+
+test('neither records nor compares sails from providers that do not scrape the live site', async t => {
+  const snapshotStore = createTempStore(t);
+  const [live, other] = readGolden('sailor-website-export').events;
+  await snapshotStore.saveSnapshot({ timestamp: '2025-11-01T08:00:00.000Z', provider: 'Direct', events: [live] });
+  const provider = {
+    getSailingEvents: async () => [other],
+    getFetchMetadata: () => ({ cache: 'MISS' }),
+    getProviderName: () => 'Static'
+  };
+  const service = new SailorService(provider, { snapshotStore, live: false });
+
+  const result = await service.getSailingEvents(null, { includeRemoved: true });
+  assert.equal(result.changes, undefined);
+  assert.equal(result.removedEvents, undefined);
+  assert.equal((await service.getChanges()).success, false);
+  assert.deepEqual((await snapshotStore.listSnapshots()).map(snapshot => snapshot.provider), ['Direct']);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventAvailability = require('../utils/EventAvailability');
+const EventFilter = require('../utils/EventFilter');
+const EventDiff = require('../utils/EventDiff');
+
+const NOW = Date.parse('2025-11-10T12:00:00+02:00');
+
+/**
+ * Builds a sail with the fields availability and history look at
+ * @param {string} id Sail ID
+ * @param {Object} [fields] Fields to override
+ * @returns {Object} Event
+ */
+function sail(id, fields = {}) {
+  return { id, start: '2025-11-20T10:00:00+02:00', seatsLeft: null, soldOut: false, ...fields };
+}
+
+test('derives the status from the card, preferring the detail page seat count', () => {
+  assert.equal(EventAvailability.getStatus(sail('S1')), 'open');
+  assert.equal(EventAvailability.getStatus(sail('S1', { seatsLeft: 3 })), 'few-left');
+  assert.equal(EventAvailability.getStatus(sail('S1', { seatsLeft: 4 })), 'open');
+  assert.equal(EventAvailability.getStatus(sail('S1', { seatsLeft: 0 })), 'full');
+  assert.equal(EventAvailability.getStatus(sail('S1', { soldOut: true })), 'full');
+  assert.equal(EventAvailability.getStatus(sail('S1', { seatsLeft: 8, details: { seatsLeft: 1 } })), 'few-left');
+  assert.equal(EventAvailability.getStatus(sail('S1', { seatsLeft: 2, details: { seatsLeft: null } })), 'few-left');
+  assert.equal(EventAvailability.getStatus({ id: 'S1' }), 'open');
+});
+
+test('finds upcoming sails that dropped off the listing', () => {
+  const snapshots = [
+    { timestamp: '2025-11-01T08:00:00.000Z', events: [sail('S1'), sail('S2'), sail('S3', { start: '2025-11-05T10:00:00+02:00' })] },
+    { timestamp: '2025-11-02T08:00:00.000Z', events: [sail('S1'), sail('S4')] },
+    { timestamp: '2025-11-03T08:00:00.000Z', events: [sail('S1')] }
+  ];
+
+  const removed = EventAvailability.findRemoved(snapshots, [sail('S1'), sail('S4')], NOW);
+
+  assert.deepEqual(removed.map(event => [event.id, event.status, event.removedAt]), [
+    ['S2', 'removed', '2025-11-02T08:00:00.000Z']
+  ]);
+});
+
+test('filters and counts sails by status', () => {
+  const events = EventAvailability.annotate([sail('S1'), sail('S2', { seatsLeft: 1 }), sail('S3', { soldOut: true })]);
+  const { options, errors } = EventFilter.parseQuery({ status: 'open,few-left' });
+
+  assert.deepEqual(errors, []);
+  const result = EventFilter.apply(events, options);
+  assert.deepEqual(result.events.map(event => event.id), ['S1', 'S2']);
+  assert.deepEqual(result.facets.status, { open: 1, 'few-left': 1, full: 1 });
+  assert.deepEqual(EventFilter.parseQuery({ status: 'removed' }).errors, [
+    'Invalid "status" value "removed": expected one of open, few-left, full'
+  ]);
+});
+
+test('seat changes count as changes, except against snapshots stored without them', () => {
+  assert.deepEqual(EventDiff.compareFields(sail('S1', { seatsLeft: 4 }), sail('S1', { seatsLeft: 2 })), {
+    seatsLeft: { from: 4, to: 2 }
+  });
+  assert.deepEqual(EventDiff.compareFields({ id: 'S1' }, sail('S1', { seatsLeft: 2 })), {});
+});
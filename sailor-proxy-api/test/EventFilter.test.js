@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventFilter = require('../utils/EventFilter');
+const WatchRuleMatcher = require('../utils/WatchRuleMatcher');
+
+// 2026-11-01 is a Sunday, 2026-11-02 a Monday
+const sunday = { id: 'S1', date: '2026-11-01', startTime: '09:00', endTime: '12:00' };
+const monday = { id: 'S2', date: '2026-11-02', startTime: '09:00', endTime: '12:00' };
+
+test('reads weekdays as ISO numbers, with 0 and the Hebrew symbol as Sunday too', () => {
+  assert.deepEqual(['1', '7', '0', 'א׳', 'ב׳'].map(EventFilter.parseWeekday), [1, 7, 7, 7, 1]);
+  assert.equal(EventFilter.parseWeekday('8'), null);
+
+  const { options, errors } = EventFilter.parseQuery({ dayOfWeek: '7' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(EventFilter.apply([sunday, monday], options).events.map(event => event.id), ['S1']);
+  assert.match(EventFilter.parseQuery({ dayOfWeek: 'sunday' }).errors[0], /1 \(Monday\) to 7 \(Sunday\)/);
+});
+
+test('watch rules match ISO weekdays, including rules stored with 0 for Sunday', () => {
+  const { rule, errors } = WatchRuleMatcher.normalizeRule({ dayOfWeek: '0,1', channel: { type: 'telegram', chatId: 1 } });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rule.dayOfWeek, [7, 1]);
+
+  const stored = { ...rule, dayOfWeek: [0] };
+  assert.equal(WatchRuleMatcher.matches(stored, sunday), true);
+  assert.equal(WatchRuleMatcher.matches(stored, monday), false);
+});
+
+test('rejects watch rule time windows outside the clock', () => {
+  const normalize = timeWindow => WatchRuleMatcher.normalizeRule({ timeWindow, channel: { type: 'telegram', chatId: 1 } });
+
+  assert.deepEqual(normalize({ from: '9:00', to: '23:59' }).rule.timeWindow, { from: '09:00', to: '23:59' });
+  [{ from: '25:99', to: '12:00' }, { from: '09:00', to: '9:75' }, { from: '24:00', to: '12:00' }].forEach(timeWindow => {
+    const { rule, errors } = normalize(timeWindow);
+    assert.equal(rule.timeWindow, null);
+    assert.match(errors[0], /hours 0-23 and minutes 0-59/);
+  });
+});
+
+test('counts the category facet by category code', () => {
+  const events = [
+    { ...sunday, eventType: 'תלמידים', category: 'students' },
+    { ...monday, eventType: 'טרום מעשי', category: 'pre-practical' },
+    { ...monday, id: 'S3', eventType: 'תלמידים' }
+  ];
+  const { options } = EventFilter.parseQuery({ category: 'students' });
+  assert.deepEqual(EventFilter.computeFacets(events, options).category, { students: 1, 'pre-practical': 1, 'תלמידים': 1 });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventLocalizer = require('../utils/EventLocalizer');
+const EventFilter = require('../utils/EventFilter');
+const SailorService = require('../services/SailorService');
+const Logger = require('../utils/Logger');
+const EventSchema = require('../schema/EventSchema');
+const { readGolden, silenceConsole } = require('./helpers/golden');
+
+silenceConsole();
+
+const event = {
+  id: 'S1',
+  date: '03/11/2025',
+  dayOfWeek: 'ב׳',
+  weekday: 1,
+  eventType: 'טרום מעשי',
+  category: 'pre-practical',
+  status: 'few-left'
+};
+
+test('labels the codes of an event in either language', () => {
+  assert.deepEqual(EventLocalizer.getLabels(event, 'he'), { category: 'הפלגות טרום מעשי', weekday: 'שני', status: 'מקומות אחרונים' });
+  assert.deepEqual(EventLocalizer.getLabels(event, 'en'), { category: 'Pre-practical sails', weekday: 'Monday', status: 'Few seats left' });
+});
+
+test('falls back to eventType and the date for events without codes', () => {
+  const stored = { id: 'S2', date: '09/11/2025', eventType: 'מודרכת' };
+  assert.deepEqual(EventLocalizer.getLabels(stored, 'en'), { category: 'מודרכת', weekday: 'Sunday', status: null });
+});
+
+test('accepts only the supported languages', () => {
+  assert.equal(EventLocalizer.validateLanguage(undefined), null);
+  assert.equal(EventLocalizer.validateLanguage('en'), null);
+  assert.equal(EventLocalizer.validateLanguage('fr'), 'Invalid "lang" value "fr": expected one of he, en');
+});
+
+test('the category filter takes codes as well as names', () => {
+  const events = [event, { ...event, id: 'S2', eventType: 'תלמידים', category: 'students' }];
+  assert.deepEqual(EventFilter.apply(events, EventFilter.parseQuery({ category: 'pre-practical' }).options).events.map(e => e.id), ['S1']);
+  assert.deepEqual(EventFilter.apply(events, EventFilter.parseQuery({ category: 'תלמידים' }).options).events.map(e => e.id), ['S2']);
+});
+
+test('the service adds labels only when a language is requested', async () => {
+  const [sampleEvent] = readGolden('sailor-website-export').events;
+  const provider = { getProviderName: () => 'Test', getSailingEvents: async () => [sampleEvent] };
+  const service = new SailorService(provider, { logger: new Logger({ level: 'silent' }) });
+
+  const plain = await service.getSailingEvents();
+  assert.equal(plain.events[0].labels, undefined);
+
+  const localized = await service.getSailingEvents(null, { lang: 'en' });
+  assert.deepEqual(localized.events[0].labels, EventLocalizer.getLabels({ ...sampleEvent, status: 'open' }, 'en'));
+  assert.deepEqual(EventSchema.validateEvent(localized.events[0]), []);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventSchema = require('../schema/EventSchema');
+const OpenApiDocument = require('../schema/OpenApiDocument');
+const BaseProvider = require('../providers/BaseProvider');
+const SailorService = require('../services/SailorService');
+const { listFixtures, readGolden, silenceConsole } = require('./helpers/golden');
+
+silenceConsole();
+
+const [sampleEvent] = readGolden('sailor-website-export').events;
+
+test('every parsed golden event matches the schema', () => {
+  for (const { name } of listFixtures()) {
+    const { events } = readGolden(name);
+    assert.deepEqual(EventSchema.filterValid(events).rejected, [], name);
+  }
+});
+
+test('reports each problem of an invalid event', () => {
+  const { price, ...withoutPrice } = sampleEvent;
+  const errors = EventSchema.validateEvent({ ...withoutPrice, date: '', eventType: '', durationMinutes: null, source: 'Sailor' });
+
+  assert.deepEqual(errors, [
+    'price is required',
+    'date does not match ^\\d{2}/\\d{2}/\\d{4}$',
+    'durationMinutes must be of type integer',
+    'eventType must not be empty',
+    'source does not match ^[a-z0-9-]+$'
+  ]);
+});
+
+test('validates embedded details', () => {
+  const details = readGolden('details/S1129');
+
+  assert.deepEqual(EventSchema.validateEvent({ ...sampleEvent, details }), []);
+  assert.deepEqual(EventSchema.validateEvent({ ...sampleEvent, details: null, detailsError: 'Timed out' }), []);
+  assert.deepEqual(EventSchema.validateEvent({ ...sampleEvent, details: { ...details, seatsLeft: '3' } }), [
+    'details.seatsLeft must be of type integer or null'
+  ]);
+});
+
+test('SailorService drops events that do not match the schema and lists them', async () => {
+  class Provider extends BaseProvider {
+    async getSailingEvents() {
+      return [sampleEvent, { ...sampleEvent, id: 'S1', date: '' }];
+    }
+
+    getProviderName() {
+      return 'Test';
+    }
+  }
+
+  const result = await new SailorService(new Provider()).getSailingEvents();
+
+  assert.equal(result.schemaVersion, EventSchema.VERSION);
+  assert.deepEqual(result.events, [{ ...sampleEvent, status: 'open' }]);
+  assert.deepEqual(result.rejectedEvents, [{ id: 'S1', errors: ['date does not match ^\\d{2}/\\d{2}/\\d{4}$'] }]);
+});
+
+test('the OpenAPI document only references defined schemas', () => {
+  const document = OpenApiDocument.build();
+  const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g).map(ref => ref.slice(8, -1));
+
+  assert.equal(document.info.version, EventSchema.VERSION);
+  refs.forEach(ref => assert.ok(EventSchema.resolve(ref), ref));
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileCacheBackend = require('../cache/FileCacheBackend');
+
+test('keeps the entries of concurrent writers to the same file', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sailor-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'sailor-cache.json');
+
+  // Separate instances, as separate requests of one process would create them
+  await Promise.all([
+    new FileCacheBackend({ filePath }).set('events', { value: [1] }, 60),
+    new FileCacheBackend({ filePath }).set('ratelimit:1.2.3.4', { value: 1 }, 60)
+  ]);
+
+  const backend = new FileCacheBackend({ filePath });
+  assert.deepEqual(await backend.get('events'), { value: [1] });
+  assert.deepEqual(await backend.get('ratelimit:1.2.3.4'), { value: 1 });
+});
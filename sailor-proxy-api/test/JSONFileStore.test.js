@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSONFileSnapshotStore = require('../stores/JSONFileSnapshotStore');
+const JSONFileWatchStore = require('../stores/JSONFileWatchStore');
+
+/**
+ * Creates a temp directory removed after the test
+ * @param {Object} t Test context
+ * @returns {string} Directory path
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sailor-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('keeps every change of concurrent writers to the same file', async t => {
+  const filePath = path.join(tempDir(t), 'snapshots.json');
+  // Separate instances, as separate requests of one process would create them
+  const saves = [1, 2, 3, 4].map(n => new JSONFileSnapshotStore({ filePath }).saveSnapshot({
+    timestamp: `2026-10-0${n}T00:00:00.000Z`,
+    provider: 'static',
+    events: []
+  }));
+
+  await Promise.all(saves);
+  const snapshots = await new JSONFileSnapshotStore({ filePath }).listSnapshots();
+  assert.deepEqual(snapshots.map(snapshot => snapshot.timestamp).sort(), [1, 2, 3, 4].map(n => `2026-10-0${n}T00:00:00.000Z`));
+  assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['snapshots.json']);
+});
+
+test('adds and removes watch rules concurrently without losing any', async t => {
+  const store = new JSONFileWatchStore({ filePath: path.join(tempDir(t), 'watches.json') });
+  const added = await Promise.all(['a', 'b', 'c'].map(name => store.addRule({ name, channel: { type: 'webhook' } })));
+
+  const [removed] = await Promise.all([
+    store.removeRule(added[0].id, added[0].secret),
+    store.addRule({ name: 'd', channel: { type: 'webhook' } })
+  ]);
+
+  assert.equal(removed, true);
+  assert.deepEqual((await store.listRules()).map(rule => rule.name).sort(), ['b', 'c', 'd']);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Logger = require('../utils/Logger');
+
+/**
+ * Captures the lines written to stdout and stderr while a function runs
+ * @param {Function} fn Function writing log entries
+ * @returns {Object} { out, err } arrays of lines
+ */
+function capture(fn) {
+  const lines = { out: [], err: [] };
+  const { log, error } = console;
+  console.log = line => lines.out.push(line);
+  console.error = line => lines.err.push(line);
+  try {
+    fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return lines;
+}
+
+test('writes JSON entries with context and fields', () => {
+  const logger = new Logger().child({ requestId: 'req-1' });
+  const { out } = capture(() => logger.info('Fetched', { count: 3, skipped: undefined }));
+
+  const entry = JSON.parse(out[0]);
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.msg, 'Fetched');
+  assert.equal(entry.requestId, 'req-1');
+  assert.equal(entry.count, 3);
+  assert.ok(!('skipped' in entry));
+  assert.ok(!isNaN(Date.parse(entry.time)));
+});
+
+test('skips entries below the configured level and sends warnings to stderr', () => {
+  const logger = new Logger({ level: 'warn' });
+  const lines = capture(() => {
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+  });
+
+  assert.deepEqual(lines.out, []);
+  assert.deepEqual(lines.err.map(line => JSON.parse(line).msg), ['warn', 'error']);
+  assert.deepEqual(capture(() => new Logger({ level: 'silent' }).error('x')), { out: [], err: [] });
+});
+
+test('reduces errors to their message and HTTP status', () => {
+  const error = new Error('Request failed with status code 503');
+  error.response = { status: 503, data: '<html>upstream page</html>' };
+  const { err } = capture(() => new Logger().error('Provider failed', { error }));
+
+  const entry = JSON.parse(err[0]);
+  assert.equal(entry.error, 'Request failed with status code 503');
+  assert.equal(entry.errorStatus, 503);
+});
+
+test('pretty format writes one readable line', () => {
+  const { out } = capture(() => new Logger({ format: 'pretty' }).child({ requestId: 'req-1' }).info('Fetched', { count: 3 }));
+  assert.match(out[0], /^\d{2}:\d{2}:\d{2}\.\d{3} INFO  Fetched requestId=req-1 count=3$/);
+});
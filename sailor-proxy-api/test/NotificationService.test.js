@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NotificationService = require('../services/NotificationService');
+const JSONFileSnapshotStore = require('../stores/JSONFileSnapshotStore');
+const JSONFileWatchStore = require('../stores/JSONFileWatchStore');
+const Logger = require('../utils/Logger');
+
+const event = id => ({ id, title: `Sail ${id}`, date: '2026-11-01', startTime: '09:00', endTime: '12:00' });
+
+test('notifies each new sail once, even when a public request recorded it first', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sailor-notify-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const snapshotStore = new JSONFileSnapshotStore({ filePath: path.join(dir, 'snapshots.json') });
+  const watchStore = new JSONFileWatchStore({ filePath: path.join(dir, 'watches.json') });
+  await watchStore.addRule({ name: 'all', branch: [], category: [], boat: [], dayOfWeek: [], timeWindow: null, channel: { type: 'test' } });
+
+  const sent = [];
+  const service = new NotificationService(watchStore, {
+    logger: new Logger({ level: 'silent' }),
+    channels: { test: { send: async (rule, events) => sent.push(events.map(e => e.id)), getChannelName: () => 'Test' } }
+  });
+
+  // First run: every event would be new, so nothing is sent
+  await snapshotStore.saveSnapshot({ timestamp: '2026-10-01T00:00:00.000Z', provider: 'static', events: [event('S1')] });
+  assert.deepEqual(await service.notifySinceLastRun([event('S1')], '2026-10-01T00:00:00.000Z', snapshotStore), []);
+
+  // A public request records S2 before the next scheduled run
+  await snapshotStore.saveSnapshot({ timestamp: '2026-10-01T00:05:00.000Z', provider: 'static', events: [event('S1'), event('S2')] });
+
+  const [first, overlapping] = await Promise.all([
+    service.notifySinceLastRun([event('S1'), event('S2')], '2026-10-01T00:15:00.000Z', snapshotStore),
+    service.notifySinceLastRun([event('S1'), event('S2')], '2026-10-01T00:15:01.000Z', snapshotStore)
+  ]);
+
+  assert.equal(first.length, 1);
+  assert.equal(first[0].sent, true);
+  assert.deepEqual(overlapping, []);
+  assert.deepEqual(sent, [['S2']]);
+});
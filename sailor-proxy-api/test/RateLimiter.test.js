@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../services/RateLimiter');
+const MemoryCacheBackend = require('../cache/MemoryCacheBackend');
+const { silenceConsole } = require('./helpers/golden');
+
+silenceConsole();
+
+const NOW = Date.UTC(2025, 10, 1, 12, 0, 15);
+
+/**
+ * Creates a limiter counting in a fresh in-memory backend
+ * @param {Object} limits { perIp, global }
+ * @returns {RateLimiter} Limiter with a 60 second window
+ */
+function createLimiter(limits) {
+  return new RateLimiter({ ...limits, windowSeconds: 60, backend: new MemoryCacheBackend({ entries: new Map() }) });
+}
+
+test('refuses a client over its limit until the window ends', async () => {
+  const limiter = createLimiter({ perIp: 2, global: 0 });
+
+  assert.deepEqual(await limiter.consume('1.1.1.1', NOW), { allowed: true, scope: null, limit: 2, remaining: 1, retryAfter: 45 });
+  assert.equal((await limiter.consume('1.1.1.1', NOW)).allowed, true);
+  assert.deepEqual(await limiter.consume('1.1.1.1', NOW), { allowed: false, scope: 'ip', limit: 2, remaining: 0, retryAfter: 45 });
+
+  assert.equal((await limiter.consume('2.2.2.2', NOW)).allowed, true);
+  assert.equal((await limiter.consume('1.1.1.1', NOW + 45000)).allowed, true);
+});
+
+test('refuses everyone over the global limit, not counting requests refused per client', async () => {
+  const limiter = createLimiter({ perIp: 1, global: 3 });
+
+  await limiter.consume('1.1.1.1', NOW);
+  await limiter.consume('1.1.1.1', NOW);
+  await limiter.consume('1.1.1.1', NOW);
+  await limiter.consume('2.2.2.2', NOW);
+  await limiter.consume('3.3.3.3', NOW);
+
+  assert.deepEqual(await limiter.consume('4.4.4.4', NOW), { allowed: false, scope: 'global', limit: 3, remaining: 0, retryAfter: 45 });
+});
+
+test('lets requests through when the backend fails', async () => {
+  const limiter = new RateLimiter({
+    perIp: 1,
+    backend: { get: async () => { throw new Error('Redis unavailable'); } }
+  });
+
+  assert.equal((await limiter.consume('1.1.1.1', NOW)).allowed, true);
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RedisCacheBackend = require('../cache/RedisCacheBackend');
+
+test('backends of the same URL share one client', t => {
+  const first = new RedisCacheBackend({ url: 'redis://localhost:6390/0' }).getClient();
+  const other = new RedisCacheBackend({ url: 'redis://localhost:6390/1' }).getClient();
+  t.after(() => [first, other].forEach(client => client.disconnect()));
+
+  assert.equal(new RedisCacheBackend({ url: 'redis://localhost:6390/0' }).getClient(), first);
+  assert.notEqual(other, first);
+  assert.equal(first.status, 'wait', 'no connection is opened before the first command');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const SailDetailParser = require('../utils/SailDetailParser');
+const { FIXTURES_DIR, readFixture, assertGolden } = require('./helpers/golden');
+
+test('parses a detail page as in its golden file', () => {
+  const details = SailDetailParser.parse(readFixture(path.join(FIXTURES_DIR, 'details/S1129.html')));
+  assertGolden('details/S1129', details);
+});
+
+test('fields missing from the page are null', () => {
+  const details = SailDetailParser.parse('<html><body><h1>הפלגה</h1></body></html>');
+  assert.deepEqual(details, {
+    title: 'הפלגה',
+    description: null,
+    price: null,
+    capacity: null,
+    seatsLeft: null,
+    skipper: null,
+    requirements: []
+  });
+});
+
+test('parsePrice reads shekel amounts in the formats the site uses', () => {
+  assert.equal(SailDetailParser.parsePrice('₪350'), 350);
+  assert.equal(SailDetailParser.parsePrice('350 ש"ח'), 350);
+  assert.equal(SailDetailParser.parsePrice('1,200 ₪'), 1200);
+  assert.equal(SailDetailParser.parsePrice(''), null);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SailingHTMLParser = require('../utils/SailingHTMLParser');
+const { listFixtures, readFixture, assertGolden, silenceConsole } = require('./helpers/golden');
+
+silenceConsole();
+
+for (const fixture of listFixtures()) {
+  test(`parses ${fixture.name} as in its golden file`, () => {
+    const result = SailingHTMLParser.parseWithDiagnostics(readFixture(fixture.file));
+    assertGolden(fixture.name, result);
+  });
+}
+
+test('parseSailingEvents returns the events of parseWithDiagnostics', () => {
+  const [exportFixture] = listFixtures();
+  const html = readFixture(exportFixture.file);
+  assert.deepEqual(SailingHTMLParser.parseSailingEvents(html), SailingHTMLParser.parseWithDiagnostics(html).events);
+});
+
+test('validateSailingContent accepts sail lists, including empty ones', () => {
+  for (const fixture of listFixtures()) {
+    assert.equal(SailingHTMLParser.validateSailingContent(readFixture(fixture.file)), true, fixture.name);
+  }
+});
+
+test('validateSailingContent rejects pages that are not the sails list', () => {
+  assert.equal(SailingHTMLParser.validateSailingContent(''), false);
+  assert.equal(SailingHTMLParser.validateSailingContent('<html><body><h1>Access denied</h1></body></html>'), false);
+});
+
+test('a page parsed once can be validated and parsed from its document', () => {
+  const [exportFixture] = listFixtures();
+  const html = readFixture(exportFixture.file);
+  const doc = SailingHTMLParser.parseDocument(html);
+
+  assert.equal(SailingHTMLParser.validateSailingContent(doc), true);
+  assert.equal(SailingHTMLParser.validateSailingContent(SailingHTMLParser.parseDocument('<h1>Access denied</h1>')), false);
+  assert.deepEqual(SailingHTMLParser.parseWithDiagnostics(doc), SailingHTMLParser.parseWithDiagnostics(html));
+});
+
+test('a sail ending after midnight ends on the next day', () => {
+  const fixture = listFixtures().find(f => f.name === 'layout-drift');
+  const { events } = SailingHTMLParser.parseWithDiagnostics(readFixture(fixture.file));
+  const overnight = events.find(event => event.id === 'S2002');
+
+  assert.equal(overnight.start, '2025-11-04T22:00:00+02:00');
+  assert.equal(overnight.end, '2025-11-05T01:00:00+02:00');
+  assert.equal(overnight.durationMinutes, 180);
+});
+
+test('category rules of a source replace the students page rules', () => {
+  const [exportFixture] = listFixtures();
+  const { events } = SailingHTMLParser.parseWithDiagnostics(readFixture(exportFixture.file), {
+    categories: [{ category: 'מודרכת', code: 'guided', pattern: 'מודרכת' }],
+    defaultCategory: 'אחר'
+  });
+
+  assert.deepEqual(new Set(events.map(event => event.eventType)), new Set(['מודרכת', 'אחר']));
+  events.forEach(event => assert.equal(event.eventType === 'מודרכת', event.title.includes('מודרכת'), event.id));
+  events.forEach(event => assert.equal(event.category, event.eventType === 'מודרכת' ? 'guided' : 'other', event.id));
+});
+
+test('events carry a category code and ISO weekday next to the Hebrew values', () => {
+  const fixture = listFixtures().find(f => f.name === 'layout-drift');
+  const { events } = SailingHTMLParser.parseWithDiagnostics(readFixture(fixture.file));
+  const byId = Object.fromEntries(events.map(event => [event.id, event]));
+
+  assert.deepEqual([byId.S2001.eventType, byId.S2001.category, byId.S2001.weekday], ['תלמידים', 'students', 1]);
+  assert.deepEqual([byId.S2002.eventType, byId.S2002.category, byId.S2002.weekday], ['טרום מעשי', 'pre-practical', 2]);
+});
+
+test('selector and meta label options parse another site\'s markup', () => {
+  const html = `
+    <div class="trips">
+      <article class="trip">
+        <h3>Sunset sail</h3>
+        <time>05/11/2025 17:00 - 19:00</time>
+        <ul class="info"><li>מיקום: Herzliya</li><li>Boat: Dana</li></ul>
+      </article>
+    </div>`;
+  const options = {
+    selectors: { box: ['article.trip'], list: ['.trips'], metaItem: ['ul.info li'] },
+    metaLabels: { branch: ['מיקום'], boat: ['Boat'] }
+  };
+
+  const { events } = SailingHTMLParser.parseWithDiagnostics(html, options);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].title, 'Sunset sail');
+  assert.equal(events[0].date, '05/11/2025');
+  assert.equal(events[0].branch, 'Herzliya');
+  assert.equal(events[0].boat, 'Dana');
+  assert.equal(SailingHTMLParser.validateSailingContent('<div class="trips"></div>', options), true);
+});
+
+test('validateOptions reports unknown fields and invalid category rules', () => {
+  assert.deepEqual(SailingHTMLParser.validateOptions({
+    selectors: { boxes: ['.x'], title: [] },
+    categories: [{ category: 'x', pattern: '(' }, { category: '', pattern: 'y' }, { category: 'z', code: 'Z z', pattern: 'z' }],
+    defaultCategory: '',
+    defaultCategoryCode: 'אחר'
+  }), [
+    `selectors.boxes is not a known field (${Object.keys(SailingHTMLParser.SELECTORS).join(', ')})`,
+    'selectors.title must be a non-empty list of strings',
+    'categories[0].pattern must be a valid regular expression',
+    'categories[1].category must be a non-empty string',
+    'categories[2].code must consist of lowercase letters, digits and dashes',
+    'defaultCategory must be a non-empty string',
+    'defaultCategoryCode must consist of lowercase letters, digits and dashes'
+  ]);
+});
+
+test('reads seats left and sold-out markers from a card', () => {
+  const card = (inner, cart = '<a class="btn-cart" href="https://sailor.co.il/S1_x">להזמנה</a>') => `
+    <div class="single-yachts-box-sails"><div class="yachts-box">
+      <h2>הפלגה</h2>
+      <div class="sail-time-date-label">05/11/2025 10:00 - 12:00</div>
+      ${inner}
+      ${cart}
+    </div></div>`;
+  const parse = html => {
+    const [event] = SailingHTMLParser.parseSailingEvents(html);
+    return { seatsLeft: event.seatsLeft, soldOut: event.soldOut };
+  };
+
+  assert.deepEqual(parse(card('<span class="text-truncate">הפלגה מלאה בחוויות</span>')), { seatsLeft: null, soldOut: false });
+  assert.deepEqual(parse(card('<span class="text-truncate">נותרו 2 מקומות</span>')), { seatsLeft: 2, soldOut: false });
+  assert.deepEqual(parse(card('<div class="sail-availability">אזל המלאי</div>')), { seatsLeft: null, soldOut: true });
+  assert.deepEqual(parse(card('<div class="seats-left">0 מקומות פנויים</div>')), { seatsLeft: 0, soldOut: true });
+  assert.deepEqual(parse(card('', '<a class="btn-cart disabled">להזמנה</a>')), { seatsLeft: null, soldOut: true });
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const AppConfig = require('../config/AppConfig');
+const SourceRegistry = require('../config/SourceRegistry');
+const ProviderFactory = require('../providers/ProviderFactory');
+const { FIXTURES_DIR, silenceConsole } = require('./helpers/golden');
+
+silenceConsole();
+
+/**
+ * Builds a configuration with an extra source, as a CONFIG_FILE would add it
+ * @param {Object} club Definition of the extra source 'club'
+ * @returns {Object} Configuration
+ */
+function configWithClub(club) {
+  return AppConfig.merge(AppConfig.DEFAULTS, {
+    sources: { enabled: ['sailor-students', 'club'], definitions: { club } }
+  });
+}
+
+test('the default configuration enables the valid built-in source', () => {
+  assert.deepEqual(SourceRegistry.validate(AppConfig.DEFAULTS.sources), []);
+  assert.deepEqual(SourceRegistry.list(AppConfig.DEFAULTS).map(source => source.id), ['sailor-students']);
+});
+
+test('reports enabled sources without a definition and invalid definitions', () => {
+  assert.throws(() => AppConfig.load({ SOURCES: 'sailor-students,club' }), /sources.enabled contains an undefined source "club"/);
+
+  const config = configWithClub({ url: 'ftp://club.example', categories: [{ category: 'x', pattern: '[' }] });
+  assert.deepEqual(AppConfig.validate(config), [
+    'sources.definitions.club.name is required',
+    'sources.definitions.club.url must be a valid http(s) URL',
+    'sources.definitions.club: categories[0].pattern must be a valid regular expression'
+  ]);
+});
+
+test('the static provider merges every source with a saved page, each parsed with its own rules', async () => {
+  const config = configWithClub({
+    name: 'Club',
+    url: 'https://club.example/sails',
+    staticFile: path.join(FIXTURES_DIR, 'layout-drift.html'),
+    categories: [],
+    defaultCategory: 'מועדון'
+  });
+
+  const events = await ProviderFactory.create('static', config).getSailingEvents();
+  const club = events.filter(event => event.source === 'club');
+
+  assert.ok(events.some(event => event.source === 'sailor-students' && event.eventType === 'תלמידים'));
+  assert.ok(club.length > 0);
+  club.forEach(event => assert.equal(event.eventType, 'מועדון'));
+
+  const withoutPage = configWithClub({ name: 'Club', url: 'https://club.example/sails' });
+  assert.deepEqual(ProviderFactory.create('static', withoutPage).sources.map(source => source.id), ['sailor-students']);
+});
+
+test('the direct provider fetches Sailor pages from the configured site and other clubs from their own', () => {
+  const config = configWithClub({ name: 'Club', url: 'https://club.example/sails?page=1' });
+  config.providers.direct.baseUrl = 'http://localhost:8787';
+
+  const [students, club] = ProviderFactory.create('direct', config).sources.map(source => source.provider);
+  assert.equal(students.baseUrl, 'http://localhost:8787');
+  assert.equal(students.pagePath, '/הפלגותתלמידים');
+  assert.equal(club.baseUrl, 'https://club.example');
+  assert.equal(club.pagePath, '/sails?page=1');
+});
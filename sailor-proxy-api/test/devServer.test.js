@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AppConfig = require('../config/AppConfig');
+const { createDevServer, findRoutes, matchRoute } = require('../scripts/dev-server');
+const { silenceConsole } = require('./helpers/golden');
+
+silenceConsole();
+
+/**
+ * Starts a dev server on a free local port
+ * @param {Object} t Test context
+ * @param {Object} [options] createDevServer() options
+ * @returns {Promise<string>} Base URL
+ */
+async function startServer(t, options) {
+  const server = createDevServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Writes files, e.g. route handlers, into a temporary directory
+ * @param {Object} t Test context
+ * @param {Object<string, string>} files File content by path relative to the directory
+ * @returns {string} Directory path
+ */
+function writeTempDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-server-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  Object.entries(files).forEach(([file, source]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), source);
+  });
+  return dir;
+}
+
+test('mounts every route file at its Vercel path, static routes first', () => {
+  const routes = findRoutes();
+  assert.ok(routes.some(route => route.pattern === '/api/sailor-proxy'));
+  assert.equal(routes[routes.length - 1].pattern, '/api/events/[id]');
+
+  assert.deepEqual(matchRoute(routes, '/api/events/S1129').params, { id: 'S1129' });
+  assert.equal(matchRoute(routes, '/api/events'), null);
+  assert.equal(matchRoute(routes, '/api/unknown'), null);
+});
+
+test('gives handlers req.query, a parsed body and the response helpers', async t => {
+  const apiDir = writeTempDir(t, {
+    'echo/[name].js': "module.exports = (req, res) => res.status(201).json({ query: req.query, body: req.body });",
+    'text.js': "module.exports = (req, res) => res.status(200).send('<p>hi</p>');",
+    'broken.js': "module.exports = async () => { throw new Error('boom'); };"
+  });
+  const url = await startServer(t, { apiDir });
+
+  const echo = await fetch(`${url}/api/echo/sail%201?tag=a&tag=b&lang=en`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ branch: 'יפו' })
+  });
+  assert.equal(echo.status, 201);
+  assert.deepEqual(await echo.json(), { query: { tag: ['a', 'b'], lang: 'en', name: 'sail 1' }, body: { branch: 'יפו' } });
+
+  const text = await fetch(`${url}/api/text`);
+  assert.match(text.headers.get('content-type'), /^text\/html/);
+  assert.equal(await text.text(), '<p>hi</p>');
+
+  const invalid = await fetch(`${url}/api/echo/x`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+  assert.equal(invalid.status, 400);
+
+  const broken = await fetch(`${url}/api/broken`);
+  assert.equal(broken.status, 500);
+  assert.equal((await broken.json()).error, 'boom');
+
+  const missing = await fetch(`${url}/api/missing`);
+  assert.equal(missing.status, 404);
+
+  assert.equal((await fetch(`${url}//`)).status, 400);
+  assert.equal((await fetch(`${url}/api/echo/%E0%A4%A`)).status, 404);
+});
+
+test('serves the real routes offline with the static provider', async t => {
+  const snapshotDir = writeTempDir(t, {});
+  AppConfig.current = AppConfig.load({ SNAPSHOT_FILE: path.join(snapshotDir, 'snapshots.json') });
+  t.after(() => AppConfig.reset());
+  const url = await startServer(t);
+
+  const response = await fetch(`${url}/api/sailor-proxy?limit=2&lang=en`);
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(body.events.length, 2);
+  assert.ok(body.events[0].labels.weekday);
+
+  const openapi = await fetch(`${url}/api/openapi`);
+  assert.equal(openapi.status, 200);
+});
@@ -0,0 +1,36 @@
+/**
+ * Minimal local HTTP server for provider tests
+ * Records every request and answers with a handler, so providers can be
+ * tested against their real HTTP client code without network access.
+ */
+const http = require('http');
+
+/**
+ * Starts a server on a free local port
+ * @param {Function} handler (req, res, body) => void, where body is the raw request body
+ * @returns {Promise<Object>} { url, requests, close } where requests lists
+ *   { method, url, headers, body } in order
+ */
+async function startFakeServer(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startFakeServer };
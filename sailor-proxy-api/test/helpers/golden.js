@@ -0,0 +1,105 @@
+/**
+ * Golden-file helpers for parser and provider tests
+ * Fixtures are captured (or hand-written) HTML inputs; golden files hold the
+ * reviewed JSON output for each. Run `npm run test:update-golden` to rewrite
+ * the golden files after reviewing a parser change, and commit them with it.
+ */
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+const GOLDEN_DIR = path.join(__dirname, '../golden');
+const EXPORT_FILE = path.join(__dirname, '../../data/sailor-website-export.html');
+
+/**
+ * Lists the list-page fixtures: the export in data/ plus test/fixtures/*.html
+ * @returns {Array<Object>} Fixtures { name, file }
+ */
+function listFixtures() {
+  const captured = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .sort()
+    .map(file => ({ name: path.basename(file, '.html'), file: path.join(FIXTURES_DIR, file) }));
+  return [{ name: 'sailor-website-export', file: EXPORT_FILE }, ...captured];
+}
+
+/**
+ * Reads a fixture's HTML
+ * @param {string} file Fixture path
+ * @returns {string} HTML
+ */
+function readFixture(file) {
+  return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * Path of a golden file
+ * @param {string} name Golden name, e.g. 'sailor-website-export' or 'details/S1129'
+ * @returns {string} File path
+ */
+function goldenPath(name) {
+  return path.join(GOLDEN_DIR, `${name}.json`);
+}
+
+/**
+ * Reads a golden file
+ * @param {string} name Golden name
+ * @returns {*} Parsed golden value, or undefined if there is none yet
+ */
+function readGolden(name) {
+  const file = goldenPath(name);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined;
+}
+
+/**
+ * Writes a golden file
+ * @param {string} name Golden name
+ * @param {*} value Value to store
+ */
+function writeGolden(name, value) {
+  const file = goldenPath(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Compares a value with its golden file, or rewrites the file when UPDATE_GOLDEN is set
+ * @param {string} name Golden name
+ * @param {*} actual Value produced by the code under test
+ */
+function assertGolden(name, actual) {
+  // Round trip so the comparison sees what the API would serialize
+  const value = JSON.parse(JSON.stringify(actual));
+
+  if (process.env.UPDATE_GOLDEN) {
+    writeGolden(name, value);
+    return;
+  }
+
+  const expected = readGolden(name);
+  if (expected === undefined) {
+    assert.fail(`Missing golden file ${path.relative(process.cwd(), goldenPath(name))}; run npm run test:update-golden and review it`);
+  }
+  assert.deepEqual(value, expected);
+}
+
+/**
+ * Silences console output of the code under test for the rest of the test file
+ */
+function silenceConsole() {
+  ['log', 'warn', 'error'].forEach(method => {
+    console[method] = () => {};
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  EXPORT_FILE,
+  listFixtures,
+  readFixture,
+  readGolden,
+  writeGolden,
+  assertGolden,
+  silenceConsole
+};
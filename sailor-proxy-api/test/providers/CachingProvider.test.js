@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BaseProvider = require('../../providers/BaseProvider');
+const CachingProvider = require('../../providers/CachingProvider');
+const MemoryCacheBackend = require('../../cache/MemoryCacheBackend');
+const { silenceConsole } = require('../helpers/golden');
+
+silenceConsole();
+
+/**
+ * Provider counting its calls and returning numbered event lists
+ */
+class CountingProvider extends BaseProvider {
+  constructor() {
+    super();
+    this.calls = 0;
+    this.fail = false;
+  }
+
+  async getSailingEvents() {
+    this.calls++;
+    if (this.fail) throw new Error('Upstream down');
+    return [{ id: `S${this.calls}` }];
+  }
+
+  async getEventDetails(event) {
+    this.calls++;
+    if (this.fail) throw new Error('Upstream down');
+    return { title: `${event.id} details ${this.calls}` };
+  }
+
+  getFetchMetadata() {
+    return { diagnostics: { eventsParsed: 1 } };
+  }
+
+  getProviderName() {
+    return 'Counting';
+  }
+}
+
+/**
+ * Stores an entry as if it had been written some seconds ago
+ * @param {CachingProvider} cached Caching provider
+ * @param {string} key Cache key
+ * @param {*} value Cached value
+ * @param {number} ageSeconds Age of the entry
+ */
+async function seedEntry(cached, key, value, ageSeconds) {
+  const storedAt = new Date(Date.now() - ageSeconds * 1000).toISOString();
+  await cached.writeEntry(key, { value, storedAt, diagnostics: null });
+}
+
+test('fetches on a miss and serves hits from the cache with their diagnostics', async () => {
+  const provider = new CountingProvider();
+  const cached = new CachingProvider(provider, { backend: new MemoryCacheBackend({ entries: new Map() }), ttl: 60 });
+
+  assert.deepEqual(await cached.getSailingEvents(), [{ id: 'S1' }]);
+  assert.equal(cached.getFetchMetadata().cache, 'MISS');
+
+  assert.deepEqual(await cached.getSailingEvents(), [{ id: 'S1' }]);
+  assert.equal(cached.getFetchMetadata().cache, 'HIT');
+  assert.deepEqual(cached.getFetchMetadata().diagnostics, { eventsParsed: 1 });
+  assert.equal(provider.calls, 1);
+});
+
+test('serves stale entries while revalidating in the background', async () => {
+  const provider = new CountingProvider();
+  const cached = new CachingProvider(provider, { backend: new MemoryCacheBackend({ entries: new Map() }), ttl: 60, staleWhileRevalidate: 60 });
+  await seedEntry(cached, cached.cacheKey, [{ id: 'OLD' }], 90);
+
+  assert.deepEqual(await cached.getSailingEvents(), [{ id: 'OLD' }]);
+  assert.equal(cached.getFetchMetadata().cache, 'STALE');
+
+  await cached.revalidate();
+  assert.deepEqual(await cached.getSailingEvents(), [{ id: 'S1' }]);
+  assert.equal(cached.getFetchMetadata().cache, 'HIT');
+});
+
+test('runs one background refresh for concurrent requests of separate instances', async () => {
+  const provider = new CountingProvider();
+  const backend = new MemoryCacheBackend({ entries: new Map() });
+  // Each request builds its own CachingProvider, as ServiceFactory does
+  const requests = [1, 2, 3].map(() => new CachingProvider(provider, { backend, ttl: 60, staleWhileRevalidate: 60 }));
+  await seedEntry(requests[0], requests[0].cacheKey, [{ id: 'OLD' }], 90);
+
+  const served = await Promise.all(requests.map(cached => cached.getSailingEvents()));
+  assert.deepEqual(served, [[{ id: 'OLD' }], [{ id: 'OLD' }], [{ id: 'OLD' }]]);
+
+  await requests[0].revalidate();
+  assert.equal(provider.calls, 1);
+});
+
+test('refetches entries older than the stale window', async () => {
+  const provider = new CountingProvider();
+  const cached = new CachingProvider(provider, { backend: new MemoryCacheBackend({ entries: new Map() }), ttl: 60, staleWhileRevalidate: 60 });
+  await seedEntry(cached, cached.cacheKey, [{ id: 'OLD' }], 150);
+
+  assert.deepEqual(await cached.getSailingEvents(), [{ id: 'S1' }]);
+  assert.equal(cached.getFetchMetadata().cache, 'MISS');
+});
+
+test('serves expired details when refetching them fails', async () => {
+  const provider = new CountingProvider();
+  const cached = new CachingProvider(provider, { backend: new MemoryCacheBackend({ entries: new Map() }), ttl: 60 });
+  await seedEntry(cached, 'details:Counting:S1', { title: 'cached' }, 90);
+  provider.fail = true;
+
+  assert.deepEqual(await cached.getEventDetails({ id: 'S1' }), { title: 'cached' });
+  await assert.rejects(cached.getEventDetails({ id: 'S2' }), /Upstream down/);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const DirectHTTPProvider = require('../../providers/DirectHTTPProvider');
+const { createStubServer, splitExport } = require('../../scripts/stub-upstream');
+const { EXPORT_FILE, FIXTURES_DIR, readFixture, readGolden, silenceConsole } = require('../helpers/golden');
+const { startFakeServer } = require('../helpers/fakeServer');
+
+silenceConsole();
+
+/**
+ * Starts the stub Sailor site on a free local port
+ * @param {Object} [options] createStubServer() options
+ * @returns {Promise<Object>} { url, close }
+ */
+async function startStub(options) {
+  const server = createStubServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('loads the JavaScript-filled list and matches the export golden file', async t => {
+  const stub = await startStub();
+  t.after(() => stub.close());
+
+  const provider = new DirectHTTPProvider({ baseUrl: stub.url, minInterval: 0 });
+  const events = await provider.getSailingEvents();
+
+  assert.deepEqual(events, readGolden('sailor-website-export').events);
+  assert.equal(provider.getFetchMetadata().diagnostics.eventsParsed, events.length);
+});
+
+test('the stub can be slow, fail and serve saved detail pages', async t => {
+  const failing = await startStub({ failureRate: 1, failureStatus: 502 });
+  t.after(() => failing.close());
+  const provider = new DirectHTTPProvider({ baseUrl: failing.url, minInterval: 0, maxRetries: 0 });
+  await assert.rejects(provider.getSailingEvents(), /status code 502/);
+
+  const slow = await startStub({ latency: '60-80', detailsDir: path.join(FIXTURES_DIR, 'details') });
+  t.after(() => slow.close());
+  const startedAt = Date.now();
+  const response = await fetch(`${slow.url}/S1129_${encodeURIComponent('הפלגה')}`);
+  assert.ok(Date.now() - startedAt >= 55);
+  assert.equal(await response.text(), readFixture(path.join(FIXTURES_DIR, 'details/S1129.html')));
+
+  assert.throws(() => createStubServer({ latency: '80-60' }), /Invalid latency/);
+});
+
+test('the stub answers malformed paths with 400 and keeps running', async t => {
+  const stub = await startStub();
+  t.after(() => stub.close());
+
+  assert.equal((await fetch(`${stub.url}/%E0%A4%A`)).status, 400);
+  assert.equal((await fetch(`${stub.url}//`)).status, 400);
+  assert.equal((await fetch(`${stub.url}/`)).status, 200);
+});
+
+test('retries server errors with backoff', async t => {
+  const { list } = splitExport(readFixture(EXPORT_FILE));
+  let calls = 0;
+  const server = await startFakeServer((req, res) => {
+    calls++;
+    if (calls === 1) {
+      res.writeHead(503);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<div class="sails" data-type="sails">${list}</div>`);
+  });
+  t.after(() => server.close());
+
+  const provider = new DirectHTTPProvider({ baseUrl: server.url, minInterval: 0, retryDelay: 1 });
+  const events = await provider.getSailingEvents();
+
+  assert.equal(calls, 2);
+  assert.equal(events.length, readGolden('sailor-website-export').events.length);
+});
+
+test('does not retry client errors', async t => {
+  const server = await startFakeServer((req, res) => {
+    res.writeHead(403);
+    res.end();
+  });
+  t.after(() => server.close());
+
+  const provider = new DirectHTTPProvider({ baseUrl: server.url, minInterval: 0, retryDelay: 1 });
+  await assert.rejects(provider.getSailingEvents(), /status code 403/);
+  assert.equal(server.requests.length, 1);
+});
+
+test('gives up at once when Retry-After asks for a longer wait than allowed', async t => {
+  const server = await startFakeServer((req, res) => {
+    res.writeHead(429, { 'Retry-After': '120' });
+    res.end();
+  });
+  t.after(() => server.close());
+
+  const provider = new DirectHTTPProvider({ baseUrl: server.url, minInterval: 0, retryDelay: 1 });
+  const startedAt = Date.now();
+  await assert.rejects(provider.getSailingEvents(), /status code 429/);
+  assert.equal(server.requests.length, 1);
+  assert.ok(Date.now() - startedAt < 5000);
+});
+
+test('findUnloadedSections only lists empty list containers', () => {
+  const { page } = splitExport(readFixture(EXPORT_FILE));
+
+  assert.ok(DirectHTTPProvider.findUnloadedSections(page).length > 0);
+  assert.deepEqual(DirectHTTPProvider.findUnloadedSections(readFixture(EXPORT_FILE)), []);
+});
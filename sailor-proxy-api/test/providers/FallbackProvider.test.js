@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BaseProvider = require('../../providers/BaseProvider');
+const FallbackProvider = require('../../providers/FallbackProvider');
+const ProviderHealthMonitor = require('../../services/ProviderHealthMonitor');
+const { silenceConsole } = require('../helpers/golden');
+
+silenceConsole();
+
+/**
+ * Provider with scripted results
+ */
+class ScriptedProvider extends BaseProvider {
+  /**
+   * @param {string} name Provider name
+   * @param {Object} behavior { events, error, delayMs, fetchedAt }
+   */
+  constructor(name, behavior) {
+    super();
+    this.name = name;
+    this.behavior = behavior;
+    this.calls = 0;
+  }
+
+  async getSailingEvents() {
+    this.calls++;
+    if (this.behavior.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, this.behavior.delayMs));
+    }
+    if (this.behavior.error) throw new Error(this.behavior.error);
+    return this.behavior.events;
+  }
+
+  getFetchMetadata() {
+    return this.behavior.fetchedAt ? { fetchedAt: this.behavior.fetchedAt } : null;
+  }
+
+  getProviderName() {
+    return this.name;
+  }
+}
+
+test('serves the first provider and is not degraded', async () => {
+  const fallback = new FallbackProvider({
+    providers: [
+      { provider: new ScriptedProvider('Live', { events: [{ id: 'S1' }] }) },
+      { provider: new ScriptedProvider('Static', { events: [] }) }
+    ]
+  });
+
+  assert.deepEqual(await fallback.getSailingEvents(), [{ id: 'S1' }]);
+  assert.equal(fallback.getFetchMetadata().servedBy, 'Live');
+  assert.equal(fallback.getFetchMetadata().degraded, false);
+});
+
+test('falls back on failures and timeouts and flags the data as degraded', async () => {
+  const fallback = new FallbackProvider({
+    providers: [
+      { provider: new ScriptedProvider('Live', { error: 'Blocked' }) },
+      { provider: new ScriptedProvider('Slow', { events: [], delayMs: 200 }), timeout: 20 },
+      { provider: new ScriptedProvider('Snapshot', { events: [{ id: 'S1' }], fetchedAt: new Date(Date.now() - 60000).toISOString() }) }
+    ]
+  });
+
+  assert.deepEqual(await fallback.getSailingEvents(), [{ id: 'S1' }]);
+
+  const metadata = fallback.getFetchMetadata();
+  assert.equal(metadata.servedBy, 'Snapshot');
+  assert.equal(metadata.degraded, true);
+  assert.ok(metadata.stalenessSeconds >= 60);
+  assert.deepEqual(metadata.attempts.map(a => a.error), ['Blocked', 'Slow timed out after 20ms', undefined]);
+});
+
+test('skips providers whose circuit is open', async () => {
+  const live = new ScriptedProvider('Live', { error: 'Blocked' });
+  const fallback = new FallbackProvider({
+    healthMonitor: new ProviderHealthMonitor({ failureThreshold: 2 }),
+    providers: [
+      { provider: live },
+      { provider: new ScriptedProvider('Static', { events: [] }) }
+    ]
+  });
+
+  for (let i = 0; i < 3; i++) {
+    await fallback.getSailingEvents();
+  }
+
+  assert.equal(live.calls, 2);
+  assert.deepEqual(fallback.getFetchMetadata().attempts[0], { provider: 'Live', skipped: true, error: 'Circuit open' });
+});
+
+test('reports every attempt when all providers fail', async () => {
+  const fallback = new FallbackProvider({
+    providers: [
+      { provider: new ScriptedProvider('Live', { error: 'Blocked' }) },
+      { provider: new ScriptedProvider('Static', { error: 'Missing file' }) }
+    ]
+  });
+
+  await assert.rejects(fallback.getSailingEvents(), error => {
+    assert.equal(error.message, 'All providers failed: Live (Blocked), Static (Missing file)');
+    assert.equal(error.attempts.length, 2);
+    return true;
+  });
+  assert.equal(fallback.getFetchMetadata(), null);
+});
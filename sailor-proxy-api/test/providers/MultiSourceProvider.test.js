@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BaseProvider = require('../../providers/BaseProvider');
+const MultiSourceProvider = require('../../providers/MultiSourceProvider');
+const { silenceConsole } = require('../helpers/golden');
+
+silenceConsole();
+
+/**
+ * Provider with scripted results
+ */
+class ScriptedProvider extends BaseProvider {
+  /**
+   * @param {Object} behavior { events, error, metadata }
+   */
+  constructor(behavior) {
+    super();
+    this.behavior = behavior;
+  }
+
+  async getSailingEvents() {
+    if (this.behavior.error) throw new Error(this.behavior.error);
+    return this.behavior.events;
+  }
+
+  async getEventDetails(event) {
+    return { from: this.behavior.name, id: event.id };
+  }
+
+  getFetchMetadata() {
+    return this.behavior.metadata || null;
+  }
+
+  getProviderName() {
+    return 'Scripted';
+  }
+}
+
+test('merges the sources into one stream tagged with the source, first source winning', async () => {
+  const provider = new MultiSourceProvider({
+    sources: [
+      { id: 'students', provider: new ScriptedProvider({ events: [{ id: 'S1' }, { id: 'S2' }], metadata: { timings: { fetchMs: 40, parseMs: 5 } } }) },
+      { id: 'courses', provider: new ScriptedProvider({ events: [{ id: 'S2' }, { id: 'S3' }], metadata: { timings: { fetchMs: 70, parseMs: 3 } } }) }
+    ]
+  });
+
+  assert.deepEqual(await provider.getSailingEvents(), [
+    { id: 'S1', source: 'students' },
+    { id: 'S2', source: 'students' },
+    { id: 'S3', source: 'courses' }
+  ]);
+  assert.deepEqual(provider.getFetchMetadata(), {
+    diagnostics: { students: null, courses: null },
+    timings: { fetchMs: 70, parseMs: 8 },
+    degraded: false
+  });
+});
+
+test('serves the other sources when one fails, flagged as degraded', async () => {
+  const provider = new MultiSourceProvider({
+    sources: [
+      { id: 'students', provider: new ScriptedProvider({ events: [{ id: 'S1' }], metadata: { diagnostics: { eventsParsed: 1 } } }) },
+      { id: 'club', provider: new ScriptedProvider({ error: 'HTTP 503' }) }
+    ]
+  });
+
+  assert.deepEqual(await provider.getSailingEvents(), [{ id: 'S1', source: 'students' }]);
+  const metadata = provider.getFetchMetadata();
+  assert.equal(metadata.degraded, true);
+  assert.deepEqual(metadata.diagnostics, { students: { eventsParsed: 1 }, club: { error: 'HTTP 503' } });
+});
+
+test('fails when every source fails, with a single source\'s own error', async () => {
+  const single = new MultiSourceProvider({ sources: [{ id: 'students', provider: new ScriptedProvider({ error: 'Timed out' }) }] });
+  await assert.rejects(single.getSailingEvents(), /^Error: Timed out$/);
+
+  const both = new MultiSourceProvider({
+    sources: [
+      { id: 'students', provider: new ScriptedProvider({ error: 'Timed out' }) },
+      { id: 'club', provider: new ScriptedProvider({ error: 'HTTP 503' }) }
+    ]
+  });
+  await assert.rejects(both.getSailingEvents(), /All sources failed: students \(Timed out\), club \(HTTP 503\)/);
+  assert.equal(both.getFetchMetadata(), null);
+});
+
+test('gets details from the provider of the sail\'s source', async () => {
+  const provider = new MultiSourceProvider({
+    sources: [
+      { id: 'students', provider: new ScriptedProvider({ name: 'students', events: [] }) },
+      { id: 'club', provider: new ScriptedProvider({ name: 'club', events: [] }) }
+    ]
+  });
+
+  assert.equal((await provider.getEventDetails({ id: 'S9', source: 'club' })).from, 'club');
+  assert.equal((await provider.getEventDetails({ id: 'S9' })).from, 'students');
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const ScrapingBeeProvider = require('../../providers/ScrapingBeeProvider');
+const { EXPORT_FILE, FIXTURES_DIR, readFixture, readGolden, silenceConsole } = require('../helpers/golden');
+const { startFakeServer } = require('../helpers/fakeServer');
+
+silenceConsole();
+
+/**
+ * Starts a fake ScrapingBee API answering with the page each target URL maps to
+ * @param {Object} pages Map of target URL to { status, body }
+ * @returns {Promise<Object>} Fake server, see startFakeServer()
+ */
+function startFakeScrapingBee(pages) {
+  return startFakeServer((req, res) => {
+    const target = new URL(req.url, 'http://localhost').searchParams.get('url');
+    const page = pages[target] || { status: 404, body: 'Unknown target' };
+    res.writeHead(page.status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(page.body);
+  });
+}
+
+test('fetches the target page through the API and parses it', async t => {
+  const targetUrl = 'https://sailor.co.il/הפלגותתלמידים';
+  const server = await startFakeScrapingBee({ [targetUrl]: { status: 200, body: readFixture(EXPORT_FILE) } });
+  t.after(() => server.close());
+
+  const provider = new ScrapingBeeProvider({ apiKey: 'test-key', apiUrl: `${server.url}/api/v1/`, targetUrl });
+  const events = await provider.getSailingEvents();
+
+  assert.deepEqual(events, readGolden('sailor-website-export').events);
+  assert.equal(provider.getFetchMetadata().diagnostics.eventsParsed, events.length);
+
+  const params = new URL(server.requests[0].url, 'http://localhost').searchParams;
+  assert.equal(server.requests[0].method, 'GET');
+  assert.deepEqual(Object.fromEntries(params), {
+    api_key: 'test-key',
+    url: targetUrl,
+    render_js: 'true',
+    wait: '3000',
+    premium_proxy: 'true',
+    country_code: 'il'
+  });
+});
+
+test('passes the configured rendering options', async t => {
+  const targetUrl = 'https://sailor.co.il/list';
+  const server = await startFakeScrapingBee({ [targetUrl]: { status: 200, body: readFixture(EXPORT_FILE) } });
+  t.after(() => server.close());
+
+  const provider = new ScrapingBeeProvider({
+    apiKey: 'test-key',
+    apiUrl: server.url,
+    targetUrl,
+    renderJs: false,
+    wait: 0,
+    premiumProxy: false,
+    countryCode: 'us'
+  });
+  await provider.getSailingEvents();
+
+  const params = new URL(server.requests[0].url, 'http://localhost').searchParams;
+  assert.equal(params.get('render_js'), 'false');
+  assert.equal(params.get('wait'), '0');
+  assert.equal(params.get('premium_proxy'), 'false');
+  assert.equal(params.get('country_code'), 'us');
+});
+
+test('fails when the API returns an error', async t => {
+  const server = await startFakeScrapingBee({});
+  t.after(() => server.close());
+
+  const provider = new ScrapingBeeProvider({ apiKey: 'test-key', apiUrl: server.url, targetUrl: 'https://sailor.co.il/x' });
+  await assert.rejects(provider.getSailingEvents(), /status code 404/);
+});
+
+test('fails when the page is not the sails list', async t => {
+  const targetUrl = 'https://sailor.co.il/blocked';
+  const server = await startFakeScrapingBee({ [targetUrl]: { status: 200, body: '<html><body>Access denied</body></html>' } });
+  t.after(() => server.close());
+
+  const provider = new ScrapingBeeProvider({ apiKey: 'test-key', apiUrl: server.url, targetUrl });
+  await assert.rejects(provider.getSailingEvents(), /No sailing content found/);
+});
+
+test('requires an API key', async () => {
+  const provider = new ScrapingBeeProvider({ apiUrl: 'http://127.0.0.1:1/' });
+  await assert.rejects(provider.getSailingEvents(), /API key is not configured/);
+});
+
+test('fetches detail pages from the sail moreUrl', async t => {
+  const moreUrl = 'https://sailor.co.il/S1129_details';
+  const server = await startFakeScrapingBee({
+    [moreUrl]: { status: 200, body: readFixture(path.join(FIXTURES_DIR, 'details/S1129.html')) }
+  });
+  t.after(() => server.close());
+
+  const provider = new ScrapingBeeProvider({ apiKey: 'test-key', apiUrl: server.url });
+
+  assert.deepEqual(await provider.getEventDetails({ id: 'S1129', moreUrl }), readGolden('details/S1129'));
+  await assert.rejects(provider.getEventDetails({ id: 'S1130', moreUrl: '' }), /has no detail page/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SnapshotProvider = require('../../providers/SnapshotProvider');
+const JSONFileSnapshotStore = require('../../stores/JSONFileSnapshotStore');
+const { silenceConsole } = require('../helpers/golden');
+
+silenceConsole();
+
+/**
+ * Creates a snapshot store in a temporary directory removed after the test
+ * @param {Object} t Test context
+ * @returns {JSONFileSnapshotStore} Empty store
+ */
+function createTempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sailor-snapshots-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new JSONFileSnapshotStore({ filePath: path.join(dir, 'snapshots.json') });
+}
+
+test('serves the latest snapshot and when it was last confirmed', async t => {
+  const snapshotStore = createTempStore(t);
+  await snapshotStore.saveSnapshot({ timestamp: '2025-10-26T08:00:00.000Z', provider: 'ScrapingBee', events: [{ id: 'S1' }] });
+  await snapshotStore.saveSnapshot({ timestamp: '2025-10-27T08:00:00.000Z', provider: 'ScrapingBee', events: [{ id: 'S2' }] });
+  await snapshotStore.touchLatestSnapshot('2025-10-27T09:00:00.000Z');
+
+  const provider = new SnapshotProvider({ snapshotStore });
+
+  assert.deepEqual(await provider.getSailingEvents(), [{ id: 'S2' }]);
+  assert.deepEqual(provider.getFetchMetadata(), {
+    fetchedAt: '2025-10-27T09:00:00.000Z',
+    snapshotProvider: 'ScrapingBee'
+  });
+});
+
+test('fails while no snapshot is stored', async t => {
+  const provider = new SnapshotProvider({ snapshotStore: createTempStore(t) });
+
+  await assert.rejects(provider.getSailingEvents(), /No snapshot available/);
+  assert.equal(provider.getFetchMetadata(), null);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const StaticHTMLProvider = require('../../providers/StaticHTMLProvider');
+const { FIXTURES_DIR, readGolden, silenceConsole } = require('../helpers/golden');
+
+silenceConsole();
+
+test('returns the events of the export golden file', async () => {
+  const provider = new StaticHTMLProvider();
+  const events = await provider.getSailingEvents();
+
+  assert.deepEqual(events, readGolden('sailor-website-export').events);
+  assert.equal(provider.getFetchMetadata().diagnostics.eventsParsed, events.length);
+  assert.ok(provider.getFetchMetadata().fetchedAt);
+  assert.equal(typeof provider.getFetchMetadata().timings.fetchMs, 'number');
+  assert.equal(typeof provider.getFetchMetadata().timings.parseMs, 'number');
+});
+
+test('rejects a file that is not the sails list', async () => {
+  const provider = new StaticHTMLProvider({ htmlFilePath: path.join(FIXTURES_DIR, 'details/S1129.html') });
+  await assert.rejects(provider.getSailingEvents(), /No sailing content found/);
+});
+
+test('reads detail pages from the details directory', async () => {
+  const provider = new StaticHTMLProvider({ detailsDir: path.join(FIXTURES_DIR, 'details') });
+
+  assert.deepEqual(await provider.getEventDetails({ id: 'S1129' }), readGolden('details/S1129'));
+  await assert.rejects(provider.getEventDetails({ id: 'S9999' }), /No saved detail page for sail S9999/);
+});
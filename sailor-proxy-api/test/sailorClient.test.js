@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SailorClient = require('../../sailor-sails/sailor-client');
+const EventSchema = require('../schema/EventSchema');
+const { startFakeServer } = require('./helpers/fakeServer');
+
+/**
+ * Starts a fake API answering every request with one response
+ * @param {number} status HTTP status
+ * @param {Object} body JSON body
+ * @returns {Promise<Object>} Fake server, see startFakeServer()
+ */
+function startFakeApi(status, body) {
+  return startFakeServer((req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'X-Request-Id': 'req-123' });
+    res.end(JSON.stringify(body));
+  });
+}
+
+test('the client reads the schema version the API publishes', () => {
+  assert.equal(SailorClient.SCHEMA_VERSION, EventSchema.VERSION);
+});
+
+test('getEvents sends list parameters comma separated', async t => {
+  const server = await startFakeApi(200, { success: true, schemaVersion: EventSchema.VERSION, events: [] });
+  t.after(() => server.close());
+
+  const client = new SailorClient({ baseUrl: server.url });
+  const result = await client.getEvents({ branch: ['יפו', 'הרצליה'], from: '2025-11-01', q: '', limit: 5 });
+
+  assert.deepEqual(result.events, []);
+  const url = new URL(server.requests[0].url, server.url);
+  assert.equal(url.pathname, '/api/sailor-proxy');
+  assert.deepEqual(Object.fromEntries(url.searchParams), { branch: 'יפו,הרצליה', from: '2025-11-01', limit: '5' });
+});
+
+test('error responses become SailorApiErrors with the request ID', async t => {
+  const server = await startFakeApi(404, { success: false, error: 'Sail "S1" not found', message: 'No current sail has this ID' });
+  t.after(() => server.close());
+
+  const client = new SailorClient({ baseUrl: server.url });
+  await assert.rejects(client.getEvent('S1'), error => {
+    assert.ok(error instanceof SailorClient.SailorApiError);
+    assert.equal(error.message, 'Sail "S1" not found');
+    assert.equal(error.status, 404);
+    assert.equal(error.requestId, 'req-123');
+    return true;
+  });
+});
+
+test('responses with another major schema version are rejected', async t => {
+  const server = await startFakeApi(200, { success: true, schemaVersion: '4.0.0', events: [] });
+  t.after(() => server.close());
+
+  const client = new SailorClient({ baseUrl: server.url });
+  await assert.rejects(client.getEvents(), /Unsupported schema version 4\.0\.0/);
+  assert.equal(SailorClient.isCompatible('3.1.0'), true);
+});
+
+test('getCalendarUrl builds a webcal subscription URL', () => {
+  const client = new SailorClient({ baseUrl: 'https://api.example.com/' });
+  assert.equal(client.getCalendarUrl({ boat: ['Noga'], to: '' }), 'webcal://api.example.com/api/sailor-proxy?boat=Noga&format=ics');
+});
@@ -0,0 +1,118 @@
+/**
+ * Date and time helpers for sailing events
+ * Sailor publishes local Israeli wall-clock times, so conversions are done
+ * explicitly in the Asia/Jerusalem timezone regardless of the server's zone
+ */
+class DateUtils {
+  static TIME_ZONE = 'Asia/Jerusalem';
+
+  /**
+   * Converts a YYYY-MM-DD or DD/MM/YYYY date into a sortable YYYY-MM-DD key
+   * @param {string} dateStr Date string
+   * @returns {string|null} Date key or null if the date is invalid
+   */
+  static toDateKey(dateStr) {
+    if (!dateStr) return null;
+
+    let match = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    let y, m, d;
+    if (match) {
+      [, y, m, d] = match;
+    } else {
+      match = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+      if (!match) return null;
+      [, d, m, y] = match;
+    }
+
+    const date = new Date(Date.UTC(parseInt(y), parseInt(m) - 1, parseInt(d)));
+    if (date.getUTCDate() !== parseInt(d) || date.getUTCMonth() !== parseInt(m) - 1) return null;
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Adds days to a YYYY-MM-DD date key
+   * @param {string} dateKey Date key
+   * @param {number} days Number of days to add
+   * @returns {string} New date key
+   */
+  static addDays(dateKey, days) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Gets the ISO 8601 weekday of a date
+   * @param {string} dateStr Date string, as accepted by toDateKey()
+   * @returns {number|null} 1 (Monday) to 7 (Sunday), null if the date is invalid
+   */
+  static getIsoWeekday(dateStr) {
+    const dateKey = DateUtils.toDateKey(dateStr || '');
+    return dateKey ? new Date(`${dateKey}T00:00:00Z`).getUTCDay() || 7 : null;
+  }
+
+  /**
+   * Pads a H:MM time to HH:MM so times sort as strings
+   * @param {string} time Time string
+   * @returns {string} Padded time
+   */
+  static padTime(time) {
+    return String(time || '').padStart(5, '0');
+  }
+
+  /**
+   * Converts a time to minutes since midnight
+   * @param {string} time Time in H:MM or HH:MM format
+   * @returns {number} Minutes since midnight
+   */
+  static toMinutes(time) {
+    const [h, m] = String(time).split(':').map(Number);
+    return h * 60 + m;
+  }
+
+  /**
+   * Gets the UTC offset of a timezone at a given instant
+   * @param {number} utcMs Instant in epoch milliseconds
+   * @param {string} timeZone IANA timezone name
+   * @returns {number} Offset in minutes (positive east of UTC)
+   */
+  static getTimeZoneOffset(utcMs, timeZone = DateUtils.TIME_ZONE) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(new Date(utcMs)).forEach(part => {
+      parts[part.type] = parseInt(part.value);
+    });
+
+    const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((wallMs - Math.floor(utcMs / 60000) * 60000) / 60000);
+  }
+
+  /**
+   * Builds an ISO 8601 timestamp with offset from a local wall-clock date and time
+   * @param {string} dateKey Date in YYYY-MM-DD format
+   * @param {string} time Time in H:MM or HH:MM format
+   * @param {string} timeZone IANA timezone name
+   * @returns {string} Timestamp such as '2025-10-27T16:00:00+02:00'
+   */
+  static toZonedISOString(dateKey, time, timeZone = DateUtils.TIME_ZONE) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const wallMs = Date.UTC(y, m - 1, d) + DateUtils.toMinutes(time) * 60000;
+
+    // Resolve the offset twice so wall times next to a DST switch settle on the right side
+    let offset = DateUtils.getTimeZoneOffset(wallMs, timeZone);
+    offset = DateUtils.getTimeZoneOffset(wallMs - offset * 60000, timeZone);
+
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    const offsetStr = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+    return `${dateKey}T${DateUtils.padTime(time)}:00${offsetStr}`;
+  }
+}
+
+module.exports = DateUtils;
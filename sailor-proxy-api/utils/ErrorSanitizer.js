@@ -0,0 +1,62 @@
+const AppConfig = require('../config/AppConfig');
+
+/**
+ * Turns errors into messages that are safe to return to API clients
+ * Upstream responses (e.g. a ScrapingBee error page) are reduced to their
+ * status, and configured secrets or credential-looking URL parts are
+ * redacted, so keys never leave the server. The full error is still logged.
+ */
+class ErrorSanitizer {
+  static REDACTED = '[redacted]';
+
+  // Credentials that can end up in messages through request URLs
+  static PATTERNS = [
+    [/\b(api[_-]?key|access[_-]?token|token|secret|password)=[^&\s'"]+/gi, '$1=[redacted]'],
+    [/\bbot\d+:[A-Za-z0-9_-]+/g, 'bot[redacted]'],
+    [/\bBearer\s+[A-Za-z0-9._~+/=-]{16,}/gi, 'Bearer [redacted]'],
+    [/\/\/[^/\s:@]+:[^/\s@]+@/g, '//[redacted]@']
+  ];
+
+  /**
+   * Describes an error for a response body
+   * @param {Error} error Error to describe
+   * @returns {string} Message without upstream payloads or secrets
+   */
+  static describe(error) {
+    if (error && error.response) {
+      return `Upstream responded with HTTP ${error.response.status}`;
+    }
+    return ErrorSanitizer.sanitize(error && error.message ? error.message : String(error));
+  }
+
+  /**
+   * Redacts secrets from a message
+   * @param {string} message Message to clean
+   * @param {Array<string>} [secrets] Values to redact, the configured secrets by default
+   * @returns {string} Cleaned message
+   */
+  static sanitize(message, secrets = ErrorSanitizer.getConfiguredSecrets()) {
+    let result = String(message);
+    secrets.forEach(secret => {
+      result = result.split(secret).join(ErrorSanitizer.REDACTED);
+    });
+    ErrorSanitizer.PATTERNS.forEach(([pattern, replacement]) => {
+      result = result.replace(pattern, replacement);
+    });
+    return result;
+  }
+
+  /**
+   * Reads the secrets of the loaded configuration
+   * @returns {Array<string>} Secret values, none if the configuration is invalid
+   */
+  static getConfiguredSecrets() {
+    try {
+      return AppConfig.getSecrets(AppConfig.get());
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = ErrorSanitizer;
@@ -0,0 +1,234 @@
+const EventSchema = require('../schema/EventSchema');
+
+/**
+ * Statistics over the snapshot archive (see JSONFileSnapshotStore)
+ * Snapshots are only written when the listing changes, so a sail is taken to
+ * appear at the first snapshot listing it and to disappear at the first later
+ * snapshot that no longer does; both are accurate to the scrape interval.
+ * Sails already listed in the oldest snapshot appeared at an unknown time and
+ * are left out of the listing time and lead time statistics.
+ */
+class EventAnalytics {
+  static HOUR_MS = 60 * 60 * 1000;
+  static DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Lead time buckets in days, the last one open ended
+  static LEAD_TIME_BUCKETS = [
+    { label: '0-1', minDays: 0, maxDays: 1 },
+    { label: '1-3', minDays: 1, maxDays: 3 },
+    { label: '3-7', minDays: 3, maxDays: 7 },
+    { label: '7-14', minDays: 7, maxDays: 14 },
+    { label: '14-30', minDays: 14, maxDays: 30 },
+    { label: '30+', minDays: 30, maxDays: null }
+  ];
+
+  static BUSIEST_SLOTS = 5;
+
+  /**
+   * Computes every statistic over an archive
+   * @param {Array<Object>} snapshots Snapshots oldest first, see JSONFileSnapshotStore.listSnapshots()
+   * @returns {Object} { archive, listing, schedule, leadTime }, see the methods below
+   */
+  static analyze(snapshots) {
+    const history = EventAnalytics.buildHistory(snapshots);
+    return {
+      archive: EventAnalytics.describeArchive(snapshots, history),
+      listing: EventAnalytics.getListingTimes(history),
+      schedule: EventAnalytics.getSchedule(history),
+      leadTime: EventAnalytics.getLeadTimes(history)
+    };
+  }
+
+  /**
+   * Follows every sail through the snapshots
+   * A sail that disappears and is listed again counts as listed from its first appearance.
+   * @param {Array<Object>} snapshots Snapshots oldest first
+   * @returns {Array<Object>} One entry per sail: { event (latest version), firstSeen,
+   *   removedAt (null while listed), listedAtStart (listed in the oldest snapshot) }
+   */
+  static buildHistory(snapshots) {
+    const sails = new Map();
+
+    snapshots.forEach((snapshot, index) => {
+      const listed = new Set();
+      (snapshot.events || []).forEach(event => {
+        listed.add(event.id);
+        const sail = sails.get(event.id);
+        if (sail) {
+          Object.assign(sail, { event, removedAt: null });
+        } else {
+          sails.set(event.id, {
+            event,
+            firstSeen: snapshot.timestamp,
+            removedAt: null,
+            listedAtStart: index === 0
+          });
+        }
+      });
+
+      sails.forEach((sail, id) => {
+        if (!listed.has(id) && !sail.removedAt) {
+          sail.removedAt = snapshot.timestamp;
+        }
+      });
+    });
+
+    return Array.from(sails.values());
+  }
+
+  /**
+   * Describes the archive the statistics are based on
+   * @param {Array<Object>} snapshots Snapshots oldest first
+   * @param {Array<Object>} history Result of buildHistory()
+   * @returns {Object} { snapshots, from, to, sails, listedAtStart }
+   */
+  static describeArchive(snapshots, history) {
+    const last = snapshots[snapshots.length - 1];
+    return {
+      snapshots: snapshots.length,
+      from: snapshots.length > 0 ? snapshots[0].timestamp : null,
+      to: last ? last.checkedAt || last.timestamp : null,
+      sails: history.length,
+      listedAtStart: history.filter(sail => sail.listedAtStart).length
+    };
+  }
+
+  /**
+   * Reports how long sails stayed listed before disappearing ahead of their start,
+   * which usually means they were booked up; sails taken down once they started are not counted
+   * @param {Array<Object>} history Result of buildHistory()
+   * @returns {Object} { byBranch, byBoat }, each a list of { key, sails, removed, medianHours,
+   *   averageHours } busiest first, where sails counts the sails with a known appearance
+   *   and the hours cover the removed ones
+   */
+  static getListingTimes(history) {
+    const tracked = history.filter(sail => !sail.listedAtStart);
+    const group = field => EventAnalytics.groupBy(tracked, sail => sail.event[field]).map(([key, sails]) => {
+      const hours = sails
+        .filter(sail => sail.removedAt && Date.parse(sail.removedAt) < Date.parse(sail.event.start))
+        .map(sail => (Date.parse(sail.removedAt) - Date.parse(sail.firstSeen)) / EventAnalytics.HOUR_MS);
+      return {
+        key,
+        sails: sails.length,
+        removed: hours.length,
+        medianHours: EventAnalytics.round(EventAnalytics.median(hours)),
+        averageHours: EventAnalytics.round(EventAnalytics.average(hours))
+      };
+    });
+
+    return { byBranch: group('branch'), byBoat: group('boat') };
+  }
+
+  /**
+   * Counts sails by weekday and start hour (Israel time)
+   * Weekdays are ISO numbers, 1 (Monday) to 7 (Sunday), listed Sunday first like the Israeli week
+   * @param {Array<Object>} history Result of buildHistory()
+   * @returns {Object} { weekdays: [{ weekday, dayOfWeek, count }] Sunday first,
+   *   hours: [{ hour, count }] for 0-23, busiestSlots: [{ weekday, dayOfWeek, hour, count }] }
+   */
+  static getSchedule(history) {
+    const weekdays = EventSchema.DAYS_OF_WEEK.map((dayOfWeek, index) => ({ weekday: index || 7, dayOfWeek, count: 0 }));
+    const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, count: 0 }));
+    const slots = new Map();
+
+    history.forEach(({ event }) => {
+      const index = EventSchema.DAYS_OF_WEEK.indexOf(event.dayOfWeek);
+      const hour = parseInt(event.startTime, 10);
+      if (index === -1 || !(hour >= 0 && hour < 24)) return;
+
+      weekdays[index].count++;
+      hours[hour].count++;
+      const key = `${index}:${hour}`;
+      slots.set(key, (slots.get(key) || 0) + 1);
+    });
+
+    const busiestSlots = Array.from(slots.entries())
+      .map(([key, count]) => {
+        const [index, hour] = key.split(':').map(Number);
+        return { weekday: index || 7, dayOfWeek: EventSchema.DAYS_OF_WEEK[index], hour, count };
+      })
+      // Ties go to the earlier day of the Sunday-first week
+      .sort((a, b) => b.count - a.count || a.weekday % 7 - b.weekday % 7 || a.hour - b.hour)
+      .slice(0, EventAnalytics.BUSIEST_SLOTS);
+
+    return { weekdays, hours, busiestSlots };
+  }
+
+  /**
+   * Reports how far ahead of their start sails appear
+   * @param {Array<Object>} history Result of buildHistory()
+   * @returns {Object} { sails, medianDays, averageDays, buckets: [{ label, minDays, maxDays, count }],
+   *   byBranch: [{ key, sails, medianDays }] }
+   */
+  static getLeadTimes(history) {
+    const leads = history
+      .filter(sail => !sail.listedAtStart)
+      .map(sail => ({ sail, days: (Date.parse(sail.event.start) - Date.parse(sail.firstSeen)) / EventAnalytics.DAY_MS }))
+      .filter(({ days }) => days >= 0);
+    const days = leads.map(lead => lead.days);
+
+    return {
+      sails: leads.length,
+      medianDays: EventAnalytics.round(EventAnalytics.median(days)),
+      averageDays: EventAnalytics.round(EventAnalytics.average(days)),
+      buckets: EventAnalytics.LEAD_TIME_BUCKETS.map(bucket => ({
+        ...bucket,
+        count: days.filter(value => value >= bucket.minDays && (bucket.maxDays === null || value < bucket.maxDays)).length
+      })),
+      byBranch: EventAnalytics.groupBy(leads, lead => lead.sail.event.branch).map(([key, items]) => ({
+        key,
+        sails: items.length,
+        medianDays: EventAnalytics.round(EventAnalytics.median(items.map(lead => lead.days)))
+      }))
+    };
+  }
+
+  /**
+   * Groups items by a key, largest group first
+   * @param {Array<*>} items Items to group
+   * @param {Function} getKey Returns an item's key; items without one are skipped
+   * @returns {Array<Array>} [key, items] pairs
+   */
+  static groupBy(items, getKey) {
+    const groups = new Map();
+    items.forEach(item => {
+      const key = getKey(item);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    return Array.from(groups.entries()).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0], 'he'));
+  }
+
+  /**
+   * Median of a list of numbers
+   * @param {Array<number>} values Values
+   * @returns {number|null} Median, or null if there are no values
+   */
+  static median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Average of a list of numbers
+   * @param {Array<number>} values Values
+   * @returns {number|null} Average, or null if there are no values
+   */
+  static average(values) {
+    return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  /**
+   * Rounds to one decimal
+   * @param {number|null} value Value
+   * @returns {number|null} Rounded value, null stays null
+   */
+  static round(value) {
+    return value === null ? null : Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = EventAnalytics;
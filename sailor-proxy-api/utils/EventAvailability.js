@@ -0,0 +1,72 @@
+const EventAnalytics = require('./EventAnalytics');
+const EventSchema = require('../schema/EventSchema');
+
+/**
+ * Booking status of sails
+ * Listed sails are 'open', 'few-left' or 'full' by the availability their
+ * card or detail page shows (see SailingHTMLParser.parseAvailability() and
+ * SailDetailParser). Sails that dropped off the listing before their start,
+ * usually because they were booked up, are 'removed'; those are found by
+ * following the sails through the snapshot archive.
+ */
+class EventAvailability {
+  static STATUSES = EventSchema.STATUSES;
+
+  // At most this many seats left counts as 'few-left'
+  static FEW_SEATS_LEFT = 3;
+
+  /**
+   * Gets the status of a listed sail
+   * The detail page's seat count, when fetched, is preferred over the card's.
+   * @param {Object} event Sailing event, optionally with `details`
+   * @returns {string} 'open', 'few-left' or 'full'
+   */
+  static getStatus(event) {
+    const seatsLeft = EventAvailability.getSeatsLeft(event);
+    if (event.soldOut || seatsLeft === 0) {
+      return 'full';
+    }
+    if (seatsLeft !== null && seatsLeft <= EventAvailability.FEW_SEATS_LEFT) {
+      return 'few-left';
+    }
+    return 'open';
+  }
+
+  /**
+   * Gets the best known seats-left count of a sail
+   * @param {Object} event Sailing event, optionally with `details`
+   * @returns {number|null} Seats left, null if unknown
+   */
+  static getSeatsLeft(event) {
+    const fromDetails = event.details ? event.details.seatsLeft : null;
+    return fromDetails ?? (Number.isInteger(event.seatsLeft) ? event.seatsLeft : null);
+  }
+
+  /**
+   * Adds the status to listed sails
+   * @param {Array<Object>} events Sailing events
+   * @returns {Array<Object>} Copies of the events with `status`
+   */
+  static annotate(events) {
+    return events.map(event => ({ ...event, status: EventAvailability.getStatus(event) }));
+  }
+
+  /**
+   * Lists the sails that dropped off the listing before their start
+   * @param {Array<Object>} snapshots Snapshots oldest first, see JSONFileSnapshotStore.listSnapshots()
+   * @param {Array<Object>} currentEvents Sails listed now; they are never reported as removed
+   * @param {number} [now] Current time in epoch milliseconds
+   * @returns {Array<Object>} The last seen version of each sail with status 'removed'
+   *   and `removedAt`, soonest start first
+   */
+  static findRemoved(snapshots, currentEvents, now = Date.now()) {
+    const listed = new Set(currentEvents.map(event => event.id));
+    return EventAnalytics.buildHistory(snapshots)
+      .filter(sail => sail.removedAt && !listed.has(sail.event.id))
+      .filter(sail => sail.event.start && Date.parse(sail.event.start) > now)
+      .sort((a, b) => Date.parse(a.event.start) - Date.parse(b.event.start))
+      .map(sail => ({ ...sail.event, status: 'removed', removedAt: sail.removedAt }));
+  }
+}
+
+module.exports = EventAvailability;
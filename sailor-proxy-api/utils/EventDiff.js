@@ -0,0 +1,81 @@
+/**
+ * Utility class for comparing two lists of sailing events
+ * Events are matched by their stable sail ID
+ */
+class EventDiff {
+  static TRACKED_FIELDS = ['title', 'date', 'startTime', 'endTime', 'start', 'end', 'boat', 'branch', 'pier', 'description', 'price', 'seatsLeft', 'soldOut'];
+
+  /**
+   * Compares a previous and a current list of events
+   * @param {Array<Object>} previousEvents Events from the older snapshot
+   * @param {Array<Object>} currentEvents Events from the newer snapshot
+   * @returns {Object} { added, removed, changed } where changed items are
+   *   { id, event, changes: { field: { from, to } } }
+   */
+  static diff(previousEvents = [], currentEvents = []) {
+    const previousById = new Map(previousEvents.map(event => [event.id, event]));
+    const currentIds = new Set(currentEvents.map(event => event.id));
+
+    const added = [];
+    const changed = [];
+    currentEvents.forEach(event => {
+      const previous = previousById.get(event.id);
+      if (!previous) {
+        added.push(event);
+        return;
+      }
+
+      const changes = EventDiff.compareFields(previous, event);
+      if (Object.keys(changes).length > 0) {
+        changed.push({ id: event.id, event, changes });
+      }
+    });
+
+    const removed = previousEvents.filter(event => !currentIds.has(event.id));
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Lists the tracked fields that differ between two versions of an event
+   * Fields the older version lacks, because it was stored before the parser
+   * extracted them, are not compared.
+   * @param {Object} previous Older version
+   * @param {Object} current Newer version
+   * @returns {Object} Map of field name to { from, to }
+   */
+  static compareFields(previous, current) {
+    const changes = {};
+    EventDiff.TRACKED_FIELDS.forEach(field => {
+      if (previous[field] === undefined) return;
+      if ((previous[field] ?? '') !== (current[field] ?? '')) {
+        changes[field] = { from: previous[field] ?? '', to: current[field] ?? '' };
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Checks whether a diff contains any change
+   * @param {Object} diff Result of diff()
+   * @returns {boolean} True if anything was added, removed or changed
+   */
+  static hasChanges(diff) {
+    return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+  }
+
+  /**
+   * Summarizes a diff as counts
+   * @param {Object} diff Result of diff()
+   * @returns {Object} { added, removed, changed }
+   */
+  static summarize(diff) {
+    return {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      changed: diff.changed.length
+    };
+  }
+}
+
+module.exports = EventDiff;
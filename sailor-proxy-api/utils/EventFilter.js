@@ -0,0 +1,321 @@
+const DateUtils = require('./DateUtils');
+const EventAvailability = require('./EventAvailability');
+
+/**
+ * Utility class for filtering, sorting and paginating parsed sailing events
+ * Lets API consumers query events server-side instead of repeating the
+ * filter logic of the sailor-sails page
+ */
+class EventFilter {
+  static DEFAULT_LIMIT = 50;
+  static MAX_LIMIT = 200;
+  static SORT_FIELDS = ['date', 'branch', 'boat', 'pier', 'title'];
+  static TIME_OF_DAY = ['morning', 'afternoon', 'evening'];
+  static HEBREW_DAYS = ['א׳', 'ב׳', 'ג׳', 'ד׳', 'ה׳', 'ו׳', 'ש׳'];
+  static WEEKDAY_HINT = 'expected an ISO weekday, 1 (Monday) to 7 (Sunday), or a Hebrew day symbol';
+  // Statuses of listed sails; removed sails are only returned as removedEvents
+  static STATUSES = EventAvailability.STATUSES.filter(status => status !== 'removed');
+
+  /**
+   * Parses and validates query parameters into filter options
+   * List parameters accept comma separated values, like the UI's URL params
+   * @param {Object} query Raw query parameters (req.query)
+   * @returns {Object} { options, errors } where errors is a list of messages
+   */
+  static parseQuery(query = {}) {
+    const errors = [];
+    const options = {
+      branch: EventFilter.parseList(query.branch),
+      category: EventFilter.parseList(query.category),
+      boat: EventFilter.parseList(query.boat),
+      pier: EventFilter.parseList(query.pier),
+      source: EventFilter.parseList(query.source),
+      from: null,
+      to: null,
+      dayOfWeek: [],
+      timeOfDay: [],
+      status: [],
+      search: EventFilter.normalizeText(query.q),
+      sort: { field: 'date', direction: 1 },
+      limit: null,
+      offset: 0
+    };
+
+    ['from', 'to'].forEach(name => {
+      if (query[name] === undefined || query[name] === '') return;
+      const dateKey = DateUtils.toDateKey(String(query[name]));
+      if (dateKey) {
+        options[name] = dateKey;
+      } else {
+        errors.push(`Invalid "${name}" date: expected YYYY-MM-DD or DD/MM/YYYY`);
+      }
+    });
+    if (options.from && options.to && options.from > options.to) {
+      errors.push('"from" must not be after "to"');
+    }
+
+    EventFilter.parseList(query.dayOfWeek).forEach(day => {
+      const weekday = EventFilter.parseWeekday(day);
+      if (weekday === null) {
+        errors.push(`Invalid "dayOfWeek" value "${day}": ${EventFilter.WEEKDAY_HINT}`);
+      } else {
+        options.dayOfWeek.push(weekday);
+      }
+    });
+
+    EventFilter.parseList(query.timeOfDay).forEach(slot => {
+      if (EventFilter.TIME_OF_DAY.includes(slot)) {
+        options.timeOfDay.push(slot);
+      } else {
+        errors.push(`Invalid "timeOfDay" value "${slot}": expected one of ${EventFilter.TIME_OF_DAY.join(', ')}`);
+      }
+    });
+
+    EventFilter.parseList(query.status).forEach(status => {
+      if (EventFilter.STATUSES.includes(status)) {
+        options.status.push(status);
+      } else {
+        errors.push(`Invalid "status" value "${status}": expected one of ${EventFilter.STATUSES.join(', ')}`);
+      }
+    });
+
+    if (query.sort) {
+      const sort = String(query.sort);
+      const field = sort.replace(/^-/, '');
+      if (EventFilter.SORT_FIELDS.includes(field)) {
+        options.sort = { field, direction: sort.startsWith('-') ? -1 : 1 };
+      } else {
+        errors.push(`Invalid "sort" value "${sort}": expected one of ${EventFilter.SORT_FIELDS.join(', ')} (prefix with "-" for descending)`);
+      }
+    }
+
+    if (query.limit !== undefined && query.limit !== '') {
+      const limit = EventFilter.parseInteger(query.limit);
+      if (limit === null || limit < 1 || limit > EventFilter.MAX_LIMIT) {
+        errors.push(`Invalid "limit": expected an integer between 1 and ${EventFilter.MAX_LIMIT}`);
+      } else {
+        options.limit = limit;
+      }
+    }
+
+    if (query.cursor) {
+      const offset = EventFilter.decodeCursor(String(query.cursor));
+      if (offset === null) {
+        errors.push('Invalid "cursor"');
+      } else {
+        options.offset = offset;
+      }
+    } else if (query.offset !== undefined && query.offset !== '') {
+      const offset = EventFilter.parseInteger(query.offset);
+      if (offset === null || offset < 0) {
+        errors.push('Invalid "offset": expected a non-negative integer');
+      } else {
+        options.offset = offset;
+      }
+    }
+
+    if (options.offset > 0 && options.limit === null) {
+      options.limit = EventFilter.DEFAULT_LIMIT;
+    }
+
+    return { options, errors };
+  }
+
+  /**
+   * Applies filters, sorting, facets and pagination to a list of events
+   * @param {Array<Object>} events Parsed sailing events
+   * @param {Object} options Options returned by parseQuery()
+   * @returns {Object} { events, total, facets, pagination }
+   */
+  static apply(events, options) {
+    const filtered = events.filter(event => EventFilter.matches(event, options));
+    const sorted = EventFilter.sortEvents(filtered, options.sort);
+
+    const offset = options.offset || 0;
+    const limit = options.limit;
+    const page = limit ? sorted.slice(offset, offset + limit) : sorted.slice(offset);
+    const nextOffset = offset + page.length;
+
+    return {
+      events: page,
+      total: sorted.length,
+      facets: EventFilter.computeFacets(events, options),
+      pagination: {
+        offset,
+        limit,
+        count: page.length,
+        nextCursor: limit && nextOffset < sorted.length ? EventFilter.encodeCursor(nextOffset) : null
+      }
+    };
+  }
+
+  /**
+   * Checks whether an event matches the filter options
+   * @param {Object} event Sailing event
+   * @param {Object} options Filter options
+   * @param {string} [ignore] Facet field to leave out of the check
+   * @returns {boolean} True if the event matches
+   */
+  static matches(event, options, ignore = null) {
+    if (ignore !== 'branch' && options.branch.length && !options.branch.includes(event.branch)) return false;
+    if (ignore !== 'category' && options.category.length &&
+      !options.category.includes(event.category) && !options.category.includes(event.eventType)) return false;
+    if (ignore !== 'boat' && options.boat.length && !options.boat.includes(event.boat)) return false;
+    if (ignore !== 'pier' && options.pier.length && !options.pier.includes(event.pier)) return false;
+    if (ignore !== 'source' && options.source.length && !options.source.includes(event.source)) return false;
+    if (ignore !== 'status' && options.status.length && !options.status.includes(event.status)) return false;
+
+    if (options.from || options.to || options.dayOfWeek.length) {
+      const dateKey = DateUtils.toDateKey(event.date);
+      if (!dateKey) return false;
+      if (options.from && dateKey < options.from) return false;
+      if (options.to && dateKey > options.to) return false;
+      if (options.dayOfWeek.length && !options.dayOfWeek.includes(DateUtils.getIsoWeekday(dateKey))) {
+        return false;
+      }
+    }
+
+    if (options.timeOfDay.length && !options.timeOfDay.includes(EventFilter.getTimeOfDay(event.startTime))) {
+      return false;
+    }
+
+    // Free text: every word must appear in the title or description
+    if (options.search) {
+      const text = EventFilter.normalizeText(`${event.title} ${event.description}`);
+      if (!options.search.split(' ').every(word => text.includes(word))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Sorts events by the requested field, using date and start time as tie breaker
+   * @param {Array<Object>} events Events to sort
+   * @param {Object} sort { field, direction }
+   * @returns {Array<Object>} New sorted array
+   */
+  static sortEvents(events, sort = { field: 'date', direction: 1 }) {
+    const chronoKey = event => `${DateUtils.toDateKey(event.date) || '9999-99-99'} ${DateUtils.padTime(event.startTime)}`;
+
+    return events
+      .map((event, index) => ({ event, index }))
+      .sort((a, b) => {
+        let result = 0;
+        if (sort.field !== 'date') {
+          result = String(a.event[sort.field] || '').localeCompare(String(b.event[sort.field] || ''), 'he');
+        }
+        if (result === 0) {
+          result = chronoKey(a.event).localeCompare(chronoKey(b.event));
+        }
+        return result * sort.direction || a.index - b.index;
+      })
+      .map(item => item.event);
+  }
+
+  /**
+   * Counts events per branch, boat, pier, category code, source and status
+   * Each facet honours every filter except its own, so counts show what
+   * selecting another value of that facet would return
+   * @param {Array<Object>} events All events
+   * @param {Object} options Filter options
+   * @returns {Object} { branch: {value: count}, boat: {...}, pier: {...}, category: {...}, source: {...}, status: {...} }
+   */
+  static computeFacets(events, options) {
+    const facets = {};
+    ['branch', 'boat', 'pier', 'category', 'source', 'status'].forEach(facet => {
+      facets[facet] = {};
+      events
+        .filter(event => EventFilter.matches(event, options, facet))
+        .forEach(event => {
+          // Events stored before category codes were added only have their eventType
+          const value = facet === 'category' ? event.category || event.eventType : event[facet];
+          if (value) {
+            facets[facet][value] = (facets[facet][value] || 0) + 1;
+          }
+        });
+    });
+    return facets;
+  }
+
+  /**
+   * Parses a weekday filter value
+   * 0 is still read as Sunday, as in the 0 (Sunday) to 6 numbering used before
+   * the API switched to ISO weekdays; 1 to 6 mean the same days in both.
+   * @param {string|number} value ISO weekday (1-7), legacy 0 or Hebrew day symbol
+   * @returns {number|null} ISO weekday, 1 (Monday) to 7 (Sunday), null if invalid
+   */
+  static parseWeekday(value) {
+    const day = String(value).trim();
+    if (/^[0-7]$/.test(day)) {
+      return parseInt(day) || 7;
+    }
+    const index = EventFilter.HEBREW_DAYS.indexOf(day);
+    return index === -1 ? null : index || 7;
+  }
+
+  /**
+   * Classifies a start time into a time-of-day slot
+   * @param {string} time Time in HH:MM format
+   * @returns {string} 'morning' (before 12:00), 'afternoon' (before 17:00) or 'evening'
+   */
+  static getTimeOfDay(time) {
+    const hour = parseInt(String(time).split(':')[0]);
+    if (isNaN(hour)) return '';
+    if (hour < 12) return 'morning';
+    if (hour < 17) return 'afternoon';
+    return 'evening';
+  }
+
+  /**
+   * Normalizes text for free-text search: lower case, collapsed whitespace
+   * @param {string} text Raw text
+   * @returns {string} Normalized text, '' if none
+   */
+  static normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Splits a comma separated query value into a list
+   * @param {string|Array<string>} value Raw query value
+   * @returns {Array<string>} Trimmed, non-empty values
+   */
+  static parseList(value) {
+    if (value === undefined || value === null) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+      .flatMap(v => String(v).split(','))
+      .map(v => v.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Parses a strictly numeric string into an integer
+   * @param {string} value Raw value
+   * @returns {number|null} Integer or null if not numeric
+   */
+  static parseInteger(value) {
+    return /^\d+$/.test(String(value)) ? parseInt(value) : null;
+  }
+
+  /**
+   * Encodes a pagination offset as an opaque cursor
+   * @param {number} offset Offset of the next page
+   * @returns {string} Cursor string
+   */
+  static encodeCursor(offset) {
+    return Buffer.from(`offset:${offset}`).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor created by encodeCursor()
+   * @param {string} cursor Cursor string
+   * @returns {number|null} Offset or null if the cursor is invalid
+   */
+  static decodeCursor(cursor) {
+    const match = Buffer.from(cursor, 'base64url').toString('utf8').match(/^offset:(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+  }
+}
+
+module.exports = EventFilter;
@@ -0,0 +1,68 @@
+const DateUtils = require('./DateUtils');
+
+/**
+ * Display labels of the language-neutral event codes
+ * Events carry codes consumers can key on (category, weekday, status); with
+ * ?lang= the API adds their labels in that language, so clients do not need
+ * catalogs of their own. Categories of other sources that have no label here
+ * are shown by their own name (eventType).
+ */
+class EventLocalizer {
+  static LANGUAGES = ['he', 'en'];
+
+  static CATALOGS = {
+    he: {
+      categories: { students: 'הפלגות תלמידים', 'pre-practical': 'הפלגות טרום מעשי' },
+      // ISO weekday order, Monday first
+      weekdays: ['שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת', 'ראשון'],
+      statuses: { open: 'פתוחה להרשמה', 'few-left': 'מקומות אחרונים', full: 'מלאה', removed: 'הוסרה מהאתר' }
+    },
+    en: {
+      categories: { students: 'Student sails', 'pre-practical': 'Pre-practical sails' },
+      weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+      statuses: { open: 'Open', 'few-left': 'Few seats left', full: 'Full', removed: 'Removed from the site' }
+    }
+  };
+
+  /**
+   * Checks a requested language
+   * @param {string} [lang] Value of the lang query parameter
+   * @returns {string|null} Error message, or null if the language is supported or omitted
+   */
+  static validateLanguage(lang) {
+    if (lang === undefined || EventLocalizer.LANGUAGES.includes(lang)) {
+      return null;
+    }
+    return `Invalid "lang" value "${lang}": expected one of ${EventLocalizer.LANGUAGES.join(', ')}`;
+  }
+
+  /**
+   * Adds labels in a language to events
+   * @param {Array<Object>} events Sailing events
+   * @param {string} lang One of LANGUAGES
+   * @returns {Array<Object>} Copies of the events with `labels`, see getLabels()
+   */
+  static localize(events, lang) {
+    return events.map(event => ({ ...event, labels: EventLocalizer.getLabels(event, lang) }));
+  }
+
+  /**
+   * Gets the labels of an event's codes
+   * Events stored before the codes were added get their weekday from the date
+   * and their category label from eventType.
+   * @param {Object} event Sailing event
+   * @param {string} lang One of LANGUAGES
+   * @returns {Object} { category, weekday, status }, null where the event has no value
+   */
+  static getLabels(event, lang) {
+    const catalog = EventLocalizer.CATALOGS[lang];
+    const weekday = event.weekday ?? DateUtils.getIsoWeekday(event.date);
+    return {
+      category: catalog.categories[event.category] || event.eventType || null,
+      weekday: weekday ? catalog.weekdays[weekday - 1] : null,
+      status: catalog.statuses[event.status] || null
+    };
+  }
+}
+
+module.exports = EventLocalizer;
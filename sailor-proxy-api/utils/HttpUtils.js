@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const AppConfig = require('../config/AppConfig');
+const ProviderFactory = require('../providers/ProviderFactory');
+const ServiceFactory = require('../services/ServiceFactory');
+const ErrorSanitizer = require('./ErrorSanitizer');
+const Logger = require('./Logger');
+
+/**
+ * Helpers shared by the API route handlers
+ * Routes run startRequest() and handleCors() first; routes doing real work
+ * then run enforceRateLimit() and, if they take ?provider=, authorizeProvider();
+ * routes working on the snapshot archive also run requireLiveProvider().
+ * Routes open to token holders only run requireAccessToken() after the rate limit.
+ */
+class HttpUtils {
+  static REQUEST_ID_HEADER = 'X-Request-Id';
+
+  /**
+   * Assigns the request an ID, returned in the X-Request-Id header, and logs its outcome
+   * An incoming X-Request-Id (e.g. from a client retry) is kept if it looks safe to log.
+   * @param {Object} req Request object
+   * @param {Object} res Response object
+   * @returns {Logger} Logger adding the request ID to every entry
+   */
+  static startRequest(req, res) {
+    const incoming = req.headers && req.headers['x-request-id'];
+    const requestId = incoming && /^[A-Za-z0-9._-]{8,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader(HttpUtils.REQUEST_ID_HEADER, requestId);
+
+    const logger = HttpUtils.createLogger().child({ requestId });
+    const startedAt = Date.now();
+    logger.info('Request received', { method: req.method, url: req.url });
+
+    if (typeof res.on === 'function') {
+      res.on('finish', () => {
+        logger.info('Request completed', { status: res.statusCode, durationMs: Date.now() - startedAt });
+      });
+    }
+    return logger;
+  }
+
+  /**
+   * Creates the configured logger; an invalid configuration falls back to the
+   * defaults so the route can still log the configuration error
+   * @returns {Logger} Logger instance
+   */
+  static createLogger() {
+    try {
+      return new Logger(AppConfig.get().logging);
+    } catch (error) {
+      return new Logger();
+    }
+  }
+
+  /**
+   * Sets CORS headers, answers preflight requests and refuses other origins
+   * Browser requests from an origin missing from cors.allowedOrigins get a 403
+   * before any work is done; requests without an Origin header (servers, curl)
+   * are left to the rate limit and the provider access checks.
+   * @param {Object} req Request object
+   * @param {Object} res Response object
+   * @param {string} [methods] Allowed methods
+   * @returns {boolean} True if the request was a preflight or refused and has been answered
+   */
+  static handleCors(req, res, methods = 'GET, POST, OPTIONS') {
+    // Enable CORS for the configured origins (GitHub Pages); an invalid
+    // configuration allows none and is reported by the route itself
+    let allowedOrigins = [];
+    try {
+      allowedOrigins = AppConfig.get().cors.allowedOrigins;
+    } catch (error) {
+      allowedOrigins = [];
+    }
+
+    const origin = req.headers && req.headers.origin;
+    if (allowedOrigins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+      res.setHeader('Vary', 'Origin');
+      if (origin && !allowedOrigins.includes(origin)) {
+        HttpUtils.sendError(res, 403, `Origin ${origin} is not allowed`, 'Forbidden');
+        return true;
+      }
+      if (origin) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+      }
+    }
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Watch-Secret');
+    res.setHeader('Access-Control-Expose-Headers', `${HttpUtils.REQUEST_ID_HEADER}, Retry-After, RateLimit-Limit, RateLimit-Remaining`);
+
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Counts the request against the rate limits (see rateLimit in AppConfig) and
+   * answers it with 429 if a limit is reached. Requests with an access token
+   * (e.g. the scheduled /api/notify call) are not limited.
+   * @param {Object} req Request object
+   * @param {Object} res Response object
+   * @param {Logger} logger Request logger
+   * @returns {Promise<boolean>} True if the request was refused and has been answered
+   */
+  static async enforceRateLimit(req, res, logger) {
+    const config = AppConfig.get();
+    if (HttpUtils.hasAccessToken(req, config)) {
+      return false;
+    }
+
+    const ip = HttpUtils.getClientIp(req);
+    const limit = await ServiceFactory.createRateLimiter(config, logger).consume(ip);
+    if (limit.limit !== null) {
+      res.setHeader('RateLimit-Limit', String(limit.limit));
+      res.setHeader('RateLimit-Remaining', String(limit.remaining));
+    }
+    if (limit.allowed) {
+      return false;
+    }
+
+    logger.warn('Rate limit exceeded', { ip, scope: limit.scope });
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    const who = limit.scope === 'ip' ? 'from this address' : 'to this API';
+    HttpUtils.sendError(res, 429, `Too many requests ${who}; retry in ${limit.retryAfter} seconds`, 'Rate limit exceeded');
+    return true;
+  }
+
+  /**
+   * Checks the ?provider= of a request against the provider whitelist and
+   * requires an access token for protected providers (see security in AppConfig)
+   * @param {Object} req Request object
+   * @param {Object} res Response object
+   * @returns {boolean} True if the request was refused and has been answered
+   */
+  static authorizeProvider(req, res) {
+    const name = req.query.provider;
+    if (!name) {
+      return false;
+    }
+
+    const config = AppConfig.get();
+    if (!ProviderFactory.isAllowed(name, config)) {
+      HttpUtils.sendError(res, 400, `Provider "${name}" is not available; use one of ${config.security.allowedProviders.join(', ')}`, 'Invalid query parameters');
+      return true;
+    }
+    if (ProviderFactory.requiresToken(name, config)) {
+      return HttpUtils.requireAccessToken(req, res, `Provider "${name}"`);
+    }
+    return false;
+  }
+  /**
+   * Refuses requests whose provider (?provider= or the configured default) does
+   * not scrape the live site, for routes working on the snapshot archive
+   * @param {Object} req Request object
+   * @param {Object} res Response object
+   * @returns {boolean} True if the request was refused and has been answered
+   */
+  static requireLiveProvider(req, res) {
+    const name = req.query.provider || AppConfig.get().defaultProvider;
+    if (ServiceFactory.LIVE_PROVIDERS.includes(name)) {
+      return false;
+    }
+    HttpUtils.sendError(res, 400, `Provider "${name}" does not scrape the live site; use one of ${ServiceFactory.LIVE_PROVIDERS.join(', ')}`, 'Invalid query parameters');
+    return true;
+  }
+
+
+  /**
+   * Answers requests without a valid access token with 401
+   * @param {Object} req Request object
+   * @param {Object} res Response object
+   * @param {string} subject What needs the token, for the error message, e.g. 'Provider "scrapingbee"'
+   * @returns {boolean} True if the request was refused and has been answered
+   */
+  static requireAccessToken(req, res, subject) {
+    if (HttpUtils.hasAccessToken(req)) {
+      return false;
+    }
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    HttpUtils.sendError(res, 401, `${subject} requires an access token, sent as a Bearer token in the Authorization header`, 'Unauthorized');
+    return true;
+  }
+
+  /**
+   * Checks whether a request carries one of the configured access tokens
+   * @param {Object} req Request object
+   * @param {Object} [config] Application configuration, AppConfig.get() by default
+   * @returns {boolean} True if the Authorization header holds a valid Bearer token
+   */
+  static hasAccessToken(req, config = AppConfig.get()) {
+    const header = req.headers && req.headers.authorization;
+    const match = typeof header === 'string' && header.match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+      return false;
+    }
+
+    // Compare digests, which have the same length, in constant time
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    const given = digest(match[1]);
+    return config.security.accessTokens.some(token => crypto.timingSafeEqual(given, digest(token)));
+  }
+
+  /**
+   * Gets the client IP of a request
+   * Vercel sets X-Real-IP and X-Forwarded-For itself, so clients cannot spoof them there.
+   * @param {Object} req Request object
+   * @returns {string} IP address, 'unknown' if none can be found
+   */
+  static getClientIp(req) {
+    const headers = req.headers || {};
+    const forwarded = typeof headers['x-forwarded-for'] === 'string' ? headers['x-forwarded-for'].split(',')[0].trim() : '';
+    return headers['x-real-ip'] || forwarded || (req.socket && req.socket.remoteAddress) || 'unknown';
+  }
+
+  /**
+   * Sets ETag and Cache-Control headers and answers conditional requests
+   * @param {Object} req Request object
+   * @param {Object} res Response object
+   * @param {*} content Value the ETag is computed from (e.g. the events, not the per-request timestamp)
+   * @param {Object} options Cache lifetimes in seconds
+   * @param {number} options.maxAge Browser cache lifetime
+   * @param {number} options.sMaxAge Shared (CDN) cache lifetime
+   * @param {number} options.staleWhileRevalidate Seconds the CDN may serve stale content while revalidating
+   * @returns {boolean} True if a 304 Not Modified response has been sent
+   */
+  static applyCacheHeaders(req, res, content, { maxAge, sMaxAge, staleWhileRevalidate }) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(content)).digest('base64url');
+    const etag = `W/"${hash}"`;
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}, s-maxage=${sMaxAge}, stale-while-revalidate=${staleWhileRevalidate}`);
+
+    const ifNoneMatch = req.headers && req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+      res.status(304).end();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Sends a JSON error response in the API's standard error shape
+   * @param {Object} res Response object
+   * @param {number} statusCode HTTP status code
+   * @param {string} error Error details, redacted by ErrorSanitizer
+   * @param {string} message Human readable message
+   */
+  static sendError(res, statusCode, error, message) {
+    res.status(statusCode).json({
+      success: false,
+      error: ErrorSanitizer.sanitize(error),
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = HttpUtils;
@@ -0,0 +1,130 @@
+/**
+ * Utility class for building iCalendar (RFC 5545) feeds from sailing events
+ * Lets the crew subscribe to sails from Google/Apple calendars
+ */
+class ICalendarBuilder {
+  static PRODID = '-//sailor-proxy-api//Sailor Sails//HE';
+  static MAX_LINE_OCTETS = 75;
+
+  /**
+   * Builds a VCALENDAR document from sailing events
+   * Events without a parsed start/end time are skipped
+   * @param {Array<Object>} events Parsed sailing events
+   * @param {Object} options Calendar options
+   * @param {string} [options.name] Calendar display name
+   * @param {Date} [options.now] Timestamp used for DTSTAMP
+   * @returns {string} iCalendar document with CRLF line endings
+   */
+  static build(events, options = {}) {
+    const name = options.name || 'הפלגות סיילור';
+    const dtstamp = ICalendarBuilder.formatUTC(options.now || new Date());
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${ICalendarBuilder.PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${ICalendarBuilder.escapeText(name)}`,
+      'X-WR-TIMEZONE:Asia/Jerusalem'
+    ];
+
+    events
+      .filter(event => event.start && event.end)
+      .forEach(event => {
+        lines.push(...ICalendarBuilder.buildEvent(event, dtstamp));
+      });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(ICalendarBuilder.foldLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Builds the VEVENT lines for a single sailing event
+   * @param {Object} event Parsed sailing event
+   * @param {string} dtstamp DTSTAMP value in UTC format
+   * @returns {Array<string>} Unfolded content lines
+   */
+  static buildEvent(event, dtstamp) {
+    const location = [
+      event.branch ? `סניף ${event.branch}` : '',
+      event.pier ? `רציף ${event.pier}` : ''
+    ].filter(Boolean).join(', ');
+
+    const description = [
+      event.description,
+      event.boat ? `כלי שייט: ${event.boat}` : '',
+      event.branch ? `סניף: ${event.branch}` : '',
+      event.pier ? `רציף: ${event.pier}` : '',
+      event.orderUrl ? `להזמנה: ${event.orderUrl}` : ''
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.id}@sailor.co.il`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART:${ICalendarBuilder.formatUTC(new Date(event.start))}`,
+      `DTEND:${ICalendarBuilder.formatUTC(new Date(event.end))}`,
+      `SUMMARY:${ICalendarBuilder.escapeText(event.boat ? `${event.title} (${event.boat})` : event.title)}`
+    ];
+
+    if (location) lines.push(`LOCATION:${ICalendarBuilder.escapeText(location)}`);
+    if (description) lines.push(`DESCRIPTION:${ICalendarBuilder.escapeText(description)}`);
+    if (event.eventType) lines.push(`CATEGORIES:${ICalendarBuilder.escapeText(event.eventType)}`);
+    if (event.orderUrl || event.moreUrl) lines.push(`URL:${event.orderUrl || event.moreUrl}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Formats a date as an iCalendar UTC date-time
+   * @param {Date} date Date to format
+   * @returns {string} Value such as '20251027T140000Z'
+   */
+  static formatUTC(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escapes a TEXT property value
+   * @param {string} value Raw text
+   * @returns {string} Escaped text
+   */
+  static escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Folds a content line to at most 75 octets per line
+   * Splits on character boundaries so multi-byte Hebrew text stays valid UTF-8
+   * @param {string} line Unfolded content line
+   * @returns {string} Folded line
+   */
+  static foldLine(line) {
+    if (Buffer.byteLength(line) <= ICalendarBuilder.MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    let limit = ICalendarBuilder.MAX_LINE_OCTETS;
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+        // Continuation lines start with a space, which counts toward the limit
+        limit = ICalendarBuilder.MAX_LINE_OCTETS - 1;
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = ICalendarBuilder;
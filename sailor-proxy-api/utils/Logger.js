@@ -0,0 +1,139 @@
+/**
+ * Structured logger writing one entry per line
+ * Entries carry a level, a message and fields; child loggers add context
+ * (e.g. the request ID) to every entry they write. The 'json' format suits
+ * Vercel's log search, 'pretty' is easier to read during local development.
+ */
+class Logger {
+  static LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+  static FORMATS = ['json', 'pretty'];
+
+  /**
+   * @param {Object} [options] Logger options (see logging in AppConfig)
+   * @param {string} [options.level] Lowest level written: 'debug', 'info', 'warn', 'error' or 'silent' (default 'info')
+   * @param {string} [options.format] 'json' or 'pretty' (default 'json')
+   * @param {Object} [options.context] Fields added to every entry
+   */
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.format = options.format || 'json';
+    this.context = options.context || {};
+  }
+
+  /**
+   * Creates a logger that adds fields to every entry
+   * @param {Object} context Fields to add, e.g. { requestId }
+   * @returns {Logger} Child logger with the same level and format
+   */
+  child(context) {
+    return new Logger({ level: this.level, format: this.format, context: { ...this.context, ...context } });
+  }
+
+  /**
+   * Checks whether entries of a level are written
+   * @param {string} level Level name
+   * @returns {boolean} True if enabled
+   */
+  isEnabled(level) {
+    return Logger.LEVELS[level] >= Logger.LEVELS[this.level];
+  }
+
+  /**
+   * Writes a debug entry
+   * @param {string} message Message
+   * @param {Object} [fields] Entry fields
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Writes an info entry
+   * @param {string} message Message
+   * @param {Object} [fields] Entry fields
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * Writes a warning entry
+   * @param {string} message Message
+   * @param {Object} [fields] Entry fields
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * Writes an error entry
+   * @param {string} message Message
+   * @param {Object} [fields] Entry fields; an Error in `error` is reduced to its message
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Writes an entry if its level is enabled
+   * Warnings and errors go to stderr, everything else to stdout
+   * @param {string} level Level name
+   * @param {string} message Message
+   * @param {Object} [fields] Entry fields
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.context,
+      ...Logger.serializeFields(fields)
+    };
+    const line = this.format === 'pretty' ? Logger.formatPretty(entry) : JSON.stringify(entry);
+
+    if (Logger.LEVELS[level] >= Logger.LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  /**
+   * Replaces Error values with their message (and HTTP status, for request errors)
+   * and drops undefined fields
+   * @param {Object} fields Entry fields
+   * @returns {Object} JSON-safe fields
+   */
+  static serializeFields(fields) {
+    const result = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (value instanceof Error) {
+        result[key] = value.message;
+        if (value.response && value.response.status) {
+          result[`${key}Status`] = value.response.status;
+        }
+      } else {
+        result[key] = value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Formats an entry as a single readable line
+   * @param {Object} entry Log entry
+   * @returns {string} e.g. '12:00:01.123 INFO  Fetched events provider=Static count=17'
+   */
+  static formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const details = Object.entries(fields)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' ');
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+  }
+}
+
+module.exports = Logger;
@@ -0,0 +1,170 @@
+const { JSDOM } = require('jsdom');
+
+/**
+ * Utility class for parsing a sail's detail page (the card's moreUrl)
+ * The detail page layout is less regular than the list cards, so fields are
+ * found by their Hebrew labels ("label: value") rather than by fixed selectors.
+ */
+class SailDetailParser {
+  static DESCRIPTION_SELECTORS = ['.sail-description', '.single-sail-content', '.description', '.content-box', 'article', 'main'];
+
+  static LABELS = {
+    price: ['מחיר'],
+    capacity: ['מספר משתתפים', 'מקסימום משתתפים', 'קיבולת', 'מספר מקומות'],
+    seatsLeft: ['מקומות פנויים', 'מקומות נותרים', 'נותרו'],
+    skipper: ['סקיפר', 'סקיפרית', 'מדריך', 'מדריכה'],
+    requirements: ['דרישות', 'תנאי השתתפות', 'דרישות קדם', 'יש להביא', 'נא להביא']
+  };
+
+  /**
+   * Parses a sail detail page
+   * @param {string} html Detail page HTML
+   * @returns {Object} { title, description, price, capacity, seatsLeft, skipper, requirements }
+   *   with null (or [] for requirements) for fields not shown on the page
+   */
+  static parse(html) {
+    const doc = new JSDOM(html).window.document;
+
+    const titleEl = doc.querySelector('h1') || doc.querySelector('h2');
+    const labeled = SailDetailParser.extractLabeledValues(doc);
+
+    return {
+      title: titleEl ? SailDetailParser.cleanText(titleEl.textContent) : null,
+      description: SailDetailParser.extractDescription(doc),
+      price: SailDetailParser.parsePrice(labeled.price) ?? SailDetailParser.findPrice(doc),
+      capacity: SailDetailParser.parseNumber(labeled.capacity),
+      seatsLeft: SailDetailParser.parseNumber(labeled.seatsLeft),
+      skipper: labeled.skipper || null,
+      requirements: SailDetailParser.extractRequirements(doc, labeled.requirements)
+    };
+  }
+
+  /**
+   * Collects "label: value" pairs for the known labels
+   * Looks at list items, table rows and paragraphs, whichever the page uses
+   * @param {Document} doc Parsed document
+   * @returns {Object} Map of field name to raw value text
+   */
+  static extractLabeledValues(doc) {
+    const values = {};
+
+    doc.querySelectorAll('li, tr, p, dt, .meta-item, .main-items').forEach(el => {
+      const text = SailDetailParser.cleanText(el.textContent);
+      if (!text || text.length > 300) return;
+
+      Object.entries(SailDetailParser.LABELS).forEach(([field, labels]) => {
+        if (values[field] !== undefined) return;
+
+        for (const label of labels) {
+          const match = text.match(new RegExp(`${label}\\s*[:：]\\s*(.+)$`));
+          if (match) {
+            values[field] = match[1].trim();
+            return;
+          }
+        }
+
+        // "נותרו 3 מקומות" style sentences without a colon
+        if (field === 'seatsLeft') {
+          const sentence = text.match(/נותר(?:ו|ה)?\s+(\d+)\s+מקומות/);
+          if (sentence) values[field] = sentence[1];
+        }
+      });
+    });
+
+    return values;
+  }
+
+  /**
+   * Extracts the full description text
+   * @param {Document} doc Parsed document
+   * @returns {string|null} Description or null if none found
+   */
+  static extractDescription(doc) {
+    for (const selector of SailDetailParser.DESCRIPTION_SELECTORS) {
+      const el = doc.querySelector(selector);
+      if (el) {
+        const paragraphs = Array.from(el.querySelectorAll('p'))
+          .map(p => SailDetailParser.cleanText(p.textContent))
+          .filter(Boolean);
+        const text = paragraphs.length > 0 ? paragraphs.join('\n') : SailDetailParser.cleanText(el.textContent);
+        if (text) return text;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Extracts participation requirements
+   * Uses the list following a requirements heading, or the labeled value
+   * @param {Document} doc Parsed document
+   * @param {string} [labeledValue] Value found next to a requirements label
+   * @returns {Array<string>} Requirements
+   */
+  static extractRequirements(doc, labeledValue) {
+    const labels = SailDetailParser.LABELS.requirements;
+    const headings = Array.from(doc.querySelectorAll('h2, h3, h4, h5, strong, b'))
+      .filter(el => labels.some(label => el.textContent.includes(label)));
+
+    for (const heading of headings) {
+      let sibling = (heading.closest('p') || heading).nextElementSibling;
+      while (sibling && !['UL', 'OL'].includes(sibling.tagName) && !/^H\d$/.test(sibling.tagName)) {
+        sibling = sibling.nextElementSibling;
+      }
+      if (sibling && ['UL', 'OL'].includes(sibling.tagName)) {
+        const items = Array.from(sibling.querySelectorAll('li'))
+          .map(li => SailDetailParser.cleanText(li.textContent))
+          .filter(Boolean);
+        if (items.length > 0) return items;
+      }
+    }
+
+    if (labeledValue) {
+      return labeledValue.split(/[,;•]/).map(item => item.trim()).filter(Boolean);
+    }
+    return [];
+  }
+
+  /**
+   * Finds a shekel amount anywhere in the price element or page
+   * @param {Document} doc Parsed document
+   * @returns {number|null} Price in shekels
+   */
+  static findPrice(doc) {
+    const priceEl = doc.querySelector('.sail-price, .price');
+    const text = priceEl ? priceEl.textContent : '';
+    return SailDetailParser.parsePrice(text);
+  }
+
+  /**
+   * Parses a price such as '₪350', '350 ש"ח' or '1,200 ₪'
+   * @param {string} text Price text
+   * @returns {number|null} Price in shekels
+   */
+  static parsePrice(text) {
+    if (!text) return null;
+    const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Parses the first integer in a text
+   * @param {string} text Text such as '8 משתתפים'
+   * @returns {number|null} Number
+   */
+  static parseNumber(text) {
+    if (!text) return null;
+    const match = text.match(/\d+/);
+    return match ? parseInt(match[0]) : null;
+  }
+
+  /**
+   * Collapses whitespace
+   * @param {string} text Raw text
+   * @returns {string} Clean text
+   */
+  static cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = SailDetailParser;
@@ -1,149 +1,653 @@
+const crypto = require('crypto');
 const { JSDOM } = require('jsdom');
+const DateUtils = require('./DateUtils');
+const Logger = require('./Logger');
 
 /**
  * Utility class for parsing sailing events from HTML content
  * Shared by all providers that need to parse HTML
+ *
+ * Every field is looked up through a list of selectors, the site's current
+ * markup first (including its `siingle-yachts-box` typo) and looser fallbacks
+ * after it, so small layout changes degrade gracefully. Fallback use, missing
+ * fields and unknown meta labels are reported in a diagnostics block.
+ *
+ * Pages of other sources (see SourceRegistry) pass parser options replacing
+ * the selectors or meta labels of some fields and mapping titles to their own
+ * categories; see resolveProfile(). Besides its display name (eventType) each
+ * category has a language-neutral code (category) for API consumers.
  */
 class SailingHTMLParser {
+  static SELECTORS = {
+    box: [
+      '.single-yachts-box-sails .yachts-box, .siingle-yachts-box.single-yachts-box-sails',
+      '.single-yachts-box-sails, .yachts-box',
+      '[class*="yachts-box"]'
+    ],
+    title: ['h2', 'h3', '.sail-title, [class*="title"]'],
+    dateTime: ['.sail-time-date-label', '[class*="date"]'],
+    description: ['span.text-truncate', '.sail-description, [class*="description"]', 'p'],
+    metaItem: ['ul.meta-list-sail li.main-items', 'li.main-items', 'ul[class*="meta"] li'],
+    moreUrl: ['a.btn-more-detail', 'a[class*="more"]'],
+    orderUrl: ['a.btn-cart', 'a[class*="cart"], a[href*="cart"], a[href*="order"]'],
+    price: ['.sail-price', '[class*="price"]'],
+    // Seat count or sold-out label; the site shows none today, so there is no fallback to report
+    availability: ['.sail-availability, .seats-left, [class*="sold-out"], [class*="availability"], [class*="seats"]'],
+    // Container of the list; a page with it but no boxes has no sails published
+    list: ['.sails[data-type="sails"], input.section_ids']
+  };
+
+  // Meta list labels per field; the first matching field wins
+  static META_LABELS = {
+    boat: ['כלי השייט', 'כלי שייט', 'סירה', 'יאכטה'],
+    branch: ['סניף'],
+    pier: ['רציף', 'מעגן']
+  };
+
+  // Category rules of the students page: the first rule whose pattern matches the field wins
+  static CATEGORIES = [{ category: 'טרום מעשי', code: 'pre-practical', pattern: 'טרום', field: 'title' }];
+  static DEFAULT_CATEGORY = 'תלמידים';
+  static DEFAULT_CATEGORY_CODE = 'students';
+  // Code of categories whose rule gives none
+  static OTHER_CATEGORY_CODE = 'other';
+  static CATEGORY_CODE_PATTERN = /^[a-z0-9-]+$/;
+  static CATEGORY_FIELDS = ['title', 'description'];
+
+  // Fields every sail is expected to have; missing ones are reported per event
+  static EXPECTED_FIELDS = ['title', 'date', 'startTime', 'endTime', 'description', 'boat', 'branch', 'pier', 'orderUrl'];
+
+  // Sold-out wording on the availability label or the order button
+  static SOLD_OUT_PATTERN = /אזל|אין מקומות|ההפלגה מלאה|רשימת המתנה|sold\s*out/i;
+
+  // Seats left, e.g. 'נותרו 3 מקומות', 'נותר מקום 1' or '2 מקומות פנויים'
+  static SEATS_LEFT_PATTERNS = [
+    /נותר(?:ו|ה)?\s+(\d+)\s+מקומות/,
+    /נותר(?:ו|ה)?\s+(?:מקום|מקומות)\s+(\d+)/,
+    /(\d+)\s+מקומות\s+(?:פנויים|אחרונים|נותרו)/
+  ];
+
+  // 'DD/MM/YYYY H:MM - H:MM', hours may be a single digit ('9:00')
+  static DATE_TIME_PATTERN = /(\d{1,2}\/\d{1,2}\/\d{4})\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})/;
+
   /**
    * Parses sailing events from HTML content
    * @param {string} html HTML content to parse
+   * @param {Object} [options] Parse options, see parseWithDiagnostics()
    * @returns {Array<Object>} Array of parsed sailing events
    */
-  static parseSailingEvents(html) {
-    const dom = new JSDOM(html);
-    const doc = dom.window.document;
+  static parseSailingEvents(html, options = {}) {
+    return SailingHTMLParser.parseWithDiagnostics(html, options).events;
+  }
+
+  /**
+   * Builds the DOM of a page
+   * Providers build it once and hand it to validateSailingContent() and
+   * parseWithDiagnostics(), rather than have both parse the HTML.
+   * @param {string|Document} html HTML content, or an already built document
+   * @returns {Document} Document of the page
+   */
+  static parseDocument(html) {
+    return typeof html === 'string' || html == null ? new JSDOM(html || '').window.document : html;
+  }
+
+  /**
+   * Parses sailing events and reports how well the markup matched
+   * @param {string|Document} html HTML content to parse, or its document from parseDocument()
+   * @param {Object} [options] Parse options; selectors, metaLabels, categories and
+   *   defaultCategory as described in resolveProfile()
+   * @param {Logger} [options.logger] Logger for per-box debug entries and markup warnings
+   * @returns {Object} { events, diagnostics }, see createDiagnostics() for the diagnostics shape
+   */
+  static parseWithDiagnostics(html, options = {}) {
+    const logger = options.logger || new Logger();
+    const profile = SailingHTMLParser.resolveProfile(options);
+    const doc = SailingHTMLParser.parseDocument(html);
     const events = [];
-    const boxes = doc.querySelectorAll('.single-yachts-box-sails .yachts-box, .siingle-yachts-box.single-yachts-box-sails');
+    const diagnostics = SailingHTMLParser.createDiagnostics();
+    const boxes = SailingHTMLParser.findBoxes(doc, diagnostics, profile);
     
-    console.log(`Found ${boxes.length} sailing boxes`);
+    diagnostics.boxesFound = boxes.length;
+    logger.debug('Found sail boxes', { boxes: boxes.length });
     
     if (boxes.length === 0) {
-      console.log('No sailing boxes found in HTML content');
-      return [];
+      diagnostics.warnings.push('No sail boxes found; the list markup may have changed');
+      logger.warn('Parser warning', { warning: diagnostics.warnings[0] });
+      return { events, diagnostics };
     }
     
     boxes.forEach((box, index) => {
-      console.log(`Processing box ${index + 1}:`, box.querySelector('h2')?.textContent?.trim());
+      const event = SailingHTMLParser.parseEventBox(box, diagnostics, profile);
+      logger.debug('Parsed sail box', { box: index + 1, id: event.id, title: event.title });
       
-      const event = SailingHTMLParser.parseEventBox(box);
       if (event.title) {
         events.push(event);
+        SailingHTMLParser.recordMissingFields(event, diagnostics);
+      } else {
+        diagnostics.boxesSkipped++;
+      }
+    });
+    
+    SailingHTMLParser.summarizeDiagnostics(events, diagnostics);
+    diagnostics.warnings.forEach(warning => logger.warn('Parser warning', { warning }));
+    
+    return { events, diagnostics };
+  }
+
+  /**
+   * Combines parser options with the defaults of the Sailor students page
+   * @param {Object} [options] Parser options
+   * @param {Object<string, Array<string>>} [options.selectors] Selectors per field, replacing
+   *   that field's entry in SELECTORS (primary selector first)
+   * @param {Object<string, Array<string>>} [options.metaLabels] Meta list labels per field,
+   *   replacing that field's entry in META_LABELS
+   * @param {Array<Object>} [options.categories] Rules { category, code, pattern, field } in priority
+   *   order; pattern is a case-insensitive regular expression tested against the event's field
+   *   ('title' by default or 'description'), code the category's language-neutral code
+   *   ('other' if omitted)
+   * @param {string} [options.defaultCategory] Category of events no rule matches
+   * @param {string} [options.defaultCategoryCode] Code of the default category ('other' if omitted
+   *   along with a defaultCategory of the source's own)
+   * @returns {Object} { selectors, metaLabels, categories, defaultCategory, defaultCategoryCode }
+   *   with compiled patterns
+   */
+  static resolveProfile(options = {}) {
+    const categories = options.categories || SailingHTMLParser.CATEGORIES;
+    const defaultCode = options.defaultCategory ? SailingHTMLParser.OTHER_CATEGORY_CODE : SailingHTMLParser.DEFAULT_CATEGORY_CODE;
+    return {
+      selectors: { ...SailingHTMLParser.SELECTORS, ...options.selectors },
+      metaLabels: { ...SailingHTMLParser.META_LABELS, ...options.metaLabels },
+      categories: categories.map(rule => ({
+        category: rule.category,
+        code: rule.code || SailingHTMLParser.OTHER_CATEGORY_CODE,
+        field: rule.field || 'title',
+        regex: new RegExp(rule.pattern, 'i')
+      })),
+      defaultCategory: options.defaultCategory || SailingHTMLParser.DEFAULT_CATEGORY,
+      defaultCategoryCode: options.defaultCategoryCode || defaultCode
+    };
+  }
+
+  /**
+   * Checks parser options for unknown fields, empty lists and invalid patterns
+   * @param {Object} options Parser options, see resolveProfile()
+   * @returns {Array<string>} Problems found
+   */
+  static validateOptions(options = {}) {
+    const errors = [];
+    const isStringList = value => Array.isArray(value) && value.length > 0 &&
+      value.every(item => typeof item === 'string' && item.trim() !== '');
+
+    [['selectors', SailingHTMLParser.SELECTORS], ['metaLabels', SailingHTMLParser.META_LABELS]].forEach(([name, defaults]) => {
+      Object.entries(options[name] || {}).forEach(([field, list]) => {
+        if (!defaults[field]) {
+          errors.push(`${name}.${field} is not a known field (${Object.keys(defaults).join(', ')})`);
+        } else if (!isStringList(list)) {
+          errors.push(`${name}.${field} must be a non-empty list of strings`);
+        }
+      });
+    });
+
+    if (options.categories !== undefined && !Array.isArray(options.categories)) {
+      errors.push('categories must be a list of { category, pattern } rules');
+    }
+    (Array.isArray(options.categories) ? options.categories : []).forEach((rule, index) => {
+      if (!rule || typeof rule.category !== 'string' || !rule.category.trim()) {
+        errors.push(`categories[${index}].category must be a non-empty string`);
+        return;
+      }
+      if (rule.code !== undefined && !SailingHTMLParser.isCategoryCode(rule.code)) {
+        errors.push(`categories[${index}].code must consist of lowercase letters, digits and dashes`);
+      }
+      if (rule.field !== undefined && !SailingHTMLParser.CATEGORY_FIELDS.includes(rule.field)) {
+        errors.push(`categories[${index}].field must be one of ${SailingHTMLParser.CATEGORY_FIELDS.join(', ')}`);
+      }
+      let valid = typeof rule.pattern === 'string' && rule.pattern !== '';
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        valid = false;
+      }
+      if (!valid) {
+        errors.push(`categories[${index}].pattern must be a valid regular expression`);
       }
     });
+
+    if (options.defaultCategory !== undefined && (typeof options.defaultCategory !== 'string' || !options.defaultCategory.trim())) {
+      errors.push('defaultCategory must be a non-empty string');
+    }
+    if (options.defaultCategoryCode !== undefined && !SailingHTMLParser.isCategoryCode(options.defaultCategoryCode)) {
+      errors.push('defaultCategoryCode must consist of lowercase letters, digits and dashes');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Checks a category code
+   * @param {*} code Value to check
+   * @returns {boolean} True if it is a valid code such as 'pre-practical'
+   */
+  static isCategoryCode(code) {
+    return typeof code === 'string' && SailingHTMLParser.CATEGORY_CODE_PATTERN.test(code);
+  }
+
+  /**
+   * Creates an empty diagnostics block
+   * @returns {Object} { boxesFound, eventsParsed, boxesSkipped, fallbackSelectors: {field: selector},
+   *   missingFields: {field: count}, eventsWithMissingFields: [{ id, title, missing }],
+   *   unknownLabels: {label: count}, warnings: [message] }
+   */
+  static createDiagnostics() {
+    return {
+      boxesFound: 0,
+      eventsParsed: 0,
+      boxesSkipped: 0,
+      fallbackSelectors: {},
+      missingFields: {},
+      eventsWithMissingFields: [],
+      unknownLabels: {},
+      warnings: []
+    };
+  }
+
+  /**
+   * Finds the sail boxes using the first box selector that matches anything
+   * Looser fallback selectors can match wrappers too, so only the innermost
+   * matches that contain a heading are kept
+   * @param {Document} doc Parsed document
+   * @param {Object} [diagnostics] Diagnostics to record fallback use in
+   * @param {Object} [profile] Parser profile, see resolveProfile()
+   * @returns {Array<Element>} Sail boxes
+   */
+  static findBoxes(doc, diagnostics = null, profile = SailingHTMLParser.resolveProfile()) {
+    const selectors = profile.selectors.box;
+    
+    for (const [index, selector] of selectors.entries()) {
+      let boxes = Array.from(doc.querySelectorAll(selector));
+      if (index > 0) {
+        boxes = boxes.filter(box => box.querySelector('h2, h3') &&
+          !boxes.some(other => other !== box && box.contains(other)));
+      }
+      if (boxes.length > 0) {
+        if (index > 0) {
+          SailingHTMLParser.noteFallback(diagnostics, 'box', selector);
+        }
+        return boxes;
+      }
+    }
+    
+    return [];
+  }
+
+  /**
+   * Finds the first element matching a field's selectors, the primary selector first
+   * @param {Element} root Element to search in
+   * @param {string} field Key of SailingHTMLParser.SELECTORS
+   * @param {Object} [diagnostics] Diagnostics to record fallback use in
+   * @param {Object} [profile] Parser profile, see resolveProfile()
+   * @returns {Element|null} Matching element
+   */
+  static findField(root, field, diagnostics = null, profile = SailingHTMLParser.resolveProfile()) {
+    const selectors = profile.selectors[field];
+    
+    for (const [index, selector] of selectors.entries()) {
+      const el = root.querySelector(selector);
+      if (el) {
+        if (index > 0) {
+          SailingHTMLParser.noteFallback(diagnostics, field, selector);
+        }
+        return el;
+      }
+    }
     
-    return events;
+    return null;
+  }
+
+  /**
+   * Records that a fallback selector was needed for a field
+   * @param {Object|null} diagnostics Diagnostics block
+   * @param {string} field Field name
+   * @param {string} selector Fallback selector used
+   */
+  static noteFallback(diagnostics, field, selector) {
+    if (diagnostics && !diagnostics.fallbackSelectors[field]) {
+      diagnostics.fallbackSelectors[field] = selector;
+      diagnostics.warnings.push(`Primary selector for "${field}" matched nothing; used fallback "${selector}"`);
+    }
+  }
+
+  /**
+   * Records which expected fields an event lacks
+   * @param {Object} event Parsed event
+   * @param {Object} diagnostics Diagnostics block
+   */
+  static recordMissingFields(event, diagnostics) {
+    const missing = SailingHTMLParser.EXPECTED_FIELDS.filter(field => !event[field]);
+    missing.forEach(field => {
+      diagnostics.missingFields[field] = (diagnostics.missingFields[field] || 0) + 1;
+    });
+    if (missing.length > 0) {
+      diagnostics.eventsWithMissingFields.push({ id: event.id, title: event.title, missing });
+    }
+  }
+
+  /**
+   * Adds summary warnings: fields missing from every event, skipped boxes and unknown labels
+   * @param {Array<Object>} events Parsed events
+   * @param {Object} diagnostics Diagnostics block
+   */
+  static summarizeDiagnostics(events, diagnostics) {
+    diagnostics.eventsParsed = events.length;
+    
+    Object.entries(diagnostics.missingFields).forEach(([field, count]) => {
+      if (count === events.length) {
+        diagnostics.warnings.push(`Field "${field}" is missing from all ${count} events`);
+      } else {
+        diagnostics.warnings.push(`Field "${field}" is missing from ${count} of ${events.length} events`);
+      }
+    });
+    
+    if (diagnostics.boxesSkipped > 0) {
+      diagnostics.warnings.push(`${diagnostics.boxesSkipped} sail boxes had no title and were skipped`);
+    }
+    
+    Object.keys(diagnostics.unknownLabels).forEach(label => {
+      diagnostics.warnings.push(`Unknown meta label "${label}"`);
+    });
   }
 
   /**
    * Parses a single event box
    * @param {Element} box DOM element representing a sailing event
+   * @param {Object} [diagnostics] Diagnostics to record fallbacks and unknown labels in
+   * @param {Object} [profile] Parser profile, see resolveProfile()
    * @returns {Object} Parsed event object
    */
-  static parseEventBox(box) {
+  static parseEventBox(box, diagnostics = null, profile = SailingHTMLParser.resolveProfile()) {
     // Title
-    const titleEl = box.querySelector('h2');
+    const titleEl = SailingHTMLParser.findField(box, 'title', diagnostics, profile);
     const title = titleEl ? titleEl.textContent.trim() : '';
     
     // Date and times
-    const { dateStr, startTime, endTime } = SailingHTMLParser.parseDateTime(box);
+    const { dateStr, startTime, endTime } = SailingHTMLParser.parseDateTime(box, diagnostics, profile);
     
     // Description
-    const descEl = box.querySelector('span.text-truncate');
+    const descEl = SailingHTMLParser.findField(box, 'description', diagnostics, profile);
     const description = descEl ? descEl.textContent.trim() : '';
     
     // Meta (boat, branch, pier)
-    const { boat, branch, pier } = SailingHTMLParser.parseMetaData(box);
+    const { boat, branch, pier } = SailingHTMLParser.parseMetaData(box, diagnostics, profile);
     
     // URLs
-    const moreLink = box.querySelector('a.btn-more-detail');
+    const moreLink = SailingHTMLParser.findField(box, 'moreUrl', diagnostics, profile);
     const moreUrl = moreLink ? moreLink.href : '';
-    const orderLink = box.querySelector('a.btn-cart');
+    const orderLink = SailingHTMLParser.findField(box, 'orderUrl', diagnostics, profile);
     const orderUrl = orderLink ? orderLink.href : '';
     
-    // Determine event type
-    const eventType = title.includes('טרום') ? 'טרום מעשי' : 'תלמידים';
+    // Stable ID from the sail code in the URL
+    const titleLink = titleEl ? titleEl.querySelector('a') : null;
+    const id = SailingHTMLParser.extractSailId(moreUrl || orderUrl || (titleLink ? titleLink.href : '')) ||
+      SailingHTMLParser.computeFallbackId({ title, dateStr, startTime, boat, branch });
+    
+    // ISO timestamps and duration
+    const { start, end, durationMinutes } = SailingHTMLParser.computeTimestamps(dateStr, startTime, endTime);
+    
+    // Determine event type and its code from the source's category rules
+    const eventType = SailingHTMLParser.categorize({ title, description }, profile);
+    const category = SailingHTMLParser.getCategoryCode(eventType, profile);
     
-    // Compute day of week
+    // Compute day of week, as a Hebrew symbol and as an ISO weekday number
     const dayOfWeek = SailingHTMLParser.computeDayOfWeek(dateStr);
+    const weekday = DateUtils.getIsoWeekday(dateStr);
     
     // Price
-    const priceEl = box.querySelector('.sail-price');
+    const priceEl = SailingHTMLParser.findField(box, 'price', diagnostics, profile);
     const price = priceEl ? priceEl.textContent.trim() : '';
     
+    // Seats left and sold-out state, when the card shows them
+    const { seatsLeft, soldOut } = SailingHTMLParser.parseAvailability(box, orderLink, diagnostics, profile);
+    
     return {
+      id,
       title,
       date: dateStr,
       startTime,
       endTime,
+      start,
+      end,
+      durationMinutes,
       dayOfWeek,
+      weekday,
       description,
       boat,
       branch,
       pier,
       eventType,
+      category,
       moreUrl,
       orderUrl,
-      price
+      price,
+      seatsLeft,
+      soldOut
     };
   }
 
+  /**
+   * Parses the availability shown on an event box
+   * The seat count is looked for in the availability label and then in the
+   * whole box, since it is usually worded as a sentence ("נותרו 3 מקומות").
+   * Sold-out wording only counts on the label or the order button, where it
+   * cannot come from the description; a disabled order button or a seat
+   * count of 0 also mean the sail is full.
+   * @param {Element} box DOM element
+   * @param {Element|null} orderLink The box's order link, if any
+   * @param {Object} [diagnostics] Diagnostics to record fallback use in
+   * @param {Object} [profile] Parser profile, see resolveProfile()
+   * @returns {Object} { seatsLeft, soldOut } where seatsLeft is null if the box shows no count
+   */
+  static parseAvailability(box, orderLink, diagnostics = null, profile = SailingHTMLParser.resolveProfile()) {
+    const label = SailingHTMLParser.findField(box, 'availability', diagnostics, profile);
+    const labelText = label ? label.textContent.replace(/\s+/g, ' ').trim() : '';
+    
+    const seatsLeft = SailingHTMLParser.parseSeatsLeft(labelText) ??
+      SailingHTMLParser.parseSeatsLeft(box.textContent.replace(/\s+/g, ' '));
+    
+    const orderDisabled = Boolean(orderLink) && (
+      /\bdisabled\b/.test(orderLink.className) ||
+      orderLink.getAttribute('aria-disabled') === 'true' ||
+      !orderLink.getAttribute('href')
+    );
+    const soldOutText = [labelText, orderLink ? orderLink.textContent : '']
+      .some(text => SailingHTMLParser.SOLD_OUT_PATTERN.test(text));
+    
+    return { seatsLeft, soldOut: soldOutText || orderDisabled || seatsLeft === 0 };
+  }
+
+  /**
+   * Finds a seats-left count in a text
+   * @param {string} text Text to search
+   * @returns {number|null} Seats left, null if the text gives no count
+   */
+  static parseSeatsLeft(text) {
+    for (const pattern of SailingHTMLParser.SEATS_LEFT_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) {
+        return parseInt(match[1]);
+      }
+    }
+    return null;
+  }
+
   /**
    * Parses date and time information from event box
+   * Falls back to searching the whole box text when the date label is missing
+   * or does not match, e.g. after the label's class was renamed
    * @param {Element} box DOM element
+   * @param {Object} [diagnostics] Diagnostics to record fallback use in
+   * @param {Object} [profile] Parser profile, see resolveProfile()
    * @returns {Object} Date and time information
    */
-  static parseDateTime(box) {
-    let dateStr = '';
-    let startTime = '';
-    let endTime = '';
+  static parseDateTime(box, diagnostics = null, profile = SailingHTMLParser.resolveProfile()) {
+    const dateLabel = SailingHTMLParser.findField(box, 'dateTime', diagnostics, profile);
+    // text format: '27/10/2025 14:00 - 16:00'
+    let match = dateLabel ? dateLabel.textContent.replace(/\s+/g, ' ').match(SailingHTMLParser.DATE_TIME_PATTERN) : null;
     
-    const dateLabel = box.querySelector('.sail-time-date-label');
-    if (dateLabel) {
-      const text = dateLabel.textContent.trim().replace(/\s+/g, ' ');
-      // text format: '27/10/2025 14:00 - 16:00'
-      const match = text.match(/(\d{2}\/\d{2}\/\d{4})\s+(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})/);
+    if (!match) {
+      match = box.textContent.replace(/\s+/g, ' ').match(SailingHTMLParser.DATE_TIME_PATTERN);
       if (match) {
-        dateStr = match[1];
-        startTime = match[2];
-        endTime = match[3];
+        SailingHTMLParser.noteFallback(diagnostics, 'dateTime', 'box text');
       }
     }
     
-    return { dateStr, startTime, endTime };
+    if (!match) {
+      return { dateStr: '', startTime: '', endTime: '' };
+    }
+    
+    const [day, month, year] = match[1].split('/');
+    return {
+      dateStr: `${day.padStart(2, '0')}/${month.padStart(2, '0')}/${year}`,
+      startTime: DateUtils.padTime(match[2]),
+      endTime: DateUtils.padTime(match[3])
+    };
+  }
+
+  /**
+   * Computes ISO 8601 start/end timestamps in Israel time and the sail duration
+   * An end time at or before the start time means the sail crosses midnight
+   * @param {string} dateStr Date string in DD/MM/YYYY format
+   * @param {string} startTime Start time in HH:MM format
+   * @param {string} endTime End time in HH:MM format
+   * @returns {Object} { start, end, durationMinutes }, empty values if the date is missing
+   */
+  static computeTimestamps(dateStr, startTime, endTime) {
+    const dateKey = DateUtils.toDateKey(dateStr);
+    if (!dateKey || !startTime || !endTime) {
+      return { start: '', end: '', durationMinutes: null };
+    }
+    
+    const crossesMidnight = DateUtils.toMinutes(endTime) <= DateUtils.toMinutes(startTime);
+    const endDateKey = crossesMidnight ? DateUtils.addDays(dateKey, 1) : dateKey;
+    
+    const start = DateUtils.toZonedISOString(dateKey, startTime);
+    const end = DateUtils.toZonedISOString(endDateKey, endTime);
+    const durationMinutes = Math.round((Date.parse(end) - Date.parse(start)) / 60000);
+    
+    return { start, end, durationMinutes };
+  }
+
+  /**
+   * Picks an event's category: the first rule whose pattern matches, else the default
+   * @param {Object} fields Event fields the rules test ({ title, description })
+   * @param {Object} [profile] Parser profile, see resolveProfile()
+   * @returns {string} Category, e.g. 'תלמידים'
+   */
+  static categorize(fields, profile = SailingHTMLParser.resolveProfile()) {
+    const rule = profile.categories.find(({ field, regex }) => regex.test(fields[field] || ''));
+    return rule ? rule.category : profile.defaultCategory;
+  }
+
+  /**
+   * Looks up the language-neutral code of a category
+   * @param {string} category Category, as returned by categorize()
+   * @param {Object} [profile] Parser profile, see resolveProfile()
+   * @returns {string} Code, e.g. 'students' or 'pre-practical'
+   */
+  static getCategoryCode(category, profile = SailingHTMLParser.resolveProfile()) {
+    const rule = profile.categories.find(candidate => candidate.category === category);
+    if (rule) return rule.code;
+    return category === profile.defaultCategory ? profile.defaultCategoryCode : SailingHTMLParser.OTHER_CATEGORY_CODE;
+  }
+
+  /**
+   * Extracts the sail code from a Sailor URL
+   * @param {string} url Sail URL, e.g. 'https://sailor.co.il/S1129_הפלגתתלמידים'
+   * @returns {string} Sail code such as 'S1129', or '' if none is found
+   */
+  static extractSailId(url) {
+    if (!url) return '';
+    
+    let path = url;
+    try {
+      path = decodeURI(new URL(url, 'https://sailor.co.il').pathname);
+    } catch (error) {
+      // Keep the raw value and let the pattern decide
+    }
+    
+    const match = path.match(/(?:^|\/)(S\d+)(?=_|\/|$)/i);
+    return match ? match[1].toUpperCase() : '';
+  }
+
+  /**
+   * Builds a deterministic ID for events without a sail code in their URLs
+   * @param {Object} fields Identifying event fields
+   * @returns {string} ID such as 'H3f2a9c1b0d'
+   */
+  static computeFallbackId({ title, dateStr, startTime, boat, branch }) {
+    const hash = crypto.createHash('sha1')
+      .update([title, dateStr, startTime, boat, branch].join('|'))
+      .digest('hex');
+    return `H${hash.slice(0, 10)}`;
   }
 
   /**
    * Parses metadata (boat, branch, pier) from event box
+   * Labels not listed in the profile's meta labels are counted in the diagnostics
    * @param {Element} box DOM element
+   * @param {Object} [diagnostics] Diagnostics to record fallbacks and unknown labels in
+   * @param {Object} [profile] Parser profile, see resolveProfile()
    * @returns {Object} Metadata information
    */
-  static parseMetaData(box) {
-    let boat = '';
-    let branch = '';
-    let pier = '';
-    
-    const metaList = box.querySelector('ul.meta-list-sail');
-    if (metaList) {
-      metaList.querySelectorAll('li.main-items').forEach(li => {
-        const labelSpan = li.querySelector('span.messages');
-        const label = labelSpan ? labelSpan.textContent.trim() : '';
-        
-        // The value is in a span that's a direct child of li, not inside the d-flex div
-        const valueSpan = li.querySelector('span:not(.messages):not(.flaticon-boat-1):not(.flaticon-boat-2):not(.flaticon-boat-3)');
-        const value = valueSpan ? valueSpan.textContent.trim() : '';
-        
-        if (label.includes('כלי השייט')) {
-          boat = value;
-        } else if (label.includes('סניף')) {
-          branch = value;
-        } else if (label.includes('רציף')) {
-          pier = value;
-        }
-      });
+  static parseMetaData(box, diagnostics = null, profile = SailingHTMLParser.resolveProfile()) {
+    const meta = { boat: '', branch: '', pier: '' };
+    
+    const firstItem = SailingHTMLParser.findField(box, 'metaItem', diagnostics, profile);
+    if (!firstItem) {
+      return meta;
     }
     
-    return { boat, branch, pier };
+    // Siblings of the first match share its markup
+    const items = Array.from(firstItem.parentElement.children).filter(el => el.tagName === 'LI');
+    items.forEach(li => {
+      const { label, value } = SailingHTMLParser.splitMetaItem(li);
+      if (!label) return;
+      
+      const field = Object.keys(profile.metaLabels)
+        .find(key => profile.metaLabels[key].some(known => label.includes(known)));
+      
+      if (field) {
+        meta[field] = meta[field] || value;
+      } else if (diagnostics) {
+        diagnostics.unknownLabels[label] = (diagnostics.unknownLabels[label] || 0) + 1;
+      }
+    });
+    
+    return meta;
+  }
+
+  /**
+   * Splits a meta list item into its label and value
+   * The site puts the label in span.messages and the value in a sibling span;
+   * other markup is split on the first colon
+   * @param {Element} li Meta list item
+   * @returns {Object} { label, value } with the label's trailing colon removed
+   */
+  static splitMetaItem(li) {
+    const labelSpan = li.querySelector('span.messages');
+    if (labelSpan) {
+      // The value is in a span that's a direct child of li, not inside the d-flex div
+      const valueSpan = li.querySelector('span:not(.messages):not([class*="flaticon"])');
+      return {
+        label: labelSpan.textContent.trim().replace(/\s*:$/, ''),
+        value: valueSpan ? valueSpan.textContent.trim() : ''
+      };
+    }
+    
+    const text = li.textContent.replace(/\s+/g, ' ').trim();
+    const colon = text.indexOf(':');
+    if (colon === -1) {
+      return { label: '', value: '' };
+    }
+    return { label: text.slice(0, colon).trim(), value: text.slice(colon + 1).trim() };
   }
 
   /**
@@ -163,19 +667,24 @@ class SailingHTMLParser {
   }
 
   /**
-   * Validates if HTML contains expected sailing content
-   * @param {string} html HTML content to validate
+   * Validates that HTML is a sails list
+   * A page with sail boxes is valid, and so is one with the list container but
+   * no boxes (no sails published). Anything else, such as an error page, a
+   * captcha or a redesigned page, is not.
+   * @param {string|Document} html HTML content to validate, or its document from parseDocument()
+   * @param {Object} [options] Parser options of the page's source, see resolveProfile()
    * @returns {boolean} True if content is valid
    */
-  static validateSailingContent(html) {
-    const hasSailingContent = html.includes('single-yachts-box-sails') || 
-                             html.includes('yachts-box') ||
-                             html.includes('siingle-yachts-box') ||
-                             html.includes('הפלגות') ||
-                             html.includes('sailing');
+  static validateSailingContent(html, options = {}) {
+    const isDocument = Boolean(html) && typeof html.querySelectorAll === 'function';
+    if (!isDocument && (!html || typeof html !== 'string')) {
+      return false;
+    }
     
-    console.log('Has sailing content:', hasSailingContent);
-    return hasSailingContent;
+    const profile = SailingHTMLParser.resolveProfile(options);
+    const doc = SailingHTMLParser.parseDocument(html);
+    return SailingHTMLParser.findBoxes(doc, null, profile).length > 0 ||
+      SailingHTMLParser.findField(doc, 'list', null, profile) !== null;
   }
 }
 
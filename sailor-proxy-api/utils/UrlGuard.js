@@ -0,0 +1,82 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Checks that user supplied URLs (e.g. watch rule webhooks) point at the public
+ * internet, so the server cannot be made to call itself, its cloud metadata
+ * service or other hosts on its private network
+ */
+class UrlGuard {
+  // Loopback, private, link-local, shared, reserved and multicast ranges
+  static BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+  ];
+
+  static blockList = UrlGuard.BLOCKED_RANGES.reduce((list, [address, prefix, type]) => {
+    list.addSubnet(address, prefix, type);
+    return list;
+  }, new net.BlockList());
+
+  /**
+   * Checks whether an IP address is publicly routable
+   * @param {string} address IPv4 or IPv6 address
+   * @returns {boolean} False for loopback, private, link-local and other non-public addresses
+   */
+  static isPublicAddress(address) {
+    // IPv4 addresses mapped into IPv6 (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = String(address).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const ip = mapped ? mapped[1] : String(address);
+    const type = net.isIP(ip);
+    if (type === 0) {
+      return false;
+    }
+    return !UrlGuard.blockList.check(ip, type === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Checks that a URL uses http(s) and that every address its host resolves to is public
+   * @param {string} url URL to check
+   * @param {Function} [lookup] DNS lookup with the dns.promises.lookup signature, for tests
+   * @returns {Promise<void>}
+   * @throws {Error} If the URL is invalid, cannot be resolved or points at a non-public address
+   */
+  static async assertPublicUrl(url, lookup = dns.promises.lookup) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid URL "${url}"`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`URL "${url}" must use http or https`);
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw new Error(`Host "${host}" cannot be resolved`);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => !UrlGuard.isPublicAddress(address))) {
+      throw new Error(`Host "${host}" is not a public address`);
+    }
+  }
+}
+
+module.exports = UrlGuard;
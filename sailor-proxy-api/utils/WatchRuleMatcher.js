@@ -0,0 +1,98 @@
+const DateUtils = require('./DateUtils');
+const EventFilter = require('./EventFilter');
+
+/**
+ * Utility class for validating watch rules and matching them against events
+ * A rule field that is left empty matches every event
+ */
+class WatchRuleMatcher {
+  static CHANNEL_TYPES = ['webhook', 'email', 'telegram'];
+
+  /**
+   * Validates and normalizes a watch rule submitted by a user
+   * List fields accept arrays or comma separated strings
+   * @param {Object} input Raw rule, e.g. from a request body
+   * @returns {Object} { rule, errors } where errors is a list of messages
+   */
+  static normalizeRule(input = {}) {
+    const errors = [];
+    const rule = {
+      name: input.name ? String(input.name).trim() : '',
+      branch: EventFilter.parseList(input.branch),
+      category: EventFilter.parseList(input.category),
+      boat: EventFilter.parseList(input.boat),
+      dayOfWeek: [],
+      timeWindow: null,
+      channel: null
+    };
+
+    EventFilter.parseList(input.dayOfWeek).forEach(day => {
+      const weekday = EventFilter.parseWeekday(day);
+      if (weekday === null) {
+        errors.push(`Invalid "dayOfWeek" value "${day}": ${EventFilter.WEEKDAY_HINT}`);
+      } else {
+        rule.dayOfWeek.push(weekday);
+      }
+    });
+
+    if (input.timeWindow) {
+      const { from, to } = input.timeWindow;
+      // Hours 0-23 and minutes 0-59, so no stored rule silently never matches
+      const timePattern = /^([01]?\d|2[0-3]):[0-5]\d$/;
+      if (!timePattern.test(from || '') || !timePattern.test(to || '')) {
+        errors.push('Invalid "timeWindow": expected { from: "HH:MM", to: "HH:MM" } with hours 0-23 and minutes 0-59');
+      } else {
+        rule.timeWindow = { from: DateUtils.padTime(from), to: DateUtils.padTime(to) };
+      }
+    }
+
+    const channel = input.channel || {};
+    if (!WatchRuleMatcher.CHANNEL_TYPES.includes(channel.type)) {
+      errors.push(`Invalid "channel.type": expected one of ${WatchRuleMatcher.CHANNEL_TYPES.join(', ')}`);
+    } else if (channel.type === 'webhook' && !/^https?:\/\//.test(channel.url || '')) {
+      errors.push('Webhook channel requires an http(s) "channel.url"');
+    } else if (channel.type === 'email' && !/^[^@\s]+@[^@\s]+$/.test(channel.to || '')) {
+      errors.push('Email channel requires a valid "channel.to" address');
+    } else if (channel.type === 'telegram' && !channel.chatId) {
+      errors.push('Telegram channel requires a "channel.chatId"');
+    } else {
+      // Keep only the recipient fields; credentials come from server configuration
+      const { type, url, to, chatId } = channel;
+      rule.channel = { type, url, to, chatId: chatId !== undefined ? String(chatId) : undefined };
+    }
+
+    return { rule, errors };
+  }
+
+  /**
+   * Checks whether an event matches a watch rule
+   * @param {Object} rule Normalized watch rule
+   * @param {Object} event Sailing event
+   * @returns {boolean} True if the event matches every criterion of the rule
+   */
+  static matches(rule, event) {
+    if (rule.branch.length && !rule.branch.includes(event.branch)) return false;
+    if (rule.category.length && !rule.category.includes(event.category) && !rule.category.includes(event.eventType)) return false;
+    if (rule.boat.length && !rule.boat.includes(event.boat)) return false;
+
+    if (rule.dayOfWeek.length) {
+      // Rules stored before the switch to ISO weekdays may hold 0 for Sunday
+      const weekday = DateUtils.getIsoWeekday(event.date);
+      if (!weekday || !rule.dayOfWeek.map(day => day || 7).includes(weekday)) return false;
+    }
+
+    if (rule.timeWindow) {
+      // The whole sail has to fit inside the window, so sails crossing midnight fit no same-day window
+      if (!event.startTime || !event.endTime) return false;
+      const start = DateUtils.toMinutes(event.startTime);
+      const duration = event.durationMinutes ?? DateUtils.toMinutes(event.endTime) - start;
+      if (start < DateUtils.toMinutes(rule.timeWindow.from) || start + duration > DateUtils.toMinutes(rule.timeWindow.to)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = WatchRuleMatcher;
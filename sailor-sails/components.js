@@ -0,0 +1,191 @@
+/*
+ * Rendering helpers shared by the pages. Sail data is scraped from a site we
+ * do not control, so markup is never built from strings: every value goes
+ * through textContent or a DOM property, links only keep http(s) URLs and
+ * listeners are attached with addEventListener. This keeps the pages working
+ * under the Content-Security-Policy set in their <meta> tag, which allows no
+ * inline scripts, handlers or style attributes. Texts come from the
+ * catalogs of i18n.js.
+ */
+
+// Protocols allowed in links taken from sail data
+const safeUrlProtocols = ['http:', 'https:'];
+
+// Badge style of each booking status, as reported by the API; the text is status.<status> in i18n.js
+const statusBadges = {
+    open: { className: 'status-open' },
+    'few-left': { className: 'status-few-left' },
+    full: { className: 'status-full' },
+    removed: { className: 'status-removed' }
+};
+
+/**
+ * Creates an element.
+ * @param {string} tag Tag name.
+ * @param {Object} [props] Element properties, e.g. { className, type, href, title };
+ *   `on` maps event names to listeners and `attrs` sets attributes such as aria-*.
+ * @param {...(Node|string|number|null|false|Array)} children Child nodes; strings become
+ *   text nodes and null/false entries are skipped.
+ * @returns {HTMLElement} The element.
+ */
+function createNode(tag, props = {}, ...children) {
+    const node = document.createElement(tag);
+    Object.entries(props).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        if (key === 'on') {
+            Object.entries(value).forEach(([event, listener]) => node.addEventListener(event, listener));
+        } else if (key === 'attrs') {
+            Object.entries(value).forEach(([name, attr]) => node.setAttribute(name, String(attr)));
+        } else {
+            node[key] = value;
+        }
+    });
+    node.append(...flattenChildren(children));
+    return node;
+}
+
+/**
+ * Turns child arguments into nodes and strings for append().
+ * @param {Array} children Children as passed to createNode().
+ * @returns {Array<Node|string>} Children to append.
+ */
+function flattenChildren(children) {
+    return children.flat(Infinity)
+        .filter(child => child !== null && child !== undefined && child !== false)
+        .map(child => child instanceof Node ? child : String(child));
+}
+
+/**
+ * Checks that a URL from the data is a web link, so values such as
+ * "javascript:..." never end up in an href.
+ * @param {string} url URL to check.
+ * @returns {string|null} The absolute URL, or null if it is missing or not http(s).
+ */
+function safeUrl(url) {
+    if (!url) return null;
+    try {
+        const parsed = new URL(url, window.location.href);
+        return safeUrlProtocols.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates a link opening in a new tab.
+ * @param {string} url Target URL, checked with safeUrl().
+ * @param {string|Node|Array} text Link text, or child nodes as taken by createNode().
+ * @param {Object} [props] Extra element properties.
+ * @returns {HTMLElement|null} Link element, null if the URL is not a web link.
+ */
+function createExternalLink(url, text, props = {}) {
+    const href = safeUrl(url);
+    if (!href) return null;
+    return createNode('a', { ...props, href, target: '_blank', rel: 'noopener' }, text);
+}
+
+/**
+ * Creates a loading, error or empty state message.
+ * @param {string} className 'loading', 'error' or 'empty-state'.
+ * @param {string|null} heading Heading text, null for none.
+ * @param {string} text Message text.
+ * @param {Array<HTMLElement>} [actions] Buttons or links shown under the message.
+ * @returns {HTMLElement} Message element.
+ */
+function createMessage(className, heading, text, actions = []) {
+    return createNode('div', { className },
+        heading && createNode('h3', {}, heading),
+        createNode('p', {}, text),
+        actions.length > 0 && createNode('div', { className: 'message-actions' }, actions));
+}
+
+/**
+ * Creates a filter checkbox with a count placeholder.
+ * @param {Object} option { value, label }.
+ * @param {boolean} checked Whether the option is selected.
+ * @param {Function} onChange Called when the checkbox changes.
+ * @returns {HTMLElement} Label element containing the checkbox.
+ */
+function createCheckboxOption(option, checked, onChange) {
+    return createNode('label', { className: 'checkbox-label' },
+        createNode('input', { type: 'checkbox', value: option.value, checked, on: { change: onChange } }),
+        createNode('span', {}, option.label),
+        createNode('span', { className: 'option-count' }));
+}
+
+/**
+ * Fills a checkbox group with its options, replacing the previous ones.
+ * @param {HTMLElement} container Group element.
+ * @param {Array<Object>} options Options { value, label }.
+ * @param {Array<string>} selected Values to check.
+ * @param {Function} onChange Called when any checkbox changes.
+ */
+function renderCheckboxGroup(container, options, selected, onChange) {
+    container.replaceChildren(...options.map(option =>
+        createCheckboxOption(option, selected.includes(option.value), onChange)));
+}
+
+/**
+ * Creates a booking status badge.
+ * @param {string} status 'open', 'few-left', 'full' or 'removed'.
+ * @param {number|null} [seatsLeft] Seats left, shown instead of the generic 'few-left' text.
+ * @returns {HTMLElement|null} Badge element, null for an unknown status.
+ */
+function createStatusBadge(status, seatsLeft = null) {
+    const badge = statusBadges[status];
+    if (!badge) return null;
+    
+    const label = status === 'few-left' && Number.isInteger(seatsLeft)
+        ? t('status.seatsLeft', { count: seatsLeft })
+        : t(`status.${status}`);
+    return createNode('span', { className: `status-badge ${badge.className}` }, label);
+}
+
+/**
+ * Creates a sail card.
+ * @param {Object} ev Event.
+ * @param {HTMLElement} [headerAction] Control shown next to the title, e.g. the star button.
+ * @returns {HTMLElement} Card element.
+ */
+function createEventCard(ev, headerAction) {
+    const field = (key, value) => [createNode('strong', {}, `${t(key)}:`), ` ${value || '—'}`];
+    const seatsLeft = ev.details && Number.isInteger(ev.details.seatsLeft) ? ev.details.seatsLeft : ev.seatsLeft;
+    return createNode('div', { className: `event-card${ev.status === 'full' ? ' full' : ''}` },
+        createNode('div', { className: 'event-card-header' },
+            createNode('div', { className: 'event-card-title' },
+                createNode('h3', {}, ev.title),
+                createStatusBadge(ev.status, seatsLeft)),
+            headerAction),
+        createNode('p', { className: 'event-meta' },
+            field('event.date', `${ev.date} (${getEventDayName(ev) || '—'})`), createNode('br'),
+            field('event.hours', `${ev.startTime} - ${ev.endTime}`), createNode('br'),
+            field('event.branch', ev.branch), ' | ', field('event.pier', ev.pier), createNode('br'),
+            field('event.boat', ev.boat)),
+        createNode('p', {}, ev.description),
+        createNode('div', { className: 'event-actions' },
+            createExternalLink(ev.moreUrl, t('event.more')),
+            createExternalLink(ev.orderUrl, t('event.order'))));
+}
+
+/**
+ * Gets the short weekday name of a sail in the current language.
+ * @param {Object} ev Event.
+ * @returns {string} Day name from the ISO weekday; the site's Hebrew symbol for
+ *   data cached before the API reported weekdays.
+ */
+function getEventDayName(ev) {
+    return Number.isInteger(ev.weekday) ? getDayName(ev.weekday % 7, 'short') : ev.dayOfWeek;
+}
+
+/**
+ * Creates a titled group of sail cards.
+ * @param {string} title Group title.
+ * @param {Array<HTMLElement>} cards Cards of the group.
+ * @param {string} emptyText Shown instead of cards when there are none.
+ * @returns {HTMLElement} Group element.
+ */
+function createEventGroup(title, cards, emptyText) {
+    return createNode('div', { className: 'event-group' },
+        createNode('h2', {}, title),
+        cards.length ? cards : createNode('p', {}, emptyText));
+}
@@ -0,0 +1,400 @@
+/*
+ * Hebrew and English texts of the pages. Each language has a flat catalog of
+ * keys; t() looks a key up in the current language and fills in {name}
+ * placeholders. Static markup carries its key in a data-i18n attribute (and
+ * data-i18n-placeholder / data-i18n-title for attributes) and keeps the
+ * Hebrew text, so the page reads correctly before the script runs. The
+ * chosen language is kept in localStorage and sets the document's lang and
+ * dir; pages re-render their dynamic parts through onLanguageChange().
+ */
+
+// localStorage key of the chosen language
+const languageStorageKey = 'sailor-language';
+
+// Supported languages: switcher label, text direction and date locale
+const languages = {
+    he: { name: 'עברית', dir: 'rtl', locale: 'he-IL' },
+    en: { name: 'English', dir: 'ltr', locale: 'en-GB' }
+};
+
+// Language of pages that have no stored choice
+const defaultLanguage = 'he';
+
+// Texts per language. A value may be a list (weekday names, Sunday first) or,
+// for counted texts, { one, two, other } picked by the count parameter.
+const translations = {
+    he: {
+        'page.title': 'הפלגות סיילור',
+        'page.statsLink': 'סטטיסטיקה',
+        'page.language': 'שפה',
+        'dataStatus.refresh': 'רענון',
+        'dataStatus.offline': 'אין חיבור לרשת. מוצגים נתונים שמורים שעודכנו {age}.',
+        'dataStatus.updated': 'הנתונים עודכנו {age}.',
+        'age.now': 'הרגע',
+        'age.minutes': { one: 'לפני דקה', other: 'לפני {count} דקות' },
+        'age.hours': { one: 'לפני שעה', two: 'לפני שעתיים', other: 'לפני {count} שעות' },
+        'age.days': { one: 'אתמול', two: 'לפני יומיים', other: 'לפני {count} ימים' },
+        'filters.search': 'חיפוש:',
+        'filters.searchPlaceholder': 'חפש בשם ובתיאור ההפלגה',
+        'filters.branch': 'בחר סניפים:',
+        'filters.category': 'בחר קטגוריות:',
+        'filters.dateRange': 'טווח תאריכים:',
+        'filters.from': 'מ-',
+        'filters.to': 'עד',
+        'filters.days': 'ימים:',
+        'filters.times': 'שעות:',
+        'filters.boat': 'כלי שייט:',
+        'filters.pier': 'רציפים:',
+        'filters.status': 'זמינות:',
+        'filters.view': 'תצוגה:',
+        'filters.calendar': 'יומן:',
+        'view.list': 'רשימה',
+        'view.week': 'שבוע',
+        'view.month': 'חודש',
+        'calendar.subscribe': 'הוסף ליומן',
+        'calendar.previousWeek': '→ שבוע קודם',
+        'calendar.nextWeek': 'שבוע הבא ←',
+        'calendar.previousMonth': '→ חודש קודם',
+        'calendar.nextMonth': 'חודש הבא ←',
+        'calendar.showWeek': 'הצג שבוע',
+        'time.morning': 'בוקר (עד 12:00)',
+        'time.afternoon': 'צהריים (12:00-17:00)',
+        'time.evening': 'ערב (מ-17:00)',
+        'weekdays.long': ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת'],
+        'weekdays.short': ['א׳', 'ב׳', 'ג׳', 'ד׳', 'ה׳', 'ו׳', 'ש׳'],
+        'category.students': 'הפלגות תלמידים',
+        'category.pre-practical': 'הפלגות טרום מעשי',
+        'status.open': 'פתוחה להרשמה',
+        'status.few-left': 'מקומות אחרונים',
+        'status.full': 'מלאה',
+        'status.removed': 'הוסרה מהאתר',
+        'status.seatsLeft': { one: 'נותר מקום אחד', other: 'נותרו {count} מקומות' },
+        'event.date': 'תאריך',
+        'event.startTime': 'שעת התחלה',
+        'event.endTime': 'שעת סיום',
+        'event.hours': 'שעות',
+        'event.branch': 'סניף',
+        'event.pier': 'רציף',
+        'event.boat': 'כלי שייט',
+        'event.more': 'לפרטים נוספים',
+        'event.order': 'להזמנה',
+        'events.loading': 'טוען נתונים...',
+        'events.errorTitle': 'לא ניתן לטעון נתוני הפלגות',
+        'events.errorServer': 'המערכת לא הצליחה לקבל נתונים מאתר סיילור.',
+        'events.errorOffline': 'אין חיבור לרשת, ועדיין לא נשמרו במכשיר נתוני הפלגות לשימוש ללא חיבור.',
+        'events.retry': 'נסה שוב',
+        'events.openSailor': 'עבור לאתר סיילור',
+        'events.noneTitle': 'לא נמצאו הפלגות',
+        'events.none': 'לא נמצאו הפלגות עבור הסינון הנבחר. נסה לשנות את הסינון או לבדוק מאוחר יותר.',
+        'events.noneInCategory': 'אין הפלגות זמינות מקטגוריה זו.',
+        'shortlist.title': 'הרשימה שלי',
+        'shortlist.export': 'ייצוא',
+        'shortlist.import': 'ייבוא',
+        'shortlist.empty': 'סמנו הפלגות בכוכב כדי לעקוב אחריהן כאן.',
+        'shortlist.star': 'הוסף לרשימה שלי',
+        'shortlist.unstar': 'הסר מהרשימה שלי',
+        'shortlist.details': 'לפרטים',
+        'shortlist.gone': 'ההפלגה כבר לא מופיעה באתר (ייתכן שהתמלאה)',
+        'shortlist.changed': '{field} השתנה: {from} ← {to}',
+        'shortlist.accept': 'אישור השינוי',
+        'shortlist.remove': 'הסרה',
+        'shortlist.imported': 'יובאו {count} הפלגות חדשות לרשימה.',
+        'shortlist.importFailed': 'לא ניתן לייבא את הקובץ: {reason}',
+        'shortlist.notAnExport': 'הקובץ אינו ייצוא של הרשימה',
+        'stats.pageTitle': 'סטטיסטיקת הפלגות סיילור',
+        'stats.title': 'סטטיסטיקת הפלגות',
+        'stats.backLink': 'לרשימת ההפלגות',
+        'stats.errorTitle': 'לא ניתן לטעון את הסטטיסטיקה',
+        'stats.errorServer': 'השרת לא החזיר נתונים. נסו שוב מאוחר יותר.',
+        'stats.errorOffline': 'אין חיבור לרשת.',
+        'stats.noData': 'עדיין לא נאספו נתונים. הסטטיסטיקה תתמלא ככל שהרשימה באתר סיילור תיסרק.',
+        'stats.summary': 'מבוסס על {sails} הפלגות שנצפו בין {from} ל-{to}. ' +
+            'זמני הפרסום וההסרה מדויקים לתדירות הסריקה; הפלגות שכבר היו ברשימה בסריקה הראשונה אינן נכללות בהם.',
+        'stats.scheduleTitle': 'מתי מתקיימות הכי הרבה הפלגות',
+        'stats.byWeekday': 'לפי יום בשבוע',
+        'stats.byHour': 'לפי שעת יציאה',
+        'stats.busiest': 'המועדים העמוסים ביותר',
+        'stats.busiestSlot': 'יום {day} בשעה {hour} - {count} הפלגות',
+        'stats.leadTimeTitle': 'כמה זמן מראש מתפרסמות הפלגות',
+        'stats.noLeadTime': 'עדיין לא נצפו הפלגות חדשות מתפרסמות.',
+        'stats.leadTimeMedian': 'בחציון, הפלגה מתפרסמת {median} לפני מועדה (ממוצע: {average}).',
+        'stats.byLeadTime': 'הפלגות לפי זמן פרסום מראש',
+        'stats.medianByBranch': 'חציון לפי סניף',
+        'stats.sailsCount': '{value} ({count} הפלגות)',
+        'stats.listingTitle': 'כמה זמן הפלגות נשארות ברשימה',
+        'stats.listingNote': 'הזמן מפרסום ההפלגה ועד שהוסרה מהרשימה לפני מועדה, בדרך כלל כי התמלאה. ' +
+            'זמן קצר אומר שכדאי להזמין מהר.',
+        'stats.byBranch': 'לפי סניף',
+        'stats.byBoat': 'לפי כלי שייט',
+        'stats.noneRemoved': '{title}: עדיין לא הוסרו הפלגות לפני מועדן.',
+        'stats.removedOf': '{value} ({removed} מתוך {sails})',
+        'leadTime.0-1': 'פחות מיום',
+        'leadTime.1-3': '1-3 ימים',
+        'leadTime.3-7': '3-7 ימים',
+        'leadTime.7-14': '1-2 שבועות',
+        'leadTime.14-30': '2-4 שבועות',
+        'leadTime.30+': 'יותר מחודש',
+        'duration.days': { one: 'יום', other: '{count} ימים' },
+        'duration.hours': { one: 'שעה', two: 'שעתיים', other: '{count} שעות' },
+        'duration.underHour': 'פחות משעה'
+    },
+    en: {
+        'page.title': 'Sailor sails',
+        'page.statsLink': 'Statistics',
+        'page.language': 'Language',
+        'dataStatus.refresh': 'Refresh',
+        'dataStatus.offline': 'No connection. Showing saved data from {age}.',
+        'dataStatus.updated': 'Data updated {age}.',
+        'age.now': 'just now',
+        'age.minutes': { one: 'a minute ago', other: '{count} minutes ago' },
+        'age.hours': { one: 'an hour ago', other: '{count} hours ago' },
+        'age.days': { one: 'yesterday', other: '{count} days ago' },
+        'filters.search': 'Search:',
+        'filters.searchPlaceholder': 'Search sail names and descriptions',
+        'filters.branch': 'Branches:',
+        'filters.category': 'Categories:',
+        'filters.dateRange': 'Date range:',
+        'filters.from': 'From',
+        'filters.to': 'to',
+        'filters.days': 'Days:',
+        'filters.times': 'Times:',
+        'filters.boat': 'Boats:',
+        'filters.pier': 'Piers:',
+        'filters.status': 'Availability:',
+        'filters.view': 'View:',
+        'filters.calendar': 'Calendar:',
+        'view.list': 'List',
+        'view.week': 'Week',
+        'view.month': 'Month',
+        'calendar.subscribe': 'Add to calendar',
+        'calendar.previousWeek': '← Previous week',
+        'calendar.nextWeek': 'Next week →',
+        'calendar.previousMonth': '← Previous month',
+        'calendar.nextMonth': 'Next month →',
+        'calendar.showWeek': 'Show week',
+        'time.morning': 'Morning (until 12:00)',
+        'time.afternoon': 'Afternoon (12:00-17:00)',
+        'time.evening': 'Evening (from 17:00)',
+        'weekdays.long': ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+        'weekdays.short': ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+        'category.students': 'Student sails',
+        'category.pre-practical': 'Pre-practical sails',
+        'status.open': 'Open',
+        'status.few-left': 'Few seats left',
+        'status.full': 'Full',
+        'status.removed': 'Removed from the site',
+        'status.seatsLeft': { one: '1 seat left', other: '{count} seats left' },
+        'event.date': 'Date',
+        'event.startTime': 'Start time',
+        'event.endTime': 'End time',
+        'event.hours': 'Hours',
+        'event.branch': 'Branch',
+        'event.pier': 'Pier',
+        'event.boat': 'Boat',
+        'event.more': 'More details',
+        'event.order': 'Book',
+        'events.loading': 'Loading...',
+        'events.errorTitle': 'Sails could not be loaded',
+        'events.errorServer': 'No data could be retrieved from the Sailor site.',
+        'events.errorOffline': 'There is no connection, and no sails have been saved on this device for offline use yet.',
+        'events.retry': 'Try again',
+        'events.openSailor': 'Go to the Sailor site',
+        'events.noneTitle': 'No sails found',
+        'events.none': 'No sails match the selected filters. Try changing them or check again later.',
+        'events.noneInCategory': 'No sails available in this category.',
+        'shortlist.title': 'My shortlist',
+        'shortlist.export': 'Export',
+        'shortlist.import': 'Import',
+        'shortlist.empty': 'Star sails to keep track of them here.',
+        'shortlist.star': 'Add to my shortlist',
+        'shortlist.unstar': 'Remove from my shortlist',
+        'shortlist.details': 'Details',
+        'shortlist.gone': 'The sail is no longer listed on the site (it may have filled up)',
+        'shortlist.changed': '{field} changed: {from} → {to}',
+        'shortlist.accept': 'Accept change',
+        'shortlist.remove': 'Remove',
+        'shortlist.imported': { one: 'Imported 1 new sail into the shortlist.', other: 'Imported {count} new sails into the shortlist.' },
+        'shortlist.importFailed': 'The file could not be imported: {reason}',
+        'shortlist.notAnExport': 'the file is not a shortlist export',
+        'stats.pageTitle': 'Sailor sail statistics',
+        'stats.title': 'Sail statistics',
+        'stats.backLink': 'Back to the sails',
+        'stats.errorTitle': 'Statistics could not be loaded',
+        'stats.errorServer': 'The server returned no data. Please try again later.',
+        'stats.errorOffline': 'There is no connection.',
+        'stats.noData': 'No data has been collected yet. The statistics fill up as the Sailor site is scraped.',
+        'stats.summary': 'Based on {sails} sails seen between {from} and {to}. ' +
+            'Publication and removal times are as precise as the scraping interval; sails already listed at the first scrape are left out of them.',
+        'stats.scheduleTitle': 'When most sails take place',
+        'stats.byWeekday': 'By weekday',
+        'stats.byHour': 'By departure hour',
+        'stats.busiest': 'Busiest slots',
+        'stats.busiestSlot': { one: '{day} at {hour} - 1 sail', other: '{day} at {hour} - {count} sails' },
+        'stats.leadTimeTitle': 'How far in advance sails are published',
+        'stats.noLeadTime': 'No newly published sails have been seen yet.',
+        'stats.leadTimeMedian': 'Half of the sails are published at least {median} ahead (average: {average}).',
+        'stats.byLeadTime': 'Sails by publication lead time',
+        'stats.medianByBranch': 'Median by branch',
+        'stats.sailsCount': { one: '{value} (1 sail)', other: '{value} ({count} sails)' },
+        'stats.listingTitle': 'How long sails stay listed',
+        'stats.listingNote': 'The time from publication until a sail was removed from the listing before its date, usually because it filled up. ' +
+            'A short time means booking early pays off.',
+        'stats.byBranch': 'By branch',
+        'stats.byBoat': 'By boat',
+        'stats.noneRemoved': '{title}: no sails have been removed before their date yet.',
+        'stats.removedOf': '{value} ({removed} of {sails})',
+        'leadTime.0-1': 'Under a day',
+        'leadTime.1-3': '1-3 days',
+        'leadTime.3-7': '3-7 days',
+        'leadTime.7-14': '1-2 weeks',
+        'leadTime.14-30': '2-4 weeks',
+        'leadTime.30+': 'Over a month',
+        'duration.days': { one: '1 day', other: '{count} days' },
+        'duration.hours': { one: '1 hour', other: '{count} hours' },
+        'duration.underHour': 'under an hour'
+    }
+};
+
+// Called after the language changes, see onLanguageChange()
+const languageListeners = [];
+
+let currentLanguage = loadLanguage();
+
+document.addEventListener('DOMContentLoaded', () => {
+    applyTranslations();
+    renderLanguageSwitcher();
+});
+
+/**
+ * Reads the stored language choice.
+ * @returns {string} Language code, the default if none or an unknown one is stored.
+ */
+function loadLanguage() {
+    try {
+        const stored = localStorage.getItem(languageStorageKey);
+        return languages[stored] ? stored : defaultLanguage;
+    } catch (error) {
+        return defaultLanguage;
+    }
+}
+
+/**
+ * Gets the current language.
+ * @returns {string} 'he' or 'en'.
+ */
+function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Gets the locale for dates and sorting in the current language.
+ * @returns {string} BCP 47 locale, e.g. 'he-IL'.
+ */
+function getLocale() {
+    return languages[currentLanguage].locale;
+}
+
+/**
+ * Translates a key into the current language.
+ * @param {string} key Catalog key, e.g. 'events.loading'.
+ * @param {Object} [params] Values of the {name} placeholders; `count` also picks
+ *   the form of counted texts.
+ * @returns {string|Array<string>} The text, the list for list entries, or the key itself if it is missing.
+ */
+function t(key, params = {}) {
+    let text = translations[currentLanguage][key];
+    if (text === undefined) {
+        console.warn(`Missing ${currentLanguage} translation: ${key}`);
+        return key;
+    }
+    if (Array.isArray(text)) {
+        return text;
+    }
+    if (typeof text === 'object') {
+        text = (params.count === 1 && text.one) || (params.count === 2 && text.two) || text.other;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+}
+
+/**
+ * Checks whether the current language has a text for a key.
+ * @param {string} key Catalog key.
+ * @returns {boolean} True if t() would find it.
+ */
+function hasTranslation(key) {
+    return translations[currentLanguage][key] !== undefined;
+}
+
+/**
+ * Gets a weekday name in the current language.
+ * @param {number} index Day index, 0=Sunday.
+ * @param {string} [style] 'long' (the default) or 'short'.
+ * @returns {string} Day name, empty for an unknown index.
+ */
+function getDayName(index, style = 'long') {
+    return t(`weekdays.${style}`)[index] || '';
+}
+
+/**
+ * Switches the language, stores the choice and lets the page re-render.
+ * @param {string} language 'he' or 'en'.
+ */
+function setLanguage(language) {
+    if (!languages[language] || language === currentLanguage) return;
+    currentLanguage = language;
+    try {
+        localStorage.setItem(languageStorageKey, language);
+    } catch (error) {
+        console.warn('Language choice not saved:', error.message);
+    }
+    applyTranslations();
+    renderLanguageSwitcher();
+    languageListeners.forEach(listener => listener(language));
+}
+
+/**
+ * Registers a function that re-renders texts built by script.
+ * @param {Function} listener Called with the new language code.
+ */
+function onLanguageChange(listener) {
+    languageListeners.push(listener);
+}
+
+/**
+ * Sets the document's language and direction and translates the static
+ * markup: the text of data-i18n elements and the attributes named by
+ * data-i18n-placeholder and data-i18n-title.
+ * @param {ParentNode} [root] Element to translate, the whole document by default.
+ */
+function applyTranslations(root = document) {
+    document.documentElement.lang = currentLanguage;
+    document.documentElement.dir = languages[currentLanguage].dir;
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+}
+
+/**
+ * Fills the header's language switcher with a button per language.
+ */
+function renderLanguageSwitcher() {
+    const switcher = document.getElementById('language-switcher');
+    if (!switcher) return;
+    switcher.setAttribute('aria-label', t('page.language'));
+    switcher.replaceChildren(...Object.entries(languages).map(([code, { name }]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.lang = code;
+        button.textContent = name;
+        button.setAttribute('aria-pressed', String(code === currentLanguage));
+        button.addEventListener('click', () => setLanguage(code));
+        return button;
+    }));
+}
@@ -0,0 +1,283 @@
+// @ts-check
+/*
+ * Small client for the sailor proxy API, shared by the page (loaded with a
+ * <script> tag, exposed as window.SailorClient) and Node tools
+ * (require('./sailor-client')). The types below follow the API's versioned
+ * schema, published at /api/openapi; responses with a different major
+ * schema version are rejected instead of being misread.
+ */
+
+/**
+ * @typedef {Object} SailDetails
+ * @property {string|null} title
+ * @property {string|null} description
+ * @property {number|null} price Shekels
+ * @property {number|null} capacity
+ * @property {number|null} seatsLeft
+ * @property {string|null} skipper
+ * @property {string[]} requirements
+ */
+
+/**
+ * @typedef {Object} SailingEvent
+ * @property {string} id Sail code, e.g. 'S1129'
+ * @property {string} title
+ * @property {string} date DD/MM/YYYY
+ * @property {string} startTime HH:MM, Israel time
+ * @property {string} endTime HH:MM, Israel time
+ * @property {string} start ISO 8601 with offset
+ * @property {string} end ISO 8601 with offset
+ * @property {number} durationMinutes
+ * @property {string} dayOfWeek Hebrew weekday symbol, for display
+ * @property {number|null} [weekday] ISO weekday, 1 (Monday) to 7 (Sunday)
+ * @property {string} description
+ * @property {string} boat
+ * @property {string} branch
+ * @property {string} pier
+ * @property {string} eventType Category name as shown on the site, e.g. 'תלמידים' or 'טרום מעשי'
+ * @property {string} [category] Category code, e.g. 'students' or 'pre-practical'
+ * @property {{ category: string|null, weekday: string|null, status: string|null }} [labels]
+ *   Display labels of the codes, only with lang=he|en
+ * @property {string} [source] ID of the listing page the sail was scraped from
+ * @property {string} moreUrl Detail page URL, empty if none
+ * @property {string} orderUrl Order page URL, empty if none
+ * @property {string} price As shown on the site, empty if none
+ * @property {number|null} [seatsLeft] Seats left as shown on the card, null if not shown
+ * @property {boolean} [soldOut] The card marks the sail as sold out
+ * @property {'open'|'few-left'|'full'|'removed'} [status] Booking status
+ * @property {string} [removedAt] When a removed sail was first missing from the listing
+ * @property {SailDetails|null} [details] Only with details=true
+ * @property {string} [detailsError] Why details is null
+ */
+
+/**
+ * @typedef {Object} EventsResponse
+ * @property {true} success
+ * @property {string} schemaVersion
+ * @property {SailingEvent[]} events
+ * @property {boolean} contentFound
+ * @property {string} provider
+ * @property {string} timestamp
+ * @property {number} [total]
+ * @property {Object} [facets] Counts per branch, boat, pier, category, source and status
+ * @property {Object} [pagination]
+ * @property {{ fetchedAt?: string, cache?: string, degraded?: boolean }} [source]
+ * @property {Array<{ id: string|null, errors: string[] }>} [rejectedEvents]
+ * @property {SailingEvent[]} [removedEvents] Only with removed=true
+ * @property {{ fetchMs: number|null, parseMs: number|null, totalMs: number }} [timings]
+ */
+
+/**
+ * @typedef {Object} EventResponse
+ * @property {true} success
+ * @property {string} schemaVersion
+ * @property {SailingEvent} event Including details
+ * @property {string} provider
+ * @property {string} timestamp
+ */
+
+/**
+ * @typedef {Object} ChangesResponse
+ * @property {true} success
+ * @property {string} schemaVersion
+ * @property {string|null} since
+ * @property {{ added: number, removed: number, changed: number }} summary
+ * @property {SailingEvent[]} added
+ * @property {SailingEvent[]} removed
+ * @property {Array<{ id: string, event: SailingEvent, changes: Object }>} changed
+ * @property {string} timestamp
+ */
+
+/**
+ * @typedef {Object} ListingTimes
+ * @property {string} key Branch or boat
+ * @property {number} sails Sails whose appearance was seen
+ * @property {number} removed Of those, sails that disappeared before their start
+ * @property {number|null} medianHours
+ * @property {number|null} averageHours
+ */
+
+/**
+ * @typedef {Object} AnalyticsResponse
+ * @property {true} success
+ * @property {string} schemaVersion
+ * @property {{ snapshots: number, from: string|null, to: string|null, sails: number, listedAtStart: number }} archive
+ * @property {{ byBranch: ListingTimes[], byBoat: ListingTimes[] }} listing
+ * @property {{ weekdays: Array<{ weekday: number, dayOfWeek: string, count: number }>,
+ *   hours: Array<{ hour: number, count: number }>,
+ *   busiestSlots: Array<{ weekday: number, dayOfWeek: string, hour: number, count: number }> }} schedule
+ *   Weekdays are ISO numbers, 1 (Monday) to 7 (Sunday), listed Sunday first
+ * @property {{ sails: number, medianDays: number|null, averageDays: number|null,
+ *   buckets: Array<{ label: string, minDays: number, maxDays: number|null, count: number }>,
+ *   byBranch: Array<{ key: string, sails: number, medianDays: number|null }> }} leadTime
+ * @property {string} timestamp
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SailorClient = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Error for failed requests and error responses
+     */
+    class SailorApiError extends Error {
+        /**
+         * @param {string} message Error message
+         * @param {Object} [info] Request details
+         * @param {number} [info.status] HTTP status, 0 if the request did not complete
+         * @param {string|null} [info.requestId] X-Request-Id of the response, for looking up the API logs
+         * @param {Object|null} [info.body] Parsed error response
+         */
+        constructor(message, info = {}) {
+            super(message);
+            this.name = 'SailorApiError';
+            this.status = info.status || 0;
+            this.requestId = info.requestId || null;
+            this.body = info.body || null;
+        }
+    }
+
+    class SailorClient {
+        /**
+         * @param {Object} [options] Client options
+         * @param {string} [options.baseUrl] API origin (default the production deployment)
+         * @param {typeof fetch} [options.fetch] fetch implementation (default the global one)
+         */
+        constructor(options = {}) {
+            this.baseUrl = (options.baseUrl || SailorClient.DEFAULT_BASE_URL).replace(/\/$/, '');
+            this.fetch = options.fetch || fetch.bind(globalThis);
+        }
+
+        /**
+         * Lists sails
+         * @param {Object<string, string|number|boolean|string[]>} [params] Query parameters, e.g.
+         *   { branch: ['יפו'], from: '2025-11-01', limit: 20 }; arrays are sent comma separated
+         * @returns {Promise<EventsResponse>} Response
+         * @throws {SailorApiError} If the request fails
+         */
+        getEvents(params = {}) {
+            return this.request('/api/sailor-proxy', params);
+        }
+
+        /**
+         * Gets one sail with its detail page
+         * @param {string} id Sail ID
+         * @param {Object<string, string>} [params] Query parameters, e.g. { provider }
+         * @returns {Promise<EventResponse>} Response
+         * @throws {SailorApiError} If the request fails or no current sail has the ID (status 404)
+         */
+        getEvent(id, params = {}) {
+            return this.request(`/api/events/${encodeURIComponent(id)}`, params);
+        }
+
+        /**
+         * Reports sails added, removed or changed
+         * @param {Date|string} [since] Point in time; the previous scrape if omitted
+         * @returns {Promise<ChangesResponse>} Response
+         * @throws {SailorApiError} If the request fails
+         */
+        getChanges(since) {
+            const params = since ? { since: since instanceof Date ? since.toISOString() : since } : {};
+            return this.request('/api/changes', params);
+        }
+
+        /**
+         * Gets statistics over the archive of scraped listings
+         * @returns {Promise<AnalyticsResponse>} Response
+         * @throws {SailorApiError} If the request fails
+         */
+        getAnalytics() {
+            return this.request('/api/analytics', {});
+        }
+
+        /**
+         * Gets the OpenAPI document describing the API
+         * @returns {Promise<Object>} OpenAPI document
+         */
+        async getOpenApi() {
+            const response = await this.fetch(this.buildUrl('/api/openapi'));
+            return response.json();
+        }
+
+        /**
+         * Builds the calendar subscription URL for a selection of sails
+         * @param {Object<string, string|string[]>} [params] Filter parameters, as for getEvents()
+         * @returns {string} webcal:// URL that calendar apps subscribe to
+         */
+        getCalendarUrl(params = {}) {
+            return this.buildUrl('/api/sailor-proxy', { ...params, format: 'ics' }).replace(/^https?:/, 'webcal:');
+        }
+
+        /**
+         * Builds a request URL
+         * @param {string} path API path
+         * @param {Object<string, string|number|boolean|string[]>} [params] Query parameters; empty values are left out
+         * @returns {string} URL
+         */
+        buildUrl(path, params = {}) {
+            const query = new URLSearchParams();
+            Object.entries(params).forEach(([name, value]) => {
+                const text = Array.isArray(value) ? value.join(',') : String(value ?? '');
+                if (text) query.set(name, text);
+            });
+            const search = query.toString();
+            return `${this.baseUrl}${path}${search ? `?${search}` : ''}`;
+        }
+
+        /**
+         * Performs a GET request and checks the response
+         * @param {string} path API path
+         * @param {Object} params Query parameters
+         * @returns {Promise<any>} Successful response body
+         * @throws {SailorApiError} On network errors, error responses or an incompatible schema version
+         */
+        async request(path, params) {
+            let response;
+            try {
+                response = await this.fetch(this.buildUrl(path, params));
+            } catch (error) {
+                throw new SailorApiError(`Request to ${path} failed: ${error.message}`);
+            }
+
+            const requestId = response.headers.get('X-Request-Id');
+            let body = null;
+            try {
+                body = await response.json();
+            } catch (error) {
+                throw new SailorApiError(`${path} returned HTTP ${response.status} without JSON`, { status: response.status, requestId });
+            }
+
+            if (!response.ok || !body || !body.success) {
+                const reason = (body && (body.error || body.message)) || `HTTP ${response.status}`;
+                throw new SailorApiError(reason, { status: response.status, requestId, body });
+            }
+
+            if (!SailorClient.isCompatible(body.schemaVersion)) {
+                throw new SailorApiError(
+                    `Unsupported schema version ${body.schemaVersion}; this client reads version ${SailorClient.SCHEMA_VERSION}`,
+                    { status: response.status, requestId, body }
+                );
+            }
+            return body;
+        }
+
+        /**
+         * Checks whether a response schema version can be read by this client
+         * Minor versions only add optional fields, so only the major version has to match.
+         * @param {string} [version] Response schemaVersion
+         * @returns {boolean} True if compatible
+         */
+        static isCompatible(version) {
+            return typeof version === 'string' && version.split('.')[0] === SailorClient.SCHEMA_VERSION.split('.')[0];
+        }
+    }
+
+    SailorClient.DEFAULT_BASE_URL = 'https://sailor-proxy-api.vercel.app';
+    SailorClient.SCHEMA_VERSION = '3.0.0';
+    SailorClient.SailorApiError = SailorApiError;
+
+    return SailorClient;
+});
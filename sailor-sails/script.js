@@ -1,56 +1,136 @@
 /*
  * Client-side script to fetch sailing events from the Sailor site, parse
- * them and display them in the UI. Supports filtering by branch via
- * query parameters and a drop-down list, and groups events into two
- * categories: "students" and "pre-practical". Adds a Hebrew day-of-week
- * symbol next to each date.
+ * them and display them in the UI. Supports filtering by branch, category,
+ * date range, weekday, time of day, boat, pier, booking status and free
+ * text, synced with query parameters, and groups events by the categories
+ * found in the data (e.g. "students" and "pre-practical"). Adds the day of
+ * the week next to each date. Events can be shown as the card list or as a
+ * weekly/monthly calendar grid, and starred into a personal shortlist kept
+ * in localStorage. A service worker keeps the page and the last proxy
+ * response available offline; a banner shows how old the shown data is.
+ * API requests go through SailorClient (sailor-client.js); elements are
+ * built with the helpers and components of components.js, in the language
+ * chosen with the switcher of i18n.js.
  */
 
-// Vercel serverless function endpoint (separate API deployment)
-const vercelApiUrl = 'https://sailor-proxy-api.vercel.app/api/sailor-proxy';
+// Client of the Vercel serverless functions (separate API deployment)
+const sailorClient = new SailorClient();
 
 // Simple cache to reduce proxy requests
 const cache = {
     data: null,
     timestamp: null,
+    dataTime: null, // when the proxy scraped the data, which is older than timestamp when served from a cache
     ttl: 5 * 60 * 1000 // 5 minutes
 };
 
-// Mapping of day index (0=Sunday) to Hebrew abbreviations with geresh (Geresh)
-const hebrewDays = ['א׳','ב׳','ג׳','ד׳','ה׳','ו׳','ש׳'];
+// Data older than this is pointed out even when online
+const staleDataAge = 30 * 60 * 1000; // 30 minutes
+
+// Time-of-day slots by start time; same boundaries as the API's timeOfDay filter
+const timeSlots = [
+    { value: 'morning', until: 12 },
+    { value: 'afternoon', until: 17 },
+    { value: 'evening', until: 24 }
+];
+
+// Category codes of the Sailor students page, which are listed first and have
+// their names in the catalogs (category.<code>); categories of other sources are
+// shown by their own name
+const knownCategories = ['students', 'pre-practical'];
+
+// Codes of the students page categories by their Hebrew name, for links and
+// cached data from before the API reported codes
+const categoryCodesByName = {
+    'תלמידים': 'students',
+    'טרום מעשי': 'pre-practical'
+};
+
+// Checkbox filters: URL/API parameter name, container element and how to read an event's value
+const checkboxFilters = [
+    { name: 'branch', containerId: 'branch-checkboxes', getValue: ev => ev.branch },
+    { name: 'category', containerId: 'category-checkboxes', getValue: ev => getCategory(ev) },
+    { name: 'dayOfWeek', containerId: 'day-checkboxes', getValue: ev => String(getWeekday(ev)) },
+    { name: 'timeOfDay', containerId: 'time-checkboxes', getValue: ev => getTimeSlot(ev.startTime) },
+    { name: 'boat', containerId: 'boat-checkboxes', getValue: ev => ev.boat },
+    { name: 'pier', containerId: 'pier-checkboxes', getValue: ev => ev.pier },
+    { name: 'status', containerId: 'status-checkboxes', getValue: ev => getStatus(ev) }
+];
+
+// Booking statuses of listed sails, offered in the availability filter
+const listedStatuses = ['open', 'few-left', 'full'];
+
+// Sailor's own students page, offered when the proxy cannot be reached
+const sailorSiteUrl = 'https://sailor.co.il/הפלגותתלמידים';
+
+// Available views; 'list' is the default and is left out of the URL
+const views = ['list', 'week', 'month'];
+
+// Height of one hour row in the week grid, in pixels
+const hourHeight = 48;
+
+// localStorage key of the shortlist of starred sails
+const shortlistStorageKey = 'sailor-shortlist';
+
+// Sail fields compared with the starred copy to flag changes, with the catalog keys of their labels
+const shortlistTrackedFields = {
+    date: 'event.date',
+    startTime: 'event.startTime',
+    endTime: 'event.endTime',
+    boat: 'event.boat',
+    branch: 'event.branch',
+    pier: 'event.pier'
+};
+
+// Current view and the date (YYYY-MM-DD) whose week/month is shown; null means the first upcoming sail
+const calendarState = {
+    view: 'list',
+    anchor: null
+};
 
 
 // When the document is ready, fetch and render events
 document.addEventListener('DOMContentLoaded', () => {
     // Show loading message
     const container = document.getElementById('events-container');
-    container.innerHTML = '<div class="loading"><p>טוען נתונים...</p></div>';
+    container.replaceChildren(createMessage('loading', null, t('events.loading')));
     
     fetchEvents().then(events => {
         console.log(`Successfully fetched ${events.length} events`);
         const urlParams = new URLSearchParams(window.location.search);
-        const branchParam = urlParams.get('branch') ? urlParams.get('branch').split(',') : [];
-        const categoryParam = urlParams.get('category') ? urlParams.get('category').split(',') : ['תלמידים', 'טרום מעשי'];
+        const filters = getFiltersFromParams(urlParams, events);
+        calendarState.view = views.includes(urlParams.get('view')) ? urlParams.get('view') : 'list';
+        calendarState.anchor = /^\d{4}-\d{2}-\d{2}$/.test(urlParams.get('date') || '') ? urlParams.get('date') : null;
         
-        renderFilters(events, branchParam, categoryParam);
-        renderEvents(events, branchParam, categoryParam);
+        renderFilters(events, filters);
+        renderViewToggle();
+        renderEvents(events, filters);
+        updateCalendarLink(filters);
+        setupShortlistActions();
+        renderShortlist(events);
+        setupDataStatus();
+        onLanguageChange(() => renderPage(events));
     }).catch(err => {
         console.error('Error fetching events:', err);
-        container.innerHTML = `
-            <div class="error">
-                <h3>לא ניתן לטעון נתוני הפלגות</h3>
-                <p>המערכת לא הצליחה לקבל נתונים מאתר סיילור.</p>
-                <button onclick="location.reload()" style="margin-top: 1rem; padding: 0.75rem 1.5rem; background: #007acc; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 500;">
-                    נסה שוב
-                </button>
-                <button onclick="window.open('https://sailor.co.il/הפלגותתלמידים', '_blank')" style="margin-top: 1rem; margin-right: 0.5rem; padding: 0.75rem 1.5rem; background: #28a745; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 500;">
-                    עבור לאתר סיילור
-                </button>
-            </div>
-        `;
+        const renderError = () => container.replaceChildren(createMessage('error', t('events.errorTitle'),
+            t(navigator.onLine ? 'events.errorServer' : 'events.errorOffline'), [
+                createNode('button', { type: 'button', on: { click: () => location.reload() } }, t('events.retry')),
+                createExternalLink(sailorSiteUrl, t('events.openSailor'), { className: 'secondary' })
+            ]));
+        renderError();
+        onLanguageChange(renderError);
     });
 });
 
+// Register the service worker for offline use once the page has loaded
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.warn('Service worker registration failed:', error.message);
+        });
+    });
+}
+
 /**
  * Fetches sailing data directly from the Sailor API.
  * @returns {Promise<Array<Object>>} A promise that resolves to an array of event objects.
@@ -65,203 +145,957 @@ async function fetchEvents() {
     try {
         console.log('Fetching sailing data from Vercel function...');
         
-        // Try Vercel serverless function first
-        const response = await fetch(vercelApiUrl);
-        
-        if (!response.ok) {
-            throw new Error(`Vercel function HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
+        // The client rejects error responses and incompatible schema versions
+        const data = await sailorClient.getEvents();
         console.log('Vercel function response received:', data);
         
-        if (!data.success) {
-            throw new Error(`Vercel function error: ${data.error}`);
-        }
-        
-        if (!data.events) {
-            throw new Error('Vercel function response does not contain events data');
-        }
-        
         console.log(`Received ${data.events.length} parsed events from Vercel function`);
         
         // Cache the results
         cache.data = data.events;
         cache.timestamp = Date.now();
+        cache.dataTime = Date.parse((data.source && data.source.fetchedAt) || data.timestamp) || null;
         
         return data.events;
     } catch (error) {
-        console.warn('Vercel function failed:', error.message);
+        console.warn('Vercel function failed:', error.message, error.requestId ? `(request ${error.requestId})` : '');
         throw new Error('Unable to retrieve sailing data from Sailor website. Please try again later.');
     }
 }
 
 /**
- * Renders all filter dropdowns and attaches change listeners.
+ * Re-renders everything built by script in the current language, keeping the
+ * filter selection.
+ * @param {Array<Object>} events List of all events.
+ */
+function renderPage(events) {
+    const filters = getFiltersFromForm();
+    renderFilterOptions(events, filters);
+    renderEvents(events, filters);
+    renderShortlist(events);
+    updateDataStatus();
+}
+
+/**
+ * Reads the filter selection from URL parameters.
+ * List parameters are comma separated, like the API's query parameters.
+ * Without a category parameter every category is selected; categories given
+ * by their Hebrew name in older links are read as their code, and Sunday
+ * given as 0 (the numbering before ISO weekdays) as 7.
+ * @param {URLSearchParams} urlParams Page query parameters.
  * @param {Array<Object>} events List of all events.
- * @param {string} selectedBranch Branch selected via query param.
- * @param {string} selectedCategory Category selected via query param.
- */
-function renderFilters(events, selectedBranches, selectedCategories) {
-    const branchCheckboxes = document.getElementById('branch-checkboxes');
-    const categoryCheckboxes = document.getElementById('category-checkboxes');
-    
-    // Extract unique branches
-    const branches = Array.from(new Set(events.map(e => e.branch).filter(Boolean))).sort();
-    
-    // Populate branch checkboxes
-    branchCheckboxes.innerHTML = '';
-    branches.forEach(br => {
-        const label = document.createElement('label');
-        label.className = 'checkbox-label';
-        label.innerHTML = `
-            <input type="checkbox" value="${br}" ${selectedBranches.includes(br) ? 'checked' : ''}>
-            <span>${br}</span>
-        `;
-        branchCheckboxes.appendChild(label);
+ * @returns {Object} Filters: a list per checkbox filter, plus from, to and q.
+ */
+function getFiltersFromParams(urlParams, events) {
+    const filters = {};
+    checkboxFilters.forEach(({ name }) => {
+        filters[name] = urlParams.get(name) ? urlParams.get(name).split(',') : [];
     });
+    filters.category = urlParams.get('category')
+        ? filters.category.map(category => categoryCodesByName[category] || category)
+        : getCategories(events);
+    filters.dayOfWeek = filters.dayOfWeek.map(day => day === '0' ? '7' : day);
+    filters.from = urlParams.get('from') || '';
+    filters.to = urlParams.get('to') || '';
+    filters.q = urlParams.get('q') || '';
+    return filters;
+}
+
+/**
+ * Reads the filter selection from the filter panel.
+ * @returns {Object} Filters, see getFiltersFromParams().
+ */
+function getFiltersFromForm() {
+    const filters = {};
+    checkboxFilters.forEach(({ name, containerId }) => {
+        filters[name] = Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`))
+            .map(cb => cb.value);
+    });
+    filters.from = document.getElementById('from-input').value;
+    filters.to = document.getElementById('to-input').value;
+    filters.q = document.getElementById('search-input').value.trim();
+    return filters;
+}
+
+/**
+ * Shows the data age banner and keeps it current as time passes and the
+ * connection comes and goes.
+ */
+function setupDataStatus() {
+    updateDataStatus();
+    setInterval(updateDataStatus, 60 * 1000);
+    window.addEventListener('online', updateDataStatus);
+    window.addEventListener('offline', updateDataStatus);
+    
+    const refresh = document.getElementById('data-status-refresh');
+    if (refresh) {
+        refresh.addEventListener('click', () => location.reload());
+    }
+}
+
+/**
+ * Updates the banner telling how old the shown data is. It is shown when
+ * offline (the data then comes from the service worker cache) or when the
+ * data is older than staleDataAge.
+ */
+function updateDataStatus() {
+    const banner = document.getElementById('data-status');
+    if (!banner || !cache.dataTime) return;
+    
+    const age = Date.now() - cache.dataTime;
+    const offline = !navigator.onLine;
+    banner.hidden = !offline && age < staleDataAge;
+    banner.classList.toggle('offline', offline);
     
-    // Set category checkboxes
-    const categoryInputs = categoryCheckboxes.querySelectorAll('input[type="checkbox"]');
-    categoryInputs.forEach(input => {
-        input.checked = selectedCategories.includes(input.value);
+    document.getElementById('data-status-text').textContent = t(offline ? 'dataStatus.offline' : 'dataStatus.updated', { age: formatAge(age) });
+    document.getElementById('data-status-refresh').hidden = offline;
+}
+
+/**
+ * Formats a duration as relative time in the current language, e.g. "5 minutes ago".
+ * @param {number} ms Duration in milliseconds.
+ * @returns {string} Relative time.
+ */
+function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return t('age.now');
+    if (minutes < 60) return t('age.minutes', { count: minutes });
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return t('age.hours', { count: hours });
+    return t('age.days', { count: Math.floor(hours / 24) });
+}
+
+/**
+ * Renders all filter options and attaches change listeners.
+ * @param {Array<Object>} events List of all events.
+ * @param {Object} filters Selection from the URL, see getFiltersFromParams().
+ */
+function renderFilters(events, filters) {
+    renderFilterOptions(events, filters);
+    
+    const fromInput = document.getElementById('from-input');
+    const toInput = document.getElementById('to-input');
+    fromInput.value = filters.from;
+    toInput.value = filters.to;
+    [fromInput, toInput].forEach(input => {
+        input.addEventListener('change', () => updateFiltersAndRender());
     });
     
-    // Event listeners for all checkboxes
-    const allCheckboxes = [...branchCheckboxes.querySelectorAll('input[type="checkbox"]'), 
-                          ...categoryCheckboxes.querySelectorAll('input[type="checkbox"]')];
-    allCheckboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', () => {
-            updateFiltersAndRender();
+    // Re-render once typing pauses instead of on every keystroke
+    const searchInput = document.getElementById('search-input');
+    searchInput.value = filters.q;
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => updateFiltersAndRender(), 250);
+    });
+}
+
+/**
+ * Fills the checkbox filters with their options in the current language.
+ * @param {Array<Object>} events List of all events.
+ * @param {Object} filters Options to check, see getFiltersFromParams().
+ */
+function renderFilterOptions(events, filters) {
+    const uniqueValues = field => Array.from(new Set(events.map(e => e[field]).filter(Boolean)))
+        .sort((a, b) => String(a).localeCompare(String(b), getLocale(), { numeric: true }));
+    
+    // Options built from the data
+    const options = {
+        branch: uniqueValues('branch').map(br => ({ value: br, label: br })),
+        category: getCategories(events).map(category => ({ value: category, label: getCategoryLabel(category, events) })),
+        dayOfWeek: t('weekdays.long').map((name, index) => ({ value: String(index || 7), label: name })),
+        timeOfDay: timeSlots.map(slot => ({ value: slot.value, label: t(`time.${slot.value}`) })),
+        boat: uniqueValues('boat').map(boat => ({ value: boat, label: boat })),
+        pier: uniqueValues('pier').map(pier => ({ value: pier, label: pier })),
+        status: listedStatuses.map(status => ({ value: status, label: t(`status.${status}`) }))
+    };
+    
+    checkboxFilters.forEach(({ name, containerId }) => {
+        renderCheckboxGroup(document.getElementById(containerId), options[name], filters[name], () => updateFiltersAndRender());
+    });
+}
+
+/**
+ * Gets the category of an event: its code from the API, or its name for
+ * categories of other sources, which share the code 'other'.
+ * @param {Object} ev Event.
+ * @returns {string} Category code or name.
+ */
+function getCategory(ev) {
+    if (ev.category && ev.category !== 'other') {
+        return ev.category;
+    }
+    return categoryCodesByName[ev.eventType] || ev.eventType;
+}
+
+/**
+ * Lists the categories of the events, the Sailor students page categories first.
+ * @param {Array<Object>} events List of all events.
+ * @returns {Array<string>} Categories, see getCategory().
+ */
+function getCategories(events) {
+    const rank = category => knownCategories.includes(category) ? knownCategories.indexOf(category) : knownCategories.length;
+    return Array.from(new Set(events.map(getCategory).filter(Boolean)))
+        .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b, getLocale()));
+}
+
+/**
+ * Gets the display name of a category in the current language.
+ * @param {string} category Category, see getCategory().
+ * @param {Array<Object>} events List of all events, for the site's name of unknown codes.
+ * @returns {string} Display name.
+ */
+function getCategoryLabel(category, events) {
+    if (knownCategories.includes(category)) {
+        return t(`category.${category}`);
+    }
+    const sample = events.find(ev => getCategory(ev) === category);
+    return sample ? sample.eventType : category;
+}
+
+/**
+ * Shows, next to each filter option, how many sails selecting it would show.
+ * Each filter's counts honour every other filter but not its own, so options
+ * of the same filter can be compared.
+ * @param {Array<Object>} events List of all events.
+ * @param {Object} filters Current selection.
+ */
+function updateFilterCounts(events, filters) {
+    checkboxFilters.forEach(({ name, containerId, getValue }) => {
+        const counts = {};
+        events
+            .filter(ev => matchesFilters(ev, filters, name))
+            .forEach(ev => {
+                const value = getValue(ev);
+                counts[value] = (counts[value] || 0) + 1;
+            });
+        
+        document.querySelectorAll(`#${containerId} .checkbox-label`).forEach(label => {
+            const count = counts[label.querySelector('input').value] || 0;
+            label.querySelector('.option-count').textContent = `(${count})`;
+            label.classList.toggle('no-results', count === 0);
         });
     });
 }
 
 /**
- * Updates URL parameters and re-renders events based on current filter selections.
+ * Checks whether an event matches the filters.
+ * @param {Object} ev Event.
+ * @param {Object} filters Filters, see getFiltersFromParams().
+ * @param {string} [ignore] Checkbox filter to leave out of the check.
+ * @returns {boolean} True if the event matches.
  */
-function updateFiltersAndRender() {
-    const branchCheckboxes = document.getElementById('branch-checkboxes');
-    const categoryCheckboxes = document.getElementById('category-checkboxes');
+function matchesFilters(ev, filters, ignore) {
+    const matchesCheckboxes = checkboxFilters.every(({ name, getValue }) =>
+        name === ignore || !filters[name].length || filters[name].includes(getValue(ev)));
+    if (!matchesCheckboxes) {
+        return false;
+    }
     
-    const selectedBranches = Array.from(branchCheckboxes.querySelectorAll('input[type="checkbox"]:checked'))
-        .map(cb => cb.value);
-    const selectedCategories = Array.from(categoryCheckboxes.querySelectorAll('input[type="checkbox"]:checked'))
-        .map(cb => cb.value);
+    if (filters.from || filters.to) {
+        const key = toDateKey(ev.date);
+        if (!key || (filters.from && key < filters.from) || (filters.to && key > filters.to)) {
+            return false;
+        }
+    }
+    
+    if (filters.q) {
+        const text = `${ev.title} ${ev.description}`.toLowerCase();
+        if (!filters.q.toLowerCase().split(/\s+/).every(word => text.includes(word))) {
+            return false;
+        }
+    }
     
+    return true;
+}
+
+/**
+ * Gets an event's ISO weekday, from the API or, for older cached data, its date.
+ * @param {Object} ev Event.
+ * @returns {number} 1 (Monday) to 7 (Sunday), -1 if unknown.
+ */
+function getWeekday(ev) {
+    if (Number.isInteger(ev.weekday)) {
+        return ev.weekday;
+    }
+    const key = toDateKey(ev.date);
+    return key ? parseDateKey(key).getUTCDay() || 7 : -1;
+}
+
+/**
+ * Gets a sail's booking status; data cached before the API reported it counts as open.
+ * @param {Object} ev Event.
+ * @returns {string} Status from the API, see statusBadges.
+ */
+function getStatus(ev) {
+    return ev.status || 'open';
+}
+
+/**
+ * Classifies a start time into a time-of-day slot.
+ * @param {string} time Time in HH:MM format.
+ * @returns {string} Slot value from timeSlots.
+ */
+function getTimeSlot(time) {
+    const hour = Math.floor(toMinutes(time) / 60);
+    return timeSlots.find(slot => hour < slot.until).value;
+}
+
+/**
+ * Updates URL parameters and re-renders events based on current filter selections.
+ */
+function updateFiltersAndRender() {
+    const filters = getFiltersFromForm();
     const params = new URLSearchParams(window.location.search);
     
     // Update URL parameters
-    if (selectedBranches.length > 0) {
-        params.set('branch', selectedBranches.join(','));
+    checkboxFilters.forEach(({ name }) => {
+        if (filters[name].length > 0) {
+            params.set(name, filters[name].join(','));
+        } else {
+            params.delete(name);
+        }
+    });
+    
+    ['from', 'to', 'q'].forEach(name => {
+        if (filters[name]) {
+            params.set(name, filters[name]);
+        } else {
+            params.delete(name);
+        }
+    });
+    
+    if (calendarState.view !== 'list') {
+        params.set('view', calendarState.view);
     } else {
-        params.delete('branch');
+        params.delete('view');
     }
     
-    if (selectedCategories.length > 0) {
-        params.set('category', selectedCategories.join(','));
+    if (calendarState.view !== 'list' && calendarState.anchor) {
+        params.set('date', calendarState.anchor);
     } else {
-        params.delete('category');
+        params.delete('date');
     }
     
-    
     const newUrl = `${window.location.pathname}?${params.toString()}`;
     history.replaceState(null, '', newUrl);
     
     // Re-render events with current filters
-    renderEvents(window._sailorEvents, selectedBranches, selectedCategories);
+    renderEvents(window._sailorEvents, filters);
+    updateCalendarLink(filters);
+}
+
+/**
+ * Syncs the view toggle with the current view and switches views on change.
+ */
+function renderViewToggle() {
+    const inputs = document.querySelectorAll('#view-toggle input[name="view"]');
+    inputs.forEach(input => {
+        input.checked = input.value === calendarState.view;
+        input.addEventListener('change', () => {
+            calendarState.view = input.value;
+            updateFiltersAndRender();
+        });
+    });
+}
+
+/**
+ * Points the calendar link at the proxy's iCalendar feed for the current filters,
+ * so calendar apps subscribe to exactly the sails shown on the page.
+ * The page's filter parameters match the API's, so they are passed on as they are.
+ * @param {Object} filters Current selection, see getFiltersFromParams().
+ */
+function updateCalendarLink(filters) {
+    const link = document.getElementById('calendar-link');
+    if (!link) return;
+    
+    const params = {};
+    checkboxFilters.forEach(({ name }) => {
+        params[name] = filters[name];
+    });
+    ['from', 'to', 'q'].forEach(name => {
+        params[name] = filters[name];
+    });
+    
+    // webcal:// makes Apple/Google calendars subscribe instead of downloading once
+    link.href = sailorClient.getCalendarUrl(params);
 }
 
 
 /**
  * Renders the events into the page with filtering.
  * @param {Array<Object>} events List of all events.
- * @param {Array<string>} branches Branches to filter by.
- * @param {Array<string>} categories Categories to filter by.
+ * @param {Object} filters Filters, see getFiltersFromParams().
  */
-function renderEvents(events, branches, categories) {
+function renderEvents(events, filters) {
     // Store events globally for re-rendering on filter change
     window._sailorEvents = events;
     const container = document.getElementById('events-container');
-    container.innerHTML = '';
     
     // Apply filters
-    let filtered = events;
+    const filtered = events.filter(ev => matchesFilters(ev, filters));
+    updateFilterCounts(events, filters);
+    
+    if (!filtered.length) {
+        container.replaceChildren(createMessage('empty-state', t('events.noneTitle'), t('events.none')));
+        return;
+    }
+    
+    container.replaceChildren();
+    
+    if (calendarState.view === 'list') {
+        renderListView(container, filtered);
+    } else {
+        renderCalendarView(container, filtered);
+    }
+}
+
+/**
+ * Renders events as cards grouped by category, one group per category in the data.
+ * @param {HTMLElement} container Element to render into.
+ * @param {Array<Object>} filtered Events to show.
+ */
+function renderListView(container, filtered) {
+    // Group events by category while preserving order
+    container.append(...getCategories(window._sailorEvents).map(category => createEventGroup(
+        getCategoryLabel(category, window._sailorEvents),
+        filtered.filter(ev => getCategory(ev) === category).map(ev => createEventCard(ev, createStarButton(ev))),
+        t('events.noneInCategory')
+    )));
+}
+
+/**
+ * Renders the week or month calendar for the current anchor date, with
+ * navigation to the previous/next period.
+ * @param {HTMLElement} container Element to render into.
+ * @param {Array<Object>} filtered Events to show.
+ */
+function renderCalendarView(container, filtered) {
+    const isWeek = calendarState.view === 'week';
+    const anchor = calendarState.anchor || getDefaultAnchor(filtered);
+    
+    // Group events by date key for quick lookup per day
+    const eventsByDay = {};
+    filtered.forEach(ev => {
+        const key = toDateKey(ev.date);
+        if (!key) return;
+        (eventsByDay[key] = eventsByDay[key] || []).push(ev);
+    });
+    Object.values(eventsByDay).forEach(dayEvents => {
+        dayEvents.sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+    });
     
-    if (branches.length > 0) {
-        filtered = filtered.filter(e => branches.includes(e.branch));
+    let first;
+    let last;
+    let title;
+    if (isWeek) {
+        first = startOfWeek(anchor);
+        last = addDays(first, 6);
+        title = `${formatShortDate(first)} – ${formatShortDate(last)}`;
+    } else {
+        const monthStart = `${anchor.slice(0, 7)}-01`;
+        const monthEnd = addDays(addMonths(monthStart, 1), -1);
+        first = startOfWeek(monthStart);
+        last = addDays(startOfWeek(monthEnd), 6);
+        title = parseDateKey(monthStart).toLocaleDateString(getLocale(), { month: 'long', year: 'numeric', timeZone: 'UTC' });
     }
     
-    if (categories.length > 0) {
-        filtered = filtered.filter(e => categories.includes(e.eventType));
+    const days = [];
+    for (let day = first; day <= last; day = addDays(day, 1)) {
+        days.push(day);
     }
     
+    container.appendChild(createNode('div', { className: 'calendar' },
+        renderCalendarNav(title, anchor, isWeek),
+        isWeek ? renderWeekGrid(days, eventsByDay) : renderMonthGrid(days, eventsByDay, anchor.slice(0, 7))));
+}
+
+/**
+ * Renders the calendar header with the period title and previous/next buttons.
+ * @param {string} title Period title.
+ * @param {string} anchor Current anchor date key.
+ * @param {boolean} isWeek Whether the week view is shown.
+ * @returns {HTMLElement} Navigation element.
+ */
+function renderCalendarNav(title, anchor, isWeek) {
+    const move = step => {
+        calendarState.anchor = isWeek ? addDays(anchor, step * 7) : addMonths(`${anchor.slice(0, 7)}-01`, step);
+        updateFiltersAndRender();
+    };
+    
+    // "Previous" comes first in the reading direction; each language's arrows point along it
+    return createNode('div', { className: 'calendar-nav' },
+        createNode('button', { type: 'button', on: { click: () => move(-1) } },
+            t(isWeek ? 'calendar.previousWeek' : 'calendar.previousMonth')),
+        createNode('h2', {}, title),
+        createNode('button', { type: 'button', on: { click: () => move(1) } },
+            t(isWeek ? 'calendar.nextWeek' : 'calendar.nextMonth')));
+}
+
+/**
+ * Renders a week as day columns, with sails placed by start and end time.
+ * Overlapping sails on the same day are shown side by side.
+ * @param {Array<string>} days Date keys of the week, Sunday first.
+ * @param {Object} eventsByDay Events per date key, sorted by start time.
+ * @returns {HTMLElement} Week grid element.
+ */
+function renderWeekGrid(days, eventsByDay) {
+    const weekEvents = days.flatMap(day => eventsByDay[day] || []);
+    
+    // Show the hours that have sails this week, 08:00-18:00 at least
+    let firstHour = 8;
+    let lastHour = 18;
+    weekEvents.forEach(ev => {
+        firstHour = Math.min(firstHour, Math.floor(toMinutes(ev.startTime) / 60));
+        lastHour = Math.max(lastHour, Math.ceil(getEndMinutes(ev) / 60));
+    });
     
-    // Group events by type while preserving order
-    const studentEvents = filtered.filter(e => e.eventType === 'תלמידים');
-    const preEvents = filtered.filter(e => e.eventType === 'טרום מעשי');
-    if (!filtered.length) {
-        container.innerHTML = `
-            <div class="empty-state">
-                <h3>לא נמצאו הפלגות</h3>
-                <p>לא נמצאו הפלגות עבור הסינון הנבחר. נסה לשנות את הסינון או לבדוק מאוחר יותר.</p>
-            </div>
-        `;
+    const hours = [];
+    for (let hour = firstHour; hour < lastHour; hour++) {
+        hours.push(createNode('div', { className: 'week-hour' }, `${String(hour).padStart(2, '0')}:00`));
+    }
+    
+    const columns = days.map(day => {
+        const dayEvents = eventsByDay[day] || [];
+        const lanes = assignLanes(dayEvents);
+        const laneCount = Math.max(1, ...lanes);
+        
+        // Positions go through the style object: the CSP forbids style attributes
+        const blocks = dayEvents.map((ev, index) => {
+            const start = toMinutes(ev.startTime);
+            const block = createCalendarEvent(ev, true);
+            block.style.top = `${(start - firstHour * 60) / 60 * hourHeight}px`;
+            block.style.height = `${Math.max(getEndMinutes(ev) - start, 30) / 60 * hourHeight}px`;
+            block.style.width = `${100 / laneCount}%`;
+            block.style.insetInlineStart = `${(lanes[index] - 1) * 100 / laneCount}%`;
+            return block;
+        });
+        
+        return createNode('div', { className: 'week-day' },
+            createNode('div', { className: 'week-day-header' },
+                `${getDayName(parseDateKey(day).getUTCDay(), 'short')} ${formatShortDate(day)}`),
+            createNode('div', { className: 'week-day-body' }, blocks));
+    });
+    
+    const grid = createNode('div', { className: 'week-grid' },
+        // Hour labels column
+        createNode('div', { className: 'week-hours' }, createNode('div', { className: 'week-day-header' }), hours),
+        columns);
+    grid.style.setProperty('--hours', lastHour - firstHour);
+    grid.style.setProperty('--hour-height', `${hourHeight}px`);
+    return grid;
+}
+
+/**
+ * Renders a month as a grid of whole weeks, listing the sails of each day.
+ * Clicking a day number opens that day's week.
+ * @param {Array<string>} days Date keys covering the month's weeks, Sunday first.
+ * @param {Object} eventsByDay Events per date key, sorted by start time.
+ * @param {string} month Shown month as YYYY-MM.
+ * @returns {HTMLElement} Month grid element.
+ */
+function renderMonthGrid(days, eventsByDay, month) {
+    const openWeek = day => {
+        calendarState.view = 'week';
+        calendarState.anchor = day;
+        document.querySelectorAll('#view-toggle input[name="view"]').forEach(input => {
+            input.checked = input.value === 'week';
+        });
+        updateFiltersAndRender();
+    };
+    
+    return createNode('div', { className: 'month-grid' },
+        t('weekdays.short').map(dayName => createNode('div', { className: 'month-day-header' }, dayName)),
+        days.map(day => {
+            const dayEvents = eventsByDay[day] || [];
+            const classes = ['month-day', !day.startsWith(month) && 'outside', dayEvents.length > 0 && 'has-events'];
+            return createNode('div', { className: classes.filter(Boolean).join(' ') },
+                createNode('button', {
+                    type: 'button',
+                    className: 'month-day-number',
+                    title: t('calendar.showWeek'),
+                    on: { click: () => openWeek(day) }
+                }, parseDateKey(day).getUTCDate()),
+                dayEvents.map(ev => createCalendarEvent(ev, false)));
+        }));
+}
+
+/**
+ * Creates a calendar entry for a sail, linking to its order page.
+ * @param {Object} ev Event.
+ * @param {boolean} detailed Whether to show boat and branch (week view).
+ * @returns {HTMLElement} Entry element; a plain box when the sail has no web link.
+ */
+function createCalendarEvent(ev, detailed) {
+    const status = getStatus(ev);
+    const starred = Boolean(loadShortlist().items[ev.id]);
+    const classes = [
+        'calendar-event',
+        knownCategories.includes(getCategory(ev)) && getCategory(ev),
+        status === 'full' && 'full',
+        starred && 'starred'
+    ];
+    const statusText = statusBadges[status] ? `\n${t(`status.${status}`)}` : '';
+    const props = {
+        className: classes.filter(Boolean).join(' '),
+        title: `${ev.title}\n${ev.date} ${ev.startTime} - ${ev.endTime}\n${ev.branch} | ${ev.boat}${statusText}`
+    };
+    
+    const content = [
+        createNode('strong', {}, `${starred ? '★ ' : ''}${detailed ? `${ev.startTime} - ${ev.endTime}` : ev.startTime}`),
+        createNode('span', {}, detailed ? `${ev.boat} · ${ev.branch}` : ev.boat)
+    ];
+    return createExternalLink(ev.orderUrl, content, props)
+        || createExternalLink(ev.moreUrl, content, props)
+        || createNode('div', props, content);
+}
+
+/**
+ * Assigns each event of a day to the first lane free at its start time.
+ * @param {Array<Object>} dayEvents Events sorted by start time.
+ * @returns {Array<number>} 1-based lane per event.
+ */
+function assignLanes(dayEvents) {
+    const laneEnds = [];
+    return dayEvents.map(ev => {
+        const start = toMinutes(ev.startTime);
+        let lane = laneEnds.findIndex(end => end <= start);
+        if (lane === -1) {
+            lane = laneEnds.length;
+        }
+        laneEnds[lane] = getEndMinutes(ev);
+        return lane + 1;
+    });
+}
+
+/**
+ * Picks the date to open the calendar at: the first upcoming sail, or the
+ * first sail at all when every sail is in the past.
+ * @param {Array<Object>} filtered Events to show.
+ * @returns {string} Date key.
+ */
+function getDefaultAnchor(filtered) {
+    const today = formatDateKey(new Date());
+    const keys = filtered.map(ev => toDateKey(ev.date)).filter(Boolean).sort();
+    return keys.find(key => key >= today) || keys[0] || today;
+}
+
+/**
+ * Converts a DD/MM/YYYY date to a YYYY-MM-DD key, which sorts chronologically.
+ * @param {string} date Date as shown on the site.
+ * @returns {string|null} Date key, or null for an unparseable date.
+ */
+function toDateKey(date) {
+    const match = (date || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    return match ? `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : null;
+}
+
+/**
+ * Parses a date key as a UTC date, so day arithmetic ignores daylight saving.
+ * @param {string} key YYYY-MM-DD.
+ * @returns {Date} Date at UTC midnight.
+ */
+function parseDateKey(key) {
+    return new Date(`${key}T00:00:00Z`);
+}
+
+/**
+ * Formats a date as a YYYY-MM-DD key.
+ * @param {Date} date Date (UTC fields are used for keys from parseDateKey).
+ * @returns {string} Date key.
+ */
+function formatDateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Adds days to a date key.
+ * @param {string} key YYYY-MM-DD.
+ * @param {number} days Days to add (may be negative).
+ * @returns {string} Date key.
+ */
+function addDays(key, days) {
+    const date = parseDateKey(key);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDateKey(date);
+}
+
+/**
+ * Adds months to a date key that falls on the 1st of a month.
+ * @param {string} key YYYY-MM-01.
+ * @param {number} months Months to add (may be negative).
+ * @returns {string} Date key.
+ */
+function addMonths(key, months) {
+    const date = parseDateKey(key);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return formatDateKey(date);
+}
+
+/**
+ * Gets the Sunday starting the week of a date.
+ * @param {string} key YYYY-MM-DD.
+ * @returns {string} Date key of that Sunday.
+ */
+function startOfWeek(key) {
+    return addDays(key, -parseDateKey(key).getUTCDay());
+}
+
+/**
+ * Formats a date key as D/M for headers.
+ * @param {string} key YYYY-MM-DD.
+ * @returns {string} Short date.
+ */
+function formatShortDate(key) {
+    const date = parseDateKey(key);
+    return `${date.getUTCDate()}/${date.getUTCMonth() + 1}`;
+}
+
+/**
+ * Converts HH:MM to minutes since midnight.
+ * @param {string} time Time string.
+ * @returns {number} Minutes.
+ */
+function toMinutes(time) {
+    const [hours, minutes] = (time || '0:0').split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Gets an event's end in minutes since midnight of its start day, capped at
+ * midnight for sails that end the next day.
+ * @param {Object} ev Event.
+ * @returns {number} Minutes.
+ */
+function getEndMinutes(ev) {
+    const start = toMinutes(ev.startTime);
+    const end = toMinutes(ev.endTime);
+    return end > start ? end : 24 * 60;
+}
+
+/**
+ * Loads the shortlist from localStorage.
+ * @returns {Object} Shortlist { version, items } where items maps sail ID to
+ *   { id, starredAt, sail } and sail is the sail as it was when starred.
+ */
+function loadShortlist() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(shortlistStorageKey));
+        if (stored && stored.items && typeof stored.items === 'object') {
+            return stored;
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable shortlist:', error.message);
+    }
+    return { version: 1, items: {} };
+}
+
+/**
+ * Saves the shortlist to localStorage.
+ * @param {Object} shortlist Shortlist, see loadShortlist().
+ */
+function saveShortlist(shortlist) {
+    localStorage.setItem(shortlistStorageKey, JSON.stringify(shortlist));
+}
+
+/**
+ * Copies the fields of a sail worth keeping in the shortlist.
+ * @param {Object} ev Event.
+ * @returns {Object} Stored copy of the sail.
+ */
+function toShortlistSail(ev) {
+    const sail = { title: ev.title, eventType: ev.eventType, moreUrl: ev.moreUrl, orderUrl: ev.orderUrl };
+    Object.keys(shortlistTrackedFields).forEach(field => {
+        sail[field] = ev[field];
+    });
+    return sail;
+}
+
+/**
+ * Stars or unstars a sail and refreshes the shortlist.
+ * @param {Object} ev Event.
+ * @returns {boolean} Whether the sail is now starred.
+ */
+function toggleStar(ev) {
+    const shortlist = loadShortlist();
+    if (shortlist.items[ev.id]) {
+        delete shortlist.items[ev.id];
+    } else {
+        shortlist.items[ev.id] = { id: ev.id, starredAt: new Date().toISOString(), sail: toShortlistSail(ev) };
+    }
+    saveShortlist(shortlist);
+    renderShortlist(window._sailorEvents);
+    return Boolean(shortlist.items[ev.id]);
+}
+
+/**
+ * Creates the star toggle shown on a sail card.
+ * @param {Object} ev Event.
+ * @returns {HTMLElement} Button element.
+ */
+function createStarButton(ev) {
+    const button = createNode('button', { type: 'button', className: 'star-button' });
+    
+    const update = starred => {
+        button.textContent = starred ? '★' : '☆';
+        button.classList.toggle('starred', starred);
+        button.setAttribute('aria-pressed', String(starred));
+        button.title = t(starred ? 'shortlist.unstar' : 'shortlist.star');
+    };
+    update(Boolean(loadShortlist().items[ev.id]));
+    
+    button.addEventListener('click', () => update(toggleStar(ev)));
+    return button;
+}
+
+/**
+ * Lists how a starred sail changed since it was starred.
+ * @param {Object} item Shortlist item.
+ * @param {Object} current The sail as currently published.
+ * @returns {Array<Object>} Changes { field, label, from, to }, label in the current language.
+ */
+function getShortlistChanges(item, current) {
+    return Object.entries(shortlistTrackedFields)
+        .filter(([field]) => (item.sail[field] || '') !== (current[field] || ''))
+        .map(([field, labelKey]) => ({ field, label: t(labelKey), from: item.sail[field] || '—', to: current[field] || '—' }));
+}
+
+/**
+ * Renders the "My shortlist" section, flagging starred sails that were
+ * removed from the site (likely fully booked) or whose details changed.
+ * @param {Array<Object>} events All current events, regardless of filters.
+ */
+function renderShortlist(events) {
+    const container = document.getElementById('shortlist-items');
+    if (!container) return;
+    
+    const items = Object.values(loadShortlist().items)
+        .sort((a, b) => `${toDateKey(a.sail.date)} ${a.sail.startTime}`.localeCompare(`${toDateKey(b.sail.date)} ${b.sail.startTime}`));
+    
+    if (!items.length) {
+        container.replaceChildren(createNode('p', { className: 'shortlist-empty' }, t('shortlist.empty')));
         return;
     }
-    // Render groups
-    [
-        { title: 'הפלגות תלמידים', events: studentEvents },
-        { title: 'הפלגות טרום מעשי', events: preEvents }
-    ].forEach(group => {
-        const groupDiv = document.createElement('div');
-        groupDiv.className = 'event-group';
-        const h2 = document.createElement('h2');
-        h2.textContent = group.title;
-        groupDiv.appendChild(h2);
-        if (group.events.length) {
-            group.events.forEach(ev => {
-                const card = document.createElement('div');
-                card.className = 'event-card';
-                const h3 = document.createElement('h3');
-                h3.textContent = ev.title;
-                card.appendChild(h3);
-                const meta = document.createElement('p');
-                meta.className = 'event-meta';
-                meta.innerHTML = `<strong>תאריך:</strong> ${ev.date} (${ev.dayOfWeek || '—'})<br>
-                    <strong>שעות:</strong> ${ev.startTime} - ${ev.endTime}<br>
-                    <strong>סניף:</strong> ${ev.branch} | <strong>רציף:</strong> ${ev.pier}<br>
-                    <strong>כלי שייט:</strong> ${ev.boat}`;
-                card.appendChild(meta);
-                const desc = document.createElement('p');
-                desc.textContent = ev.description;
-                card.appendChild(desc);
-                const actions = document.createElement('div');
-                actions.className = 'event-actions';
-                if (ev.moreUrl) {
-                    const moreA = document.createElement('a');
-                    moreA.href = ev.moreUrl;
-                    moreA.target = '_blank';
-                    moreA.rel = 'noopener';
-                    moreA.textContent = 'לפרטים נוספים';
-                    actions.appendChild(moreA);
-                }
-                if (ev.orderUrl) {
-                    const orderA = document.createElement('a');
-                    orderA.href = ev.orderUrl;
-                    orderA.target = '_blank';
-                    orderA.rel = 'noopener';
-                    orderA.textContent = 'להזמנה';
-                    actions.appendChild(orderA);
-                }
-                card.appendChild(actions);
-                groupDiv.appendChild(card);
-            });
-        } else {
-            const p = document.createElement('p');
-            p.textContent = 'אין הפלגות זמינות מקטגוריה זו.';
-            groupDiv.appendChild(p);
+    
+    const currentById = new Map((events || []).map(ev => [ev.id, ev]));
+    container.replaceChildren(...items.map(item => createShortlistItem(item, currentById.get(item.id))));
+}
+
+/**
+ * Creates a shortlist row, flagging sails that changed or left the data.
+ * @param {Object} item Shortlist item { id, sail }.
+ * @param {Object} [current] The sail in the current data, undefined if it is gone.
+ * @returns {HTMLElement} Row element.
+ */
+function createShortlistItem(item, current) {
+    const changes = current ? getShortlistChanges(item, current) : [];
+    const sail = current || item.sail;
+    
+    const accept = () => {
+        const shortlist = loadShortlist();
+        shortlist.items[item.id].sail = toShortlistSail(current);
+        saveShortlist(shortlist);
+        renderShortlist(window._sailorEvents);
+    };
+    const remove = () => {
+        const shortlist = loadShortlist();
+        delete shortlist.items[item.id];
+        saveShortlist(shortlist);
+        renderShortlist(window._sailorEvents);
+        renderEvents(window._sailorEvents, getFiltersFromForm());
+    };
+    
+    const badge = createStatusBadge(current ? getStatus(current) : 'removed', current ? current.seatsLeft : null);
+    const classes = ['shortlist-item', !current && 'removed', current && changes.length > 0 && 'changed'];
+    
+    return createNode('div', { className: classes.filter(Boolean).join(' ') },
+        createNode('div', { className: 'shortlist-info' },
+            createNode('strong', {}, sail.title, badge && ' ', badge),
+            createNode('span', {}, `${sail.date} ${sail.startTime} - ${sail.endTime} | ${sail.branch} | ${sail.boat}`),
+            !current && createNode('span', { className: 'shortlist-note' }, t('shortlist.gone')),
+            changes.map(change => createNode('span', { className: 'shortlist-note' },
+                t('shortlist.changed', { field: change.label, from: change.from, to: change.to })))),
+        createNode('div', { className: 'shortlist-item-actions' },
+            current && (createExternalLink(current.orderUrl, t('event.order')) || createExternalLink(current.moreUrl, t('shortlist.details'))),
+            // Accept the new details so the sail is no longer flagged
+            changes.length > 0 && createNode('button', { type: 'button', on: { click: accept } }, t('shortlist.accept')),
+            createNode('button', { type: 'button', on: { click: remove } }, t('shortlist.remove'))));
+}
+
+/**
+ * Wires the shortlist export and import controls.
+ */
+function setupShortlistActions() {
+    const exportButton = document.getElementById('shortlist-export');
+    const importInput = document.getElementById('shortlist-import');
+    if (!exportButton || !importInput) return;
+    
+    exportButton.addEventListener('click', () => {
+        const blob = new Blob([JSON.stringify(loadShortlist(), null, 2)], { type: 'application/json' });
+        const href = URL.createObjectURL(blob);
+        const link = createNode('a', { href, download: `sailor-shortlist-${formatDateKey(new Date())}.json` });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Firefox and Safari cancel the download if the URL is revoked before it starts
+        setTimeout(() => URL.revokeObjectURL(href), 0);
+    });
+    
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        
+        try {
+            const added = importShortlist(JSON.parse(await file.text()));
+            showShortlistStatus(t('shortlist.imported', { count: added }));
+        } catch (error) {
+            showShortlistStatus(t('shortlist.importFailed', { reason: error.message }), true);
         }
-        container.appendChild(groupDiv);
+        renderShortlist(window._sailorEvents);
+        renderEvents(window._sailorEvents, getFiltersFromForm());
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Merges an exported shortlist into the stored one. Sails already starred
+ * keep their stored copy, so changes found since starring are not lost.
+ * @param {Object} data Parsed export file, see loadShortlist().
+ * @returns {number} Number of sails added.
+ * @throws {Error} If the data is not a shortlist export.
+ */
+function importShortlist(data) {
+    if (!data || typeof data.items !== 'object' || Array.isArray(data.items)) {
+        throw new Error(t('shortlist.notAnExport'));
+    }
+    
+    const shortlist = loadShortlist();
+    let added = 0;
+    Object.values(data.items).forEach(item => {
+        const valid = item && typeof item.id === 'string' && item.sail && typeof item.sail === 'object';
+        if (!valid || shortlist.items[item.id]) return;
+        
+        const sail = {};
+        ['title', 'eventType', 'moreUrl', 'orderUrl', ...Object.keys(shortlistTrackedFields)].forEach(field => {
+            sail[field] = typeof item.sail[field] === 'string' ? item.sail[field] : '';
+        });
+        shortlist.items[item.id] = { id: item.id, starredAt: item.starredAt || new Date().toISOString(), sail };
+        added++;
+    });
+    
+    saveShortlist(shortlist);
+    return added;
+}
+
+/**
+ * Shows a message under the shortlist header.
+ * @param {string} message Message text.
+ * @param {boolean} [isError] Whether to style it as an error.
+ */
+function showShortlistStatus(message, isError = false) {
+    const status = document.getElementById('shortlist-status');
+    status.textContent = message;
+    status.classList.toggle('error-text', isError);
+    status.hidden = false;
+}
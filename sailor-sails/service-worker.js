@@ -0,0 +1,110 @@
+/*
+ * Service worker making sailor-sails usable offline (e.g. on the pier).
+ * The page shell is served from cache and refreshed in the background;
+ * proxy responses are fetched from the network first, falling back to the
+ * last successful response when there is no signal or the proxy fails.
+ */
+
+// Bump the version when the shell files change to drop the old cache
+const shellCache = 'sailor-shell-v10';
+const dataCache = 'sailor-data-v1';
+
+const shellFiles = [
+    './',
+    'index.html',
+    'style.css',
+    'sailor-client.js',
+    'i18n.js',
+    'components.js',
+    'script.js',
+    'stats.html',
+    'stats.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Proxy endpoint whose last successful JSON response is kept for offline use
+const proxyPath = '/api/sailor-proxy';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(shellCache)
+            .then(cache => cache.addAll(shellFiles))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => ![shellCache, dataCache].includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+    
+    const url = new URL(event.request.url);
+    if (url.pathname === proxyPath && url.searchParams.get('format') !== 'ics') {
+        event.respondWith(networkFirst(event.request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event.request));
+    }
+});
+
+/**
+ * Fetches a proxy response, keeping successful ones and falling back to the
+ * last kept response when the network or the proxy fails.
+ * @param {Request} request Proxy request.
+ * @returns {Promise<Response>} Network or cached response.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(dataCache);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            return response;
+        }
+        return (await cache.match(request)) || response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serves a shell file from cache while updating the cached copy, so a
+ * changed page is picked up on the next visit.
+ * @param {Request} request Same-origin request.
+ * @returns {Promise<Response>} Cached or network response.
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(shellCache);
+    
+    // Filters live in the page's query string; every variant is the same page
+    const key = request.mode === 'navigate' ? request.url.split('?')[0] : request;
+    const cached = await cache.match(key);
+    
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(key, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (!cached) throw error;
+            return cached;
+        });
+    
+    return cached || update;
+}
@@ -0,0 +1,245 @@
+/*
+ * Stats page: shows what the API's snapshot archive tells about Sailor
+ * sails - which weekdays and hours get the most sails, how far in advance
+ * sails are published and how long they stay listed before disappearing
+ * (usually because they were booked up), per branch and boat. Charts are
+ * plain bars built from the /api/analytics response through SailorClient.
+ * Texts come from the catalogs of i18n.js; weekdays are the API's ISO
+ * numbers (7=Sunday) and lead time buckets have the keys leadTime.<bucket>.
+ */
+
+const sailorClient = new SailorClient();
+
+document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('stats-container');
+    sailorClient.getAnalytics().then(data => {
+        const render = () => {
+            renderSummary(data.archive);
+            container.replaceChildren(
+                renderScheduleSection(data.schedule),
+                renderLeadTimeSection(data.leadTime),
+                renderListingSection(data.listing)
+            );
+        };
+        render();
+        onLanguageChange(render);
+    }).catch(err => {
+        console.error('Error fetching analytics:', err);
+        const renderError = () => container.replaceChildren(createMessage('error', t('stats.errorTitle'),
+            t(navigator.onLine ? 'stats.errorServer' : 'stats.errorOffline')));
+        renderError();
+        onLanguageChange(renderError);
+    });
+});
+
+/**
+ * Describes the period the statistics cover.
+ * @param {Object} archive The response's archive section.
+ */
+function renderSummary(archive) {
+    const summary = document.getElementById('stats-summary');
+    if (archive.snapshots === 0) {
+        summary.textContent = t('stats.noData');
+        return;
+    }
+    summary.textContent = t('stats.summary', { sails: archive.sails, from: formatDate(archive.from), to: formatDate(archive.to) });
+}
+
+/**
+ * Renders the sails per weekday and start hour.
+ * @param {Object} schedule The response's schedule section.
+ * @returns {HTMLElement} Section element.
+ */
+function renderScheduleSection(schedule) {
+    const section = createSection(t('stats.scheduleTitle'));
+
+    section.append(renderBarChart(t('stats.byWeekday'), schedule.weekdays.map(({ weekday, count }) => ({
+        label: getDayName(weekday % 7),
+        value: count,
+        text: String(count)
+    }))));
+
+    // Only the hours between the first and last one with sails
+    const used = schedule.hours.filter(({ count }) => count > 0).map(({ hour }) => hour);
+    const hours = used.length > 0
+        ? schedule.hours.filter(({ hour }) => hour >= Math.min(...used) && hour <= Math.max(...used))
+        : [];
+    section.append(renderBarChart(t('stats.byHour'), hours.map(({ hour, count }) => ({
+        label: `${String(hour).padStart(2, '0')}:00`,
+        value: count,
+        text: String(count)
+    }))));
+
+    if (schedule.busiestSlots.length > 0) {
+        const heading = document.createElement('h3');
+        heading.textContent = t('stats.busiest');
+        const list = document.createElement('ol');
+        list.className = 'stats-list';
+        schedule.busiestSlots.forEach(({ weekday, hour, count }) => {
+            const item = document.createElement('li');
+            item.textContent = t('stats.busiestSlot', { day: getDayName(weekday % 7), hour: `${String(hour).padStart(2, '0')}:00`, count });
+            list.append(item);
+        });
+        section.append(heading, list);
+    }
+    return section;
+}
+
+/**
+ * Renders how far in advance sails are published.
+ * @param {Object} leadTime The response's leadTime section.
+ * @returns {HTMLElement} Section element.
+ */
+function renderLeadTimeSection(leadTime) {
+    const section = createSection(t('stats.leadTimeTitle'));
+
+    if (leadTime.sails === 0) {
+        section.append(createNote(t('stats.noLeadTime')));
+        return section;
+    }
+
+    section.append(createNote(t('stats.leadTimeMedian', { median: formatDays(leadTime.medianDays), average: formatDays(leadTime.averageDays) })));
+    section.append(renderBarChart(t('stats.byLeadTime'), leadTime.buckets.map(({ label, count }) => ({
+        label: getLeadTimeLabel(label),
+        value: count,
+        text: String(count)
+    }))));
+    section.append(renderBarChart(t('stats.medianByBranch'), leadTime.byBranch.map(({ key, sails, medianDays }) => ({
+        label: key,
+        value: medianDays || 0,
+        text: t('stats.sailsCount', { value: formatDays(medianDays), count: sails })
+    }))));
+    return section;
+}
+
+/**
+ * Renders how long sails stay listed before they disappear.
+ * @param {Object} listing The response's listing section.
+ * @returns {HTMLElement} Section element.
+ */
+function renderListingSection(listing) {
+    const section = createSection(t('stats.listingTitle'));
+    section.append(createNote(t('stats.listingNote')));
+
+    [[t('stats.byBranch'), listing.byBranch], [t('stats.byBoat'), listing.byBoat]].forEach(([title, groups]) => {
+        const removed = groups.filter(group => group.removed > 0);
+        if (removed.length === 0) {
+            section.append(createNote(t('stats.noneRemoved', { title })));
+            return;
+        }
+        section.append(renderBarChart(title, removed.map(({ key, sails, removed: count, medianHours }) => ({
+            label: key,
+            value: medianHours,
+            text: t('stats.removedOf', { value: formatHours(medianHours), removed: count, sails })
+        }))));
+    });
+    return section;
+}
+
+/**
+ * Creates a stats section with a heading.
+ * @param {string} title Section heading.
+ * @returns {HTMLElement} Section element.
+ */
+function createSection(title) {
+    const section = document.createElement('section');
+    section.className = 'stats-section';
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    section.append(heading);
+    return section;
+}
+
+/**
+ * Creates an explanatory paragraph.
+ * @param {string} text Paragraph text.
+ * @returns {HTMLElement} Paragraph element.
+ */
+function createNote(text) {
+    const note = document.createElement('p');
+    note.className = 'stats-note';
+    note.textContent = text;
+    return note;
+}
+
+/**
+ * Renders a horizontal bar chart, bars scaled to the largest value.
+ * @param {string} title Chart heading.
+ * @param {Array<{label: string, value: number, text: string}>} rows Bars in display order.
+ * @returns {HTMLElement} Chart element.
+ */
+function renderBarChart(title, rows) {
+    const chart = document.createElement('figure');
+    chart.className = 'bar-chart';
+    const caption = document.createElement('figcaption');
+    caption.textContent = title;
+    chart.append(caption);
+
+    const max = Math.max(0, ...rows.map(row => row.value));
+    rows.forEach(({ label, value, text }) => {
+        const row = document.createElement('div');
+        row.className = 'bar-row';
+
+        const name = document.createElement('span');
+        name.className = 'bar-label';
+        name.textContent = label;
+
+        const track = document.createElement('span');
+        track.className = 'bar-track';
+        const bar = document.createElement('span');
+        bar.className = 'bar';
+        bar.style.width = `${max > 0 ? (value / max) * 100 : 0}%`;
+        track.append(bar);
+
+        const amount = document.createElement('span');
+        amount.className = 'bar-value';
+        amount.textContent = text;
+
+        row.append(name, track, amount);
+        chart.append(row);
+    });
+    return chart;
+}
+
+/**
+ * Gets the display name of a lead time bucket.
+ * @param {string} bucket Bucket label from the API, e.g. '1-3'.
+ * @returns {string} Name in the current language, the API label for unknown buckets.
+ */
+function getLeadTimeLabel(bucket) {
+    const key = `leadTime.${bucket}`;
+    return hasTranslation(key) ? t(key) : bucket;
+}
+
+/**
+ * Formats an ISO timestamp as a date in the current language.
+ * @param {string} iso Timestamp.
+ * @returns {string} Date such as "27.10.2025".
+ */
+function formatDate(iso) {
+    return new Date(iso).toLocaleDateString(getLocale(), { timeZone: 'Asia/Jerusalem' });
+}
+
+/**
+ * Formats a number of days in the current language.
+ * @param {number|null} days Days.
+ * @returns {string} Duration such as "3.5 days".
+ */
+function formatDays(days) {
+    if (days === null) return '-';
+    if (days < 1) return formatHours(days * 24);
+    return t('duration.days', { count: days });
+}
+
+/**
+ * Formats a number of hours in the current language, switching to days from two days up.
+ * @param {number|null} hours Hours.
+ * @returns {string} Duration such as "5 hours".
+ */
+function formatHours(hours) {
+    if (hours === null) return '-';
+    if (hours >= 48) return formatDays(Math.round(hours / 2.4) / 10);
+    const rounded = Math.round(hours);
+    if (rounded < 1) return t('duration.underHour');
+    return t('duration.hours', { count: rounded });
+}